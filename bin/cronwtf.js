@@ -8,6 +8,26 @@ const commands = require('../src/commands');
 const { dim, bold, cyan, proBadge } = require('../src/utils');
 const pkg = require('../package.json');
 
+// Arguments that start a cron expression rather than name a command
+// (including CRON_TZ=/TZ= timezone prefixes)
+const CRON_START = /^([\d\*\/\-\,\@]|H[\s(/,]|(CRON_TZ|TZ)=)/;
+
+// Commands that take --count, and how many they show without it
+const COUNT_DEFAULTS = { next: 5, prev: 5, set: 5, calendar: 30 };
+
+/**
+ * Read a --count value
+ * @param {string|boolean|undefined} value - Option as given
+ * @param {number} fallback - Count when none is given
+ * @returns {number|null} The count, or null unless it is a whole number above 0
+ */
+function parseCount(value, fallback) {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) return null;
+  const count = parseInt(value, 10);
+  return count > 0 ? count : null;
+}
+
 /**
  * Parse command line arguments
  * @param {Array} args - Process arguments
@@ -43,6 +63,7 @@ function parseArgs(args) {
         'g': 'generate',
         'c': 'count',
         't': 'timezone',
+        'f': 'from',
         'o': 'output',
         'i': 'interactive',
         'h': 'help',
@@ -51,7 +72,7 @@ function parseArgs(args) {
       const key = shortMap[arg[1]] || arg[1];
 
       // Some short flags take values
-      if (['c', 't', 'o', 'n'].includes(arg[1]) && i + 1 < args.length && !args[i + 1].startsWith('-')) {
+      if (['c', 't', 'o', 'n', 'f'].includes(arg[1]) && i + 1 < args.length && !args[i + 1].startsWith('-')) {
         result.options[key] = args[i + 1];
         i++;
       } else if (['v', 'g', 'i'].includes(arg[1])) {
@@ -62,7 +83,7 @@ function parseArgs(args) {
       } else {
         result.options[key] = true;
       }
-    } else if (!result.command && !arg.match(/^[\d\*\/\-\,\@]/)) {
+    } else if (!result.command && !arg.match(CRON_START)) {
       // First non-option, non-cron arg is the command
       result.command = arg;
     } else {
@@ -90,11 +111,20 @@ function showHelp() {
     explain <expr>    explain what a cron does (default)
     validate <expr>   check if cron is valid
     next <expr>       show next run times
+    prev <expr>       show previous run times
+    dst <expr>        check DST transitions for skipped/doubled runs
     diff <a> <b>      compare two expressions
+    fmt <expr|file>   rewrite expressions or crontabs in canonical form
+    set <op> <a> <b>  intersect, union or subtract two schedules
+    crontab <file|->  explain every job in a crontab
+    lint <file|->     check crontabs for mistakes (human, JSON, SARIF)
+    load <file|->     show which jobs start together, with a heatmap
+    spread <file|->   move jobs that start together apart
 
   ${bold('PRO Commands:')} ${proBadge()}
     generate <text>   generate cron from plain English
     convert <expr>    convert between formats (AWS, systemd, GitHub)
+    tz <expr>         rewrite a schedule for another timezone
     calendar <expr>   export schedule to iCal
     test <expr>       test against specific dates
     interactive       build cron step by step
@@ -109,6 +139,7 @@ function showHelp() {
     cronwtf "0 9 * * 1-5"
     cronwtf validate "0 25 * * *"
     cronwtf next "0 9 * * *" -c 10
+    cronwtf prev "0 3 * * *" --from "2026-10-18 04:00"
     cronwtf generate "every monday at 9am"      ${proBadge()}
     cronwtf convert "0 9 * * 1-5" --to aws      ${proBadge()}
 
@@ -158,7 +189,7 @@ async function main() {
   let cmdArgs = parsed.args;
 
   // If first arg looks like a cron expression, default to explain
-  if (!command && cmdArgs.length > 0 && cmdArgs[0].match(/^[\d\*\/\-\,\@]/)) {
+  if (!command && cmdArgs.length > 0 && cmdArgs[0].match(CRON_START)) {
     command = 'explain';
   } else if (!command && cmdArgs.length === 0 && Object.keys(parsed.options).length === 0) {
     showHelp();
@@ -174,7 +205,7 @@ async function main() {
   const cmd = commands[command];
   if (!cmd) {
     // Maybe it's a cron expression passed directly
-    if (command && command.match(/^[\d\*\/\-\,\@]/)) {
+    if (command && command.match(CRON_START)) {
       cmdArgs.unshift(command);
       command = 'explain';
     } else {
@@ -184,6 +215,18 @@ async function main() {
     }
   }
 
+  // --count must be a real number of runs before anything walks a schedule
+  let count;
+  if (command in COUNT_DEFAULTS) {
+    const value = parsed.options.count !== undefined ? parsed.options.count : parsed.options.c;
+    count = parseCount(value, COUNT_DEFAULTS[command]);
+    if (count === null) {
+      console.error(`--count must be a whole number above 0, not "${value === true ? '' : value}"`);
+      console.error(`Run "cronwtf ${command} --help" for usage.`);
+      process.exit(1);
+    }
+  }
+
   try {
     let result;
 
@@ -200,7 +243,21 @@ async function main() {
       case 'next':
         result = await commands.next.execute(cmdArgs[0], {
           ...parsed.options,
-          count: parseInt(parsed.options.count || parsed.options.c || '5', 10)
+          count
+        });
+        break;
+
+      case 'prev':
+        result = await commands.prev.execute(cmdArgs[0], {
+          ...parsed.options,
+          count
+        });
+        break;
+
+      case 'dst':
+        result = await commands.dst.execute(cmdArgs[0], {
+          ...parsed.options,
+          years: parseInt(parsed.options.years || '1', 10)
         });
         break;
 
@@ -208,6 +265,33 @@ async function main() {
         result = await commands.diff.execute(cmdArgs[0], cmdArgs[1], parsed.options);
         break;
 
+      case 'fmt':
+        result = await commands.fmt.execute(cmdArgs, parsed.options);
+        break;
+
+      case 'crontab':
+        result = await commands.crontab.execute(cmdArgs[0], parsed.options);
+        break;
+
+      case 'lint':
+        result = await commands.lint.execute(cmdArgs, parsed.options);
+        break;
+
+      case 'load':
+        result = await commands.load.execute(cmdArgs, parsed.options);
+        break;
+
+      case 'spread':
+        result = await commands.spread.execute(cmdArgs[0], parsed.options);
+        break;
+
+      case 'set':
+        result = await commands.set.execute(cmdArgs[0], cmdArgs[1], cmdArgs[2], {
+          ...parsed.options,
+          count
+        });
+        break;
+
       case 'generate':
         result = await commands.generate.execute(cmdArgs.join(' '), parsed.options);
         break;
@@ -216,10 +300,14 @@ async function main() {
         result = await commands.convert.execute(cmdArgs[0], parsed.options);
         break;
 
+      case 'tz':
+        result = await commands.tz.execute(cmdArgs[0], parsed.options);
+        break;
+
       case 'calendar':
         result = await commands.calendar.execute(cmdArgs[0], {
           ...parsed.options,
-          count: parseInt(parsed.options.count || '30', 10)
+          count
         });
         break;
 
@@ -9,21 +9,42 @@
  * const parsed = cronwtf.parse('0 9 * * 1-5');
  * const isValid = cronwtf.validate('0 9 * * *').valid;
  *
+ * // Check against one scheduler's rules (vixie, cronie, posix, quartz, aws, jenkins, k8s)
+ * const forAws = cronwtf.validate('cron(0 12 ? * MON-FRI *)', { dialect: 'aws' });
+ *
  * // Get description
- * const desc = cronwtf.describe('*/15 * * * *');
+ * const desc = cronwtf.describe('*\/15 * * * *');
  * // "Every 15 minutes"
  *
  * // Get next occurrences
  * const next = cronwtf.getNextOccurrences('0 9 * * *', 5);
  *
+ * // Get previous occurrences
+ * const prev = cronwtf.getPreviousOccurrences('0 3 * * *', 5, { from: new Date('2026-10-18T04:00:00Z') });
+ *
+ * // Iterate lazily (also works with for await)
+ * for (const run of cronwtf.occurrences('0 9 * * 1-5', { until: new Date('2027-01-01') })) {}
+ *
+ * // Canonical form: lists become ranges and steps
+ * const { result } = cronwtf.normalize('0 9 * * 1,2,3,4,5');
+ * // "0 9 * * 1-5"
+ *
  * // Compare expressions
  * const diff = cronwtf.compare('0 9 * * *', '0 9 * * 1-5');
  *
+ * // Combine schedules: intersect, union, subtract
+ * const weekdays = cronwtf.subtract('0 9 * * *', '0 9 * * 0,6');
+ * // weekdays.expressions: ['0 9 * * 1-5']
+ *
  * // Generate from text (PRO)
  * const generated = cronwtf.generate('every monday at 9am');
  *
  * // Convert formats (PRO)
  * const aws = cronwtf.toAws('0 9 * * 1-5');
+ *
+ * // Rewrite a schedule written in local time for UTC
+ * const utc = cronwtf.shiftTimezone('0 9 * * 1-5', 'Europe/Berlin', 'UTC');
+ * // utc.expressions: ['0 8 * * 1-5'] in winter, utc.periods per DST stretch
  */
 
 const core = require('./src/core');
@@ -34,10 +55,23 @@ module.exports = {
   parse: core.parse,
   validate: core.validate,
   describe: core.describe,
+  normalize: core.normalize,
+  parseCrontab: core.parseCrontab,
+  lint: core.lint,
 
   // Scheduling
   getNextOccurrences: core.getNextOccurrences,
+  getPreviousOccurrences: core.getPreviousOccurrences,
+  occurrences: core.occurrences,
   compare: core.compare,
+  relate: core.relate,
+  intersect: core.intersect,
+  union: core.union,
+  subtract: core.subtract,
+  getTimeline: core.getTimeline,
+  getLoad: core.getLoad,
+  spread: core.spread,
+  getDstReport: core.getDstReport,
 
   // Generation
   generate: core.generate,
@@ -48,7 +82,10 @@ module.exports = {
   toSystemd: core.toSystemd,
   toGitHub: core.toGitHub,
   toQuartz: core.toQuartz,
+  toJenkins: core.toJenkins,
   toCron: core.toCron,
+  approximateInterval: core.approximateInterval,
+  shiftTimezone: core.shiftTimezone,
   fromCron: core.fromCron,
   detectFormat: core.detectFormat,
 
@@ -60,6 +97,8 @@ module.exports = {
   FIELDS: core.FIELDS,
   ALIASES: core.ALIASES,
   FORMATS: core.FORMATS,
+  DST_POLICIES: core.DST_POLICIES,
+  DIALECTS: core.DIALECTS,
 
   // Version
   version: require('./package.json').version
@@ -28,15 +28,16 @@ function generateICal(events, expression, name = 'Cron Job') {
   const description = describe(expression);
 
   events.forEach((date, i) => {
-    const dt = DateTime.fromJSDate(date);
+    // UTC times, so events land right whatever timezone the schedule runs in
+    const dt = DateTime.fromJSDate(date, { zone: 'UTC' });
     const dtEnd = dt.plus({ minutes: 5 }); // 5 min duration
     const uid = `cronwtf-${dt.toMillis()}-${i}@rtfm.codes`;
 
     lines.push('BEGIN:VEVENT');
     lines.push(`UID:${uid}`);
     lines.push(`DTSTAMP:${DateTime.now().toFormat("yyyyMMdd'T'HHmmss'Z'")}`);
-    lines.push(`DTSTART:${dt.toFormat("yyyyMMdd'T'HHmmss")}`);
-    lines.push(`DTEND:${dtEnd.toFormat("yyyyMMdd'T'HHmmss")}`);
+    lines.push(`DTSTART:${dt.toFormat("yyyyMMdd'T'HHmmss'Z'")}`);
+    lines.push(`DTEND:${dtEnd.toFormat("yyyyMMdd'T'HHmmss'Z'")}`);
     lines.push(`SUMMARY:${name}`);
     lines.push(`DESCRIPTION:${expression}\\n${description}`);
     lines.push('END:VEVENT');
@@ -107,8 +108,8 @@ async function execute(expression, options = {}) {
   // Increment usage
   incrementOperations();
 
-  // Get timezone
-  const tz = timezone === 'local' ? DateTime.local().zoneName : timezone;
+  // Get timezone (the CRON_TZ=/TZ= prefix, if any, unless one was given)
+  const tz = timezone === 'local' ? parsed.timezone || DateTime.local().zoneName : timezone;
 
   // Get events
   const events = getNextOccurrences(expression, Math.min(count, 100), {
@@ -119,7 +120,7 @@ async function execute(expression, options = {}) {
   if (events.length === 0) {
     return {
       code: 0,
-      output: success('no events found within the next year.')
+      output: success('no upcoming events found.')
     };
   }
 
@@ -140,7 +141,7 @@ async function execute(expression, options = {}) {
     let output = bold(`Calendar preview: ${name}\n`);
     output += dim(`Expression: ${expression}\n`);
     output += dim(`Timezone: ${tz}\n\n`);
-    output += formatCalendar(events.map(d => ({ date: d })));
+    output += formatCalendar(events.map(d => ({ date: d })), { timezone: tz });
     return { code: 0, output };
   }
 
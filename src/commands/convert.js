@@ -16,6 +16,9 @@ async function execute(expression, options = {}) {
   const {
     to: toFormat,
     from: fromFormat,
+    'source-tz': sourceTz,
+    seed,
+    seconds = false,
     json: jsonOutput = false,
     formats = false
   } = options;
@@ -69,7 +72,7 @@ async function execute(expression, options = {}) {
 
   if (fromFormat) {
     // Converting FROM another format TO cron
-    result = toCron(expression, fromFormat);
+    result = toCron(expression, fromFormat, { seed, seconds });
     targetFormat = 'cron';
   } else if (toFormat) {
     // Converting FROM cron TO another format
@@ -81,7 +84,7 @@ async function execute(expression, options = {}) {
         output: error(`invalid cron expression: ${parsed.error || parsed.errors?.join(', ')}`)
       };
     }
-    result = fromCron(expression, toFormat);
+    result = fromCron(expression, toFormat, { sourceTz, seed });
     targetFormat = toFormat;
   } else {
     // Auto-detect and convert to cron
@@ -100,7 +103,7 @@ async function execute(expression, options = {}) {
       };
     }
 
-    result = toCron(expression, detected);
+    result = toCron(expression, detected, { seed, seconds });
     targetFormat = 'cron';
   }
 
@@ -119,6 +122,10 @@ async function execute(expression, options = {}) {
         input: expression,
         format: targetFormat,
         result: result.result,
+        timezone: result.timezone,
+        expressions: result.expressions,
+        exact: result.exact,
+        drift: result.drift,
         description: result.description,
         note: result.note
       }, null, 2)
@@ -154,17 +161,27 @@ function help() {
     github     GitHub Actions schedule YAML
     quartz     Quartz scheduler (Java)
     jenkins    Jenkins cron syntax
+    every      @every <duration> intervals (from only: closest cron)
 
   Options:
     --to <format>     convert TO this format
     --from <format>   convert FROM this format to standard cron
+    --source-tz <tz>  timezone the expression is written in; shifts it to
+                      UTC for aws and github
+    --seed <job>      Jenkins job name that H values are hashed from
+                      (with --from jenkins, or --to any format but jenkins)
+    --seconds         let @every intervals of whole minutes match schedules
+                      with a seconds field
     --formats         show all supported formats
     --json            output as JSON
 
   Examples:
     cronwtf convert "0 9 * * 1-5" --to aws
     cronwtf convert "0 9 * * 1-5" --to github
+    cronwtf convert "0 9 * * 1-5" --to github --source-tz Europe/Berlin
     cronwtf convert "cron(0 9 ? * MON-FRI *)" --from aws
+    cronwtf convert "H H(0-7) * * *" --from jenkins --seed nightly-build
+    cronwtf convert "@every 90m"
     cronwtf convert --formats
 `;
 }
@@ -0,0 +1,168 @@
+/**
+ * Explain every job in a crontab
+ * @module commands/crontab
+ */
+const fs = require('fs');
+const { describe, parseCrontab, isSystemCrontab } = require('../core');
+const { getLicenseStatus, incrementOperations, checkOperationLimit } = require('../license');
+const { success, error, dim, bold, cyan, formatTable, getLimitUpsell, getPromo } = require('../utils');
+
+// Commands longer than this are cut short in the table
+const COMMAND_WIDTH = 50;
+
+/**
+ * Cut text to a width, marking the cut
+ * @param {string} text - Text
+ * @param {number} width - Maximum length
+ * @returns {string}
+ */
+function truncate(text, width) {
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+/**
+ * Read a crontab from a file, or from stdin for "-"
+ * @param {string} input - Path or "-"
+ * @returns {string}
+ */
+function readCrontab(input) {
+  return fs.readFileSync(input === '-' ? 0 : input, 'utf8');
+}
+
+/**
+ * Execute crontab command
+ * @param {string} input - Crontab file, or "-" for stdin
+ * @param {Object} options - Command options
+ * @returns {Promise<{code: number, output: string}>}
+ */
+async function execute(input, options = {}) {
+  const { system, json: jsonOutput = false } = options;
+
+  if (!input) {
+    return {
+      code: 1,
+      output: error('no crontab file provided (use - for stdin). bruh.')
+    };
+  }
+
+  // Check license and limits
+  const license = getLicenseStatus();
+  const limitCheck = checkOperationLimit(license.tier);
+
+  if (!limitCheck.allowed) {
+    return {
+      code: 1,
+      output: error(`daily limit reached (${limitCheck.limit}/day).`) + getLimitUpsell('operations')
+    };
+  }
+
+  let text;
+  try {
+    text = readCrontab(input);
+  } catch (e) {
+    return {
+      code: 1,
+      output: error(`couldn't read ${input}: ${e.message}`)
+    };
+  }
+
+  // Increment usage
+  incrementOperations();
+
+  // /etc/crontab and /etc/cron.d/* have a user column
+  const systemFormat = system === undefined ? isSystemCrontab(input) : Boolean(system);
+  const crontab = parseCrontab(text, { system: systemFormat });
+  const jobs = crontab.jobs.map(job => ({
+    ...job,
+    description: job.valid ? describe(job.expression) : null
+  }));
+
+  const failed = crontab.errors.length > 0 || jobs.some(job => !job.valid);
+  const code = failed ? 1 : 0;
+
+  // JSON output
+  if (jsonOutput) {
+    const result = {
+      file: input,
+      system: systemFormat,
+      jobs,
+      variables: crontab.variables,
+      errors: crontab.errors
+    };
+    return { code, output: JSON.stringify(result, null, 2) };
+  }
+
+  // Human output
+  const name = input === '-' ? 'stdin' : input;
+  let output = bold(`${name}: ${jobs.length} job${jobs.length === 1 ? '' : 's'}`) + '\n';
+
+  if (crontab.variables.length > 0) {
+    output += dim(crontab.variables.map(v => `${v.name}=${v.value}`).join('  ')) + '\n';
+  }
+
+  if (jobs.length > 0) {
+    const columns = [
+      { title: 'LINE', color: dim },
+      { title: 'SCHEDULE', color: cyan },
+      ...(systemFormat ? [{ title: 'USER' }] : []),
+      { title: 'WHEN' },
+      { title: 'COMMAND' }
+    ];
+    const rows = jobs.map(job => {
+      const command = job.stdin === null ? job.command : `${job.command} <<< ${JSON.stringify(job.stdin)}`;
+      return [
+        String(job.line),
+        job.schedule,
+        ...(systemFormat ? [job.user] : []),
+        job.valid ? job.description : `invalid: ${job.error}`,
+        truncate(command, COMMAND_WIDTH)
+      ];
+    });
+    output += '\n' + formatTable(columns, rows) + '\n';
+  }
+
+  const problems = [
+    ...crontab.errors,
+    ...jobs.filter(job => !job.valid).map(job => ({ line: job.line, error: `invalid schedule: ${job.error}` }))
+  ].sort((a, b) => a.line - b.line);
+
+  output += '\n';
+  output += problems.length > 0
+    ? problems.map(p => error(`line ${p.line}: ${p.error}`)).join('\n')
+    : success('every schedule is valid. nice.');
+
+  // Maybe promo
+  const promo = getPromo();
+  if (promo) output += promo;
+
+  return { code, output };
+}
+
+/**
+ * Get command help
+ * @returns {string}
+ */
+function help() {
+  return `
+  cronwtf crontab - explain every job in a crontab
+
+  Usage:
+    cronwtf crontab <file>
+    crontab -l | cronwtf crontab -
+
+  Reads comments, settings (MAILTO, SHELL, PATH, CRON_TZ, ...), @reboot and
+  other aliases, and "%" in commands (the text after it is the job's stdin).
+  /etc/crontab and /etc/cron.d/* have a user column after the schedule.
+
+  Options:
+    --system     read the file as a system crontab, with a user column
+    --json       output as JSON
+
+  Examples:
+    cronwtf crontab deploy/crontab
+    cronwtf crontab /etc/cron.d/backups
+    crontab -l | cronwtf crontab - --json
+`;
+}
+
+module.exports = { execute, help };
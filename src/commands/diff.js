@@ -2,9 +2,10 @@
  * Diff/compare cron expressions command
  * @module commands/diff
  */
-const { parse, compare } = require('../core');
-const { getLicenseStatus, incrementOperations, checkOperationLimit } = require('../license');
-const { success, error, dim, bold, cyan, formatComparison, getUpsell, getLimitUpsell, getPromo } = require('../utils');
+const { DateTime } = require('luxon');
+const { parse, compare, getTimeline } = require('../core');
+const { getLicenseStatus, incrementOperations, checkOperationLimit, isTimezoneAllowed } = require('../license');
+const { success, error, dim, bold, cyan, formatComparison, formatTimeline, getUpsell, getLimitUpsell, getPromo, parseDate } = require('../utils');
 
 /**
  * Execute diff command
@@ -14,7 +15,13 @@ const { success, error, dim, bold, cyan, formatComparison, getUpsell, getLimitUp
  * @returns {Promise<{code: number, output: string}>}
  */
 async function execute(expr1, expr2, options = {}) {
-  const { json: jsonOutput = false } = options;
+  const {
+    timeline: showTimeline = false,
+    from,
+    days = 1,
+    timezone = 'local',
+    json: jsonOutput = false
+  } = options;
 
   if (!expr1 || !expr2) {
     return {
@@ -52,11 +59,51 @@ async function execute(expr1, expr2, options = {}) {
     };
   }
 
+  // Timeline window: days in the given or prefixed timezone
+  let timeline;
+  if (showTimeline) {
+    const prefixed = [parsed1, parsed2].find(p => p.timezone);
+    const zones = [timezone, prefixed && prefixed.timezone].filter(Boolean);
+    if (zones.some(zone => !isTimezoneAllowed(license.tier, zone))) {
+      return {
+        code: 1,
+        output: error('custom timezones require PRO.') + getLimitUpsell('timezone')
+      };
+    }
+
+    const tz = timezone === 'local' ? (prefixed && prefixed.timezone) || DateTime.local().zoneName : timezone;
+    let start = new Date();
+    if (from) {
+      const parsedFrom = parseDate(from, tz);
+      if (!parsedFrom) {
+        return {
+          code: 1,
+          output: error(`couldn't parse date: ${from}`)
+        };
+      }
+      start = parsedFrom.toJSDate();
+    }
+
+    timeline = getTimeline(expr1, expr2, { timezone: tz, from: start, days: Number(days) });
+    if (!timeline.valid) {
+      return {
+        code: 1,
+        output: error(`can't draw timeline: ${timeline.error}`)
+      };
+    }
+  }
+
   // Increment usage
   incrementOperations();
 
-  // Compare
+  // Compare (schedules without fixed times can still be drawn)
   const comparison = compare(expr1, expr2);
+  if (!comparison.valid && !timeline) {
+    return {
+      code: 1,
+      output: error(`can't compare: ${comparison.error}`)
+    };
+  }
 
   // JSON output
   if (jsonOutput) {
@@ -64,11 +111,17 @@ async function execute(expr1, expr2, options = {}) {
       expression1: expr1,
       expression2: expr2,
       equivalent: comparison.same,
+      relation: comparison.relation,
+      examples: comparison.examples,
       differences: comparison.differences,
       similarities: comparison.similarities,
       overlap: comparison.overlap,
       descriptions: comparison.descriptions
     };
+    if (timeline) {
+      const { valid, ...rest } = timeline;
+      result.timeline = rest;
+    }
     return { code: 0, output: JSON.stringify(result, null, 2) };
   }
 
@@ -76,7 +129,15 @@ async function execute(expr1, expr2, options = {}) {
   let output = bold('Comparing cron expressions:') + '\n';
   output += `  ${cyan('1:')} ${expr1}\n`;
   output += `  ${cyan('2:')} ${expr2}\n\n`;
-  output += formatComparison(comparison);
+  if (comparison.valid) {
+    output += formatComparison(comparison);
+  } else {
+    output += dim(`can't compare: ${comparison.error}`);
+  }
+  if (timeline) {
+    output += '\n\n' + bold(`Timeline (${timeline.rows.length} day${timeline.rows.length === 1 ? '' : 's'}):`) + '\n';
+    output += formatTimeline(timeline);
+  }
 
   // Maybe upsell
   if (license.tier === 'free') {
@@ -103,12 +164,17 @@ function help() {
     cronwtf diff <expr1> <expr2>
 
   Options:
-    --json    output as JSON
+    --timeline           draw when each runs, a row per day
+    -f, --from <date>    first day of the timeline (default: today)
+    --days <n>           days in the timeline, 1-31 (default: 1)
+    -t, --timezone <tz>  timezone of the timeline (default: local, pro: any timezone)
+    --json               output as JSON
 
   Examples:
     cronwtf diff "0 9 * * *" "0 9 * * 1-5"
     cronwtf diff "*/15 * * * *" "0,15,30,45 * * * *"
     cronwtf diff "@daily" "0 0 * * *"
+    cronwtf diff "0 */2 * * *" "0 9-17 * * 1-5" --timeline --days 7
 `;
 }
 
@@ -0,0 +1,195 @@
+/**
+ * DST report command
+ * @module commands/dst
+ */
+const { DateTime } = require('luxon');
+const { parse, describe, getDstReport, DST_POLICIES } = require('../core');
+const { getLicenseStatus, incrementOperations, checkOperationLimit, isTimezoneAllowed } = require('../license');
+const { success, error, warning, dim, bold, cyan, getLimitUpsell, getPromo, parseDate } = require('../utils');
+
+/**
+ * Format a duration in minutes as "1h", "30m" or "1h 30m"
+ * @param {number} minutes - Minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (h && m) return `${h}h ${m}m`;
+  return h ? `${h}h` : `${m}m`;
+}
+
+/**
+ * Execute dst command
+ * @param {string} expression - Cron expression
+ * @param {Object} options - Command options
+ * @returns {Promise<{code: number, output: string}>}
+ */
+async function execute(expression, options = {}) {
+  const {
+    timezone = 'local',
+    years = 1,
+    from,
+    dst = 'vixie',
+    'wrap-ranges': wrapRanges = false,
+    seed,
+    json: jsonOutput = false
+  } = options;
+
+  if (!expression) {
+    return {
+      code: 1,
+      output: error('no cron expression provided. bruh.')
+    };
+  }
+
+  // Check license and limits
+  const license = getLicenseStatus();
+  const limitCheck = checkOperationLimit(license.tier);
+
+  if (!limitCheck.allowed) {
+    return {
+      code: 1,
+      output: error(`daily limit reached (${limitCheck.limit}/day).`) + getLimitUpsell('operations')
+    };
+  }
+
+  // Check timezone permission
+  if (!isTimezoneAllowed(license.tier, timezone)) {
+    return {
+      code: 1,
+      output: error('custom timezones require PRO.') + getLimitUpsell('timezone')
+    };
+  }
+
+  if (!DST_POLICIES.includes(dst)) {
+    return {
+      code: 1,
+      output: error(`unknown DST policy: ${dst} (use ${DST_POLICIES.join(' or ')})`)
+    };
+  }
+
+  if (!Number.isInteger(years) || years < 1) {
+    return {
+      code: 1,
+      output: error(`--years must be a whole number of years, got: ${years}`)
+    };
+  }
+
+  // A CRON_TZ=/TZ= prefix decides the timezone the schedule runs in
+  const prefixed = parse(expression, { wrapRanges, seed }).timezone;
+  if (prefixed && !isTimezoneAllowed(license.tier, prefixed)) {
+    return {
+      code: 1,
+      output: error('custom timezones require PRO.') + getLimitUpsell('timezone')
+    };
+  }
+
+  // Get actual timezone
+  const tz = prefixed || (timezone === 'local' ? DateTime.local().zoneName : timezone);
+
+  let start = DateTime.now().setZone(tz);
+  if (from) {
+    start = parseDate(from, tz);
+    if (!start) {
+      return {
+        code: 1,
+        output: error(`couldn't parse date: ${from}`)
+      };
+    }
+  }
+
+  const report = getDstReport(expression, { timezone: tz, from: start.toJSDate(), years, dst, wrapRanges, seed });
+  if (!report.valid) {
+    return {
+      code: 1,
+      output: error(`invalid: ${report.error}`)
+    };
+  }
+
+  // Increment usage
+  incrementOperations();
+
+  // Non-zero exit when DST changes what runs, so CI can gate on it
+  const code = report.sensitive ? 1 : 0;
+
+  // JSON output
+  if (jsonOutput) {
+    return { code, output: JSON.stringify(report, null, 2) };
+  }
+
+  // Human output
+  let output = bold(`DST report: ${expression}`) + dim(` (${tz}, ${dst})`) + '\n';
+  output += dim(`${describe(expression, { wrapRanges, seed })}\n`);
+  output += dim(`${start.toFormat('yyyy-MM-dd')} to ${DateTime.fromISO(report.until, { zone: tz }).toFormat('yyyy-MM-dd')}\n\n`);
+
+  if (report.transitions.length === 0) {
+    output += success(`no DST transitions affect this schedule in ${tz}.`);
+  } else {
+    report.transitions.forEach(t => {
+      const delta = t.offsetAfter - t.offsetBefore;
+      const when = DateTime.fromISO(t.at, { zone: tz }).toFormat('EEE, MMM dd yyyy');
+      output += `  ${cyan(when)} ${t.localBefore.slice(11)} -> ${t.localAfter.slice(11)} `;
+      output += dim(`${t.kind.replace('-', ' ')} (${delta > 0 ? '+' : '-'}${formatMinutes(Math.abs(delta))})`) + '\n';
+
+      if (t.skipped.length > 0) {
+        output += `    ${warning(`skipped: ${t.skipped.join(', ')} never happen`)}\n`;
+      }
+      if (t.moved.length > 0) {
+        output += `    ${warning(`moved: ${t.moved.join(', ')} run at ${t.localAfter.slice(11)} instead`)}\n`;
+      }
+      if (t.doubled.length > 0) {
+        output += `    ${warning(`doubled: ${t.doubled.join(', ')} run twice`)}\n`;
+      }
+      if (t.shift !== 0) {
+        output += `    ${dim(`shifted: runs ${formatMinutes(Math.abs(t.shift))} ${t.shift < 0 ? 'earlier' : 'later'} in UTC`)}\n`;
+      }
+    });
+
+    const sensitive = report.transitions.filter(t => t.sensitive).length;
+    output += '\n';
+    output += sensitive > 0
+      ? error(`DST-sensitive: ${sensitive} ${sensitive === 1 ? 'transition skips' : 'transitions skip'}, doubles or moves runs.`)
+      : success('not DST-sensitive - runs only shift relative to UTC.');
+  }
+
+  // Maybe promo
+  const promo = getPromo();
+  if (promo) output += promo;
+
+  return { code, output };
+}
+
+/**
+ * Get command help
+ * @returns {string}
+ */
+function help() {
+  return `
+  cronwtf dst - show how DST transitions affect a cron expression
+
+  Lists every DST transition where the job is skipped, runs twice, runs at a
+  different time than written, or shifts relative to UTC. Exits with 1 when
+  runs are skipped, doubled or moved, so it can gate CI.
+
+  Usage:
+    cronwtf dst <expression> [options]
+
+  Options:
+    -t, --timezone <tz>  timezone (default: local, pro: any timezone)
+    --years <n>          how many years ahead to check (default: 1)
+    -f, --from <date>    start of the window (default: now)
+    --dst <policy>       DST handling: vixie (default) or strict
+    --wrap-ranges        read high-low ranges like 22-2 as wrapping around
+    --seed <job>         Jenkins job name that H values are hashed from
+    --json               output as JSON
+
+  Examples:
+    cronwtf dst "30 2 * * *"
+    cronwtf dst "0 9 * * *" --years 5 --json
+    cronwtf dst "30 2 * * *" --timezone America/New_York --dst strict   (PRO)
+    cronwtf dst "CRON_TZ=Europe/Berlin 30 2 * * *"                     (PRO)
+`;
+}
+
+module.exports = { execute, help };
@@ -2,7 +2,7 @@
  * Explain cron expression command
  * @module commands/explain
  */
-const { parse, describe, getNextOccurrences } = require('../core');
+const { parse, describe, getNextOccurrences, usesSeconds } = require('../core');
 const { getLicenseStatus, incrementOperations, checkOperationLimit, getNextRunsLimit } = require('../license');
 const { success, error, dim, bold, cyan, formatCronBreakdown, formatNextRuns, getUpsell, getLimitUpsell, getPromo } = require('../utils');
 
@@ -13,7 +13,8 @@ const { success, error, dim, bold, cyan, formatCronBreakdown, formatNextRuns, ge
  * @returns {Promise<{code: number, output: string}>}
  */
 async function execute(expression, options = {}) {
-  const { json: jsonOutput = false } = options;
+  const { json: jsonOutput = false, 'wrap-ranges': wrapRanges = false, seed } = options;
+  const parseOptions = { wrapRanges, seed };
 
   if (!expression) {
     return {
@@ -37,7 +38,7 @@ async function execute(expression, options = {}) {
   incrementOperations();
 
   // Parse expression
-  const parsed = parse(expression);
+  const parsed = parse(expression, parseOptions);
 
   if (!parsed.valid) {
     const output = error(`invalid expression: ${parsed.error || parsed.errors?.join(', ')}`);
@@ -45,11 +46,11 @@ async function execute(expression, options = {}) {
   }
 
   // Get description
-  const description = describe(expression);
+  const description = describe(expression, parseOptions);
 
   // Get next runs
   const nextRunsLimit = getNextRunsLimit(license.tier);
-  const nextRuns = getNextOccurrences(expression, nextRunsLimit);
+  const nextRuns = getNextOccurrences(expression, nextRunsLimit, parseOptions);
 
   // JSON output
   if (jsonOutput) {
@@ -57,6 +58,8 @@ async function execute(expression, options = {}) {
       expression,
       valid: true,
       description,
+      timezone: parsed.timezone,
+      interval: parsed.interval,
       fields: parsed.fields ? Object.fromEntries(
         Object.entries(parsed.fields).map(([k, v]) => [k, { raw: v.raw, values: v.values }])
       ) : null,
@@ -80,8 +83,8 @@ async function execute(expression, options = {}) {
 
   // Next runs
   if (nextRuns.length > 0) {
-    output += '\n\n' + bold(`Next ${nextRuns.length} runs:`) + '\n';
-    output += formatNextRuns(nextRuns);
+    output += '\n\n' + bold(`Next ${nextRuns.length} runs${parsed.timezone ? ` (${parsed.timezone})` : ''}:`) + '\n';
+    output += formatNextRuns(nextRuns, { timezone: parsed.timezone || 'local', showSeconds: parsed.isInterval || usesSeconds(parsed.fields) });
 
     if (license.tier === 'free') {
       output += '\n' + dim(`(showing ${nextRunsLimit} runs - PRO shows up to 100)`);
@@ -114,7 +117,9 @@ function help() {
     cronwtf <expression>
 
   Options:
-    --json    output as JSON
+    --wrap-ranges  read high-low ranges like 22-2 as wrapping around
+    --seed <job>   Jenkins job name that H values are hashed from
+    --json         output as JSON
 
   Examples:
     cronwtf "*/15 * * * *"          every 15 minutes
@@ -0,0 +1,203 @@
+/**
+ * Format cron expressions and crontab files
+ * @module commands/fmt
+ */
+const fs = require('fs');
+const { normalize, DIALECT_NAMES } = require('../core');
+const { getLicenseStatus, incrementOperations, checkOperationLimit } = require('../license');
+const { success, error, warning, dim, cyan, getLimitUpsell } = require('../utils');
+
+// Crontab lines that aren't schedules: blank lines, comments and VAR=value
+const NOT_SCHEDULE = /^\s*(#|$|[A-Za-z_][A-Za-z0-9_]*\s*=)/;
+
+// A schedule (an alias, "@every <duration>" or five fields) and the command after it
+const SCHEDULE_LINE = /^(\s*)(@every\s+\S+|@\S+|(?:\S+\s+){4}\S+)(.*)$/;
+
+/**
+ * Normalize the schedule on every line of a crontab, keeping everything else
+ * (comments, settings, commands, spacing before the command) as it is
+ * @param {string} text - Crontab contents
+ * @param {Object} options - normalize options
+ * @returns {Object} { text, changes: [{ line, from, to }], errors: [{ line, error }] }
+ */
+function formatCrontab(text, options) {
+  const changes = [];
+  const errors = [];
+
+  const lines = text.split('\n').map((line, i) => {
+    if (NOT_SCHEDULE.test(line)) return line;
+
+    const match = line.match(SCHEDULE_LINE);
+    if (!match) {
+      errors.push({ line: i + 1, error: 'not a schedule: expected five fields or an @alias before the command' });
+      return line;
+    }
+
+    const [, indent, schedule, rest] = match;
+    const result = normalize(schedule, options);
+    if (!result.success) {
+      errors.push({ line: i + 1, error: result.error });
+      return line;
+    }
+    if (!result.changed) return line;
+
+    changes.push({ line: i + 1, from: schedule, to: result.result });
+    return `${indent}${result.result}${rest}`;
+  });
+
+  return { text: lines.join('\n'), changes, errors };
+}
+
+/**
+ * Format one file in place (or only check it)
+ * @param {string} file - Path
+ * @param {Object} options - normalize options
+ * @param {boolean} check - Report changes without writing them
+ * @returns {Object} { input, type: 'file', changed, changes, errors } or { input, type, error }
+ */
+function formatFile(file, options, check) {
+  let formatted;
+  try {
+    formatted = formatCrontab(fs.readFileSync(file, 'utf8'), options);
+    if (!check && formatted.changes.length > 0) {
+      fs.writeFileSync(file, formatted.text);
+    }
+  } catch (e) {
+    return { input: file, type: 'file', error: `couldn't format ${file}: ${e.message}` };
+  }
+
+  return {
+    input: file,
+    type: 'file',
+    changed: formatted.changes.length > 0,
+    changes: formatted.changes,
+    errors: formatted.errors
+  };
+}
+
+/**
+ * Whether an argument names a file rather than being an expression
+ * @param {string} input - Command argument
+ * @returns {boolean}
+ */
+function isFile(input) {
+  try {
+    return fs.statSync(input).isFile();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Execute fmt command
+ * @param {Array<string>} inputs - Expressions and/or crontab files
+ * @param {Object} options - Command options
+ * @returns {Promise<{code: number, output: string}>}
+ */
+async function execute(inputs = [], options = {}) {
+  const { names = false, dialect, check = false, json: jsonOutput = false } = options;
+
+  if (inputs.length === 0) {
+    return {
+      code: 1,
+      output: error('no cron expression or file provided. bruh.')
+    };
+  }
+
+  // Check license and limits
+  const license = getLicenseStatus();
+  const limitCheck = checkOperationLimit(license.tier);
+
+  if (!limitCheck.allowed) {
+    return {
+      code: 1,
+      output: error(`daily limit reached (${limitCheck.limit}/day).`) + getLimitUpsell('operations')
+    };
+  }
+
+  if (dialect !== undefined && !DIALECT_NAMES.includes(dialect)) {
+    return {
+      code: 1,
+      output: error(`unknown dialect: ${dialect} (use ${DIALECT_NAMES.join(', ')})`)
+    };
+  }
+
+  // Increment usage
+  incrementOperations();
+
+  const normalizeOptions = { names, dialect };
+  const results = inputs.map(input => {
+    if (isFile(input)) return formatFile(input, normalizeOptions, check);
+
+    const result = normalize(input, normalizeOptions);
+    return result.success
+      ? { input, type: 'expression', result: result.result, changed: result.changed }
+      : { input, type: 'expression', error: result.error };
+  });
+
+  // Broken input fails, and so does anything left to format under --check
+  const failed = results.some(r => r.error || (r.errors && r.errors.length > 0) || (check && r.changed));
+  const code = failed ? 1 : 0;
+
+  // JSON output
+  if (jsonOutput) {
+    return { code, output: JSON.stringify({ check, results }, null, 2) };
+  }
+
+  // Human output
+  const lines = [];
+  results.forEach(r => {
+    if (r.error) {
+      lines.push(error(r.type === 'file' ? r.error : `invalid expression: ${r.error}`));
+    } else if (r.type === 'expression') {
+      lines.push(check && r.changed ? warning(`${r.input} -> ${r.result}`) : r.result);
+    } else {
+      if (!r.changed) {
+        lines.push(dim(`${r.input}: already formatted`));
+      } else {
+        lines.push(check
+          ? warning(`${r.input}: ${r.changes.length} schedule(s) would change`)
+          : success(`${r.input}: ${r.changes.length} schedule(s) formatted`));
+      }
+      r.changes.forEach(c => lines.push(`  ${dim(`line ${c.line}:`)} ${c.from} ${dim('->')} ${cyan(c.to)}`));
+      r.errors.forEach(e => lines.push(`  ${error(`line ${e.line}: ${e.error}`)}`));
+    }
+  });
+
+  return { code, output: lines.join('\n') };
+}
+
+/**
+ * Get command help
+ * @returns {string}
+ */
+function help() {
+  return `
+  cronwtf fmt - rewrite cron expressions in canonical form
+
+  Usage:
+    cronwtf fmt <expression>
+    cronwtf fmt <crontab file>...
+
+  Lists become ranges and steps (0,15,30,45 -> */15), Sunday is 0 and
+  modifiers are upper case. Schedules run at exactly the same times.
+  Files are rewritten in place; comments, settings and commands are kept.
+
+  Options:
+    --names        write months and days of week as names (JAN, MON-FRI)
+    --dialect <d>  read expressions as vixie, cronie, posix, quartz, aws,
+                   jenkins or k8s (keeps Quartz/AWS day numbering)
+    --check        don't write; exit 1 if anything would change (for CI)
+    --json         output as JSON
+
+  Examples:
+    cronwtf fmt "0,15,30,45 * * * *"
+    # */15 * * * *
+    cronwtf fmt "0 9 * * 1,2,3,4,5" --names
+    # 0 9 * * MON-FRI
+    cronwtf fmt /etc/cron.d/backups
+    cronwtf fmt deploy/crontab --check
+`;
+}
+
+module.exports = { execute, help };
@@ -8,11 +8,20 @@ module.exports = {
   explain: require('./explain'),
   validate: require('./validate'),
   next: require('./next'),
+  prev: require('./prev'),
+  dst: require('./dst'),
   diff: require('./diff'),
+  fmt: require('./fmt'),
+  set: require('./set'),
+  crontab: require('./crontab'),
+  lint: require('./lint'),
+  load: require('./load'),
+  spread: require('./spread'),
 
   // PRO commands
   generate: require('./generate'),
   convert: require('./convert'),
+  tz: require('./tz'),
   calendar: require('./calendar'),
   test: require('./test'),
   interactive: require('./interactive'),
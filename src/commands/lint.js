@@ -0,0 +1,260 @@
+/**
+ * Lint crontab files
+ * @module commands/lint
+ */
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { lint, LINT_RULES, isSystemCrontab } = require('../core');
+const { getLicenseStatus, incrementOperations, checkOperationLimit, isTimezoneAllowed } = require('../license');
+const { success, error, warning, dim, bold, cyan, formatTable, getLimitUpsell, getPromo, loadConfig } = require('../utils');
+const pkg = require('../../package.json');
+
+const FORMATS = ['human', 'json', 'sarif'];
+
+/**
+ * Rule severities from --enable and --disable lists
+ * @param {string|boolean} enable - Comma-separated rule ids
+ * @param {string|boolean} disable - Comma-separated rule ids
+ * @returns {Object} Severity by rule id
+ */
+function ruleOptions(enable, disable) {
+  const list = value => (typeof value === 'string' ? value.split(',').map(id => id.trim()).filter(Boolean) : []);
+  const rules = {};
+  list(enable).forEach(id => {
+    rules[id] = LINT_RULES[id] && LINT_RULES[id].severity !== 'off' ? LINT_RULES[id].severity : 'warning';
+  });
+  list(disable).forEach(id => { rules[id] = 'off'; });
+  return rules;
+}
+
+/**
+ * Lint results as a SARIF 2.1.0 log, for code-scanning dashboards
+ * @param {Array<Object>} results - [{ file, findings }]
+ * @returns {Object}
+ */
+function toSarif(results) {
+  return {
+    version: '2.1.0',
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'cronwtf',
+          version: pkg.version,
+          informationUri: 'https://rtfm.codes/cronwtf',
+          rules: Object.entries(LINT_RULES).map(([id, rule]) => ({
+            id,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: rule.severity === 'off' ? 'none' : rule.severity, enabled: rule.severity !== 'off' }
+          }))
+        }
+      },
+      results: results.flatMap(({ file, findings }) => findings.map(f => ({
+        ruleId: f.rule,
+        level: f.severity,
+        message: { text: f.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: file },
+            region: { startLine: f.line, startColumn: f.column }
+          }
+        }]
+      })))
+    }]
+  };
+}
+
+/**
+ * List every rule
+ * @returns {string}
+ */
+function formatRules() {
+  const rows = Object.entries(LINT_RULES).map(([id, rule]) => [id, rule.severity, rule.description]);
+  return formatTable([{ title: 'RULE', color: cyan }, { title: 'DEFAULT' }, { title: 'CHECKS' }], rows);
+}
+
+/**
+ * Execute lint command
+ * @param {Array<string>} inputs - Crontab files, or "-" for stdin
+ * @param {Object} options - Command options
+ * @returns {Promise<{code: number, output: string}>}
+ */
+async function execute(inputs = [], options = {}) {
+  const {
+    rules: listRules = false,
+    enable,
+    disable,
+    system,
+    config: configFile,
+    json: jsonOutput = false
+  } = options;
+  const format = options.format || (jsonOutput ? 'json' : 'human');
+
+  if (listRules) {
+    return { code: 0, output: formatRules() };
+  }
+
+  if (inputs.length === 0) {
+    return {
+      code: 1,
+      output: error('no crontab file provided (use - for stdin). bruh.')
+    };
+  }
+
+  if (!FORMATS.includes(format)) {
+    return {
+      code: 1,
+      output: error(`unknown format: ${format} (use ${FORMATS.join(', ')})`)
+    };
+  }
+
+  // Check license and limits
+  const license = getLicenseStatus();
+  const limitCheck = checkOperationLimit(license.tier);
+
+  if (!limitCheck.allowed) {
+    return {
+      code: 1,
+      output: error(`daily limit reached (${limitCheck.limit}/day).`) + getLimitUpsell('operations')
+    };
+  }
+
+  // Increment usage
+  incrementOperations();
+
+  const results = [];
+  for (const input of inputs) {
+    const file = input === '-' ? 'stdin' : input;
+
+    // Settings from the .cronwtfrc nearest the file; options win
+    const loaded = loadConfig({ file: configFile, dir: input === '-' ? process.cwd() : path.dirname(input) });
+    if (loaded.error) {
+      return {
+        code: 1,
+        output: error(loaded.error)
+      };
+    }
+    const { config } = loaded;
+    const timezone = options.timezone || config.timezone || 'local';
+    if (!isTimezoneAllowed(license.tier, timezone)) {
+      return {
+        code: 1,
+        output: error('custom timezones require PRO.') + getLimitUpsell('timezone')
+      };
+    }
+
+    const tz = timezone === 'local' ? DateTime.local().zoneName : timezone;
+    const rules = { ...config.rules, ...ruleOptions(enable, disable) };
+    const dialect = options.dialect || config.dialect;
+
+    let text;
+    try {
+      text = fs.readFileSync(input === '-' ? 0 : input, 'utf8');
+    } catch (e) {
+      return {
+        code: 1,
+        output: error(`couldn't read ${input}: ${e.message}`)
+      };
+    }
+
+    const systemFormat = system === undefined ? isSystemCrontab(input) : Boolean(system);
+    const result = lint(text, { rules, timezone: tz, dialect, system: systemFormat });
+    if (!result.valid) {
+      return {
+        code: 1,
+        output: error(result.error)
+      };
+    }
+    results.push({ file, ...result });
+  }
+
+  const errorCount = results.reduce((sum, r) => sum + r.errorCount, 0);
+  const warningCount = results.reduce((sum, r) => sum + r.warningCount, 0);
+  const code = errorCount > 0 ? 1 : 0;
+
+  // Machine-readable output
+  if (format === 'sarif') {
+    return { code, output: JSON.stringify(toSarif(results), null, 2) };
+  }
+  if (format === 'json') {
+    const files = results.map(({ file, findings, errorCount: errors, warningCount: warnings }) => ({ file, errorCount: errors, warningCount: warnings, findings }));
+    return { code, output: JSON.stringify({ errorCount, warningCount, files }, null, 2) };
+  }
+
+  // Human output
+  const lines = [];
+  results.forEach(({ file, findings }) => {
+    if (findings.length === 0) {
+      lines.push(dim(`${file}: no problems`));
+      return;
+    }
+    lines.push(bold(file));
+    findings.forEach(f => {
+      const severity = f.severity === 'error' ? error('error  ') : warning('warning');
+      lines.push(`  ${dim(`${f.line}:${f.column}`.padEnd(7))} ${severity}  ${f.message}  ${dim(f.rule)}`);
+    });
+    lines.push('');
+  });
+
+  if (errorCount === 0 && warningCount === 0) {
+    lines.push(success('no problems. nice.'));
+  } else {
+    const summary = `${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'}`;
+    lines.push(errorCount > 0 ? error(summary) : warning(summary));
+  }
+
+  let output = lines.join('\n');
+
+  // Maybe promo
+  const promo = getPromo();
+  if (promo) output += promo;
+
+  return { code, output };
+}
+
+/**
+ * Get command help
+ * @returns {string}
+ */
+function help() {
+  return `
+  cronwtf lint - check crontabs for mistakes and surprises
+
+  Usage:
+    cronwtf lint <file>...
+    crontab -l | cronwtf lint -
+
+  Exits 1 when there are errors (warnings alone pass). Settings come from
+  the .cronwtfrc (JSON or YAML) nearest each file:
+
+    rules:
+      every-minute: off
+      missing-mailto: error
+    dialect: cronie
+    timezone: Europe/Berlin
+
+  "# cronwtf-disable-next-line <rule>, ..." turns rules off for one line.
+
+  Options:
+    --rules              list the rules and what they check
+    --enable <rules>     turn rules on (comma-separated, e.g. reboot-in-container)
+    --disable <rules>    turn rules off (comma-separated)
+    --system             read files as system crontabs, with a user column
+                         (automatic for /etc/crontab and /etc/cron.d/*)
+    -t, --timezone <tz>  timezone of jobs without CRON_TZ, for dst-ambiguous
+                         (default: local, pro: any timezone)
+    --dialect <d>        read schedules as vixie, cronie, posix or k8s
+    --config <file>      use this config instead of the nearest .cronwtfrc
+    --format <f>         human (default), json or sarif
+    --json               same as --format json
+
+  Examples:
+    cronwtf lint deploy/crontab
+    cronwtf lint /etc/cron.d/* --disable missing-mailto
+    cronwtf lint docker/crontab --enable reboot-in-container
+    cronwtf lint deploy/crontab --format sarif > cronwtf.sarif
+`;
+}
+
+module.exports = { execute, help };
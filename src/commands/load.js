@@ -0,0 +1,194 @@
+/**
+ * Show when the jobs of crontabs start together
+ * @module commands/load
+ */
+const fs = require('fs');
+const { DateTime } = require('luxon');
+const { getLoad, parseCrontab, isSystemCrontab } = require('../core');
+const { getLicenseStatus, incrementOperations, checkOperationLimit, isTimezoneAllowed } = require('../license');
+const { success, error, warning, dim, bold, cyan, formatTable, formatHeatmap, getLimitUpsell, getPromo, parseDate } = require('../utils');
+
+// Jobs listed under each hotspot before the rest are counted
+const HOTSPOT_JOBS = 5;
+
+/**
+ * Execute load command
+ * @param {Array<string>} inputs - Crontab files, or "-" for stdin
+ * @param {Object} options - Command options
+ * @returns {Promise<{code: number, output: string}>}
+ */
+async function execute(inputs = [], options = {}) {
+  const {
+    from,
+    days = 7,
+    top = 5,
+    timezone = 'local',
+    system,
+    json: jsonOutput = false
+  } = options;
+
+  if (inputs.length === 0) {
+    return {
+      code: 1,
+      output: error('no crontab file provided (use - for stdin). bruh.')
+    };
+  }
+
+  // Check license and limits
+  const license = getLicenseStatus();
+  const limitCheck = checkOperationLimit(license.tier);
+
+  if (!limitCheck.allowed) {
+    return {
+      code: 1,
+      output: error(`daily limit reached (${limitCheck.limit}/day).`) + getLimitUpsell('operations')
+    };
+  }
+
+  if (!isTimezoneAllowed(license.tier, timezone)) {
+    return {
+      code: 1,
+      output: error('custom timezones require PRO.') + getLimitUpsell('timezone')
+    };
+  }
+
+  const tz = timezone === 'local' ? DateTime.local().zoneName : timezone;
+  let start = new Date();
+  if (from) {
+    const parsedFrom = parseDate(from, tz);
+    if (!parsedFrom) {
+      return {
+        code: 1,
+        output: error(`couldn't parse date: ${from}`)
+      };
+    }
+    start = parsedFrom.toJSDate();
+  }
+
+  // Every job of every file; invalid ones are left out
+  const jobs = [];
+  const skipped = [];
+  for (const input of inputs) {
+    const file = input === '-' ? 'stdin' : input;
+    let text;
+    try {
+      text = fs.readFileSync(input === '-' ? 0 : input, 'utf8');
+    } catch (e) {
+      return {
+        code: 1,
+        output: error(`couldn't read ${input}: ${e.message}`)
+      };
+    }
+
+    const systemFormat = system === undefined ? isSystemCrontab(input) : Boolean(system);
+    const crontab = parseCrontab(text, { system: systemFormat });
+    crontab.jobs.forEach(job => {
+      if (job.valid) {
+        jobs.push({ file, line: job.line, schedule: job.schedule, expression: job.expression, command: job.command });
+      } else {
+        skipped.push({ file, line: job.line, error: job.error });
+      }
+    });
+  }
+
+  const load = getLoad(jobs, { timezone: tz, from: start, days: Number(days), top: Number(top) });
+  if (!load.valid) {
+    return {
+      code: 1,
+      output: error(`can't work out the load: ${load.error}`)
+    };
+  }
+
+  // Increment usage
+  incrementOperations();
+
+  // JSON output
+  if (jsonOutput) {
+    const { valid, ...rest } = load;
+    return { code: 0, output: JSON.stringify({ jobs, skipped, ...rest }, null, 2) };
+  }
+
+  // Human output
+  const at = iso => DateTime.fromISO(iso, { setZone: true }).toFormat('EEE MMM dd HH:mm');
+  const where = job => `${job.file}:${job.line}`;
+  const lastDay = DateTime.fromISO(load.until, { setZone: true }).minus({ days: 1 });
+
+  let output = bold(`${jobs.length} job${jobs.length === 1 ? '' : 's'}, ${load.runs} start${load.runs === 1 ? '' : 's'}`);
+  output += dim(` from ${DateTime.fromISO(load.from, { setZone: true }).toFormat('EEE MMM dd')} to ${lastDay.toFormat('EEE MMM dd')} (${load.timezone})`) + '\n';
+  if (skipped.length > 0) {
+    output += warning(`left out ${skipped.length} invalid job${skipped.length === 1 ? '' : 's'} (see cronwtf lint)`) + '\n';
+  }
+  if (load.truncated) {
+    output += warning('too many runs to count them all - later jobs are left out') + '\n';
+  }
+
+  if (load.busiest.length > 0) {
+    output += '\n' + bold('Busiest minutes:') + '\n';
+    const rows = load.busiest.map(m => [at(m.date), String(m.count), m.jobs.slice(0, HOTSPOT_JOBS).map(i => where(jobs[i])).join(' ') + (m.jobs.length > HOTSPOT_JOBS ? ' ...' : '')]);
+    output += formatTable([{ title: 'MINUTE', color: cyan }, { title: 'STARTS' }, { title: 'JOBS', color: dim }], rows) + '\n';
+  }
+
+  output += '\n';
+  if (load.hotspots.length === 0) {
+    output += success('no two jobs start in the same minute. nice.') + '\n';
+  } else {
+    output += bold('Hotspots:') + '\n';
+    load.hotspots.forEach(hotspot => {
+      const times = hotspot.times === 1 ? 'once' : `${hotspot.times} times`;
+      const summary = `${hotspot.count} jobs start together ${times}, first ${at(hotspot.first)}`;
+      // The hotspots as busy as it gets are the ones to spread out first
+      output += (hotspot.count === load.peak ? error(summary) : warning(summary)) + '\n';
+      const shown = hotspot.jobs.slice(0, HOTSPOT_JOBS).map(i => jobs[i]);
+      const rows = shown.map(job => [where(job), job.schedule, job.command]);
+      output += formatTable([{ title: '', color: dim }, { title: '', color: cyan }, { title: '' }], rows)
+        .split('\n').slice(1).map(line => `    ${line}`).join('\n') + '\n';
+      if (hotspot.jobs.length > HOTSPOT_JOBS) {
+        output += dim(`    ... and ${hotspot.jobs.length - HOTSPOT_JOBS} more`) + '\n';
+      }
+    });
+  }
+
+  output += '\n' + bold('Starts by weekday and hour:') + '\n';
+  output += formatHeatmap(load.heatmap);
+
+  // Maybe promo
+  const promo = getPromo();
+  if (promo) output += promo;
+
+  return { code: 0, output };
+}
+
+/**
+ * Get command help
+ * @returns {string}
+ */
+function help() {
+  return `
+  cronwtf load - see which jobs of your crontabs start together
+
+  Usage:
+    cronwtf load <file>...
+    crontab -l | cronwtf load -
+
+  Runs every job over a window and shows the busiest minutes, the jobs that
+  keep starting in the same minute (hotspots, worst in red) and a heatmap of
+  starts by weekday and hour. Jobs run in their CRON_TZ when they have one.
+
+  Options:
+    -f, --from <date>    first day of the window (default: today)
+    --days <n>           days in the window, 1-31 (default: 7)
+    --top <n>            busiest minutes and hotspots to show (default: 5)
+    -t, --timezone <tz>  timezone of the window and heatmap (default: local,
+                         pro: any timezone)
+    --system             read files as system crontabs, with a user column
+                         (automatic for /etc/crontab and /etc/cron.d/*)
+    --json               output as JSON
+
+  Examples:
+    cronwtf load deploy/crontab
+    cronwtf load hosts/*/crontab --days 1 --top 10
+    crontab -l | cronwtf load - --json
+`;
+}
+
+module.exports = { execute, help };
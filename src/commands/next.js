@@ -3,9 +3,9 @@
  * @module commands/next
  */
 const { DateTime } = require('luxon');
-const { parse, getNextOccurrences } = require('../core');
+const { parse, getNextOccurrences, usesSeconds, DST_POLICIES } = require('../core');
 const { getLicenseStatus, incrementOperations, checkOperationLimit, getNextRunsLimit, isTimezoneAllowed } = require('../license');
-const { success, error, dim, bold, cyan, formatNextRuns, getUpsell, getLimitUpsell, getPromo } = require('../utils');
+const { success, error, dim, bold, cyan, formatNextRuns, getUpsell, getLimitUpsell, getPromo, parseDate } = require('../utils');
 
 /**
  * Execute next command
@@ -17,6 +17,10 @@ async function execute(expression, options = {}) {
   const {
     count = 5,
     timezone = 'local',
+    dst = 'vixie',
+    'wrap-ranges': wrapRanges = false,
+    seed,
+    anchor,
     json: jsonOutput = false
   } = options;
 
@@ -46,8 +50,15 @@ async function execute(expression, options = {}) {
     };
   }
 
+  if (!DST_POLICIES.includes(dst)) {
+    return {
+      code: 1,
+      output: error(`unknown DST policy: ${dst} (use ${DST_POLICIES.join(' or ')})`)
+    };
+  }
+
   // Validate expression first
-  const parsed = parse(expression);
+  const parsed = parse(expression, { wrapRanges, seed });
   if (!parsed.valid) {
     return {
       code: 1,
@@ -62,6 +73,14 @@ async function execute(expression, options = {}) {
     };
   }
 
+  // A CRON_TZ=/TZ= prefix is a custom timezone too
+  if (parsed.timezone && !isTimezoneAllowed(license.tier, parsed.timezone)) {
+    return {
+      code: 1,
+      output: error('custom timezones require PRO.') + getLimitUpsell('timezone')
+    };
+  }
+
   // Check count limit
   const maxRuns = getNextRunsLimit(license.tier);
   const requestedCount = Math.min(count, maxRuns);
@@ -70,22 +89,40 @@ async function execute(expression, options = {}) {
     // Will show partial results with upsell
   }
 
+  // Get actual timezone (runs are shown in the prefixed timezone unless one was given)
+  const tz = timezone === 'local' ? parsed.timezone || DateTime.local().zoneName : timezone;
+
+  // @every counts from when the scheduler started; without an anchor, from now
+  let anchorDate;
+  if (anchor) {
+    anchorDate = parseDate(anchor, tz);
+    if (!anchorDate) {
+      return {
+        code: 1,
+        output: error(`couldn't parse date: ${anchor}`)
+      };
+    }
+  }
+
   // Increment usage
   incrementOperations();
 
-  // Get actual timezone
-  const tz = timezone === 'local' ? DateTime.local().zoneName : timezone;
-
   // Get next occurrences
-  const nextRuns = getNextOccurrences(expression, requestedCount, {
+  const runs = getNextOccurrences(expression, requestedCount, {
     timezone: tz,
-    from: new Date()
+    from: new Date(),
+    dst,
+    details: true,
+    wrapRanges,
+    seed,
+    anchor: anchorDate?.toJSDate()
   });
+  const nextRuns = runs.map(r => r.date);
 
   if (nextRuns.length === 0) {
     return {
       code: 0,
-      output: success('no upcoming runs found within the next year.')
+      output: success('no upcoming runs found.')
     };
   }
 
@@ -95,10 +132,12 @@ async function execute(expression, options = {}) {
       expression,
       timezone: tz,
       count: nextRuns.length,
-      nextRuns: nextRuns.map(d => ({
+      dstPolicy: dst,
+      nextRuns: runs.map(({ date: d, dst: dstFlag }) => ({
         iso: d.toISOString(),
         local: DateTime.fromJSDate(d, { zone: tz }).toFormat('yyyy-MM-dd HH:mm:ss'),
-        unix: Math.floor(d.getTime() / 1000)
+        unix: Math.floor(d.getTime() / 1000),
+        dst: dstFlag
       }))
     };
     return { code: 0, output: JSON.stringify(result, null, 2) };
@@ -106,7 +145,7 @@ async function execute(expression, options = {}) {
 
   // Human output
   let output = bold(`Next ${nextRuns.length} runs`) + dim(` (${tz})`) + '\n';
-  output += formatNextRuns(nextRuns, { timezone: tz, showRelative: true });
+  output += formatNextRuns(nextRuns, { timezone: tz, showRelative: true, showSeconds: parsed.isInterval || usesSeconds(parsed.fields), dst: runs.map(r => r.dst) });
 
   // Limit warning
   if (count > maxRuns && license.tier === 'free') {
@@ -136,12 +175,20 @@ function help() {
   Options:
     -c, --count <n>      number of runs to show (default: 5, max: 5 free, 100 pro)
     -t, --timezone <tz>  timezone (default: local, pro: any timezone)
+    --dst <policy>       DST handling: vixie (default) or strict
+    --wrap-ranges        read high-low ranges like 22-2 as wrapping around
+    --seed <job>         Jenkins job name that H values are hashed from
+    --anchor <date>      when an @every schedule started counting (default: now)
     --json               output as JSON
 
   Examples:
     cronwtf next "0 9 * * *"
     cronwtf next "*/30 * * * *" -c 10
+    cronwtf next "H H(0-7) * * *" --seed my-folder/nightly-build
+    cronwtf next "*/10 * * * * *"           (6 fields: leading seconds)
+    cronwtf next "@every 90m" --anchor "2026-10-19 00:00"
     cronwtf next "0 9 * * 1-5" --timezone America/New_York   (PRO)
+    cronwtf next "CRON_TZ=Europe/Berlin 0 9 * * *"           (PRO)
 `;
 }
 
@@ -0,0 +1,207 @@
+/**
+ * Previous occurrences command
+ * @module commands/prev
+ */
+const { DateTime } = require('luxon');
+const { parse, getPreviousOccurrences, usesSeconds, DST_POLICIES } = require('../core');
+const { getLicenseStatus, incrementOperations, checkOperationLimit, getNextRunsLimit, isTimezoneAllowed } = require('../license');
+const { success, error, dim, bold, formatNextRuns, getLimitUpsell, getPromo, parseDate } = require('../utils');
+
+/**
+ * Execute prev command
+ * @param {string} expression - Cron expression
+ * @param {Object} options - Command options
+ * @returns {Promise<{code: number, output: string}>}
+ */
+async function execute(expression, options = {}) {
+  const {
+    count = 5,
+    timezone = 'local',
+    dst = 'vixie',
+    'wrap-ranges': wrapRanges = false,
+    seed,
+    from,
+    anchor,
+    json: jsonOutput = false
+  } = options;
+
+  if (!expression) {
+    return {
+      code: 1,
+      output: error('no cron expression provided. bruh.')
+    };
+  }
+
+  // Check license and limits
+  const license = getLicenseStatus();
+  const limitCheck = checkOperationLimit(license.tier);
+
+  if (!limitCheck.allowed) {
+    return {
+      code: 1,
+      output: error(`daily limit reached (${limitCheck.limit}/day).`) + getLimitUpsell('operations')
+    };
+  }
+
+  // Check timezone permission
+  if (!isTimezoneAllowed(license.tier, timezone)) {
+    return {
+      code: 1,
+      output: error('custom timezones require PRO.') + getLimitUpsell('timezone')
+    };
+  }
+
+  if (!DST_POLICIES.includes(dst)) {
+    return {
+      code: 1,
+      output: error(`unknown DST policy: ${dst} (use ${DST_POLICIES.join(' or ')})`)
+    };
+  }
+
+  // Validate expression first
+  const parsed = parse(expression, { wrapRanges, seed });
+  if (!parsed.valid) {
+    return {
+      code: 1,
+      output: error(`invalid expression: ${parsed.error || parsed.errors?.join(', ')}`)
+    };
+  }
+
+  if (parsed.isReboot) {
+    return {
+      code: 0,
+      output: success('@reboot runs once at system startup - no scheduled times.')
+    };
+  }
+
+  // A CRON_TZ=/TZ= prefix is a custom timezone too
+  if (parsed.timezone && !isTimezoneAllowed(license.tier, parsed.timezone)) {
+    return {
+      code: 1,
+      output: error('custom timezones require PRO.') + getLimitUpsell('timezone')
+    };
+  }
+
+  // Get actual timezone (runs are shown in the prefixed timezone unless one was given)
+  const tz = timezone === 'local' ? parsed.timezone || DateTime.local().zoneName : timezone;
+
+  // Look back from a given moment (e.g. the start of an outage) or from now
+  let end = DateTime.now().setZone(tz);
+  if (from) {
+    end = parseDate(from, tz);
+    if (!end) {
+      return {
+        code: 1,
+        output: error(`couldn't parse date: ${from}`)
+      };
+    }
+  }
+
+  // @every counts from when the scheduler started; without an anchor, from the end
+  let anchorDate;
+  if (anchor) {
+    anchorDate = parseDate(anchor, tz);
+    if (!anchorDate) {
+      return {
+        code: 1,
+        output: error(`couldn't parse date: ${anchor}`)
+      };
+    }
+  }
+
+  // Check count limit
+  const maxRuns = getNextRunsLimit(license.tier);
+  const requestedCount = Math.min(count, maxRuns);
+
+  // Increment usage
+  incrementOperations();
+
+  // Get previous occurrences
+  const runs = getPreviousOccurrences(expression, requestedCount, {
+    timezone: tz,
+    from: end.toJSDate(),
+    dst,
+    details: true,
+    wrapRanges,
+    seed,
+    anchor: anchorDate?.toJSDate()
+  });
+  const previousRuns = runs.map(r => r.date);
+
+  if (previousRuns.length === 0) {
+    return {
+      code: 0,
+      output: success('no previous runs found.')
+    };
+  }
+
+  // JSON output
+  if (jsonOutput) {
+    const result = {
+      expression,
+      timezone: tz,
+      from: end.toISO(),
+      count: previousRuns.length,
+      dstPolicy: dst,
+      previousRuns: runs.map(({ date: d, dst: dstFlag }) => ({
+        iso: d.toISOString(),
+        local: DateTime.fromJSDate(d, { zone: tz }).toFormat('yyyy-MM-dd HH:mm:ss'),
+        unix: Math.floor(d.getTime() / 1000),
+        dst: dstFlag
+      }))
+    };
+    return { code: 0, output: JSON.stringify(result, null, 2) };
+  }
+
+  // Human output
+  let output = bold(`Last ${previousRuns.length} runs`) + dim(` (${tz})`);
+  if (from) {
+    output += dim(` before ${end.toFormat('yyyy-MM-dd HH:mm')}`);
+  }
+  output += '\n';
+  output += formatNextRuns(previousRuns, { timezone: tz, showRelative: true, showSeconds: parsed.isInterval || usesSeconds(parsed.fields), dst: runs.map(r => r.dst) });
+
+  // Limit warning
+  if (count > maxRuns && license.tier === 'free') {
+    output += '\n\n' + dim(`(showing ${maxRuns} of ${count} requested - PRO shows up to 100)`);
+    output += getLimitUpsell('nextRuns');
+  }
+
+  // Maybe promo
+  const promo = getPromo();
+  if (promo) output += promo;
+
+  return { code: 0, output };
+}
+
+/**
+ * Get command help
+ * @returns {string}
+ */
+function help() {
+  return `
+  cronwtf prev - show when a cron expression last ran
+
+  Usage:
+    cronwtf prev <expression> [options]
+
+  Options:
+    -c, --count <n>      number of runs to show (default: 5, max: 5 free, 100 pro)
+    -t, --timezone <tz>  timezone (default: local, pro: any timezone)
+    --dst <policy>       DST handling: vixie (default) or strict
+    --wrap-ranges        read high-low ranges like 22-2 as wrapping around
+    --seed <job>         Jenkins job name that H values are hashed from
+    -f, --from <date>    look back from this date instead of now
+    --anchor <date>      when an @every schedule started counting (default: --from)
+    --json               output as JSON
+
+  Examples:
+    cronwtf prev "0 3 * * *"
+    cronwtf prev "0 3 * * *" --from "2026-10-18 04:00"
+    cronwtf prev "*/15 * * * *" -c 10 --json
+    cronwtf prev "@every 90m" --anchor "2026-10-19 00:00"
+    cronwtf prev "0 9 * * 1-5" --timezone America/New_York   (PRO)
+`;
+}
+
+module.exports = { execute, help };
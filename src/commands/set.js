@@ -0,0 +1,151 @@
+/**
+ * Schedule set algebra command
+ * @module commands/set
+ */
+const { DateTime } = require('luxon');
+const { parse, describe, usesSeconds, intersect, union, subtract } = require('../core');
+const { getLicenseStatus, incrementOperations, checkOperationLimit, getNextRunsLimit, isTimezoneAllowed } = require('../license');
+const { success, error, dim, bold, cyan, formatNextRuns, getLimitUpsell, getPromo } = require('../utils');
+
+const OPERATIONS = { intersect, union, subtract };
+
+/**
+ * Execute set command
+ * @param {string} operation - intersect, union or subtract
+ * @param {string} expr1 - First cron expression
+ * @param {string} expr2 - Second cron expression
+ * @param {Object} options - Command options
+ * @returns {Promise<{code: number, output: string}>}
+ */
+async function execute(operation, expr1, expr2, options = {}) {
+  const { count = 5, timezone = 'local', json: jsonOutput = false } = options;
+
+  if (!OPERATIONS[operation]) {
+    return {
+      code: 1,
+      output: error(`unknown operation: ${operation || '(none)'} (use ${Object.keys(OPERATIONS).join(', ')})`)
+    };
+  }
+
+  if (!expr1 || !expr2) {
+    return {
+      code: 1,
+      output: error('need two cron expressions. bruh.')
+    };
+  }
+
+  // Check license and limits
+  const license = getLicenseStatus();
+  const limitCheck = checkOperationLimit(license.tier);
+
+  if (!limitCheck.allowed) {
+    return {
+      code: 1,
+      output: error(`daily limit reached (${limitCheck.limit}/day).`) + getLimitUpsell('operations')
+    };
+  }
+
+  // A CRON_TZ=/TZ= prefix is a custom timezone too
+  const prefixed = [parse(expr1), parse(expr2)].find(p => p.valid && p.timezone);
+  const zones = [timezone, prefixed && prefixed.timezone].filter(Boolean);
+  if (zones.some(zone => !isTimezoneAllowed(license.tier, zone))) {
+    return {
+      code: 1,
+      output: error('custom timezones require PRO.') + getLimitUpsell('timezone')
+    };
+  }
+
+  const result = OPERATIONS[operation](expr1, expr2);
+  if (!result.valid) {
+    return {
+      code: 1,
+      output: error(`can't ${operation}: ${result.error}`)
+    };
+  }
+
+  // Increment usage
+  incrementOperations();
+
+  const tz = timezone === 'local' ? (prefixed && prefixed.timezone) || DateTime.local().zoneName : timezone;
+  const limit = Math.min(count, getNextRunsLimit(license.tier));
+  const nextRuns = [];
+  for (const date of result.occurrences({ timezone: tz })) {
+    if (nextRuns.length >= limit) break;
+    nextRuns.push(date);
+  }
+
+  // JSON output
+  if (jsonOutput) {
+    const output = {
+      operation,
+      expression1: expr1,
+      expression2: expr2,
+      exact: result.exact,
+      empty: result.empty,
+      expressions: result.expressions,
+      timezone: tz,
+      nextRuns: nextRuns.map(d => d.toISOString())
+    };
+    return { code: 0, output: JSON.stringify(output, null, 2) };
+  }
+
+  // Human output
+  let output = bold(`${operation[0].toUpperCase()}${operation.slice(1)}:`) + '\n';
+  output += `  ${cyan('1:')} ${expr1}\n`;
+  output += `  ${cyan('2:')} ${expr2}\n\n`;
+
+  if (result.empty) {
+    output += success('never runs - no time is left in the result.');
+  } else if (result.exact) {
+    output += bold(result.expressions.length === 1 ? 'Expression:' : `Expressions (${result.expressions.length}, together):`) + '\n';
+    output += result.expressions.map(expr => `  ${cyan(expr)}  ${dim(describe(expr))}`).join('\n');
+  } else {
+    output += dim("cron can't write this as a few expressions - here are the runs instead.");
+  }
+
+  if (nextRuns.length > 0) {
+    const showSeconds = nextRuns.some(d => d.getUTCSeconds() !== 0) ||
+      [expr1, expr2].some(expr => usesSeconds(parse(expr).fields));
+    output += '\n\n' + bold(`Next ${nextRuns.length} runs`) + dim(` (${tz})`) + '\n';
+    output += formatNextRuns(nextRuns, { timezone: tz, showRelative: true, showSeconds });
+  }
+
+  // Maybe promo
+  const promo = getPromo();
+  if (promo) output += promo;
+
+  return { code: 0, output };
+}
+
+/**
+ * Get command help
+ * @returns {string}
+ */
+function help() {
+  return `
+  cronwtf set - combine two schedules
+
+  Usage:
+    cronwtf set intersect <expr1> <expr2>   runs both have
+    cronwtf set union <expr1> <expr2>       runs either has
+    cronwtf set subtract <expr1> <expr2>    runs of expr1 that expr2 doesn't have
+
+  Prints the cron expression(s) for the result when cron can write it, and
+  the next runs either way.
+
+  Options:
+    -c, --count <n>      number of runs to show (default: 5, max: 5 free, 100 pro)
+    -t, --timezone <tz>  timezone (default: local, pro: any timezone)
+    --json               output as JSON
+
+  Examples:
+    cronwtf set subtract "0 9 * * *" "0 9 * * 0,6"
+    # 0 9 * * 1-5
+    cronwtf set intersect "*/15 9-17 * * 1-5" "0 * * * *"
+    # 0 9-17 * * 1-5
+    cronwtf set union "0 9 * * 1" "0 10 * * 2"
+    # 0 9 * * 1 and 0 10 * * 2
+`;
+}
+
+module.exports = { execute, help };
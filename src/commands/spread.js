@@ -0,0 +1,168 @@
+/**
+ * Spread crontab jobs that start together
+ * @module commands/spread
+ */
+const fs = require('fs');
+const { DateTime } = require('luxon');
+const { spread, isSystemCrontab } = require('../core');
+const { getLicenseStatus, incrementOperations, checkOperationLimit, isTimezoneAllowed } = require('../license');
+const { error, getLimitUpsell, parseDate } = require('../utils');
+
+/**
+ * The changed lines as a unified diff, a hunk per line
+ * @param {string} file - Name for the diff headers
+ * @param {string} before - Crontab as it was
+ * @param {string} after - Crontab with the new schedules
+ * @param {Array<Object>} changes - [{ line }] from spread
+ * @returns {string}
+ */
+function toDiff(file, before, after, changes) {
+  const oldLines = before.split('\n');
+  const newLines = after.split('\n');
+  const lines = [`--- ${file}`, `+++ ${file}`];
+  changes.forEach(({ line }) => {
+    lines.push(`@@ -${line},1 +${line},1 @@`);
+    lines.push(`-${oldLines[line - 1]}`);
+    lines.push(`+${newLines[line - 1]}`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Execute spread command
+ * @param {string} input - Crontab file, or "-" for stdin
+ * @param {Object} options - Command options
+ * @returns {Promise<{code: number, output: string}>}
+ */
+async function execute(input, options = {}) {
+  const {
+    diff = false,
+    from,
+    days = 7,
+    timezone = 'local',
+    system,
+    json: jsonOutput = false
+  } = options;
+
+  if (!input) {
+    return {
+      code: 1,
+      output: error('no crontab file provided (use - for stdin). bruh.')
+    };
+  }
+
+  // Check license and limits
+  const license = getLicenseStatus();
+  const limitCheck = checkOperationLimit(license.tier);
+
+  if (!limitCheck.allowed) {
+    return {
+      code: 1,
+      output: error(`daily limit reached (${limitCheck.limit}/day).`) + getLimitUpsell('operations')
+    };
+  }
+
+  if (!isTimezoneAllowed(license.tier, timezone)) {
+    return {
+      code: 1,
+      output: error('custom timezones require PRO.') + getLimitUpsell('timezone')
+    };
+  }
+
+  const tz = timezone === 'local' ? DateTime.local().zoneName : timezone;
+  let start = new Date();
+  if (from) {
+    const parsedFrom = parseDate(from, tz);
+    if (!parsedFrom) {
+      return {
+        code: 1,
+        output: error(`couldn't parse date: ${from}`)
+      };
+    }
+    start = parsedFrom.toJSDate();
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(input === '-' ? 0 : input, 'utf8');
+  } catch (e) {
+    return {
+      code: 1,
+      output: error(`couldn't read ${input}: ${e.message}`)
+    };
+  }
+
+  // /etc/crontab and /etc/cron.d/* have a user column
+  const systemFormat = system === undefined ? isSystemCrontab(input) : Boolean(system);
+  const result = spread(text, { system: systemFormat, timezone: tz, from: start, days: Number(days) });
+  if (!result.valid) {
+    return {
+      code: 1,
+      output: error(`can't spread: ${result.error}`)
+    };
+  }
+
+  // Increment usage
+  incrementOperations();
+
+  // JSON output
+  if (jsonOutput) {
+    const { valid, ...rest } = result;
+    return { code: 0, output: JSON.stringify({ file: input, ...rest }, null, 2) };
+  }
+
+  // A diff, with what it changes above it (patch skips leading text)
+  if (diff) {
+    const name = input === '-' ? 'stdin' : input;
+    const { before, after } = result;
+    let output = `cronwtf spread: ${result.changes.length} job${result.changes.length === 1 ? '' : 's'} moved, `;
+    output += `at most ${before.peak} -> ${after.peak} starting in one minute, `;
+    output += `${before.crowded} -> ${after.crowded} minutes with two or more\n`;
+    if (result.changes.length > 0) {
+      output += '\n' + toDiff(name, text, result.text, result.changes);
+    }
+    return { code: 0, output };
+  }
+
+  // The patched crontab, ready to install
+  return { code: 0, output: result.text.replace(/\n$/, '') };
+}
+
+/**
+ * Get command help
+ * @returns {string}
+ */
+function help() {
+  return `
+  cronwtf spread - move jobs that start together apart
+
+  Usage:
+    cronwtf spread <file>
+    crontab -l | cronwtf spread - | crontab -
+
+  Prints the crontab with new schedules for jobs that start in the same
+  minute as others. Each job keeps how often it runs and its hours and days:
+  a fixed minute moves within its hour (0 * * * * -> 17 * * * *) and steps
+  start elsewhere (0 */6 * * * -> 0 2-23/6 * * *). Jobs that don't collide
+  stay where they are, and so does the job under this comment:
+
+    # cronwtf-spread-ignore
+
+  Options:
+    --diff               print a unified diff instead (for patch or review)
+    -f, --from <date>    first day of the runs to even out (default: today)
+    --days <n>           days of runs to even out, 1-31 (default: 7)
+    -t, --timezone <tz>  timezone of jobs without CRON_TZ (default: local,
+                         pro: any timezone)
+    --system             read the file as a system crontab, with a user column
+                         (automatic for /etc/crontab and /etc/cron.d/*)
+    --json               output as JSON
+
+  Examples:
+    cronwtf spread deploy/crontab --diff
+    cronwtf spread deploy/crontab > deploy/crontab.new
+    crontab -l | cronwtf spread - | crontab -
+`;
+}
+
+module.exports = { execute, help };
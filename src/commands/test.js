@@ -3,96 +3,40 @@
  * @module commands/test
  */
 const { DateTime } = require('luxon');
-const { parse, describe, getNextOccurrences } = require('../core');
+const { parse, describe, usesSeconds, getNextOccurrences, getWallTimeStatus, isFixedTime, DST_POLICIES } = require('../core');
 const { getLicenseStatus, incrementOperations, checkOperationLimit, isPro } = require('../license');
-const { success, error, warning, dim, bold, cyan, proRequired, getPromo } = require('../utils');
+const { success, error, warning, dim, bold, cyan, proRequired, getPromo, parseDate, formatDstNote } = require('../utils');
 
 /**
- * Check if cron matches a specific datetime
- * @param {Object} parsed - Parsed cron
- * @param {DateTime} dt - DateTime to check
+ * Whether a local date/time happens twice because of a DST fall back
+ * @param {DateTime} dt - Date to check
  * @returns {boolean}
  */
-function cronMatchesTime(parsed, dt) {
-  if (!parsed.valid || parsed.isReboot) return false;
-
-  const { fields } = parsed;
-
-  const minute = dt.minute;
-  const hour = dt.hour;
-  const dayOfMonth = dt.day;
-  const month = dt.month;
-  const dayOfWeek = dt.weekday % 7; // luxon: 1=Mon, 7=Sun -> 0=Sun
-
-  const minuteMatch = fields.minute.values.includes(minute);
-  const hourMatch = fields.hour.values.includes(hour);
-  const monthMatch = fields.month.values.includes(month);
-
-  // Day matching (OR logic if both specified)
-  const domAll = fields.dayOfMonth.raw === '*';
-  const dowAll = fields.dayOfWeek.raw === '*';
-
-  let dayMatch;
-  if (domAll && dowAll) {
-    dayMatch = true;
-  } else if (domAll) {
-    dayMatch = fields.dayOfWeek.values.includes(dayOfWeek);
-  } else if (dowAll) {
-    dayMatch = fields.dayOfMonth.values.includes(dayOfMonth);
-  } else {
-    dayMatch = fields.dayOfMonth.values.includes(dayOfMonth) ||
-               fields.dayOfWeek.values.includes(dayOfWeek);
-  }
-
-  return minuteMatch && hourMatch && dayMatch && monthMatch;
+function isRepeated(dt) {
+  return getWallTimeStatus(dt.toObject(), dt.zoneName) === 'repeated';
 }
 
 /**
- * Parse date input (flexible)
- * @param {string} input - Date string
- * @returns {DateTime|null}
+ * Whether a schedule runs at a date, under a DST policy: the date's minute
+ * (or second, for schedules with seconds) holds one of its runs
+ * @param {string} expression - Cron expression
+ * @param {Object} parsed - Parsed expression
+ * @param {DateTime} dt - Date to check
+ * @param {string} dst - DST policy
+ * @returns {Object} { matches, dst } with dst the run's DST flag (see
+ *   getNextOccurrences details), null when unaffected or not a run
  */
-function parseDate(input) {
-  // Try common formats
-  const formats = [
-    'yyyy-MM-dd HH:mm',
-    'yyyy-MM-dd',
-    'MM/dd/yyyy HH:mm',
-    'MM/dd/yyyy',
-    'dd/MM/yyyy HH:mm',
-    'dd/MM/yyyy',
-    'yyyy/MM/dd HH:mm',
-    'yyyy/MM/dd'
-  ];
-
-  for (const fmt of formats) {
-    const dt = DateTime.fromFormat(input, fmt);
-    if (dt.isValid) return dt;
-  }
-
-  // Try ISO
-  const iso = DateTime.fromISO(input);
-  if (iso.isValid) return iso;
-
-  // Try natural-ish dates
-  const lower = input.toLowerCase();
-
-  if (lower === 'today') return DateTime.now().startOf('day');
-  if (lower === 'tomorrow') return DateTime.now().plus({ days: 1 }).startOf('day');
-  if (lower === 'yesterday') return DateTime.now().minus({ days: 1 }).startOf('day');
-  if (lower === 'now') return DateTime.now();
-
-  // "next monday", "dec 25", etc.
-  const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-  const monthMatch = lower.match(new RegExp(`(${months.join('|')})\\w*\\s+(\\d{1,2})(?:,?\\s*(\\d{4}))?`, 'i'));
-  if (monthMatch) {
-    const monthIdx = months.findIndex(m => monthMatch[1].toLowerCase().startsWith(m)) + 1;
-    const day = parseInt(monthMatch[2], 10);
-    const year = monthMatch[3] ? parseInt(monthMatch[3], 10) : DateTime.now().year;
-    return DateTime.local(year, monthIdx, day);
-  }
-
-  return null;
+function runsAt(expression, parsed, dt, dst) {
+  const unit = usesSeconds(parsed.fields) ? 'second' : 'minute';
+  const start = dt.startOf(unit);
+  const [run] = getNextOccurrences(expression, 1, {
+    timezone: dt.zoneName,
+    from: start.minus({ milliseconds: 1 }).toJSDate(),
+    dst,
+    details: true
+  });
+  const matches = Boolean(run) && run.date < start.plus({ [`${unit}s`]: 1 }).toJSDate();
+  return { matches, dst: matches ? run.dst : null };
 }
 
 /**
@@ -106,6 +50,7 @@ async function execute(expression, options = {}) {
     date: dateStr,
     dates: datesStr,
     range: rangeStr,
+    dst = 'vixie',
     json: jsonOutput = false
   } = options;
 
@@ -140,6 +85,21 @@ async function execute(expression, options = {}) {
     };
   }
 
+  if (parsed.isInterval) {
+    return {
+      code: 0,
+      output: success(`${parsed.original} counts from when the scheduler starts, not from the clock.`) +
+        '\n' + dim(`use: cronwtf next "${parsed.original}" --anchor <start time>`)
+    };
+  }
+
+  if (!DST_POLICIES.includes(dst)) {
+    return {
+      code: 1,
+      output: error(`unknown DST policy: ${dst} (use ${DST_POLICIES.join(' or ')})`)
+    };
+  }
+
   // Check limits
   const license = getLicenseStatus();
   const limitCheck = checkOperationLimit(license.tier);
@@ -154,12 +114,15 @@ async function execute(expression, options = {}) {
   // Increment usage
   incrementOperations();
 
+  // Dates are read in the CRON_TZ=/TZ= timezone when the expression has one
+  const zone = parsed.timezone || 'local';
+
   const description = describe(expression);
   const results = [];
 
   // Test single date
   if (dateStr) {
-    const dt = parseDate(dateStr);
+    const dt = parseDate(dateStr, zone);
     if (!dt) {
       return {
         code: 1,
@@ -167,17 +130,16 @@ async function execute(expression, options = {}) {
       };
     }
 
-    const matches = cronMatchesTime(parsed, dt);
-    results.push({ date: dt, matches });
+    results.push({ date: dt, ...runsAt(expression, parsed, dt, dst), repeated: isRepeated(dt) });
   }
 
   // Test multiple dates
   if (datesStr) {
     const dateList = datesStr.split(',').map(s => s.trim());
     for (const d of dateList) {
-      const dt = parseDate(d);
+      const dt = parseDate(d, zone);
       if (dt) {
-        results.push({ date: dt, matches: cronMatchesTime(parsed, dt) });
+        results.push({ date: dt, ...runsAt(expression, parsed, dt, dst), repeated: isRepeated(dt) });
       }
     }
   }
@@ -185,8 +147,8 @@ async function execute(expression, options = {}) {
   // Test date range
   if (rangeStr) {
     const [startStr, endStr] = rangeStr.split('..').map(s => s.trim());
-    const start = parseDate(startStr);
-    const end = parseDate(endStr);
+    const start = parseDate(startStr, zone);
+    const end = parseDate(endStr, zone);
 
     if (!start || !end) {
       return {
@@ -195,21 +157,14 @@ async function execute(expression, options = {}) {
       };
     }
 
-    // Get all runs in range
-    const runsInRange = [];
-    let current = start.startOf('minute');
+    // Get all runs in range (limited to 100 results)
     const endTime = end.endOf('day');
-    const maxIterations = 366 * 24 * 60;
-    let i = 0;
-
-    while (current <= endTime && i < maxIterations) {
-      if (cronMatchesTime(parsed, current)) {
-        runsInRange.push(current.toJSDate());
-        if (runsInRange.length >= 100) break; // Limit results
-      }
-      current = current.plus({ minutes: 1 });
-      i++;
-    }
+    const runsInRange = getNextOccurrences(expression, 100, {
+      timezone: start.zoneName,
+      from: start.startOf('minute').minus({ milliseconds: 1 }).toJSDate(),
+      dst,
+      details: true
+    }).filter(r => r.date <= endTime.toJSDate());
 
     // JSON output for range
     if (jsonOutput) {
@@ -220,7 +175,8 @@ async function execute(expression, options = {}) {
           description,
           range: { start: start.toISO(), end: end.toISO() },
           matchCount: runsInRange.length,
-          matches: runsInRange.map(d => d.toISOString())
+          matches: runsInRange.map(r => r.date.toISOString()),
+          dstAffected: runsInRange.filter(r => r.dst).map(r => ({ iso: r.date.toISOString(), dst: r.dst }))
         }, null, 2)
       };
     }
@@ -233,9 +189,10 @@ async function execute(expression, options = {}) {
       output += warning('No runs found in this range.');
     } else {
       output += success(`${runsInRange.length} runs in this range${runsInRange.length >= 100 ? ' (showing first 100)' : ''}:\n\n`);
-      runsInRange.slice(0, 20).forEach((d, i) => {
-        const dt = DateTime.fromJSDate(d);
-        output += `  ${dim(`${i + 1}.`.padStart(4))} ${dt.toFormat('EEE, MMM dd yyyy HH:mm')}\n`;
+      runsInRange.slice(0, 20).forEach((r, i) => {
+        const dt = DateTime.fromJSDate(r.date, { zone });
+        const note = formatDstNote(r.dst);
+        output += `  ${dim(`${i + 1}.`.padStart(4))} ${dt.toFormat('EEE, MMM dd yyyy HH:mm')}${note ? ` ${warning(note)}` : ''}\n`;
       });
       if (runsInRange.length > 20) {
         output += dim(`  ... and ${runsInRange.length - 20} more`);
@@ -265,7 +222,9 @@ async function execute(expression, options = {}) {
         description,
         tests: results.map(r => ({
           date: r.date.toISO(),
-          matches: r.matches
+          matches: r.matches,
+          repeated: r.repeated,
+          dst: r.dst
         }))
       }, null, 2)
     };
@@ -278,10 +237,15 @@ async function execute(expression, options = {}) {
   results.forEach(r => {
     const formatted = r.date.toFormat('EEE, MMM dd yyyy HH:mm');
     if (r.matches) {
-      output += success(`${formatted} - RUNS\n`);
+      const note = r.dst && r.dst.type === 'gap' ? formatDstNote(r.dst) : '';
+      output += success(`${formatted} - RUNS`) + (note ? ` ${warning(note)}` : '') + '\n';
     } else {
       output += error(`${formatted} - does not run\n`);
     }
+    if (r.repeated && r.matches) {
+      const twice = dst === 'strict' || !isFixedTime(parsed);
+      output += warning(`  this local time happens twice (DST fall back) - runs ${twice ? 'both times' : 'the first time only'}\n`);
+    }
   });
 
   const promo = getPromo();
@@ -305,6 +269,7 @@ function help() {
     --date <date>         test single date (e.g., "2024-12-25 09:00")
     --dates <list>        test multiple dates (comma-separated)
     --range <start..end>  test date range (e.g., "2024-01-01..2024-01-07")
+    --dst <policy>        DST handling: vixie (default) or strict
     --json                output as JSON
 
   Date formats:
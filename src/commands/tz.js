@@ -0,0 +1,123 @@
+/**
+ * Rewrite a schedule for another timezone (PRO)
+ * @module commands/tz
+ */
+const { DateTime } = require('luxon');
+const { describe, shiftTimezone, formatOffset } = require('../core');
+const { getLicenseStatus, incrementOperations, checkOperationLimit, isPro } = require('../license');
+const { success, error, warning, dim, bold, cyan, proRequired, getPromo } = require('../utils');
+
+/**
+ * Execute tz command
+ * @param {string} expression - Cron expression
+ * @param {Object} options - Command options
+ * @returns {Promise<{code: number, output: string}>}
+ */
+async function execute(expression, options = {}) {
+  const {
+    from,
+    to = 'UTC',
+    json: jsonOutput = false
+  } = options;
+
+  // PRO check
+  if (!isPro()) {
+    return {
+      code: 1,
+      output: proRequired('tz')
+    };
+  }
+
+  if (!expression) {
+    return {
+      code: 1,
+      output: error('no cron expression provided. bruh.')
+    };
+  }
+
+  // Check limits
+  const license = getLicenseStatus();
+  const limitCheck = checkOperationLimit(license.tier);
+
+  if (!limitCheck.allowed) {
+    return {
+      code: 1,
+      output: error('daily limit reached.')
+    };
+  }
+
+  // Written in local time unless --from or a CRON_TZ=/TZ= prefix says otherwise
+  const source = from || DateTime.local().zoneName;
+  const result = shiftTimezone(expression, source, to);
+  if (!result.success) {
+    return {
+      code: 1,
+      output: error(result.error)
+    };
+  }
+
+  // Increment usage
+  incrementOperations();
+
+  // JSON output
+  if (jsonOutput) {
+    return {
+      code: 0,
+      output: JSON.stringify({ expression, ...result }, null, 2)
+    };
+  }
+
+  // Human output
+  let output = bold(`${expression} in ${result.to}`) + dim(` (from ${result.from}, ${formatOffset(result.offset)})`) + '\n\n';
+  result.expressions.forEach(expr => {
+    output += `  ${cyan(expr)}\n`;
+  });
+  output += '\n' + dim(describe(expression)) + '\n';
+
+  if (result.expressions.length > 1) {
+    output += dim(`\n(${result.expressions.length} expressions - schedule all of them)\n`);
+  }
+
+  output += '\n';
+  if (result.exact) {
+    output += success('exact all year.');
+  } else {
+    output += result.warnings.map(w => warning(w)).join('\n');
+  }
+
+  // Maybe promo
+  const promo = getPromo();
+  if (promo) output += promo;
+
+  return { code: 0, output };
+}
+
+/**
+ * Get command help
+ * @returns {string}
+ */
+function help() {
+  return `
+  cronwtf tz - rewrite a schedule for another timezone (PRO)
+
+  Gives the expression (or expressions, when runs cross midnight or minutes
+  no longer line up) that runs at the same moments in the target timezone,
+  and warns when DST changes the offset so no single rewrite is exact.
+
+  Usage:
+    cronwtf tz <expression> [options]
+
+  Options:
+    --from <tz>   timezone the expression is written in (default: the
+                  CRON_TZ=/TZ= prefix, or local)
+    --to <tz>     timezone to rewrite it for (default: UTC)
+    --json        output as JSON
+
+  Examples:
+    cronwtf tz "0 9 * * 1-5" --from Europe/Berlin
+    cronwtf tz "CRON_TZ=Asia/Kolkata */15 9-17 * * *"
+    cronwtf tz "0 22 * * 5" --from UTC --to Asia/Tokyo --json
+`;
+}
+
+module.exports = { execute, help };
@@ -2,9 +2,39 @@
  * Validate cron expression command
  * @module commands/validate
  */
-const { validate, parse, describe } = require('../core');
+const { validate, parse, describe, isWildcard, DIALECTS, DIALECT_NAMES } = require('../core');
 const { getLicenseStatus, incrementOperations, checkOperationLimit } = require('../license');
-const { success, error, warning, dim, cyan, formatValidation, getUpsell, getLimitUpsell, getPromo } = require('../utils');
+const { success, error, warning, dim, cyan, formatValidation, getUpsell, getLimitUpsell, getPromo, loadConfig } = require('../utils');
+
+/**
+ * Strict-mode checks, each under the lint rule a .cronwtfrc configures it by
+ */
+const STRICT_CHECKS = [
+  {
+    rule: 'every-minute',
+    check: fields => fields.minute.raw === '*' && fields.hour.raw === '*' && 'Runs every minute (60 times/hour) - intentional?'
+  },
+  {
+    rule: 'dom-dow-or',
+    check: fields => !isWildcard(fields.dayOfMonth) && !isWildcard(fields.dayOfWeek) &&
+      'Both day-of-month and day-of-week are set - uses OR logic (runs if either matches)'
+  },
+  // Check for impossible day-of-month (e.g., 31st in February)
+  {
+    rule: 'impossible-date',
+    check: fields => fields.dayOfMonth.values.includes(31) && fields.month.values.some(m => [2, 4, 6, 9, 11].includes(m)) &&
+      'Day 31 does not exist in all specified months'
+  },
+  {
+    rule: 'impossible-date',
+    check: fields => fields.dayOfMonth.values.includes(30) && fields.month.values.includes(2) && 'Day 30 does not exist in February'
+  },
+  {
+    rule: 'impossible-date',
+    check: fields => fields.dayOfMonth.values.includes(29) && fields.month.values.includes(2) &&
+      'Day 29 only exists in February during leap years'
+  }
+];
 
 /**
  * Execute validate command
@@ -13,7 +43,7 @@ const { success, error, warning, dim, cyan, formatValidation, getUpsell, getLimi
  * @returns {Promise<{code: number, output: string}>}
  */
 async function execute(expression, options = {}) {
-  const { json: jsonOutput = false, strict = false } = options;
+  const { json: jsonOutput = false, strict = false, 'wrap-ranges': wrapRanges, config: configFile } = options;
 
   if (!expression) {
     return {
@@ -22,6 +52,18 @@ async function execute(expression, options = {}) {
     };
   }
 
+  // Project settings from the nearest .cronwtfrc; options win
+  const loaded = loadConfig({ file: configFile });
+  if (loaded.error) {
+    return {
+      code: 1,
+      output: error(loaded.error)
+    };
+  }
+  const { config } = loaded;
+  const dialect = options.dialect !== undefined ? options.dialect : config.dialect;
+  const parseOptions = { wrapRanges, dialect };
+
   // Check license and limits
   const license = getLicenseStatus();
   const limitCheck = checkOperationLimit(license.tier);
@@ -33,57 +75,68 @@ async function execute(expression, options = {}) {
     };
   }
 
+  if (dialect !== undefined && !DIALECT_NAMES.includes(dialect)) {
+    return {
+      code: 1,
+      output: error(`unknown dialect: ${dialect} (use ${DIALECT_NAMES.join(', ')})`)
+    };
+  }
+
   // Increment usage
   incrementOperations();
 
   // Validate
-  const result = validate(expression);
+  const result = validate(expression, parseOptions);
 
-  // Additional strict checks
-  const warnings = [];
+  // Additional strict checks (the parser's own warnings always show); a
+  // rule set to "error" in .cronwtfrc fails validation, "off" hides it
+  const warnings = [...result.warnings];
+  const strictErrors = [];
+  const rules = config.rules || {};
   if (result.valid && strict) {
-    const parsed = parse(expression);
+    const parsed = parse(expression, parseOptions);
     if (parsed.fields) {
-      // Check for potentially problematic patterns
-      if (parsed.fields.minute.raw === '*' && parsed.fields.hour.raw === '*') {
-        warnings.push('Runs every minute (60 times/hour) - intentional?');
-      }
-      if (parsed.fields.dayOfMonth.raw !== '*' && parsed.fields.dayOfWeek.raw !== '*') {
-        warnings.push('Both day-of-month and day-of-week are set - uses OR logic (runs if either matches)');
-      }
-      // Check for impossible day-of-month (e.g., 31st in February)
-      if (parsed.fields.dayOfMonth.values.includes(31) && parsed.fields.month.values.some(m => [2, 4, 6, 9, 11].includes(m))) {
-        warnings.push('Day 31 does not exist in all specified months');
-      }
-      if (parsed.fields.dayOfMonth.values.includes(30) && parsed.fields.month.values.includes(2)) {
-        warnings.push('Day 30 does not exist in February');
-      }
-      if (parsed.fields.dayOfMonth.values.includes(29) && parsed.fields.month.values.includes(2)) {
-        warnings.push('Day 29 only exists in February during leap years');
-      }
+      STRICT_CHECKS.forEach(({ rule, check }) => {
+        const message = check(parsed.fields);
+        if (!message || rules[rule] === 'off') return;
+        (rules[rule] === 'error' ? strictErrors : warnings).push(message);
+      });
     }
   }
+  const code = result.valid && strictErrors.length === 0 ? 0 : 1;
 
   // JSON output
   if (jsonOutput) {
     const jsonResult = {
       expression,
+      dialect: dialect || null,
       valid: result.valid,
-      errors: result.errors || [],
+      errors: [...(result.errors || []), ...strictErrors],
       warnings: warnings,
-      description: result.valid ? describe(expression) : null
+      diagnostics: result.diagnostics,
+      description: result.valid ? describe(expression, parseOptions) : null
     };
     return {
-      code: result.valid ? 0 : 1,
+      code,
       output: JSON.stringify(jsonResult, null, 2)
     };
   }
 
   // Human output
-  let output = formatValidation(result);
+  let output = result.valid && dialect
+    ? success(`valid ${DIALECTS[dialect].name} expression. nice.`)
+    : formatValidation(result);
 
   if (result.valid) {
-    output += '\n\n' + dim('Meaning: ') + describe(expression);
+    output += '\n\n' + dim('Meaning: ') + describe(expression, parseOptions);
+
+    // Strict checks configured as errors
+    if (strictErrors.length > 0) {
+      output += '\n\n' + error('Errors:');
+      strictErrors.forEach(e => {
+        output += '\n  ' + dim('-') + ' ' + e;
+      });
+    }
 
     // Show warnings if strict mode
     if (warnings.length > 0) {
@@ -105,7 +158,7 @@ async function execute(expression, options = {}) {
   if (promo) output += promo;
 
   return {
-    code: result.valid ? 0 : 1,
+    code,
     output
   };
 }
@@ -123,13 +176,21 @@ function help() {
     cronwtf -v <expression>
 
   Options:
-    --strict   show additional warnings for edge cases
-    --json     output as JSON
+    --strict       show additional warnings for edge cases (rules in
+                   .cronwtfrc turn them off or into errors)
+    --dialect <d>  check against one scheduler's rules: vixie, cronie,
+                   posix, quartz, aws, jenkins or k8s (default: accept
+                   every syntax cronwtf understands)
+    --wrap-ranges  read high-low ranges like 22-2 as wrapping around
+    --config <f>   use this config instead of the nearest .cronwtfrc
+    --json         output as JSON
 
   Examples:
     cronwtf validate "*/15 * * * *"
     cronwtf validate "0 25 * * *"       invalid: hour > 23
     cronwtf validate --strict "* * * * *"
+    cronwtf validate "cron(0 12 ? * MON-FRI *)" --dialect aws
+    cronwtf validate "0 9 * * 7" --dialect k8s       invalid: k8s has 0-6
 `;
 }
 
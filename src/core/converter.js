@@ -2,7 +2,11 @@
  * Cron format converter
  * @module core/converter
  */
-const { parse, describe } = require('./parser');
+const { IANAZone } = require('luxon');
+const { parse, parseField, describe, isWildcard, usesSeconds, splitTimezone, compactValues, FIELDS } = require('./parser');
+const { shiftTimezone } = require('./shift');
+const { approximateInterval } = require('./interval');
+const { formatDuration } = require('./duration');
 
 /**
  * Supported formats
@@ -13,16 +17,100 @@ const FORMATS = {
   aws: 'AWS CloudWatch Events / EventBridge',
   github: 'GitHub Actions schedule',
   quartz: 'Quartz scheduler (Java)',
-  jenkins: 'Jenkins cron syntax'
+  jenkins: 'Jenkins cron syntax',
+  every: '@every <duration> intervals (Go cron)'
 };
 
+// Day of week as Quartz and AWS number it: 1 = Sunday to 7 = Saturday
+const QUARTZ_DAY_OF_WEEK = { min: 1, max: 7, names: FIELDS.dayOfWeek.names };
+
+/**
+ * Write a parsed day-of-week field in Quartz/AWS numbering (1=Sun)
+ * @param {Object} field - Parsed day-of-week field (cron numbering, 0=Sun)
+ * @returns {string}
+ */
+function toQuartzDayOfWeek(field) {
+  const items = field.specials.map(s => (s.type === 'nthDayOfWeek' ? `${s.day + 1}#${s.nth}` : `${s.day + 1}L`));
+  if (field.values.length > 0) {
+    items.unshift(compactValues(field.values.map(v => (v % 7) + 1), QUARTZ_DAY_OF_WEEK));
+  }
+  return items.join(',');
+}
+
+/**
+ * Rewrite a Quartz/AWS day-of-week field (1=Sun) in cron numbering (0=Sun)
+ * @param {string} field - Day-of-week field
+ * @returns {string|null} The field, or null if it can't be parsed
+ */
+function fromQuartzDayOfWeek(field) {
+  const items = field.split(',');
+
+  // #n and L items name one weekday; a bare L is Saturday in both
+  const specials = items.filter(item => /[#l]/i.test(item))
+    .map(item => item.replace(/^\d+/, n => String(parseInt(n, 10) - 1)));
+  const plain = items.filter(item => !/[#l]/i.test(item));
+  if (plain.length === 0) return specials.join(',');
+
+  const parsed = parseField(plain.join(','), QUARTZ_DAY_OF_WEEK);
+  if (parsed.diagnostics.some(d => d.severity === 'error')) return null;
+  return [compactValues(parsed.values.map(v => v - 1), FIELDS.dayOfWeek), ...specials].join(',');
+}
+
+/**
+ * Fields with every Jenkins H item written out as the values it picks, for
+ * formats that have no H
+ * @param {Object} fields - Parsed fields (parsed with the job's seed)
+ * @returns {Object} Fields, hashed ones with a resolved raw
+ */
+function resolveHashes(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([name, field]) => [
+    name,
+    field.hashes.length > 0 ? { ...field, raw: compactValues(field.values, FIELDS[name]) } : field
+  ]));
+}
+
+/**
+ * Shift an expression written in another timezone to UTC and convert each of
+ * the resulting expressions
+ * @param {string} expression - Cron expression
+ * @param {string} sourceTz - Timezone the expression is written in
+ * @param {Function} convert - Converter for a single UTC expression
+ * @param {string} seed - Job name H values are hashed from
+ * @returns {Object} { success, results, shifted } or a failed result
+ */
+function convertFromTimezone(expression, sourceTz, convert, seed) {
+  const shifted = shiftTimezone(expression, sourceTz, 'UTC', { seed });
+  if (!shifted.success) return shifted;
+
+  const results = shifted.expressions.map(expr => convert(expr, { seed }));
+  const failed = results.find(r => !r.success);
+  if (failed) return failed;
+
+  return { success: true, results, shifted };
+}
+
+/**
+ * Describe what shifting to UTC did, for a conversion note
+ * @param {Object} shifted - shiftTimezone result
+ * @returns {string}
+ */
+function describeShift(shifted) {
+  let note = `Shifted from ${shifted.from} to UTC`;
+  if (shifted.warnings.length > 0) {
+    note += ` - not exact all year:\n  ${shifted.warnings.join('\n  ')}`;
+  }
+  return note;
+}
+
 /**
  * Convert standard cron to systemd OnCalendar format
  * @param {string} expression - Cron expression
+ * @param {Object} options - Options
+ * @param {string} options.seed - Job name H values are hashed from (default: each H is its lowest value)
  * @returns {Object} Conversion result
  */
-function toSystemd(expression) {
-  const parsed = parse(expression);
+function toSystemd(expression, options = {}) {
+  const parsed = parse(expression, { seed: options.seed });
   if (!parsed.valid) {
     return { success: false, error: parsed.error || parsed.errors?.join(', ') };
   }
@@ -31,7 +119,19 @@ function toSystemd(expression) {
     return { success: true, format: 'systemd', result: '@reboot' };
   }
 
-  const { fields } = parsed;
+  if (parsed.isInterval) {
+    return { success: false, error: `OnCalendar has no @every - use OnUnitActiveSec=${formatDuration(parsed.interval)} in the timer instead` };
+  }
+
+  const fields = resolveHashes(parsed.fields);
+
+  // systemd can only express "last day" (~) out of the Quartz modifiers
+  const domSpecials = fields.dayOfMonth.specials;
+  const lastDay = domSpecials.length === 1 && domSpecials[0].type === 'lastDay' &&
+    fields.dayOfMonth.values.length === 0 ? domSpecials[0] : null;
+  if ((domSpecials.length > 0 && !lastDay) || fields.dayOfWeek.specials.length > 0) {
+    return { success: false, error: 'systemd OnCalendar cannot express W or # day modifiers' };
+  }
 
   // Build OnCalendar string
   // Format: DayOfWeek Year-Month-Day Hour:Minute:Second
@@ -39,17 +139,22 @@ function toSystemd(expression) {
 
   // Day of week
   const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  if (fields.dayOfWeek.raw !== '*') {
+  if (!isWildcard(fields.dayOfWeek)) {
     const days = fields.dayOfWeek.values.map(d => dayNames[d]);
     parts.push(days.join(','));
   }
 
   // Date (year-month-day)
   let datePart = '*';
-  if (fields.month.raw !== '*' || fields.dayOfMonth.raw !== '*') {
+  const yearPart = !fields.year || fields.year.raw === '*' ? '*' : fields.year.values.join(',');
+  if (lastDay) {
+    // "~01" counts back from the end of the month
     const monthPart = fields.month.raw === '*' ? '*' : fields.month.values.join(',');
-    const dayPart = fields.dayOfMonth.raw === '*' ? '*' : fields.dayOfMonth.values.join(',');
-    datePart = `*-${monthPart}-${dayPart}`;
+    datePart = `${yearPart}-${monthPart}~${String(lastDay.offset + 1).padStart(2, '0')}`;
+  } else if (yearPart !== '*' || fields.month.raw !== '*' || !isWildcard(fields.dayOfMonth)) {
+    const monthPart = fields.month.raw === '*' ? '*' : fields.month.values.join(',');
+    const dayPart = isWildcard(fields.dayOfMonth) ? '*' : fields.dayOfMonth.values.join(',');
+    datePart = `${yearPart}-${monthPart}-${dayPart}`;
   }
   parts.push(datePart);
 
@@ -60,13 +165,23 @@ function toSystemd(expression) {
   const minutePart = fields.minute.raw === '*' ? '*' :
     fields.minute.raw.includes('/') ? fields.minute.raw :
       fields.minute.values.join(',');
+  const secondPart = !fields.second ? '00' :
+    fields.second.raw === '*' ? '*' :
+      fields.second.raw.includes('/') ? fields.second.raw :
+        fields.second.values.join(',');
+
+  parts.push(`${hourPart}:${minutePart}:${secondPart}`);
 
-  parts.push(`${hourPart}:${minutePart}:00`);
+  // OnCalendar takes a trailing timezone (systemd 235+)
+  if (parsed.timezone) {
+    parts.push(parsed.timezone);
+  }
 
   return {
     success: true,
     format: 'systemd',
     result: parts.join(' '),
+    timezone: parsed.timezone,
     note: 'Use with OnCalendar= in systemd timer units'
   };
 }
@@ -74,10 +189,30 @@ function toSystemd(expression) {
 /**
  * Convert standard cron to AWS CloudWatch Events format
  * @param {string} expression - Cron expression
+ * @param {Object} options - Options
+ * @param {string} options.sourceTz - Timezone the expression is written in; shifts it to UTC
+ * @param {string} options.seed - Job name H values are hashed from (default: each H is its lowest value)
  * @returns {Object} Conversion result
  */
-function toAws(expression) {
-  const parsed = parse(expression);
+function toAws(expression, options = {}) {
+  if (options.sourceTz) {
+    const converted = convertFromTimezone(expression, options.sourceTz, toAws, options.seed);
+    if (!converted.success) return converted;
+
+    // One rule per expression
+    const { results, shifted } = converted;
+    const rules = results.length > 1 ? ' - one rule per line' : '';
+    return {
+      success: true,
+      format: 'aws',
+      result: results.map(r => r.result).join('\n'),
+      expressions: results.map(r => r.result),
+      exact: shifted.exact,
+      note: `AWS CloudWatch Events / EventBridge format (times in UTC)${rules}. ${describeShift(shifted)}`
+    };
+  }
+
+  const parsed = parse(expression, { seed: options.seed });
   if (!parsed.valid) {
     return { success: false, error: parsed.error || parsed.errors?.join(', ') };
   }
@@ -86,7 +221,15 @@ function toAws(expression) {
     return { success: false, error: 'AWS does not support @reboot' };
   }
 
-  const { fields } = parsed;
+  if (parsed.isInterval) {
+    return { success: false, error: 'AWS does not support @every intervals' };
+  }
+
+  if (usesSeconds(parsed.fields)) {
+    return { success: false, error: 'AWS does not support a seconds field (minimum resolution is 1 minute)' };
+  }
+
+  const fields = resolveHashes(parsed.fields);
 
   // AWS format: cron(minutes hours day-of-month month day-of-week year)
   // AWS uses ? for "no specific value" for day-of-month or day-of-week
@@ -104,38 +247,52 @@ function toAws(expression) {
 
   // AWS day of week: 1=Sun, 7=Sat (different from standard 0=Sun)
   if (dowField !== '*' && dowField !== '?') {
-    // Check if original is a range pattern
-    const rangeMatch = fields.dayOfWeek.raw.match(/^(\d+)-(\d+)$/);
-    if (rangeMatch) {
-      const start = parseInt(rangeMatch[1], 10);
-      const end = parseInt(rangeMatch[2], 10);
-      // Convert to AWS: 0->1 (Sun), 1->2 (Mon), etc.
-      const awsStart = start === 0 ? 1 : start + 1;
-      const awsEnd = end === 0 ? 1 : end + 1;
-      dowField = `${awsStart}-${awsEnd}`;
-    } else {
-      const awsDow = fields.dayOfWeek.values.map(d => d === 0 ? 1 : d + 1);
-      dowField = awsDow.join(',');
-    }
+    dowField = toQuartzDayOfWeek(fields.dayOfWeek);
   }
 
-  const awsCron = `cron(${fields.minute.raw} ${fields.hour.raw} ${domField} ${fields.month.raw} ${dowField} *)`;
+  const yearField = fields.year ? fields.year.raw : '*';
+  const awsCron = `cron(${fields.minute.raw} ${fields.hour.raw} ${domField} ${fields.month.raw} ${dowField} ${yearField})`;
 
+  // The timezone can't go in the expression itself, only next to it
   return {
     success: true,
     format: 'aws',
     result: awsCron,
-    note: 'AWS CloudWatch Events / EventBridge format (times in UTC)'
+    timezone: parsed.timezone,
+    note: parsed.timezone
+      ? `EventBridge Scheduler format - set ScheduleExpressionTimezone to ${parsed.timezone} (CloudWatch Events rules always run in UTC)`
+      : 'AWS CloudWatch Events / EventBridge format (times in UTC)'
   };
 }
 
 /**
  * Convert standard cron to GitHub Actions format
  * @param {string} expression - Cron expression
+ * @param {Object} options - Options
+ * @param {string} options.sourceTz - Timezone the expression is written in; shifts it to UTC
+ * @param {string} options.seed - Job name H values are hashed from (default: each H is its lowest value)
  * @returns {Object} Conversion result
  */
-function toGitHub(expression) {
-  const parsed = parse(expression);
+function toGitHub(expression, options = {}) {
+  if (options.sourceTz) {
+    const converted = convertFromTimezone(expression, options.sourceTz, toGitHub, options.seed);
+    if (!converted.success) return converted;
+
+    // A workflow takes any number of schedules
+    const { results, shifted } = converted;
+    const lines = results.map(r => `    - cron: '${r.expression}'`).join('\n');
+    return {
+      success: true,
+      format: 'github',
+      result: `on:\n  schedule:\n${lines}`,
+      expression: results[0].expression,
+      expressions: results.map(r => r.expression),
+      exact: shifted.exact,
+      note: `GitHub Actions uses UTC timezone. ${describeShift(shifted)}`
+    };
+  }
+
+  const parsed = parse(expression, { seed: options.seed });
   if (!parsed.valid) {
     return { success: false, error: parsed.error || parsed.errors?.join(', ') };
   }
@@ -144,9 +301,31 @@ function toGitHub(expression) {
     return { success: false, error: 'GitHub Actions does not support @reboot' };
   }
 
+  if (parsed.isInterval) {
+    return { success: false, error: 'GitHub Actions does not support @every intervals' };
+  }
+
+  if (usesSeconds(parsed.fields)) {
+    return { success: false, error: 'GitHub Actions does not support a seconds field' };
+  }
+
+  if (parsed.fields.year && parsed.fields.year.raw !== '*') {
+    return { success: false, error: 'GitHub Actions does not support a year field' };
+  }
+
+  if (parsed.timezone) {
+    return { success: false, error: `GitHub Actions schedules always run in UTC - ${parsed.timezonePrefix}=${parsed.timezone} cannot be kept (use --source-tz or cronwtf tz to shift it to UTC)` };
+  }
+
   // GitHub uses standard 5-field cron, but in YAML
-  const { fields } = parsed;
-  const cronExpr = `${fields.minute.raw} ${fields.hour.raw} ${fields.dayOfMonth.raw} ${fields.month.raw} ${fields.dayOfWeek.raw}`;
+  const fields = resolveHashes(parsed.fields);
+  if (fields.dayOfMonth.specials.length > 0 || fields.dayOfWeek.specials.length > 0) {
+    return { success: false, error: 'GitHub Actions does not support L, W or # modifiers' };
+  }
+
+  const dom = isWildcard(fields.dayOfMonth) ? '*' : fields.dayOfMonth.raw;
+  const dow = isWildcard(fields.dayOfWeek) ? '*' : fields.dayOfWeek.raw;
+  const cronExpr = `${fields.minute.raw} ${fields.hour.raw} ${dom} ${fields.month.raw} ${dow}`;
 
   const yaml = `on:
   schedule:
@@ -164,10 +343,12 @@ function toGitHub(expression) {
 /**
  * Convert standard cron to Quartz format (6 or 7 fields)
  * @param {string} expression - Cron expression
+ * @param {Object} options - Options
+ * @param {string} options.seed - Job name H values are hashed from (default: each H is its lowest value)
  * @returns {Object} Conversion result
  */
-function toQuartz(expression) {
-  const parsed = parse(expression);
+function toQuartz(expression, options = {}) {
+  const parsed = parse(expression, { seed: options.seed });
   if (!parsed.valid) {
     return { success: false, error: parsed.error || parsed.errors?.join(', ') };
   }
@@ -176,7 +357,11 @@ function toQuartz(expression) {
     return { success: false, error: 'Quartz does not support @reboot' };
   }
 
-  const { fields } = parsed;
+  if (parsed.isInterval) {
+    return { success: false, error: 'Quartz does not support @every intervals' };
+  }
+
+  const fields = resolveHashes(parsed.fields);
 
   // Quartz format: seconds minutes hours day-of-month month day-of-week [year]
   // Quartz uses ? for "no specific value" for day-of-month or day-of-week
@@ -193,17 +378,111 @@ function toQuartz(expression) {
 
   // Quartz day of week: 1=Sun, 7=Sat
   if (dowField !== '*' && dowField !== '?') {
-    const quartzDow = fields.dayOfWeek.values.map(d => d === 0 ? 1 : d + 1);
-    dowField = quartzDow.join(',');
+    dowField = toQuartzDayOfWeek(fields.dayOfWeek);
   }
 
-  const quartzCron = `0 ${fields.minute.raw} ${fields.hour.raw} ${domField} ${fields.month.raw} ${dowField}`;
+  const secondField = fields.second ? fields.second.raw : '0';
+  const yearField = fields.year ? ` ${fields.year.raw}` : '';
+  const quartzCron = `${secondField} ${fields.minute.raw} ${fields.hour.raw} ${domField} ${fields.month.raw} ${dowField}${yearField}`;
 
   return {
     success: true,
     format: 'quartz',
     result: quartzCron,
-    note: 'Quartz Scheduler format (Java). First field is seconds.'
+    timezone: parsed.timezone,
+    note: parsed.timezone
+      ? `Quartz Scheduler format (Java). First field is seconds. Set the trigger time zone to ${parsed.timezone}.`
+      : 'Quartz Scheduler format (Java). First field is seconds.'
+  };
+}
+
+/**
+ * Convert standard cron to Jenkins format
+ * @param {string} expression - Cron expression
+ * @returns {Object} Conversion result
+ */
+function toJenkins(expression) {
+  const parsed = parse(expression);
+  if (!parsed.valid) {
+    return { success: false, error: parsed.error || parsed.errors?.join(', ') };
+  }
+
+  if (parsed.isReboot) {
+    return { success: false, error: 'Jenkins does not support @reboot' };
+  }
+
+  if (parsed.isInterval) {
+    return { success: false, error: 'Jenkins does not support @every intervals' };
+  }
+
+  const { fields } = parsed;
+  if (usesSeconds(fields)) {
+    return { success: false, error: 'Jenkins does not support a seconds field (minimum resolution is 1 minute)' };
+  }
+
+  if (fields.year && fields.year.raw !== '*') {
+    return { success: false, error: 'Jenkins does not support a year field' };
+  }
+
+  if (fields.dayOfMonth.specials.length > 0 || fields.dayOfWeek.specials.length > 0) {
+    return { success: false, error: 'Jenkins does not support L, W or # modifiers' };
+  }
+
+  // Jenkins has no names and no ?
+  const write = name => {
+    const field = fields[name];
+    if (isWildcard(field)) return '*';
+    return /[a-z]/i.test(field.raw) && field.hashes.length === 0 ? compactValues(field.values, FIELDS[name]) : field.raw;
+  };
+  const body = ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'].map(write).join(' ');
+
+  // Jenkins reads TZ= (not CRON_TZ=)
+  const jenkinsCron = parsed.timezone ? `TZ=${parsed.timezone} ${body}` : body;
+
+  let note = 'Jenkins cron syntax';
+  if (fields.minute.hashes.length === 0 && fields.minute.values.length === 1) {
+    note += `. Use H for the minute (H ${body.split(' ').slice(1).join(' ')}) to spread jobs over the hour`;
+  }
+
+  return {
+    success: true,
+    format: 'jenkins',
+    result: jenkinsCron,
+    note
+  };
+}
+
+/**
+ * Convert Jenkins format to standard cron, resolving H the way Jenkins does
+ * for a job
+ * @param {string} jenkinsExpr - Jenkins cron expression
+ * @param {string} seed - The job's full name (default: every H is its lowest value)
+ * @returns {Object} Conversion result
+ */
+function fromJenkins(jenkinsExpr, seed) {
+  const parsed = parse(jenkinsExpr, { dialect: 'jenkins', seed });
+  if (!parsed.valid) {
+    return { success: false, error: `Invalid Jenkins cron: ${parsed.error || parsed.errors?.join(', ')}` };
+  }
+
+  const hashed = Object.values(parsed.fields).some(f => f.hashes.length > 0);
+  const fields = resolveHashes(parsed.fields);
+  const body = ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'].map(name => fields[name].raw).join(' ');
+  const standardCron = parsed.timezone ? `${parsed.timezonePrefix}=${parsed.timezone} ${body}` : body;
+
+  let note;
+  if (hashed) {
+    note = seed === undefined
+      ? 'No seed: each H is its lowest value. Pass the job\'s full name as seed for the times Jenkins picks'
+      : `H resolved for job "${seed}"`;
+  }
+
+  return {
+    success: true,
+    format: 'cron',
+    result: standardCron,
+    description: describe(standardCron),
+    note
   };
 }
 
@@ -224,8 +503,7 @@ function fromAws(awsExpr) {
     return { success: false, error: `Invalid AWS cron: expected 6 fields, got ${parts.length}` };
   }
 
-  let [minute, hour, dom, month, dow] = parts;
-  // Ignore year field (parts[5])
+  let [minute, hour, dom, month, dow, year] = parts;
 
   // Convert ? to *
   if (dom === '?') dom = '*';
@@ -233,22 +511,71 @@ function fromAws(awsExpr) {
 
   // Convert AWS day of week (1=Sun) to standard (0=Sun)
   if (dow !== '*') {
-    dow = dow.split(',').map(d => {
-      const num = parseInt(d, 10);
-      if (!isNaN(num)) {
-        return num === 1 ? 0 : num - 1;
-      }
-      return d;
-    }).join(',');
+    const standardDow = fromQuartzDayOfWeek(dow);
+    if (standardDow === null) {
+      return { success: false, error: `Invalid AWS cron: "${dow}" is not a day of week (1-7, 1 = Sunday)` };
+    }
+    dow = standardDow;
   }
 
-  const standardCron = `${minute} ${hour} ${dom} ${month} ${dow}`;
+  // A year restriction needs the 7-field layout (seconds ... year)
+  const standardCron = year === '*'
+    ? `${minute} ${hour} ${dom} ${month} ${dow}`
+    : `0 ${minute} ${hour} ${dom} ${month} ${dow} ${year}`;
 
   return {
     success: true,
     format: 'cron',
     result: standardCron,
-    description: describe(standardCron)
+    description: describe(standardCron),
+    note: year === '*' ? undefined : 'Year field kept (7-field cron: second ... year)'
+  };
+}
+
+/**
+ * Convert Quartz format to standard cron
+ * @param {string} quartzExpr - Quartz cron expression (6 or 7 fields)
+ * @returns {Object} Conversion result
+ */
+function fromQuartz(quartzExpr) {
+  // Quartz format: seconds minutes hours day-of-month month day-of-week [year]
+  const parts = quartzExpr.trim().split(/\s+/);
+  if (parts.length !== 6 && parts.length !== 7) {
+    return { success: false, error: `Invalid Quartz cron: expected 6 or 7 fields, got ${parts.length}` };
+  }
+
+  let [second, minute, hour, dom, month, dow, year = '*'] = parts;
+
+  // Convert ? to *
+  if (dom === '?') dom = '*';
+  if (dow === '?') dow = '*';
+
+  // Convert Quartz day of week (1=Sun) to standard (0=Sun)
+  if (dow !== '*') {
+    const standardDow = fromQuartzDayOfWeek(dow);
+    if (standardDow === null) {
+      return { success: false, error: `Invalid Quartz cron: "${dow}" is not a day of week (1-7, 1 = Sunday)` };
+    }
+    dow = standardDow;
+  }
+
+  // Keep the seconds and year fields only when they carry information
+  let standardCron = `${minute} ${hour} ${dom} ${month} ${dow}`;
+  let note;
+  if (year !== '*') {
+    standardCron = `${second} ${standardCron} ${year}`;
+    note = 'Seconds and year fields kept (7-field cron)';
+  } else if (second !== '0') {
+    standardCron = `${second} ${standardCron}`;
+    note = 'Seconds field kept (6-field cron, as used by node-cron)';
+  }
+
+  return {
+    success: true,
+    format: 'cron',
+    result: standardCron,
+    description: describe(standardCron),
+    note
   };
 }
 
@@ -276,8 +603,17 @@ function fromSystemd(systemdExpr) {
   let month = '*';
   let hour = '*';
   let minute = '*';
+  let timezone = null;
 
   for (const part of parts) {
+    // Trailing timezone (before the day names: "America/Montevideo" contains "Mon")
+    if (part.includes('/') || part === 'UTC') {
+      if (IANAZone.isValidZone(part)) {
+        timezone = part;
+        continue;
+      }
+    }
+
     // Day of week
     const dayMap = { 'Sun': 0, 'Mon': 1, 'Tue': 2, 'Wed': 3, 'Thu': 4, 'Fri': 5, 'Sat': 6 };
     if (Object.keys(dayMap).some(d => part.includes(d))) {
@@ -308,7 +644,7 @@ function fromSystemd(systemdExpr) {
     }
   }
 
-  const standardCron = `${minute} ${hour} ${dom} ${month} ${dow}`;
+  const standardCron = `${timezone ? `CRON_TZ=${timezone} ` : ''}${minute} ${hour} ${dom} ${month} ${dow}`;
 
   return {
     success: true,
@@ -323,25 +659,24 @@ function fromSystemd(systemdExpr) {
  * Convert from any supported format to standard cron
  * @param {string} expression - Expression to convert
  * @param {string} fromFormat - Source format
+ * @param {Object} options - Options
+ * @param {string} options.seed - Job name Jenkins hashes H with (jenkins)
+ * @param {boolean} options.seconds - Allow a seconds field when
+ *   approximating whole-minute intervals (every)
  * @returns {Object} Conversion result
  */
-function toCron(expression, fromFormat) {
+function toCron(expression, fromFormat, options = {}) {
   switch (fromFormat.toLowerCase()) {
     case 'aws':
       return fromAws(expression);
     case 'systemd':
       return fromSystemd(expression);
     case 'quartz':
+      return fromQuartz(expression);
     case 'jenkins':
-      // These have seconds field, strip it
-      const parts = expression.trim().split(/\s+/);
-      if (parts.length === 6 || parts.length === 7) {
-        const cronParts = parts.slice(1, 6); // Skip seconds, take next 5
-        // Handle ? -> *
-        const result = cronParts.map(p => p === '?' ? '*' : p).join(' ');
-        return { success: true, format: 'cron', result, description: describe(result) };
-      }
-      return { success: false, error: 'Invalid Quartz/Jenkins format' };
+      return fromJenkins(expression, options.seed);
+    case 'every':
+      return approximateInterval(expression, options);
     default:
       return { success: false, error: `Unknown format: ${fromFormat}` };
   }
@@ -351,19 +686,23 @@ function toCron(expression, fromFormat) {
  * Convert standard cron to specified format
  * @param {string} expression - Cron expression
  * @param {string} toFormat - Target format
+ * @param {Object} options - Options
+ * @param {string} options.sourceTz - Timezone the expression is written in (aws and github)
+ * @param {string} options.seed - Job name H values are hashed from (all but jenkins, which keeps H)
  * @returns {Object} Conversion result
  */
-function fromCron(expression, toFormat) {
+function fromCron(expression, toFormat, options = {}) {
   switch (toFormat.toLowerCase()) {
     case 'systemd':
-      return toSystemd(expression);
+      return toSystemd(expression, options);
     case 'aws':
-      return toAws(expression);
+      return toAws(expression, options);
     case 'github':
-      return toGitHub(expression);
+      return toGitHub(expression, options);
     case 'quartz':
+      return toQuartz(expression, options);
     case 'jenkins':
-      return toQuartz(expression);
+      return toJenkins(expression);
     default:
       return { success: false, error: `Unknown format: ${toFormat}` };
   }
@@ -375,14 +714,17 @@ function fromCron(expression, toFormat) {
  * @returns {string|null} Detected format or null
  */
 function detectFormat(expression) {
-  const expr = expression.trim();
+  // A CRON_TZ=/TZ= prefix says nothing about the format
+  const expr = splitTimezone(expression).expression;
 
   if (expr.match(/^cron\s*\(/i)) return 'aws';
+  if (expr.match(/^@every(\s|$)/)) return 'every';
   if (expr.includes('OnCalendar') || expr.match(/^\w+-\w+-\w+\s/)) return 'systemd';
 
   const parts = expr.split(/\s+/);
+  if (parts.length === 5 && parts.some(p => /^H\b/.test(p))) return 'jenkins';
   if (parts.length === 5) return 'cron';
-  if (parts.length === 6) return 'quartz'; // or jenkins, they're similar
+  if (parts.length === 6) return 'quartz';
   if (parts.length === 7) return 'quartz';
 
   return null;
@@ -393,6 +735,7 @@ module.exports = {
   toAws,
   toGitHub,
   toQuartz,
+  toJenkins,
   toCron,
   fromCron,
   detectFormat,
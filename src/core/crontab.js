@@ -0,0 +1,137 @@
+/**
+ * Crontab file parsing
+ * @module core/crontab
+ */
+const { parse } = require('./parser');
+
+// NAME=value, NAME = "value" or NAME='value'
+const ASSIGNMENT = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/;
+
+// A schedule (an alias, "@every <duration>" or five fields) and the rest of the line
+const SCHEDULE = /^\s*(@every\s+\S+|@\S+|(?:\S+\s+){4}\S+)(?:\s+(.*?))?\s*$/;
+
+/**
+ * Strip one pair of matching quotes around a value
+ * @param {string} value - Value as written
+ * @returns {string}
+ */
+function unquote(value) {
+  const match = value.match(/^(["'])(.*)\1$/);
+  return match ? match[2] : value;
+}
+
+/**
+ * Split a crontab command at its first unescaped "%": cron runs the part
+ * before it and feeds the rest to it on stdin, each further "%" a newline.
+ * "\%" is a literal percent sign.
+ * @param {string} text - Command as written
+ * @returns {Object} { command, stdin } with stdin null when there is none
+ */
+function splitCommand(text) {
+  const parts = [''];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && text[i + 1] === '%') {
+      parts[parts.length - 1] += '%';
+      i++;
+    } else if (text[i] === '%') {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += text[i];
+    }
+  }
+  const [command, ...input] = parts;
+  return { command, stdin: input.length > 0 ? input.join('\n') : null };
+}
+
+/**
+ * Parse a crontab: comments, blank lines, VAR=value settings and jobs.
+ * Settings apply to the jobs below them; CRON_TZ sets the timezone those
+ * schedules run in.
+ * @param {string} text - Crontab contents
+ * @param {Object} options - Options (also passed to parse)
+ * @param {boolean} options.system - System crontab format (/etc/crontab,
+ *   /etc/cron.d/*): a user column between the schedule and the command
+ * @returns {Object} { jobs, variables, errors }
+ *   - jobs: [{ line, column, schedule, expression, timezone, user, command,
+ *     stdin, env, valid, error }] with column where the schedule starts,
+ *     expression the schedule with its CRON_TZ prefix, env the settings in
+ *     force and error set when the schedule is invalid
+ *   - variables: [{ line, name, value }]
+ *   - errors: [{ line, error }] for lines that are neither
+ */
+function parseCrontab(text, options = {}) {
+  const { system = false } = options;
+  const jobs = [];
+  const variables = [];
+  const errors = [];
+  const env = {};
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    const trimmed = raw.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) return;
+
+    const assignment = raw.match(ASSIGNMENT);
+    if (assignment) {
+      const [, name, value] = assignment;
+      env[name] = unquote(value);
+      variables.push({ line, name, value: env[name] });
+      return;
+    }
+
+    const match = raw.match(SCHEDULE);
+    if (!match) {
+      errors.push({ line, error: 'not a job or setting: expected five fields or an @alias before the command' });
+      return;
+    }
+
+    const [, schedule, rest = ''] = match;
+    let user = null;
+    let commandText = rest;
+    if (system) {
+      const userMatch = rest.match(/^(\S+)\s*(.*)$/);
+      user = userMatch ? userMatch[1] : null;
+      commandText = userMatch ? userMatch[2] : '';
+    }
+    if (commandText === '' || (system && !user)) {
+      errors.push({ line, error: system ? 'missing user or command after the schedule' : 'missing command after the schedule' });
+      return;
+    }
+
+    const timezone = env.CRON_TZ || null;
+    const expression = timezone ? `CRON_TZ=${timezone} ${schedule}` : schedule;
+    const parsed = parse(expression, options);
+    const { command, stdin } = splitCommand(commandText);
+
+    jobs.push({
+      line,
+      column: raw.search(/\S/) + 1,
+      schedule,
+      expression,
+      timezone,
+      user,
+      command,
+      stdin,
+      env: { ...env },
+      valid: parsed.valid,
+      error: parsed.valid ? null : parsed.error || parsed.errors?.join(', ')
+    });
+  });
+
+  return { jobs, variables, errors };
+}
+
+/**
+ * Whether a path is a system crontab, with a user column
+ * @param {string} file - Path
+ * @returns {boolean}
+ */
+function isSystemCrontab(file) {
+  return /(^|\/)etc\/(crontab$|cron\.d\/)/.test(file);
+}
+
+module.exports = {
+  parseCrontab,
+  splitCommand,
+  isSystemCrontab
+};
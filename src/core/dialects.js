@@ -0,0 +1,157 @@
+/**
+ * Cron dialects: which syntax each scheduler accepts
+ * @module core/dialects
+ */
+
+const STANDARD = ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'];
+const TIME_ALIASES = ['@yearly', '@annually', '@monthly', '@weekly', '@daily', '@midnight', '@hourly'];
+
+/**
+ * Dialect profiles, by the name passed as parse(expr, { dialect })
+ *   - layouts: accepted field layouts, by field count
+ *   - aliases: accepted @ aliases
+ *   - prefixes: accepted timezone prefixes (CRON_TZ, TZ)
+ *   - names: month and weekday names (jan, mon)
+ *   - steps: "/" steps
+ *   - modifiers: L, W and # in the day fields
+ *   - questionMark: "?" in the day fields
+ *   - oneQuestionMark: exactly one day field must be "?"
+ *   - dayOfWeek: { min, max, sunday } numbering of day of week
+ *   - wrapRanges: ranges like 22-2 wrap around the end of the field
+ *   - wrapper: the expression may be written as wrapper(...), e.g. cron(...)
+ *   - hash: Jenkins "H" hashed values
+ *   - expansions: what aliases mean, where it differs from ALIASES
+ */
+const DIALECTS = {
+  vixie: {
+    name: 'Vixie cron',
+    layouts: [STANDARD],
+    aliases: [...TIME_ALIASES, '@reboot'],
+    prefixes: [],
+    names: true,
+    steps: true,
+    modifiers: false,
+    questionMark: false,
+    oneQuestionMark: false,
+    dayOfWeek: { min: 0, max: 7, sunday: 0 },
+    wrapRanges: false,
+    hash: false
+  },
+  cronie: {
+    name: 'cronie',
+    layouts: [STANDARD],
+    aliases: [...TIME_ALIASES, '@reboot'],
+    prefixes: ['CRON_TZ'],
+    names: true,
+    steps: true,
+    modifiers: false,
+    questionMark: false,
+    oneQuestionMark: false,
+    dayOfWeek: { min: 0, max: 7, sunday: 0 },
+    wrapRanges: false,
+    hash: false
+  },
+  posix: {
+    name: 'POSIX cron',
+    layouts: [STANDARD],
+    aliases: [],
+    prefixes: [],
+    names: false,
+    steps: false,
+    modifiers: false,
+    questionMark: false,
+    oneQuestionMark: false,
+    dayOfWeek: { min: 0, max: 6, sunday: 0 },
+    wrapRanges: false,
+    hash: false
+  },
+  quartz: {
+    name: 'Quartz',
+    layouts: [['second', ...STANDARD], ['second', ...STANDARD, 'year']],
+    aliases: [],
+    prefixes: [],
+    names: true,
+    steps: true,
+    modifiers: true,
+    questionMark: true,
+    oneQuestionMark: true,
+    dayOfWeek: { min: 1, max: 7, sunday: 1 },
+    wrapRanges: true,
+    hash: false
+  },
+  aws: {
+    name: 'AWS EventBridge',
+    layouts: [[...STANDARD, 'year']],
+    aliases: [],
+    prefixes: [],
+    names: true,
+    steps: true,
+    modifiers: true,
+    questionMark: true,
+    oneQuestionMark: true,
+    dayOfWeek: { min: 1, max: 7, sunday: 1 },
+    wrapRanges: false,
+    wrapper: 'cron',
+    hash: false
+  },
+  jenkins: {
+    name: 'Jenkins',
+    layouts: [STANDARD],
+    aliases: TIME_ALIASES,
+    prefixes: ['TZ'],
+    names: false,
+    steps: true,
+    modifiers: false,
+    questionMark: false,
+    oneQuestionMark: false,
+    dayOfWeek: { min: 0, max: 7, sunday: 0 },
+    wrapRanges: false,
+    hash: true,
+    expansions: {
+      '@yearly': 'H H H H *',
+      '@annually': 'H H H H *',
+      '@monthly': 'H H H * *',
+      '@weekly': 'H H * * H',
+      '@daily': 'H H * * *',
+      '@midnight': 'H H(0-2) * * *',
+      '@hourly': 'H * * * *'
+    }
+  },
+  k8s: {
+    name: 'Kubernetes CronJob',
+    layouts: [STANDARD],
+    aliases: TIME_ALIASES,
+    prefixes: [],
+    prefixHint: 'set .spec.timeZone on the CronJob instead',
+    names: true,
+    steps: true,
+    modifiers: false,
+    questionMark: true,
+    oneQuestionMark: false,
+    dayOfWeek: { min: 0, max: 6, sunday: 0 },
+    wrapRanges: false,
+    hash: false
+  }
+};
+
+const DIALECT_NAMES = Object.keys(DIALECTS);
+
+/**
+ * Look up a dialect profile
+ * @param {string} name - Dialect name (see DIALECTS), or nothing for the
+ *   permissive default that accepts every supported syntax
+ * @returns {Object|null} Profile, or null for the default
+ */
+function getDialect(name) {
+  if (name === undefined || name === null) return null;
+  if (!DIALECTS[name]) {
+    throw new Error(`Unknown dialect "${name}" (expected one of ${DIALECT_NAMES.join(', ')})`);
+  }
+  return DIALECTS[name];
+}
+
+module.exports = {
+  DIALECTS,
+  DIALECT_NAMES,
+  getDialect
+};
@@ -0,0 +1,128 @@
+/**
+ * DST sensitivity report
+ * @module core/dst
+ */
+const { DateTime } = require('luxon');
+const { parse, usesSeconds } = require('./parser');
+const { getNextOccurrences, isFixedTime, getWallMatches, toWall, DST_POLICIES } = require('./schedule');
+const { getZone, getTransitions } = require('./timezone');
+
+/**
+ * Format a wall-clock time of day
+ * @param {Object} wall - Wall-clock time
+ * @param {boolean} withSeconds - Include seconds
+ * @returns {string}
+ */
+function formatWall(wall, withSeconds) {
+  return DateTime.fromObject(wall, { zone: 'UTC' }).toFormat(withSeconds ? 'HH:mm:ss' : 'HH:mm');
+}
+
+/**
+ * Report how a schedule is affected by the DST transitions of a timezone
+ * @param {string} expression - Cron expression
+ * @param {Object} options - Options
+ * @param {string} options.timezone - Timezone (default: local; a CRON_TZ=/TZ= prefix wins)
+ * @param {Date} options.from - Start of the window (default: now)
+ * @param {number} options.years - Length of the window in years (default: 1)
+ * @param {string} options.dst - DST policy: 'vixie' (default) or 'strict'
+ * @param {boolean} options.wrapRanges - Accept wrap-around ranges (see parse; also
+ *   seed and dialect)
+ * @returns {Object} Report; transitions lists every transition that affects
+ *   the schedule, with the wall-clock times it skips, doubles or moves
+ *   (gap times that run right after the jump) and the shift in minutes of its
+ *   UTC run times. sensitive is true when anything is skipped, doubled or moved.
+ */
+function getDstReport(expression, options = {}) {
+  const { timezone = 'local', from = new Date(), years = 1, dst = 'vixie' } = options;
+
+  const parsed = parse(expression, options);
+  if (!parsed.valid) {
+    return { valid: false, error: parsed.error || parsed.errors?.join(', ') };
+  }
+
+  if (!DST_POLICIES.includes(dst)) {
+    return { valid: false, error: `Unknown DST policy "${dst}" (expected ${DST_POLICIES.join(' or ')})` };
+  }
+
+  // A CRON_TZ=/TZ= prefix in the expression wins over the option
+  const tz = parsed.timezone || timezone;
+  const zone = getZone(tz);
+  if (!zone.isValid) {
+    return { valid: false, error: `Unknown timezone: ${tz}` };
+  }
+
+  const until = DateTime.fromJSDate(from).plus({ years }).toJSDate();
+  const report = {
+    valid: true,
+    expression,
+    timezone: zone.name,
+    policy: dst,
+    from: from.toISOString(),
+    until: until.toISOString(),
+    transitions: [],
+    sensitive: false
+  };
+
+  if (parsed.isReboot || parsed.isInterval) {
+    return report;
+  }
+
+  const fixedTime = isFixedTime(parsed);
+  const withSeconds = usesSeconds(parsed.fields);
+  // Jobs tied to specific hours keep their local time, so their UTC time moves
+  const pinned = !parsed.fields.hour.raw.startsWith('*');
+  const transitions = getTransitions(tz, from, until);
+
+  transitions.forEach(({ at, before, after }, i) => {
+    const springForward = after > before;
+
+    // Wall-clock range skipped (spring forward) or repeated (fall back)
+    const start = toWall(at + Math.min(before, after) * 60000);
+    const end = toWall(at + Math.max(before, after) * 60000);
+    const affected = getWallMatches(parsed, start, end).map(w => formatWall(w, withSeconds));
+
+    const entry = {
+      at: new Date(at).toISOString(),
+      kind: springForward ? 'spring-forward' : 'fall-back',
+      localBefore: DateTime.fromObject(toWall(at + before * 60000), { zone: 'UTC' }).toFormat('yyyy-MM-dd HH:mm'),
+      localAfter: DateTime.fromObject(toWall(at + after * 60000), { zone: 'UTC' }).toFormat('yyyy-MM-dd HH:mm'),
+      offsetBefore: before,
+      offsetAfter: after,
+      skipped: [],
+      doubled: [],
+      moved: [],
+      shift: 0
+    };
+
+    if (springForward) {
+      if (dst === 'vixie' && fixedTime) {
+        entry.moved = affected;
+      } else {
+        entry.skipped = affected;
+      }
+    } else if (dst === 'strict' || !fixedTime) {
+      entry.doubled = affected;
+    }
+
+    // Only a shift the job can notice: it runs before the next transition
+    if (pinned) {
+      const nextChange = i + 1 < transitions.length ? transitions[i + 1].at : until.getTime();
+      const [nextRun] = getNextOccurrences(expression, 1, { ...options, timezone: tz, from: new Date(at - 1), dst });
+      if (nextRun && nextRun.getTime() < nextChange) {
+        entry.shift = before - after;
+      }
+    }
+
+    entry.sensitive = entry.skipped.length > 0 || entry.doubled.length > 0 || entry.moved.length > 0;
+    if (entry.sensitive || entry.shift !== 0) {
+      report.transitions.push(entry);
+    }
+  });
+
+  report.sensitive = report.transitions.some(t => t.sensitive);
+  return report;
+}
+
+module.exports = {
+  getDstReport
+};
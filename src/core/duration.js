@@ -0,0 +1,91 @@
+/**
+ * Go-style durations for @every schedules ("90m", "1h30m", "1.5h")
+ * @module core/duration
+ */
+
+// Units time.ParseDuration accepts, in milliseconds
+const UNITS = {
+  ns: 1e-6,
+  us: 1e-3,
+  'µs': 1e-3,
+  'μs': 1e-3,
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000
+};
+
+const PART = /(\d*\.?\d*)([a-zµμ]+)/gy;
+
+/**
+ * Parse a duration the way Go's time.ParseDuration does: a sequence of
+ * numbers, each with a unit (ns, us, ms, s, m, h)
+ * @param {string} text - Duration, e.g. "1h30m"
+ * @returns {number} Milliseconds
+ * @throws {Error} If the text is not a duration
+ */
+function parseDuration(text) {
+  if (text === '0') return 0;
+  if (!text) throw new Error('missing duration');
+
+  let ms = 0;
+  let end = 0;
+  PART.lastIndex = 0;
+  for (let m = PART.exec(text); m; m = PART.exec(text)) {
+    const [, number, unit] = m;
+    if (number === '' || number === '.') {
+      throw new Error(`"${text}" is missing a number before "${unit}"`);
+    }
+    if (!(unit in UNITS)) {
+      throw new Error(`unknown unit "${unit}" in "${text}" (use h, m, s, ms, us or ns)`);
+    }
+    ms += parseFloat(number) * UNITS[unit];
+    end = PART.lastIndex;
+  }
+
+  if (end !== text.length) {
+    throw new Error(/^\d+(\.\d*)?$/.test(text.slice(end))
+      ? `"${text}" is missing a unit`
+      : `"${text}" is not a duration`);
+  }
+  return ms;
+}
+
+/**
+ * Write milliseconds as a compact duration, e.g. "1h30m" or "45s"
+ * @param {number} ms - Milliseconds (whole seconds)
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  const text = `${h ? `${h}h` : ''}${m ? `${m}m` : ''}${s ? `${s}s` : ''}`;
+  return text || '0s';
+}
+
+/**
+ * Write milliseconds in words, e.g. "1 hour 30 minutes"
+ * @param {number} ms - Milliseconds (whole seconds)
+ * @returns {string}
+ */
+function describeDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const units = [
+    ['day', Math.floor(seconds / 86400)],
+    ['hour', Math.floor((seconds % 86400) / 3600)],
+    ['minute', Math.floor((seconds % 3600) / 60)],
+    ['second', seconds % 60]
+  ];
+  return units
+    .filter(([, n]) => n > 0)
+    .map(([unit, n]) => `${n} ${unit}${n === 1 ? '' : 's'}`)
+    .join(' ') || '0 seconds';
+}
+
+module.exports = {
+  parseDuration,
+  formatDuration,
+  describeDuration
+};
@@ -0,0 +1,144 @@
+/**
+ * Exact set relations between cron schedules
+ * @module core/equivalence
+ */
+const { parse, matchesDay, FIELDS } = require('./parser');
+
+// The Gregorian calendar repeats every 400 years (146097 days, a whole
+// number of weeks). Starting in 1970 the cycle also covers every year a year
+// field can name (1970-2099).
+const CYCLE_START = Date.UTC(1970, 0, 1);
+const CYCLE_DAYS = 146097;
+const DAY_MS = 86400000;
+
+/**
+ * Split a schedule into the days it runs on and the times of day it runs
+ * at: every cron schedule is all combinations of the two
+ * @param {Object} fields - Parsed fields
+ * @returns {Object} { matchesDate(year, month, day), times } with times the
+ *   sorted seconds since midnight
+ */
+function splitSchedule(fields) {
+  const seconds = fields.second ? fields.second.values : [0];
+  const times = [];
+  fields.hour.values.forEach(h => fields.minute.values.forEach(m => seconds.forEach(s => {
+    times.push(h * 3600 + m * 60 + s);
+  })));
+  times.sort((a, b) => a - b);
+
+  // A year field naming every year it can is the same as none
+  const years = fields.year && fields.year.values.length < FIELDS.year.max - FIELDS.year.min + 1
+    ? new Set(fields.year.values)
+    : null;
+  const months = new Set(fields.month.values);
+
+  return {
+    times,
+    matchesDate: (year, month, day) => (!years || years.has(year)) && months.has(month) &&
+      matchesDay(fields, year, month, day)
+  };
+}
+
+/**
+ * Write a day and a time of day as a wall-clock timestamp
+ * @param {Date} day - Day, at UTC midnight
+ * @param {number} time - Seconds since midnight
+ * @returns {string} e.g. "2026-11-02T09:00:00"
+ */
+function wallTime(day, time) {
+  return new Date(day.getTime() + time * 1000).toISOString().slice(0, 19);
+}
+
+/**
+ * Decide exactly how two schedules relate, as sets of wall-clock times over
+ * a full 400-year calendar cycle (leap years, L/W/# modifiers and the
+ * day-of-month/day-of-week OR rule included). Timezone prefixes and DST are
+ * not considered.
+ * @param {string} expr1 - First expression
+ * @param {string} expr2 - Second expression
+ * @param {Object} options - Options (also passed to parse)
+ * @param {Date} options.from - Pick examples from this day on where there
+ *   are any (default: now)
+ * @returns {Object} { valid, relation, examples } or { valid: false, error }
+ *   - relation: 'equal', 'subset' (every run of the first is a run of the
+ *     second), 'superset', 'disjoint' or 'overlap'
+ *   - examples: { onlyFirst, onlySecond, both } wall-clock timestamps, or
+ *     null where there is no such run
+ */
+function relate(expr1, expr2, options = {}) {
+  const { from = new Date() } = options;
+  const parsed = [parse(expr1, options), parse(expr2, options)];
+
+  const invalid = parsed.findIndex(p => !p.valid);
+  if (invalid !== -1) {
+    const p = parsed[invalid];
+    return { valid: false, error: `${invalid === 0 ? 'First' : 'Second'} expression invalid: ${p.error || p.errors?.join(', ')}` };
+  }
+  const special = parsed.find(p => p.isReboot || p.isInterval);
+  if (special) {
+    return { valid: false, error: `${special.original || special.alias} doesn't run at fixed times` };
+  }
+
+  const [a, b] = parsed.map(p => splitSchedule(p.fields));
+  const timesB = new Set(b.times);
+  const timesA = new Set(a.times);
+  const timeOnlyA = a.times.find(t => !timesB.has(t));
+  const timeOnlyB = b.times.find(t => !timesA.has(t));
+  const timeBoth = a.times.find(t => timesB.has(t));
+
+  // First day of each kind, scanning the cycle from the from day and wrapping around
+  const start = Math.min(Math.max(0, Math.floor((from.getTime() - CYCLE_START) / DAY_MS)), CYCLE_DAYS - 1);
+  const days = {};
+  for (let i = 0; i < CYCLE_DAYS; i++) {
+    const day = new Date(CYCLE_START + ((start + i) % CYCLE_DAYS) * DAY_MS);
+    const y = day.getUTCFullYear();
+    const m = day.getUTCMonth() + 1;
+    const d = day.getUTCDate();
+    const inA = a.matchesDate(y, m, d);
+    const inB = b.matchesDate(y, m, d);
+
+    if (inA) days.a = days.a || day;
+    if (inB) days.b = days.b || day;
+    if (inA && !inB) days.onlyA = days.onlyA || day;
+    if (inB && !inA) days.onlyB = days.onlyB || day;
+    if (inA && inB) days.both = days.both || day;
+    if (days.onlyA && days.onlyB && days.both) break;
+  }
+
+  const startWall = wallTime(new Date(CYCLE_START + start * DAY_MS), 0);
+
+  /**
+   * The earliest run of one schedule that the other doesn't have
+   * @param {Date} onlyDay - A day only this schedule runs on
+   * @param {Array<number>} times - This schedule's times of day
+   * @param {Date} anyDay - A day this schedule runs on
+   * @param {number} onlyTime - A time of day only this schedule runs at
+   * @returns {string|null}
+   */
+  const onlyIn = (onlyDay, times, anyDay, onlyTime) => {
+    const candidates = [];
+    if (onlyDay && times.length > 0) candidates.push(wallTime(onlyDay, times[0]));
+    if (anyDay && onlyTime !== undefined) candidates.push(wallTime(anyDay, onlyTime));
+    // Earliest from the from day on, then the earliest before it
+    candidates.sort((x, y) => (x < startWall) - (y < startWall) || (x < y ? -1 : 1));
+    return candidates[0] || null;
+  };
+
+  const examples = {
+    onlyFirst: onlyIn(days.onlyA, a.times, days.a, timeOnlyA),
+    onlySecond: onlyIn(days.onlyB, b.times, days.b, timeOnlyB),
+    both: days.both && timeBoth !== undefined ? wallTime(days.both, timeBoth) : null
+  };
+
+  let relation = 'overlap';
+  if (!examples.onlyFirst && !examples.onlySecond) relation = 'equal';
+  else if (!examples.onlyFirst) relation = 'subset';
+  else if (!examples.onlySecond) relation = 'superset';
+  else if (!examples.both) relation = 'disjoint';
+
+  return { valid: true, relation, examples };
+}
+
+module.exports = {
+  relate
+};
@@ -0,0 +1,65 @@
+/**
+ * Jenkins "H" hashing: the same values Jenkins picks for a job
+ * @module core/hash
+ */
+const crypto = require('crypto');
+
+// java.util.Random's linear congruential generator
+const MULTIPLIER = 0x5DEECE66Dn;
+const ADDEND = 0xBn;
+const MASK = (1n << 48n) - 1n;
+
+/**
+ * A java.util.Random seeded with a long
+ * @param {bigint} seed - Seed
+ * @returns {Object} { next(bits), nextInt(bound) } as in Java
+ */
+function javaRandom(seed) {
+  let state = (seed ^ MULTIPLIER) & MASK;
+
+  const next = bits => {
+    state = (state * MULTIPLIER + ADDEND) & MASK;
+    return Number(BigInt.asIntN(32, state >> BigInt(48 - bits)));
+  };
+
+  return {
+    next,
+    nextInt(bound) {
+      let r = next(31);
+      const m = bound - 1;
+      if ((bound & m) === 0) {
+        return Number((BigInt(bound) * BigInt(r)) >> 31n);
+      }
+      // Reject values from the uneven top of the range (int overflow makes it negative)
+      for (let u = r; ((u - (r = u % bound) + m) | 0) < 0; u = next(31));
+      return r;
+    }
+  };
+}
+
+/**
+ * Create the hash Jenkins uses for "H" in a job's schedule. Jenkins seeds it
+ * with the job's full name (e.g. "folder/my-job"); without a seed every H
+ * picks the lowest value, as Jenkins does for schedules outside a job.
+ * @param {string} seed - Seed, e.g. the job's full name
+ * @returns {Object} { next(n) } returning 0 to n-1, consumed in field order
+ */
+function createHash(seed) {
+  if (seed === undefined || seed === null) {
+    return { next: () => 0 };
+  }
+
+  // MD5 folded to 8 bytes, read as a long (hudson.util.Hash.from)
+  const digest = crypto.createHash('md5').update(String(seed), 'utf8').digest();
+  for (let i = 8; i < digest.length; i++) {
+    digest[i % 8] ^= digest[i];
+  }
+  const random = javaRandom(digest.readBigUInt64BE(0));
+
+  return { next: n => random.nextInt(n) };
+}
+
+module.exports = {
+  createHash,
+  javaRandom
+};
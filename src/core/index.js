@@ -3,18 +3,62 @@
  * @module core
  */
 const parser = require('./parser');
+const schedule = require('./schedule');
 const generator = require('./generator');
 const converter = require('./converter');
+const timezone = require('./timezone');
+const dst = require('./dst');
+const shift = require('./shift');
+const dialects = require('./dialects');
+const interval = require('./interval');
+const normalize = require('./normalize');
+const equivalence = require('./equivalence');
+const sets = require('./sets');
+const timeline = require('./timeline');
+const crontab = require('./crontab');
+const lint = require('./lint');
+const load = require('./load');
+const spread = require('./spread');
 
 module.exports = {
   // Parser
   parse: parser.parse,
   validate: parser.validate,
   describe: parser.describe,
-  getNextOccurrences: parser.getNextOccurrences,
-  compare: parser.compare,
+  matches: parser.matches,
+  isWildcard: parser.isWildcard,
+  usesSeconds: parser.usesSeconds,
+  normalize: normalize.normalize,
+  parseCrontab: crontab.parseCrontab,
+  isSystemCrontab: crontab.isSystemCrontab,
+  lint: lint.lint,
+  LINT_RULES: lint.RULES,
   FIELDS: parser.FIELDS,
   ALIASES: parser.ALIASES,
+  DIALECTS: dialects.DIALECTS,
+  DIALECT_NAMES: dialects.DIALECT_NAMES,
+
+  // Schedule
+  getNextOccurrences: schedule.getNextOccurrences,
+  getPreviousOccurrences: schedule.getPreviousOccurrences,
+  occurrences: schedule.occurrences,
+  compare: schedule.compare,
+  relate: equivalence.relate,
+  intersect: sets.intersect,
+  union: sets.union,
+  subtract: sets.subtract,
+  getTimeline: timeline.getTimeline,
+  getLoad: load.getLoad,
+  spread: spread.spread,
+  isFixedTime: schedule.isFixedTime,
+  DST_POLICIES: schedule.DST_POLICIES,
+
+  // Timezone
+  getWallTimeStatus: timezone.getWallTimeStatus,
+  getTransitions: timezone.getTransitions,
+  getDstReport: dst.getDstReport,
+  shiftTimezone: shift.shiftTimezone,
+  formatOffset: shift.formatOffset,
 
   // Generator
   generate: generator.generate,
@@ -26,7 +70,9 @@ module.exports = {
   toAws: converter.toAws,
   toGitHub: converter.toGitHub,
   toQuartz: converter.toQuartz,
+  toJenkins: converter.toJenkins,
   toCron: converter.toCron,
+  approximateInterval: interval.approximateInterval,
   fromCron: converter.fromCron,
   detectFormat: converter.detectFormat,
   FORMATS: converter.FORMATS
@@ -0,0 +1,175 @@
+/**
+ * Cron equivalents of @every interval schedules
+ * @module core/interval
+ */
+const { parse, compactValues, FIELDS } = require('./parser');
+const { formatDuration, describeDuration } = require('./duration');
+
+const DAY = 86400;
+const WEEK = 7 * DAY;
+const MONTH = 30.436875 * DAY; // average Gregorian month
+
+// Beyond this many expressions an exact rewrite isn't worth having
+const MAX_EXPRESSIONS = 6;
+
+/**
+ * Cron expressions that together run exactly every so many seconds, counted
+ * from midnight (only possible when the interval divides a day, or is a week)
+ * @param {number} seconds - Interval in seconds
+ * @returns {Array<string>|null} Expressions, or null if there are none
+ */
+function exactExpressions(seconds) {
+  if (seconds < 60 && 60 % seconds === 0) {
+    return [seconds === 1 ? '* * * * * *' : `*/${seconds} * * * * *`];
+  }
+  if (seconds % 60 === 0 && 3600 % seconds === 0) {
+    return [seconds === 60 ? '* * * * *' : `*/${seconds / 60} * * * *`];
+  }
+  if (seconds % 3600 === 0 && DAY % seconds === 0) {
+    return [seconds === 3600 ? '0 * * * *' : seconds === DAY ? '0 0 * * *' : `0 */${seconds / 3600} * * *`];
+  }
+  if (seconds === WEEK) return ['0 0 * * 0'];
+  if (DAY % seconds !== 0) return null;
+
+  // Every run in a day, as hour -> "minute:second" times
+  const byHour = new Map();
+  for (let t = 0; t < DAY; t += seconds) {
+    const hour = Math.floor(t / 3600);
+    if (!byHour.has(hour)) byHour.set(hour, []);
+    byHour.get(hour).push([Math.floor((t % 3600) / 60), t % 60]);
+  }
+
+  // Hours with the same times share expressions; within them, seconds with
+  // the same minutes do
+  const groups = new Map();
+  byHour.forEach((times, hour) => {
+    const key = times.map(([m, s]) => `${m}:${s}`).join(',');
+    if (!groups.has(key)) groups.set(key, { times, hours: [] });
+    groups.get(key).hours.push(hour);
+  });
+
+  const rows = [];
+  groups.forEach(({ times, hours }) => {
+    const bySecond = new Map();
+    times.forEach(([m, s]) => {
+      if (!bySecond.has(s)) bySecond.set(s, []);
+      bySecond.get(s).push(m);
+    });
+    const byMinutes = new Map();
+    bySecond.forEach((minutes, s) => {
+      const key = compactValues(minutes, FIELDS.minute);
+      if (!byMinutes.has(key)) byMinutes.set(key, []);
+      byMinutes.get(key).push(s);
+    });
+
+    const hourText = compactValues(hours, FIELDS.hour);
+    byMinutes.forEach((secondsList, minuteText) => {
+      rows.push([compactValues(secondsList, FIELDS.second), minuteText, hourText]);
+    });
+  });
+
+  if (rows.length > MAX_EXPRESSIONS) return null;
+  // Leave out seconds only when every expression runs on the minute
+  const withSeconds = rows.some(([second]) => second !== '0');
+  return rows.map(([second, minute, hour]) => (withSeconds
+    ? `${second} ${minute} ${hour} * * *`
+    : `${minute} ${hour} * * *`));
+}
+
+/**
+ * Intervals that cron can run exactly, with their expressions
+ * @returns {Array<Object>} [{ seconds, expressions }]
+ */
+function cronIntervals() {
+  const intervals = [];
+  for (let seconds = 1; seconds <= DAY; seconds++) {
+    if (DAY % seconds !== 0) continue;
+    const expressions = exactExpressions(seconds);
+    if (expressions) intervals.push({ seconds, expressions });
+  }
+  intervals.push({ seconds: WEEK, expressions: ['0 0 * * 0'] });
+  intervals.push({ seconds: MONTH, expressions: ['0 0 1 * *'] });
+  return intervals;
+}
+
+/**
+ * Find the cron schedule closest to an @every interval. When the interval
+ * divides a day (or is a week) the result is exact, as one or more
+ * expressions; otherwise it is the nearest interval cron can run, and drift
+ * says how far the runs move apart. An interval of whole minutes is only
+ * matched by whole-minute schedules, which any cron can run.
+ * @param {string} expression - "@every <duration>"
+ * @param {Object} options - Options
+ * @param {boolean} options.seconds - Allow schedules with a seconds field for
+ *   whole-minute intervals too (default: false)
+ * @returns {Object} { success, result, expressions, exact, description,
+ *   interval, period, drift, note }
+ *   - interval: the @every interval, period: the cron's, both in ms
+ *   - drift: { perRun, perDay } in ms, how much later (negative: earlier)
+ *     the cron runs fall each run and each day
+ */
+function approximateInterval(expression, options = {}) {
+  const parsed = parse(expression);
+  if (!parsed.valid) {
+    return { success: false, error: parsed.error || parsed.errors?.join(', ') };
+  }
+  if (!parsed.isInterval) {
+    return { success: false, error: `Not an @every interval: ${expression}` };
+  }
+
+  const seconds = parsed.interval / 1000;
+  let expressions = exactExpressions(seconds);
+  let period = seconds;
+
+  if (!expressions) {
+    // The closest interval cron can run, preferring fewer expressions; only
+    // intervals with seconds in them get candidates with seconds
+    const withSeconds = options.seconds || seconds % 60 !== 0;
+    const candidates = cronIntervals()
+      .filter(c => withSeconds || c.expressions.every(e => e.split(' ').length === 5));
+    const closest = candidates.reduce((best, candidate) => {
+      const diff = Math.abs(candidate.seconds - seconds) - Math.abs(best.seconds - seconds);
+      return diff < 0 || (diff === 0 && candidate.expressions.length < best.expressions.length) ? candidate : best;
+    });
+    expressions = closest.expressions;
+    period = closest.seconds;
+  }
+
+  const exact = period === seconds;
+  const perRun = (period - seconds) * 1000;
+  const drift = { perRun, perDay: Math.round(perRun * (DAY / seconds)) };
+
+  let note = exact
+    ? `Cron runs at fixed times counted from midnight; @every counts from when the scheduler starts, so the runs only line up if it started at one of them.`
+    : `No exact cron equivalent: this runs every ${formatDuration(period * 1000)} instead of ${formatDuration(seconds * 1000)}, ${formatDrift(perRun)} each run (${formatDrift(drift.perDay)} a day).`;
+  if (period >= 3600) {
+    note += ' Across DST changes cron keeps the clock time while @every keeps counting real time.';
+  }
+
+  return {
+    success: true,
+    format: 'cron',
+    result: expressions.join('\n'),
+    expressions,
+    exact,
+    description: `Every ${describeDuration(period * 1000)}, counted from midnight`,
+    interval: parsed.interval,
+    period: period * 1000,
+    drift,
+    note
+  };
+}
+
+/**
+ * Describe a drift, e.g. "2m later" or "1h 4m earlier"
+ * @param {number} ms - Drift in milliseconds
+ * @returns {string}
+ */
+function formatDrift(ms) {
+  const text = formatDuration(Math.abs(ms)).replace(/([hm])(?=\d)/g, '$1 ');
+  return `${text} ${ms < 0 ? 'earlier' : 'later'}`;
+}
+
+module.exports = {
+  approximateInterval
+};
@@ -0,0 +1,275 @@
+/**
+ * Crontab linting
+ * @module core/lint
+ */
+const { parse, isWildcard, daysInMonth } = require('./parser');
+const { isFixedTime } = require('./schedule');
+const { getDstReport } = require('./dst');
+const { normalize } = require('./normalize');
+const { parseCrontab } = require('./crontab');
+
+const SEVERITIES = ['off', 'warning', 'error'];
+
+// Separators between the commands of a shell line
+const COMMAND_SEPARATOR = /&&|\|\||[;|&]/;
+
+// "# cronwtf-disable-next-line rule-a, rule-b -- reason" (no rules: all of them)
+const DISABLE_NEXT_LINE = /^\s*#\s*cronwtf-disable-next-line(?:\s+(.*?))?\s*$/;
+
+/**
+ * Column of some text in a line, 1-based, or 1 if it isn't there
+ * @param {string} raw - Line
+ * @param {string|RegExp} text - Text to find
+ * @param {number} from - Index to search from
+ * @returns {number}
+ */
+function columnOf(raw, text, from = 0) {
+  const index = typeof text === 'string' ? raw.indexOf(text, from) : raw.slice(from).search(text) + from;
+  return index < from ? 1 : index + 1;
+}
+
+/**
+ * Checks on each valid job with its parsed schedule
+ * @param {Function} check - (job, parsed, context) => finding(s) or null
+ * @returns {Function} Rule check over a whole crontab
+ */
+function eachJob(check) {
+  return (crontab, context) => crontab.jobs
+    .filter(job => job.valid)
+    .flatMap(job => check(job, parse(job.expression, context.parseOptions), context) || []);
+}
+
+/**
+ * Every rule, by id. A check returns findings { line, column, message } and
+ * may set severity to override the rule's
+ */
+const RULES = {
+  'invalid-line': {
+    severity: 'error',
+    description: 'Line is neither a job, a setting nor a comment',
+    check: crontab => crontab.errors.map(e => ({ line: e.line, column: 1, message: e.error }))
+  },
+
+  'invalid-schedule': {
+    severity: 'error',
+    description: 'Schedule is not a valid cron expression',
+    check: crontab => crontab.jobs
+      .filter(job => !job.valid)
+      .map(job => ({ line: job.line, column: job.column, message: `invalid schedule: ${job.error}` }))
+  },
+
+  'every-minute': {
+    severity: 'warning',
+    description: 'Job runs every minute',
+    check: eachJob((job, parsed) => (!parsed.isReboot && !parsed.isInterval && parsed.fields.minute.values.length === 60
+      ? { line: job.line, column: job.column, message: 'runs every minute - intentional?' }
+      : null))
+  },
+
+  'dom-dow-or': {
+    severity: 'warning',
+    description: 'Day of month and day of week are both set, so cron runs the job on days matching either',
+    check: eachJob((job, parsed) => {
+      if (parsed.isReboot || parsed.isInterval) return null;
+      const { dayOfMonth, dayOfWeek } = parsed.fields;
+      if (isWildcard(dayOfMonth) || isWildcard(dayOfWeek)) return null;
+      return {
+        line: job.line,
+        column: job.column,
+        message: `day of month (${dayOfMonth.raw}) and day of week (${dayOfWeek.raw}) are both set - it runs on days matching either, not both`
+      };
+    })
+  },
+
+  'impossible-date': {
+    severity: 'error',
+    description: 'Schedule names a day its months never (or only in leap years) have',
+    check: eachJob((job, parsed) => {
+      if (parsed.isReboot || parsed.isInterval) return null;
+      const { dayOfMonth, dayOfWeek, month } = parsed.fields;
+      // With a day of week set too, the job still runs on those days
+      if (isWildcard(dayOfMonth) || !isWildcard(dayOfWeek) || dayOfMonth.specials.length > 0) return null;
+
+      const exists = year => month.values.some(m => dayOfMonth.values.some(d => d <= daysInMonth(year, m)));
+      if (!exists(2024)) {
+        return { line: job.line, column: job.column, message: `never runs: no month in "${month.raw}" has day ${dayOfMonth.raw}` };
+      }
+      if (!exists(2023)) {
+        return { line: job.line, column: job.column, severity: 'warning', message: 'only runs on February 29, in leap years' };
+      }
+      return null;
+    })
+  },
+
+  'dst-ambiguous': {
+    severity: 'warning',
+    description: 'Job runs at a time of day that daylight saving time skips or repeats',
+    check: eachJob((job, parsed, context) => {
+      if (parsed.isReboot || parsed.isInterval || !isFixedTime(parsed)) return null;
+      const report = getDstReport(job.expression, { ...context.parseOptions, timezone: context.timezone, from: context.from, dst: 'strict' });
+      if (!report.valid) return null;
+
+      const skipped = [...new Set(report.transitions.flatMap(t => t.skipped))];
+      const doubled = [...new Set(report.transitions.flatMap(t => t.doubled))];
+      const problems = [
+        skipped.length > 0 ? `${skipped.join(', ')} doesn't exist on the spring-forward day` : null,
+        doubled.length > 0 ? `${doubled.join(', ')} happens twice on the fall-back day` : null
+      ].filter(Boolean);
+      if (problems.length === 0) return null;
+
+      return { line: job.line, column: job.column, message: `in ${report.timezone}, ${problems.join(' and ')}` };
+    })
+  },
+
+  'missing-mailto': {
+    severity: 'warning',
+    description: 'No MAILTO is set, so job output is mailed to the crontab owner',
+    check: crontab => {
+      const job = crontab.jobs.find(j => !('MAILTO' in j.env));
+      return job
+        ? [{ line: job.line, column: 1, message: 'no MAILTO set above this job: its output is mailed to the crontab owner (MAILTO="" discards it)' }]
+        : [];
+    }
+  },
+
+  'unescaped-percent': {
+    severity: 'warning',
+    description: 'Unescaped % ends the command; cron sends the rest to its stdin',
+    check: (crontab, context) => crontab.jobs
+      .filter(job => job.stdin !== null)
+      .map(job => ({
+        line: job.line,
+        column: columnOf(context.lines[job.line - 1], /(^|[^\\])%/, job.column) + 1,
+        message: 'cron ends the command at "%" and sends the rest to its stdin - write \\% for a literal %'
+      }))
+  },
+
+  'relative-path': {
+    severity: 'warning',
+    description: 'Command runs a program by relative path, but cron starts jobs in the home directory',
+    check: (crontab, context) => crontab.jobs.flatMap(job => job.command
+      .split(COMMAND_SEPARATOR)
+      .map(part => part.trim().split(/\s+/).find(word => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(word)))
+      .filter(program => program && program.includes('/') && !/^[/~$]/.test(program))
+      .map(program => ({
+        line: job.line,
+        column: columnOf(context.lines[job.line - 1], program, job.column),
+        message: `"${program}" is a relative path - cron starts jobs in the home directory, so use an absolute path`
+      })))
+  },
+
+  'duplicate-schedule': {
+    severity: 'warning',
+    description: 'Two jobs run on the same schedule',
+    check: crontab => {
+      const seen = new Map();
+      return crontab.jobs.filter(job => job.valid && job.schedule !== '@reboot').flatMap(job => {
+        const normalized = normalize(job.expression);
+        const key = `${job.user || ''} ${normalized.success ? normalized.result : job.expression}`;
+        const first = seen.get(key);
+        if (!first) {
+          seen.set(key, job);
+          return [];
+        }
+        const same = first.command === job.command ? ' and the same command' : '';
+        return [{ line: job.line, column: job.column, message: `same schedule as line ${first.line}${same}` }];
+      });
+    }
+  },
+
+  'reboot-in-container': {
+    severity: 'off',
+    description: '@reboot in a crontab baked into a container image (runs on every container start)',
+    check: crontab => crontab.jobs
+      .filter(job => job.schedule === '@reboot')
+      .map(job => ({
+        line: job.line,
+        column: job.column,
+        message: '@reboot runs when cron starts: in a container that is every container start, and never if the image does not start cron'
+      }))
+  }
+};
+
+const RULE_IDS = Object.keys(RULES);
+
+/**
+ * Rules switched off for the line after each disable comment
+ * @param {Array<string>} lines - Crontab lines
+ * @returns {Map<number, Array<string>|null>} Rule ids by line number, null
+ *   for every rule
+ */
+function disabledLines(lines) {
+  const disabled = new Map();
+  lines.forEach((raw, i) => {
+    const match = raw.match(DISABLE_NEXT_LINE);
+    if (!match) return;
+    const ids = (match[1] || '').split(/\s+--\s*/)[0].split(/[\s,]+/).filter(Boolean);
+    disabled.set(i + 2, ids.length > 0 ? ids : null);
+  });
+  return disabled;
+}
+
+/**
+ * Lint a crontab. A "# cronwtf-disable-next-line [rules]" comment turns
+ * rules (or all of them) off for the line below it.
+ * @param {string} text - Crontab contents
+ * @param {Object} options - Options (also passed to parseCrontab)
+ * @param {Object} options.rules - Severity by rule id: 'off', 'warning' or
+ *   'error' (default: each rule's own; reboot-in-container is off)
+ * @param {string} options.timezone - Timezone of jobs without CRON_TZ, for
+ *   dst-ambiguous (default: local)
+ * @param {Date} options.from - Start of the year dst-ambiguous looks at
+ *   (default: now)
+ * @param {string} options.dialect - Dialect schedules are written in (see parse)
+ * @returns {Object} { valid, findings, errorCount, warningCount } with
+ *   findings [{ rule, severity, line, column, message }] in line order,
+ *   or { valid: false, error } for an unknown rule or severity
+ */
+function lint(text, options = {}) {
+  const { rules = {}, timezone = 'local', from = new Date() } = options;
+
+  const unknown = Object.keys(rules).find(id => !RULES[id]);
+  if (unknown) {
+    return { valid: false, error: `unknown rule: ${unknown} (see cronwtf lint --rules)` };
+  }
+  const badSeverity = Object.values(rules).find(severity => !SEVERITIES.includes(severity));
+  if (badSeverity !== undefined) {
+    return { valid: false, error: `unknown severity: ${badSeverity} (use ${SEVERITIES.join(', ')})` };
+  }
+
+  const crontab = parseCrontab(text, options);
+  const lines = text.split(/\r?\n/);
+  const context = { lines, timezone, from, parseOptions: { dialect: options.dialect } };
+  const disabled = disabledLines(lines);
+
+  const findings = RULE_IDS.flatMap(id => {
+    const severity = rules[id] || RULES[id].severity;
+    if (severity === 'off') return [];
+    return RULES[id].check(crontab, context).map(({ severity: own, ...finding }) => ({
+      rule: id,
+      // A rule's milder finding stays milder unless the rule was configured
+      severity: rules[id] ? severity : own || severity,
+      ...finding
+    }));
+  });
+  findings.sort((a, b) => a.line - b.line || a.column - b.column);
+
+  const shown = findings.filter(f => {
+    const ids = disabled.get(f.line);
+    return ids === undefined || (ids !== null && !ids.includes(f.rule));
+  });
+
+  return {
+    valid: true,
+    findings: shown,
+    errorCount: shown.filter(f => f.severity === 'error').length,
+    warningCount: shown.filter(f => f.severity === 'warning').length
+  };
+}
+
+module.exports = {
+  lint,
+  RULES,
+  RULE_IDS,
+  SEVERITIES
+};
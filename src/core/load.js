@@ -0,0 +1,130 @@
+/**
+ * Load across many schedules: when jobs start together
+ * @module core/load
+ */
+const { DateTime } = require('luxon');
+const { occurrences } = require('./schedule');
+
+const MAX_DAYS = 31;
+
+// Runs looked at, over all jobs, before giving up on the rest
+const MAX_RUNS = 500000;
+
+/**
+ * Expand many schedules over a window and count when they start: the
+ * busiest minutes, the groups of jobs that keep starting together and the
+ * starts in each hour of each weekday
+ * @param {Array<Object>} jobs - [{ expression }], e.g. parseCrontab jobs;
+ *   results refer to them by index
+ * @param {Object} options - Options (also passed to occurrences)
+ * @param {string} options.timezone - Timezone of the window and heatmap
+ *   (default: local; a job's CRON_TZ still sets when it runs)
+ * @param {Date} options.from - A moment on the first day (default: now)
+ * @param {number} options.days - Number of days, 1-31 (default: 7)
+ * @param {number} options.top - Busiest minutes and hotspots to keep (default: 10)
+ * @returns {Object} { valid, timezone, from, until, runs, peak, busiest, hotspots, heatmap, truncated }
+ *   - runs: starts in the window, over all jobs
+ *   - peak: most jobs starting in the same minute
+ *   - busiest: [{ date, count, jobs }] minutes by jobs starting, most first
+ *   - hotspots: [{ jobs, count, times, first }] sets of two or more jobs
+ *     that start in the same minute, biggest first, with how many times
+ *     they do and the first of them
+ *   - heatmap: starts by weekday (Monday first) and hour, 7 arrays of 24
+ *   - truncated: stopped after too many runs; later jobs are left out
+ *   or { valid: false, error }
+ */
+function getLoad(jobs, options = {}) {
+  const { timezone = 'local', from = new Date(), days = 7, top = 10 } = options;
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    return { valid: false, error: `days must be a whole number from 1 to ${MAX_DAYS}` };
+  }
+  if (!Number.isInteger(top) || top < 1) {
+    return { valid: false, error: 'top must be a whole number above 0' };
+  }
+
+  const start = DateTime.fromJSDate(from, { zone: timezone }).startOf('day');
+  if (!start.isValid) {
+    return { valid: false, error: `unknown timezone: ${timezone}` };
+  }
+  const end = start.plus({ days });
+
+  // occurrences starts after "from", so step back a millisecond to include
+  // midnight; @every counts from the start of the window unless anchored
+  const runOptions = {
+    ...options,
+    timezone,
+    from: new Date(start.toMillis() - 1),
+    until: new Date(end.toMillis() - 1),
+    anchor: options.anchor || start.toJSDate()
+  };
+
+  const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const starts = new Map();
+  let runs = 0;
+  let truncated = false;
+
+  for (const [index, job] of jobs.entries()) {
+    for (const date of occurrences(job.expression, runOptions)) {
+      if (runs >= MAX_RUNS) {
+        truncated = true;
+        break;
+      }
+      runs++;
+
+      const dt = DateTime.fromJSDate(date, { zone: timezone });
+      heatmap[dt.weekday - 1][dt.hour]++;
+
+      // A job with seconds starts once per minute as far as load goes
+      const minute = Math.floor(date.getTime() / 60000) * 60000;
+      if (!starts.has(minute)) starts.set(minute, new Set());
+      starts.get(minute).add(index);
+    }
+    if (truncated) break;
+  }
+
+  const minutes = [...starts].map(([time, set]) => ({ time, jobs: [...set].sort((a, b) => a - b) }));
+  const peak = minutes.reduce((most, m) => Math.max(most, m.jobs.length), 0);
+  const toISO = time => DateTime.fromMillis(time, { zone: timezone }).toISO();
+
+  const busiest = minutes
+    .slice()
+    .sort((a, b) => b.jobs.length - a.jobs.length || a.time - b.time)
+    .slice(0, top)
+    .map(m => ({ date: toISO(m.time), count: m.jobs.length, jobs: m.jobs }));
+
+  // The same jobs colliding again and again is one hotspot
+  const groups = new Map();
+  minutes.filter(m => m.jobs.length > 1).forEach(m => {
+    const key = m.jobs.join(',');
+    const group = groups.get(key);
+    if (group) {
+      group.times++;
+      group.first = Math.min(group.first, m.time);
+    } else {
+      groups.set(key, { jobs: m.jobs, count: m.jobs.length, times: 1, first: m.time });
+    }
+  });
+  const hotspots = [...groups.values()]
+    .sort((a, b) => b.count - a.count || b.times - a.times || a.first - b.first)
+    .slice(0, top)
+    .map(group => ({ ...group, first: toISO(group.first) }));
+
+  return {
+    valid: true,
+    timezone: start.zoneName,
+    from: start.toISO(),
+    until: end.toISO(),
+    runs,
+    peak,
+    busiest,
+    hotspots,
+    heatmap,
+    truncated
+  };
+}
+
+module.exports = {
+  getLoad,
+  MAX_DAYS
+};
@@ -0,0 +1,180 @@
+/**
+ * Canonical, shortest spelling of cron expressions
+ * @module core/normalize
+ */
+const { parse, splitTimezone, compactValues, isWildcard, FIELDS } = require('./parser');
+const { getDialect } = require('./dialects');
+const { formatDuration } = require('./duration');
+
+// Aliases with the same meaning everywhere but Jenkins, by their usual name
+const ALIAS_SYNONYMS = {
+  '@annually': '@yearly',
+  '@midnight': '@daily'
+};
+
+const FIELD_LAYOUT = ['second', 'minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek', 'year'];
+
+// Day of week numbered 1-7 from Sunday (Quartz, AWS)
+const WEEK_FROM_ONE = { ...FIELDS.dayOfWeek, min: 1, max: 7 };
+
+/**
+ * Write field values as briefly as possible: compactValues, or a step from
+ * the start of the field plus the values it misses (e.g. "*\/15,50")
+ * @param {Array<number>} values - Field values
+ * @param {Object} def - Field definition
+ * @returns {string}
+ */
+function shortestValues(values, def) {
+  let best = compactValues(values, def);
+  const max = def === FIELDS.dayOfWeek ? 6 : def.max;
+  const set = new Set(values);
+
+  for (let step = 2; def.min + 2 * step <= max; step++) {
+    const run = [];
+    for (let v = def.min; v <= max; v += step) run.push(v);
+    if (!run.every(v => set.has(v))) continue;
+
+    const rest = values.filter(v => (v - def.min) % step !== 0);
+    const text = rest.length > 0 ? `*/${step},${compactValues(rest, def)}` : `*/${step}`;
+    if (text.length < best.length) best = text;
+  }
+  return best;
+}
+
+/**
+ * Write a day-of-week or month value as a number or name
+ * @param {number} value - Value, day of week 0-6 from Sunday
+ * @param {Object} def - Field definition
+ * @param {Object} style - { names, weekFromOne }
+ * @returns {string}
+ */
+function writeValue(value, def, style) {
+  if (def === FIELDS.dayOfWeek) {
+    if (style.names) return def.names[value].toUpperCase();
+    return String(style.weekFromOne ? value + 1 : value);
+  }
+  return style.names && def.names.length > 0 ? def.names[value - 1].toUpperCase() : String(value);
+}
+
+/**
+ * Write a Quartz modifier (L, W, #) back out
+ * @param {Object} special - Special from parseField
+ * @param {Object} def - Field definition
+ * @param {Object} style - { names, weekFromOne }
+ * @returns {string}
+ */
+function writeSpecial(special, def, style) {
+  switch (special.type) {
+    case 'lastDay':
+      return special.offset ? `L-${special.offset}` : 'L';
+    case 'lastWeekday':
+      return 'LW';
+    case 'nearestWeekday':
+      return `${special.day}W`;
+    case 'nthDayOfWeek':
+      return `${writeValue(special.day, def, style)}#${special.nth}`;
+    default:
+      return `${writeValue(special.day, def, style)}L`;
+  }
+}
+
+/**
+ * Write one parsed field in canonical form
+ * @param {Object} field - Parsed field
+ * @param {Object} def - Field definition
+ * @param {Object} style - { names, weekFromOne, noLeadingStar }
+ * @returns {string}
+ */
+function writeField(field, def, style) {
+  // Hashed values depend on the seed, and "*"/"?" are already canonical
+  if (field.hashes.length > 0 || isWildcard(field)) return field.raw;
+
+  const weekFromOne = def === FIELDS.dayOfWeek && style.weekFromOne;
+  const fieldDef = weekFromOne ? WEEK_FROM_ONE : def;
+  const values = def === FIELDS.dayOfWeek
+    ? field.values.map(v => (v === 7 ? 0 : v) + (weekFromOne ? 1 : 0))
+    : field.values;
+
+  const parts = [];
+  if (values.length > 0) {
+    let text = shortestValues(values, fieldDef);
+
+    // Some crons read any day field starting with "*" as unrestricted, which
+    // changes how it combines with the other day field: "*/2" -> "1-31/2"
+    if (style.noLeadingStar && text.startsWith('*/')) {
+      const [, step, rest] = text.match(/^\*\/(\d+)(.*)$/);
+      const max = fieldDef === FIELDS.dayOfWeek ? 6 : fieldDef.max;
+      const last = max - ((max - fieldDef.min) % step);
+      text = `${fieldDef.min}-${last}/${step}${rest}`;
+    }
+
+    // Numbers outside steps become names
+    if (style.names && def.names.length > 0) {
+      text = text.replace(/(^|[,-])(\d+)/g, (m, sep, n) => `${sep}${writeValue(weekFromOne ? n - 1 : Number(n), def, style)}`);
+    }
+    parts.push(text);
+  }
+  field.specials.forEach(special => parts.push(writeSpecial(special, def, style)));
+  return parts.join(',');
+}
+
+/**
+ * Rewrite an expression in canonical form: lists become ranges and steps,
+ * Sunday is 0, modifiers are upper case and fields are separated by single
+ * spaces. The result runs at exactly the same times, in the same number of
+ * fields, with the same timezone prefix.
+ * @param {string} expression - Cron expression
+ * @param {Object} options - Options (also passed to parse)
+ * @param {boolean} options.names - Write months and days of week as names
+ *   (JAN, MON) instead of numbers
+ * @param {string} options.dialect - Dialect the expression is written in (see
+ *   parse); day of week keeps its numbering and AWS keeps cron(...)
+ * @returns {Object} { success, result, changed } or { success: false, error }
+ */
+function normalize(expression, options = {}) {
+  const parsed = parse(expression, options);
+  if (!parsed.valid) {
+    return { success: false, error: parsed.error || parsed.errors?.join(', ') };
+  }
+
+  const dialect = getDialect(options.dialect);
+  const { prefix, timezone, expression: unprefixed } = splitTimezone(expression);
+  const wrapper = dialect && dialect.wrapper && new RegExp(`^${dialect.wrapper}\\(`, 'i').test(unprefixed)
+    ? dialect.wrapper
+    : null;
+
+  let body;
+  if (parsed.isInterval) {
+    body = `@every ${formatDuration(parsed.interval)}`;
+  } else if (unprefixed.startsWith('@')) {
+    const alias = unprefixed.toLowerCase();
+    body = (!dialect || !dialect.expansions) && ALIAS_SYNONYMS[alias] ? ALIAS_SYNONYMS[alias] : alias;
+  } else {
+    const { fields } = parsed;
+    const style = { names: Boolean(options.names) && (!dialect || dialect.names), weekFromOne: Boolean(dialect && dialect.dayOfWeek.sunday === 1) };
+    const { dayOfMonth, dayOfWeek } = fields;
+
+    // With both day fields set a day runs when either matches, so one that
+    // covers every day makes the whole schedule daily
+    const full = field => !isWildcard(field) && field.hashes.length === 0 &&
+      compactValues(field.values, field === dayOfWeek ? FIELDS.dayOfWeek : FIELDS.dayOfMonth) === '*';
+    const everyDay = full(dayOfMonth) || full(dayOfWeek);
+    const bothSet = !isWildcard(dayOfMonth) && !isWildcard(dayOfWeek);
+
+    const texts = FIELD_LAYOUT.filter(name => fields[name]).map(name => {
+      if (everyDay && name === 'dayOfWeek' && dialect && dialect.oneQuestionMark) return '?';
+      if (everyDay && (name === 'dayOfMonth' || name === 'dayOfWeek')) return '*';
+      const isDay = name === 'dayOfMonth' || name === 'dayOfWeek';
+      return writeField(fields[name], FIELDS[name], { ...style, noLeadingStar: isDay && bothSet });
+    });
+    body = texts.join(' ');
+  }
+
+  if (wrapper) body = `${wrapper}(${body})`;
+  const result = prefix ? `${prefix}=${timezone} ${body}` : body;
+  return { success: true, result, changed: result !== expression.trim() };
+}
+
+module.exports = {
+  normalize
+};
@@ -2,15 +2,20 @@
  * Cron expression parser
  * @module core/parser
  */
-const { DateTime } = require('luxon');
+const { IANAZone } = require('luxon');
+const { getDialect } = require('./dialects');
+const { createHash } = require('./hash');
+const { parseDuration, formatDuration, describeDuration } = require('./duration');
 
 // Field definitions
 const FIELDS = {
+  second: { min: 0, max: 59, names: [] }, // optional leading field (node-cron, Quartz)
   minute: { min: 0, max: 59, names: [] },
   hour: { min: 0, max: 23, names: [] },
   dayOfMonth: { min: 1, max: 31, names: [] },
   month: { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
-  dayOfWeek: { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] } // 0 and 7 both = Sunday
+  dayOfWeek: { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }, // 0 and 7 both = Sunday
+  year: { min: 1970, max: 2099, names: [] } // optional trailing field (Quartz, AWS)
 };
 
 const FIELD_ORDER = ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'];
@@ -27,42 +32,374 @@ const ALIASES = {
   '@reboot': null // special - not a time-based schedule
 };
 
+// Timezone prefix: CRON_TZ= (cronie) or TZ= (robfig/cron, Kubernetes, Jenkins)
+const TIMEZONE_PREFIX = /^(CRON_TZ|TZ)=(\S*)\s+/;
+
 // Human readable field names
 const FIELD_NAMES = {
+  second: 'second',
   minute: 'minute',
   hour: 'hour',
   dayOfMonth: 'day of month',
   month: 'month',
-  dayOfWeek: 'day of week'
+  dayOfWeek: 'day of week',
+  year: 'year'
 };
 
+// Ordinal words for nth-weekday descriptions (5#3 = third Friday)
+const ORDINALS = ['', 'first', 'second', 'third', 'fourth', 'fifth'];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Tokens of a list item: numbers, words (names, L, W, LW, H) and symbols
+const TOKEN = /(\d+)|([a-z]+)|([*?\-/#()])|(.)/gi;
+
+/**
+ * Split one list item of a field into tokens
+ * @param {string} item - List item, e.g. "mon-fri", "1-10/2" or "5#3"
+ * @param {number} offset - Offset of the item in the field
+ * @returns {Array<Object>} [{ type, text, offset }] with type 'number',
+ *   'word', 'symbol' or 'unknown' and text lowercased
+ */
+function tokenize(item, offset) {
+  return [...item.matchAll(TOKEN)].map(m => ({
+    type: m[1] ? 'number' : m[2] ? 'word' : m[3] ? 'symbol' : 'unknown',
+    text: m[0].toLowerCase(),
+    offset: offset + m.index
+  }));
+}
+
+/**
+ * Resolve a day-of-week token (number or whole name) to 0-7
+ * @param {Object} token - Token
+ * @returns {number|null}
+ */
+function dayOfWeekToken(token) {
+  if (token.type === 'number') return parseInt(token.text, 10);
+  const index = FIELDS.dayOfWeek.names.indexOf(token.text);
+  return index === -1 ? null : index;
+}
+
+/**
+ * Parse a Quartz-style special item (L, L-n, LW, nW, n#k, nL)
+ * @param {Array<Object>} tokens - Tokens of the list item
+ * @param {Object} def - Field definition
+ * @returns {Object|null} Special descriptor or null if the item is not special
+ */
+function parseSpecial(tokens, def) {
+  // e.g. "n#n" for 5#3, "w-n" for L-2
+  const shape = tokens.map(t => (t.type === 'number' ? 'n' : t.type === 'word' ? 'w' : t.text)).join('');
+  const [first, second, third] = tokens;
+
+  if (def === FIELDS.dayOfMonth) {
+    if (shape === 'w' && first.text === 'l') return { type: 'lastDay', offset: 0 };
+    if (shape === 'w' && first.text === 'lw') return { type: 'lastWeekday' };
+
+    if (shape === 'w-n' && first.text === 'l') {
+      const days = parseInt(third.text, 10);
+      if (days > 30) throw new Error(`"L-${days}" is more than 30 days before the end of the month`);
+      return { type: 'lastDay', offset: days };
+    }
+
+    if (shape === 'nw' && second.text === 'w') {
+      return { type: 'nearestWeekday', day: parseInt(first.text, 10) };
+    }
+  }
+
+  if (def === FIELDS.dayOfWeek) {
+    const day = first && dayOfWeekToken(first);
+
+    if ((shape === 'n#n' || shape === 'w#n') && day !== null) {
+      const n = parseInt(third.text, 10);
+      if (n < 1 || n > 5) throw new Error(`"#${n}" must be between 1 and 5`);
+      return { type: 'nthDayOfWeek', day: day === 7 ? 0 : day, nth: n };
+    }
+
+    if (shape === 'nw' && second.text === 'l') {
+      return { type: 'lastDayOfWeek', day: day === 7 ? 0 : day };
+    }
+
+    // FRIL, the last Friday
+    const named = shape === 'w' && first.text.endsWith('l') ? def.names.indexOf(first.text.slice(0, -1)) : -1;
+    if (named !== -1) {
+      return { type: 'lastDayOfWeek', day: named };
+    }
+  }
+
+  const isDayField = def === FIELDS.dayOfMonth || def === FIELDS.dayOfWeek;
+  if (tokens.some(t => t.type === 'word' && /^(l|w|lw)$/.test(t.text))) {
+    throw new Error(isDayField
+      ? `"${tokens.map(t => t.text).join('').toUpperCase()}" is not a valid L or W modifier`
+      : '"L" and "W" are only supported in day of month (and "nL" in day of week)');
+  }
+  if (tokens.some(t => t.text === '#')) {
+    throw new Error(def === FIELDS.dayOfWeek ? '"#" needs a weekday before and 1-5 after it, e.g. FRI#3' : '"#" is only supported in day of week');
+  }
+
+  return null;
+}
+
 /**
- * Parse a single cron field
+ * Describe a Quartz-style special token
+ * @param {Object} special - Special descriptor from parseSpecial
+ * @returns {string} e.g. "the third Friday of the month"
+ */
+function describeSpecial(special) {
+  switch (special.type) {
+    case 'lastDay':
+      if (special.offset === 0) return 'the last day of the month';
+      return `the last day of the month minus ${special.offset} day${special.offset === 1 ? '' : 's'}`;
+    case 'lastWeekday':
+      return 'the last weekday of the month';
+    case 'nearestWeekday':
+      return `the weekday nearest day ${special.day}`;
+    case 'nthDayOfWeek':
+      return `the ${ORDINALS[special.nth]} ${DAY_NAMES[special.day]} of the month`;
+    case 'lastDayOfWeek':
+      return `the last ${DAY_NAMES[special.day]} of the month`;
+    default:
+      return special.type;
+  }
+}
+
+/**
+ * Build a diagnostic for a problem in an expression
+ * @param {string} code - Error code, e.g. "out-of-range" or "invalid-step"
+ * @param {string} message - What is wrong
+ * @param {Object} details - { offset, length, suggestion, severity }
+ * @returns {Object} { code, severity, message, offset, length, suggestion }
+ */
+function diagnostic(code, message, details = {}) {
+  const { offset = 0, length = 1, suggestion = null, severity = 'error' } = details;
+  return { code, severity, message, offset, length: Math.max(length, 1), suggestion };
+}
+
+/**
+ * Suggest a fix for a token that isn't a number (or a name, in month and
+ * day of week)
+ * @param {string} token - Token as written
+ * @param {Object} def - Field definition
+ * @returns {string}
+ */
+function suggestValue(token, def) {
+  const lower = token.toLowerCase();
+  const name = def.names.find(n => lower.startsWith(n));
+  if (name) return `did you mean ${name}?`;
+
+  const digits = token.match(/^\d+/);
+  if (digits) return `did you mean ${digits[0]}?`;
+
+  return def.names.length > 0
+    ? `use ${def.min}-${def.max} or a name like ${def.names[1]}`
+    : `use a number from ${def.min} to ${def.max}`;
+}
+
+/**
+ * Suggest a fix for an out-of-range value or range
+ * @param {Array<number>} bounds - [value] or [start, end]
+ * @param {Object} def - Field definition
+ * @returns {string}
+ */
+function suggestRange(bounds, def) {
+  const clamp = n => Math.min(Math.max(n, def.min), def.max);
+  if (bounds.length === 2) {
+    return `did you mean ${clamp(bounds[0])}-${clamp(bounds[1])}?`;
+  }
+  // 24:00 and minute 60 are the start of the next hour/day
+  if ((def === FIELDS.hour && bounds[0] === 24) || (def.max === 59 && bounds[0] === 60)) {
+    return 'did you mean 0?';
+  }
+  return `did you mean ${def.min}-${def.max}?`;
+}
+
+/**
+ * Parse a single cron field. Each comma-separated item is tokenized and must
+ * be "*", "?" (day fields), a value, a range of values (low to high), any of
+ * those with "/step", or a Quartz modifier. Values are numbers or, in month
+ * and day of week, whole names ("mon", not "monday").
  * @param {string} field - Field expression
  * @param {Object} def - Field definition
- * @returns {Object} Parsed field with values and description
+ * @param {Object} options - Options
+ * @param {boolean} options.wrapRanges - Read high-low ranges as wrapping
+ *   around the end of the field (22-2 is 22,23,0,1,2) instead of rejecting them
+ * @param {string} options.dialect - Dialect the field is checked against
+ *   (parse runs checkDialect first; here it only changes suggestions)
+ * @param {Object} options.hash - Hash for Jenkins "H" items, shared by the
+ *   fields of one expression (see createHash; default: H is the lowest value)
+ * @returns {Object} Parsed field with values and description, wraps listing
+ *   the wrap-around ranges used ({ start, end, step }), hashes the H items
+ *   ({ start, end, step }), plus diagnostics with offsets relative to the field
  */
-function parseField(field, def) {
+function parseField(field, def, options = {}) {
+  const { wrapRanges = false, hash = createHash() } = options;
   const { min, max, names } = def;
   let values = new Set();
   let parts = [];
   let outOfRange = [];
+  const specials = [];
+  const wraps = [];
+  const hashes = [];
+  const diagnostics = [];
+  const isDayField = def === FIELDS.dayOfMonth || def === FIELDS.dayOfWeek;
+  const normalize = n => (n === 7 && def === FIELDS.dayOfWeek ? 0 : n);
 
-  // Handle name replacements (mon, jan, etc.)
-  let normalizedField = field.toLowerCase();
-  names.forEach((name, i) => {
-    const value = def === FIELDS.dayOfWeek ? i : i + 1;
-    normalizedField = normalizedField.replace(new RegExp(name, 'gi'), value.toString());
-  });
+  let offset = 0;
+  for (const item of field.split(',')) {
+    const at = { offset, length: item.length };
+    offset += item.length + 1;
+
+    if (item === '') {
+      diagnostics.push(diagnostic('empty-value', 'empty list entry', { ...at, suggestion: 'remove the extra comma' }));
+      continue;
+    }
 
-  const segments = normalizedField.split(',');
+    let tokens = tokenize(item, at.offset);
+    const isHash = tokens[0].text === 'h';
+    const unknown = tokens.find(t => t.type === 'unknown' || (!isHash && (t.text === '(' || t.text === ')')));
+    if (unknown) {
+      diagnostics.push(diagnostic('invalid-value', `unexpected "${unknown.text}" in "${item}"`, { offset: unknown.offset, length: 1, suggestion: suggestValue(item, def) }));
+      continue;
+    }
+
+    // Jenkins "H": one value picked by hashing the job name, H(0-7) within a
+    // range, H/15 every 15 from a hashed start
+    if (isHash) {
+      const shape = tokens.map(t => (t.type === 'number' ? 'n' : t.type === 'word' ? 'w' : t.text)).join('');
+      const form = shape.match(/^w(\(n-n\))?(\/n)?$/);
+      if (!form) {
+        diagnostics.push(diagnostic('invalid-value', `"${item}" is not a valid H`, { ...at, suggestion: 'use H, H/15, H(0-7) or H(0-7)/2' }));
+        continue;
+      }
+
+      // Day of month stays within 1-28 so every month has it; Sunday is only 0
+      let lo = min;
+      let hi = def === FIELDS.dayOfMonth ? 28 : def === FIELDS.dayOfWeek ? 6 : max;
+      if (form[1]) {
+        lo = parseInt(tokens[2].text, 10);
+        hi = parseInt(tokens[4].text, 10);
+        const bad = [lo, hi].filter(n => n < min || n > max);
+        if (bad.length > 0) {
+          outOfRange.push(...bad);
+          diagnostics.push(diagnostic('out-of-range', `${bad.join(' and ')} ${bad.length === 1 ? 'is' : 'are'} out of range (${min}-${max})`, { ...at, suggestion: suggestRange([lo, hi], def) }));
+          continue;
+        }
+        if (lo > hi) {
+          diagnostics.push(diagnostic('reversed-range', `"${item}" runs backwards (${lo} is after ${hi})`, { ...at, suggestion: `did you mean H(${hi}-${lo})?` }));
+          continue;
+        }
+      }
+
+      const stepNum = form[2] ? parseInt(tokens[tokens.length - 1].text, 10) : 1;
+      const stepAt = form[2] ? { offset: tokens[tokens.length - 2].offset + 1, length: tokens[tokens.length - 1].text.length } : at;
+      if (stepNum === 0) {
+        diagnostics.push(diagnostic('invalid-step', 'step must be at least 1', { ...stepAt, suggestion: `did you mean ${item.slice(0, stepAt.offset - at.offset - 1)}?` }));
+        continue;
+      }
+      if (stepNum > hi - lo + 1) {
+        diagnostics.push(diagnostic('invalid-step', `step ${stepNum} is larger than the range ${lo}-${hi}`, { ...stepAt, suggestion: `use a step up to ${hi - lo + 1}` }));
+        continue;
+      }
+
+      // As Jenkins does: a step picks a hashed start, no step picks one value
+      if (stepNum > 1) {
+        for (let i = lo + hash.next(stepNum); i <= hi; i += stepNum) {
+          values.add(normalize(i));
+        }
+      } else {
+        values.add(normalize(lo + hash.next(hi - lo + 1)));
+      }
+      hashes.push({ start: lo, end: hi, step: stepNum });
+      parts.push(`hashed ${lo}-${hi}${stepNum > 1 ? ` every ${stepNum}` : ''}`);
+      continue;
+    }
+
+    // A bare "L" in day of week means Saturday (the last day of the week)
+    if (def === FIELDS.dayOfWeek && tokens.length === 1 && tokens[0].text === 'l') {
+      tokens = [{ type: 'number', text: '6', offset: tokens[0].offset }];
+    }
+
+    let special;
+    try {
+      special = parseSpecial(tokens, def);
+    } catch (e) {
+      diagnostics.push(diagnostic('invalid-modifier', e.message, at));
+      continue;
+    }
+    if (special) {
+      const checkDay = special.type === 'nearestWeekday' || special.type === 'nthDayOfWeek' || special.type === 'lastDayOfWeek';
+      if (checkDay && (special.day < min || special.day > max)) {
+        outOfRange.push(special.day);
+        diagnostics.push(diagnostic('out-of-range', `${special.day} is out of range (${min}-${max})`, { ...at, suggestion: suggestRange([special.day], def) }));
+      } else {
+        specials.push(special);
+      }
+      parts.push(describeSpecial(special));
+      continue;
+    }
 
-  for (const segment of segments) {
     // Handle step values (*/5, 1-10/2)
-    const [range, step] = segment.split('/');
-    const stepNum = step ? parseInt(step, 10) : 1;
+    const found = diagnostics.length;
+    const slash = tokens.findIndex(t => t.text === '/');
+    const base = slash === -1 ? tokens : tokens.slice(0, slash);
+    const baseText = item.slice(0, slash === -1 ? undefined : tokens[slash].offset - at.offset);
+    let stepNum = 1;
+    if (slash !== -1) {
+      const stepTokens = tokens.slice(slash + 1);
+      const stepAt = { offset: tokens[slash].offset + 1, length: at.offset + item.length - tokens[slash].offset - 1 };
+      if (stepTokens.length !== 1 || stepTokens[0].type !== 'number') {
+        diagnostics.push(diagnostic('invalid-step', `"${item.slice(stepAt.offset - at.offset)}" is not a valid step`, { ...stepAt, suggestion: `use a whole number, e.g. ${baseText || '*'}/5` }));
+      } else if (parseInt(stepTokens[0].text, 10) === 0) {
+        diagnostics.push(diagnostic('invalid-step', 'step must be at least 1', { ...stepAt, suggestion: `did you mean ${baseText || '*'}?` }));
+      } else {
+        stepNum = parseInt(stepTokens[0].text, 10);
+      }
+    }
+    const step = slash !== -1;
+
+    // "?" (Quartz/AWS) means "no specific value" - same as * for matching
+    const any = base.length === 1 && (base[0].text === '*' || base[0].text === '?');
+    if (any && base[0].text === '?' && !isDayField) {
+      diagnostics.push(diagnostic('invalid-value', '"?" is only supported in day of month and day of week', { ...at, suggestion: 'did you mean *?' }));
+      continue;
+    }
 
-    if (range === '*') {
+    // Anything else is a value or a low-high range, split on "-"
+    const groups = [[]];
+    base.forEach(t => (t.text === '-' ? groups.push([]) : groups[groups.length - 1].push(t)));
+    if (!any && (groups.length > 2 || groups.some(g => g.length === 0))) {
+      const given = groups.filter(g => g.length > 0).map(g => g.map(t => t.text).join(''));
+      diagnostics.push(diagnostic('invalid-value', base.length === 0 ? `"${item}" is missing a value` : `"${baseText}" is not a value or range`, {
+        ...at,
+        length: base.length === 0 ? item.length : baseText.length,
+        suggestion: given.length > 0 ? `did you mean ${given.length > 1 ? `${given[0]}-${given[given.length - 1]}` : given[0]}?` : `did you mean *${item}?`
+      }));
+      continue;
+    }
+
+    const numbers = any ? [] : groups.map(group => {
+      const [token] = group;
+      const text = group.map(t => t.text).join('');
+      if (group.length === 1 && token.type === 'number') return parseInt(token.text, 10);
+      const index = group.length === 1 ? names.indexOf(token.text) : -1;
+      if (index !== -1) {
+        return def === FIELDS.dayOfWeek ? index : index + 1;
+      }
+      diagnostics.push(diagnostic('invalid-value', `"${text}" is not a number${names.length > 0 ? ' or name' : ''}`, {
+        offset: token.offset,
+        length: text.length,
+        suggestion: suggestValue(text, def)
+      }));
+      return null;
+    });
+    if (diagnostics.length > found) continue;
+
+    // "sun" ends a range as 7, so fri-sun is Friday to Sunday
+    if (def === FIELDS.dayOfWeek && numbers.length === 2 && numbers[0] > 0 && numbers[1] === 0 && groups[1][0].type === 'word') {
+      numbers[1] = 7;
+    }
+
+    const before = values.size;
+    if (any) {
       // All values with optional step
       for (let i = min; i <= max; i += stepNum) {
         values.add(i);
@@ -72,19 +409,38 @@ function parseField(field, def) {
       } else {
         parts.push('every');
       }
-    } else if (range.includes('-')) {
+    } else if (numbers.length === 2) {
       // Range
-      const [startStr, endStr] = range.split('-');
-      const start = parseInt(startStr, 10);
-      const end = parseInt(endStr, 10);
+      const [start, end] = numbers;
 
       // Check if range bounds are valid
-      if (start < min || start > max) outOfRange.push(start);
-      if (end < min || end > max) outOfRange.push(end);
+      const bad = [start, end].filter(n => n < min || n > max);
+      if (bad.length > 0) {
+        outOfRange.push(...bad);
+        diagnostics.push(diagnostic('out-of-range', `${bad.join(' and ')} ${bad.length === 1 ? 'is' : 'are'} out of range (${min}-${max})`, { ...at, suggestion: suggestRange([start, end], def) }));
+      } else if (start > end && !wrapRanges) {
+        diagnostics.push(diagnostic('reversed-range', `"${item}" runs backwards (${start} is after ${end})`, {
+          ...at,
+          suggestion: options.dialect ? `did you mean ${end}-${start}?` : `did you mean ${end}-${start}? (or allow wrap-around ranges)`
+        }));
+        continue;
+      } else if (start > end) {
+        // Count on past the end of the field and back round from the start
+        const first = def === FIELDS.dayOfWeek ? 0 : min;
+        const size = def === FIELDS.dayOfWeek ? 7 : max - min + 1;
+        const from = normalize(start);
+        const span = (normalize(end) - from + size) % size;
+        for (let k = 0; k <= span; k += stepNum) {
+          values.add(first + ((from - first + k) % size));
+        }
+        wraps.push({ start, end, step: stepNum });
+        parts.push(step ? `${start}-${end} (wrapping) every ${stepNum}` : `${start}-${end} (wrapping)`);
+        continue;
+      }
 
       for (let i = start; i <= end; i += stepNum) {
         if (i >= min && i <= max) {
-          values.add(i === 7 && def === FIELDS.dayOfWeek ? 0 : i);
+          values.add(normalize(i));
         }
       }
       if (step) {
@@ -94,17 +450,32 @@ function parseField(field, def) {
       }
     } else {
       // Single value
-      let val = parseInt(range, 10);
-      const originalVal = val;
-      if (val === 7 && def === FIELDS.dayOfWeek) val = 0; // Normalize Sunday
+      const originalVal = numbers[0];
+      const val = normalize(originalVal);
 
       // Check if value is out of range
-      if (originalVal < min || (originalVal > max && !(def === FIELDS.dayOfWeek && originalVal === 7))) {
+      if (originalVal < min || originalVal > max) {
         outOfRange.push(originalVal);
+        diagnostics.push(diagnostic('out-of-range', `${originalVal} is out of range (${min}-${max})`, { ...at, suggestion: suggestRange([originalVal], def) }));
+      } else if (step) {
+        // "start/step" runs from start to the end of the field (2027/2, 5/15)
+        for (let i = originalVal; i <= max; i += stepNum) {
+          values.add(normalize(i));
+        }
       } else {
         values.add(val);
       }
-      parts.push(originalVal.toString());
+      parts.push(step ? `${originalVal} every ${stepNum}` : originalVal.toString());
+    }
+
+    // A step that never gets past the first value is probably a typo
+    if (step && values.size - before === 1 && outOfRange.length === 0) {
+      diagnostics.push(diagnostic('step-too-large', `step ${stepNum} is larger than the range, so "${item}" only matches once`, {
+        offset: tokens[slash].offset + 1,
+        length: at.offset + item.length - tokens[slash].offset - 1,
+        severity: 'warning',
+        suggestion: `did you mean ${baseText}?`
+      }));
     }
   }
 
@@ -112,75 +483,362 @@ function parseField(field, def) {
     values: Array.from(values).sort((a, b) => a - b),
     raw: field,
     description: parts.join(', '),
-    outOfRange
+    specials,
+    outOfRange,
+    wraps,
+    hashes,
+    diagnostics
   };
 }
 
 /**
- * Parse a cron expression
- * @param {string} expression - Cron expression (5 or 6 fields)
- * @returns {Object} Parsed cron object
+ * Check a field against what a dialect accepts, before it is parsed. Day of
+ * week numbers are rewritten to cron numbering (0 = Sunday) for parseField.
+ * @param {string} field - Field expression
+ * @param {string} fieldName - Field name
+ * @param {Object} dialect - Dialect profile
+ * @returns {Object} { text, diagnostics } - text to parse, and problems with
+ *   offsets relative to the field
+ */
+function checkDialect(field, fieldName, dialect) {
+  const def = FIELDS[fieldName];
+  const isDayField = def === FIELDS.dayOfMonth || def === FIELDS.dayOfWeek;
+  const { min, max, sunday } = dialect.dayOfWeek;
+  const diagnostics = [];
+  /**
+   * Report syntax the dialect doesn't have
+   * @param {string} feature - What is unsupported
+   * @param {Object} at - { offset, length }
+   * @param {string} suggestion - Suggested fix
+   */
+  const unsupported = (feature, at, suggestion = null) => {
+    diagnostics.push(diagnostic('unsupported-feature', `${dialect.name} doesn't support ${feature}`, { ...at, suggestion }));
+  };
+  let text = field;
+
+  let offset = 0;
+  for (const item of field.split(',')) {
+    const itemAt = { offset, length: item.length };
+    const tokens = tokenize(item, offset);
+    offset += item.length + 1;
+
+    tokens.forEach((token, i) => {
+      const at = { offset: token.offset, length: token.text.length };
+      const previous = tokens[i - 1];
+
+      if (token.type === 'word' && def.names.includes(token.text) && !dialect.names) {
+        const index = def.names.indexOf(token.text);
+        unsupported(`names like "${field.substr(token.offset, token.text.length)}"`, at,
+          `use ${def === FIELDS.dayOfWeek ? index + sunday : index + 1}`);
+      } else if (token.text === 'h' && !dialect.hash) {
+        unsupported('H (hashed values)', at);
+      } else if (token.type === 'word' && !dialect.modifiers && isDayField && /^(l|w|lw)$|^[a-z]{3}l$/.test(token.text)) {
+        unsupported('the L and W modifiers', at);
+      } else if (token.text === '#' && !dialect.modifiers && def === FIELDS.dayOfWeek) {
+        unsupported('"#" (nth weekday of the month)', at);
+      } else if (token.text === '?' && !dialect.questionMark && isDayField) {
+        unsupported('"?"', at, 'did you mean *?');
+      } else if (token.text === '/' && !dialect.steps) {
+        const values = parseField(item, def).values;
+        unsupported('steps', itemAt, values.length > 0 ? `list the values instead: ${values.join(',')}` : null);
+      } else if (token.type === 'number' && def === FIELDS.dayOfWeek && !(previous && (previous.text === '#' || previous.text === '/'))) {
+        // Day of week numbers count from the dialect's Sunday
+        const n = parseInt(token.text, 10);
+        let value = n - sunday;
+        if (n < min || n > max) {
+          const range = `${min}-${max}${sunday === 1 ? ', 1 = Sunday' : ''}`;
+          diagnostics.push(diagnostic('out-of-range', `${n} is out of range for ${dialect.name} (${range})`, {
+            ...at,
+            suggestion: n === 7 && max === 6 ? 'did you mean 0?' : n === 0 && min === 1 ? 'did you mean 1? (1 = Sunday)' : `use ${range}`
+          }));
+          value = 0;
+        }
+        text = text.slice(0, token.offset) + String(value).padStart(token.text.length, '0') + text.slice(token.offset + token.text.length);
+      }
+    });
+  }
+
+  return { text, diagnostics };
+}
+
+/**
+ * Write a set of field values back as compact cron syntax, e.g. "*", "1-5",
+ * "2-22/4" or "1,3,7-9" (steps from the start of the field become "*" + step)
+ * @param {Array<number>} values - Field values
+ * @param {Object} def - Field definition
+ * @returns {string}
+ */
+function compactValues(values, def) {
+  // Sunday is 0 (and 7); the week has 7 days
+  const isDayOfWeek = def === FIELDS.dayOfWeek;
+  const max = isDayOfWeek ? 6 : def.max;
+  const sorted = [...new Set(values.map(v => (isDayOfWeek && v === 7 ? 0 : v)))].sort((a, b) => a - b);
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+
+  if (sorted.length === max - def.min + 1) return '*';
+
+  // Evenly spaced values
+  if (sorted.length >= 3) {
+    const step = sorted[1] - first;
+    const even = sorted.every((v, i) => i === 0 || v - sorted[i - 1] === step);
+    if (even && step > 1) {
+      return first === def.min && last + step > max ? `*/${step}` : `${first}-${last}/${step}`;
+    }
+  }
+
+  // Runs of consecutive values become ranges
+  const parts = [];
+  let start = first;
+  sorted.forEach((v, i) => {
+    const next = sorted[i + 1];
+    if (next === v + 1) return;
+    if (v - start >= 2) {
+      parts.push(`${start}-${v}`);
+    } else {
+      for (let n = start; n <= v; n++) parts.push(String(n));
+    }
+    start = next;
+  });
+  return parts.join(',');
+}
+
+/**
+ * Field layout for a given field count
+ * @param {number} count - Number of fields in the expression
+ * @returns {Array<string>} Field names in expression order
+ */
+function getFieldNames(count) {
+  if (count === 7) return ['second', ...FIELD_ORDER, 'year'];
+  return count === 6 ? ['second', ...FIELD_ORDER] : FIELD_ORDER;
+}
+
+/**
+ * Split a CRON_TZ=/TZ= timezone prefix off an expression
+ * @param {string} expression - Cron expression, optionally prefixed
+ * @returns {Object} { prefix, timezone, expression, offset } - prefix and
+ *   timezone are null when there is no prefix; expression is the rest,
+ *   trimmed, starting at offset in the input
  */
-function parse(expression) {
+function splitTimezone(expression) {
   const trimmed = expression.trim();
+  const offset = expression.length - expression.trimStart().length;
+  const match = trimmed.match(TIMEZONE_PREFIX);
+  if (!match) {
+    return { prefix: null, timezone: null, expression: trimmed, offset };
+  }
+  return { prefix: match[1], timezone: match[2], expression: trimmed.slice(match[0].length), offset: offset + match[0].length };
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression (5 fields, 6 with leading seconds, 7 with trailing year),
+ *   optionally prefixed with CRON_TZ=<zone> or TZ=<zone>
+ * @param {Object} options - Options
+ * @param {boolean} options.wrapRanges - Accept wrap-around ranges like 22-2
+ *   and fri-mon (default: reported as errors, or as the dialect does)
+ * @param {string} options.dialect - Apply one scheduler's rules (see
+ *   DIALECTS: vixie, cronie, posix, quartz, aws, jenkins, k8s): its field
+ *   layout and day-of-week numbering, with syntax it doesn't accept reported
+ *   as unsupported-feature. Default: accept everything cronwtf understands
+ * @param {string} options.seed - Seed for Jenkins "H" values, i.e. the job's
+ *   full name (default: every H is the lowest value it can be)
+ * @returns {Object} Parsed cron object (with timezone and timezonePrefix when prefixed).
+ *   diagnostics lists every problem found as { code, severity, message,
+ *   field, fieldIndex, offset, length, suggestion }, with offset the character
+ *   position in the expression; field and fieldIndex are null for problems
+ *   with the expression as a whole. "@every <duration>" (robfig/cron) gives
+ *   isInterval with interval in milliseconds and no fields
+ */
+function parse(expression, options = {}) {
+  const dialect = getDialect(options.dialect);
+  const { prefix, timezone, expression: unwrapped, offset: start } = splitTimezone(expression);
+  const fieldOptions = {
+    ...options,
+    wrapRanges: options.wrapRanges ?? (dialect ? dialect.wrapRanges : false),
+    hash: createHash(options.seed)
+  };
+
+  /**
+   * A single problem with the expression as a whole
+   * @param {string} code - Error code
+   * @param {string} error - Message
+   * @param {string} suggestion - Suggested fix
+   * @param {Object} at - { offset, length } in the expression
+   * @returns {Object} Invalid parse result
+   */
+  const invalid = (code, error, suggestion, at) => ({
+    valid: false,
+    error,
+    suggestion,
+    diagnostics: [{ ...diagnostic(code, error, { ...at, suggestion }), field: null, fieldIndex: null }]
+  });
+
+  // AWS schedules are written cron(...)
+  let trimmed = unwrapped;
+  let offset = start;
+  const wrapped = dialect && dialect.wrapper && unwrapped.match(new RegExp(`^${dialect.wrapper}\\(\\s*(.*?)\\s*\\)$`, 'i'));
+  if (wrapped) {
+    trimmed = wrapped[1];
+    offset += unwrapped.indexOf(wrapped[1], dialect.wrapper.length + 1);
+  }
+
+  // The schedule runs in the prefixed timezone
+  if (prefix && dialect && !dialect.prefixes.includes(prefix)) {
+    return invalid('unsupported-feature', `${dialect.name} doesn't support ${prefix}= prefixes`,
+      dialect.prefixHint || (dialect.prefixes.length > 0 ? `use ${dialect.prefixes[0]}=${timezone}` : 'set the timezone where the job is configured'),
+      { offset: expression.length - expression.trimStart().length, length: prefix.length });
+  }
+  if (prefix) {
+    if (!IANAZone.isValidZone(timezone)) {
+      return invalid('unknown-timezone', `Unknown timezone in ${prefix}= prefix: "${timezone}"`,
+        `Use an IANA timezone name, e.g. ${prefix}=Europe/Berlin`, { offset: expression.indexOf('=') + 1, length: timezone.length });
+    }
+    const inner = parse(trimmed, options);
+    return {
+      ...inner,
+      diagnostics: inner.diagnostics.map(d => ({ ...d, offset: d.offset + offset })),
+      original: expression,
+      timezone,
+      timezonePrefix: prefix
+    };
+  }
 
   // Check for alias
   if (trimmed.startsWith('@')) {
     const alias = trimmed.toLowerCase();
+
+    // Go schedulers (robfig/cron) also run "@every <duration>"
+    if (/^@every(\s|$)/.test(alias)) {
+      if (dialect) {
+        return invalid('unsupported-feature', `${dialect.name} doesn't support @every`,
+          'use a cron expression (cronwtf convert "@every ..." gives the closest one)', { offset, length: 6 });
+      }
+      const text = trimmed.slice(6).trim();
+      const at = { offset: offset + trimmed.length - text.length, length: text.length };
+      let ms;
+      try {
+        ms = parseDuration(text);
+      } catch (e) {
+        return invalid('invalid-duration', `Invalid @every duration: ${e.message}`, 'Use a duration like 90m or 1h30m', at);
+      }
+
+      // Like robfig/cron: sub-second parts are dropped, and never more than once a second
+      const interval = Math.max(1, Math.floor(ms / 1000)) * 1000;
+      const diagnostics = interval === ms ? [] : [{
+        ...diagnostic('duration-rounded', `runs every ${formatDuration(interval)}: parts of a second are dropped`, {
+          ...at,
+          severity: 'warning',
+          suggestion: `did you mean @every ${formatDuration(interval)}?`
+        }),
+        field: null,
+        fieldIndex: null
+      }];
+      return {
+        valid: true,
+        original: expression,
+        alias: '@every',
+        interval,
+        fields: null,
+        description: `Every ${describeDuration(interval)}`,
+        isInterval: true,
+        diagnostics
+      };
+    }
+    if (dialect && alias in ALIASES && !dialect.aliases.includes(alias)) {
+      return invalid('unsupported-feature', `${dialect.name} doesn't support ${alias}`,
+        ALIASES[alias] && dialect.layouts[0].length === 5 ? `write it out: ${ALIASES[alias]}` : 'write the schedule out in full', { offset, length: trimmed.length });
+    }
     if (alias === '@reboot') {
       return {
         valid: true,
         alias: '@reboot',
         fields: null,
         description: 'Run once at system startup',
-        isReboot: true
+        isReboot: true,
+        diagnostics: []
       };
     }
     if (ALIASES[alias]) {
-      return parse(ALIASES[alias]);
+      // Jenkins spreads its aliases with H
+      const expansion = (dialect && dialect.expansions && dialect.expansions[alias]) || ALIASES[alias];
+      return parse(expansion, options);
     }
-    return {
-      valid: false,
-      error: `Unknown alias: ${alias}`,
-      suggestion: `Valid aliases: ${Object.keys(ALIASES).join(', ')}`
-    };
+    return invalid('unknown-alias', `Unknown alias: ${alias}`,
+      `Valid aliases: ${Object.keys(ALIASES).join(', ')}`, { offset, length: trimmed.length });
   }
 
   const parts = trimmed.split(/\s+/);
+  const positions = [...trimmed.matchAll(/\S+/g)].map(m => m.index);
 
-  // Support 5 fields (standard) or 6 fields (with seconds - we'll ignore seconds)
-  if (parts.length < 5 || parts.length > 6) {
-    return {
-      valid: false,
-      error: `Invalid field count: expected 5, got ${parts.length}`,
-      suggestion: 'Format: minute hour day-of-month month day-of-week'
-    };
+  // A dialect has its own layouts
+  if (dialect && !dialect.layouts.some(layout => layout.length === parts.length)) {
+    const counts = dialect.layouts.map(layout => layout.length);
+    const at = parts.length > Math.max(...counts)
+      ? { offset: offset + positions[Math.max(...counts)], length: trimmed.length - positions[Math.max(...counts)] }
+      : { offset: offset + trimmed.length, length: 1 };
+    const format = dialect.layouts[dialect.layouts.length - 1]
+      .map(name => (dialect.layouts[0].includes(name) ? FIELD_NAMES[name] : `[${FIELD_NAMES[name]}]`).replace(/ /g, '-'));
+    return invalid('field-count', `Invalid field count: ${dialect.name} expects ${counts.join(' or ')} fields, got ${trimmed === '' ? 0 : parts.length}`,
+      `Format: ${format.join(' ')}`, at);
   }
 
-  // If 6 fields, assume first is seconds and skip it
-  const fields = parts.length === 6 ? parts.slice(1) : parts;
+  // Support 5 fields (standard), 6 (leading seconds) or 7 (seconds and trailing year)
+  if (parts.length < 5 || parts.length > 7) {
+    // Point at the extra fields, or just past the end when some are missing
+    const at = parts.length > 7
+      ? { offset: offset + positions[7], length: trimmed.length - positions[7] }
+      : { offset: offset + trimmed.length, length: 1 };
+    return invalid('field-count', `Invalid field count: expected 5 to 7, got ${trimmed === '' ? 0 : parts.length}`,
+      'Format: [second] minute hour day-of-month month day-of-week [year]', at);
+  }
+
+  const fieldNames = dialect
+    ? dialect.layouts.find(layout => layout.length === parts.length)
+    : getFieldNames(parts.length);
 
   const result = {
     valid: true,
     original: expression,
-    fields: {}
+    fields: {},
+    diagnostics: []
   };
 
-  const errors = [];
-
-  FIELD_ORDER.forEach((fieldName, i) => {
-    try {
-      const parsed = parseField(fields[i], FIELDS[fieldName]);
-      result.fields[fieldName] = parsed;
+  fieldNames.forEach((fieldName, i) => {
+    const checked = dialect ? checkDialect(parts[i], fieldName, dialect) : { text: parts[i], diagnostics: [] };
+    const { diagnostics, ...field } = parseField(checked.text, FIELDS[fieldName], fieldOptions);
+    result.fields[fieldName] = { ...field, raw: parts[i] };
+    [...checked.diagnostics, ...diagnostics].forEach(d => {
+      result.diagnostics.push({ ...d, field: fieldName, fieldIndex: i, offset: offset + positions[i] + d.offset });
+    });
+  });
 
-      // Check for out of range values
-      if (parsed.outOfRange && parsed.outOfRange.length > 0) {
-        errors.push(`${FIELD_NAMES[fieldName]}: values out of range (${parsed.outOfRange.join(', ')})`);
-      }
-    } catch (e) {
-      errors.push(`${FIELD_NAMES[fieldName]}: ${e.message}`);
+  // Quartz and AWS can't match both day fields: one of them must be "?"
+  if (dialect && dialect.oneQuestionMark) {
+    const { dayOfMonth, dayOfWeek } = result.fields;
+    const marks = [dayOfMonth, dayOfWeek].filter(f => f.raw === '?').length;
+    if (marks !== 1) {
+      const i = fieldNames.indexOf('dayOfWeek');
+      result.diagnostics.push({
+        ...diagnostic('day-fields', marks === 2
+          ? '"?" can only be used in one of day of month and day of week'
+          : `${dialect.name} needs "?" in day of month or day of week`, {
+          offset: offset + positions[i],
+          length: parts[i].length,
+          suggestion: marks === 2 ? 'did you mean *?' : dayOfWeek.raw === '*' ? 'use ? in day of week' : dayOfMonth.raw === '*' ? 'use ? in day of month' : `${dialect.name} can't match both - use ? in one of them`
+        }),
+        field: 'dayOfWeek',
+        fieldIndex: i
+      });
     }
-  });
+  }
+
+  // Problems in expression order
+  result.diagnostics.sort((a, b) => a.offset - b.offset);
+
+  const errors = result.diagnostics
+    .filter(d => d.severity === 'error')
+    .map(d => `${FIELD_NAMES[d.field]}: ${d.message}`);
 
   if (errors.length > 0) {
     result.valid = false;
@@ -193,94 +851,208 @@ function parse(expression) {
 /**
  * Validate a cron expression
  * @param {string} expression - Cron expression
- * @returns {Object} Validation result
+ * @param {Object} options - Parse options (see parse)
+ * @returns {Object} Validation result: errors and warnings as messages, and
+ *   the diagnostics behind them (see parse)
  */
-function validate(expression) {
-  const parsed = parse(expression);
+function validate(expression, options = {}) {
+  const parsed = parse(expression, options);
+  const label = d => (d.field ? `${FIELD_NAMES[d.field]}: ${d.message}` : d.message);
   return {
     valid: parsed.valid,
-    errors: parsed.errors || [],
+    expression,
+    errors: parsed.diagnostics.filter(d => d.severity === 'error').map(label),
+    warnings: parsed.diagnostics.filter(d => d.severity === 'warning').map(label),
+    diagnostics: parsed.diagnostics,
     suggestion: parsed.suggestion
   };
 }
 
 /**
- * Get the next N occurrences of a cron schedule
- * @param {string} expression - Cron expression
- * @param {number} count - Number of occurrences
- * @param {Object} options - Options
- * @param {string} options.timezone - Timezone (default: local)
- * @param {Date} options.from - Start date (default: now)
- * @returns {Array<Date>} Next occurrences
+ * Check if a field matches every value ("*", or "?" in day fields)
+ * @param {Object} field - Parsed field
+ * @returns {boolean}
  */
-function getNextOccurrences(expression, count = 5, options = {}) {
-  const parsed = parse(expression);
-  if (!parsed.valid || parsed.isReboot) {
-    return [];
+function isWildcard(field) {
+  return field.raw === '*' || field.raw === '?';
+}
+
+/**
+ * Check if an expression fires at seconds other than :00
+ * @param {Object} fields - Parsed fields
+ * @returns {boolean}
+ */
+function usesSeconds(fields) {
+  const { second } = fields;
+  return Boolean(second) && !(second.values.length === 1 && second.values[0] === 0);
+}
+
+/**
+ * Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @returns {number}
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Day of week for a calendar date
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {number} 0=Sunday ... 6=Saturday
+ */
+function weekdayOf(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Check a day-of-month special (L, LW, nW) against a date
+ * @param {Object} special - Special descriptor
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean}
+ */
+function matchesDayOfMonthSpecial(special, year, month, day) {
+  const lastDay = daysInMonth(year, month);
+
+  switch (special.type) {
+    case 'lastDay':
+      return day === lastDay - special.offset;
+
+    case 'lastWeekday': {
+      const weekday = weekdayOf(year, month, lastDay);
+      const target = weekday === 6 ? lastDay - 1 : weekday === 0 ? lastDay - 2 : lastDay;
+      return day === target;
+    }
+
+    case 'nearestWeekday': {
+      // Nearest Mon-Fri to the given day, never crossing into another month
+      if (special.day > lastDay) return false;
+      const weekday = weekdayOf(year, month, special.day);
+      let target = special.day;
+      if (weekday === 6) target = special.day === 1 ? 3 : special.day - 1;
+      if (weekday === 0) target = special.day === lastDay ? special.day - 2 : special.day + 1;
+      return day === target;
+    }
+
+    default:
+      return false;
   }
+}
 
-  const { timezone = 'local', from = new Date() } = options;
-  const occurrences = [];
+/**
+ * Check a day-of-week special (n#k, nL) against a date
+ * @param {Object} special - Special descriptor
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean}
+ */
+function matchesDayOfWeekSpecial(special, year, month, day) {
+  if (weekdayOf(year, month, day) !== special.day) return false;
 
-  let current = DateTime.fromJSDate(from, { zone: timezone });
+  switch (special.type) {
+    case 'nthDayOfWeek':
+      return Math.ceil(day / 7) === special.nth;
+    case 'lastDayOfWeek':
+      return day + 7 > daysInMonth(year, month);
+    default:
+      return false;
+  }
+}
 
-  // Move to next minute to avoid current minute
-  current = current.plus({ minutes: 1 }).startOf('minute');
+/**
+ * Check if a calendar date satisfies the day-of-month / day-of-week fields
+ * @param {Object} fields - Parsed fields
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean}
+ */
+function matchesDay(fields, year, month, day) {
+  const { dayOfMonth, dayOfWeek } = fields;
+  const domAll = isWildcard(dayOfMonth);
+  const dowAll = isWildcard(dayOfWeek);
 
-  const maxIterations = 366 * 24 * 60; // Max 1 year of minutes
-  let iterations = 0;
+  const domMatch = () => dayOfMonth.values.includes(day) ||
+    dayOfMonth.specials.some(s => matchesDayOfMonthSpecial(s, year, month, day));
+  const dowMatch = () => dayOfWeek.values.includes(weekdayOf(year, month, day)) ||
+    dayOfWeek.specials.some(s => matchesDayOfWeekSpecial(s, year, month, day));
 
-  while (occurrences.length < count && iterations < maxIterations) {
-    iterations++;
+  // Day matching is special: either day-of-month OR day-of-week can match
+  // unless one is * and one is specific
+  if (domAll && dowAll) return true;
+  if (domAll) return dowMatch();
+  if (dowAll) return domMatch();
 
-    const minute = current.minute;
-    const hour = current.hour;
-    const dayOfMonth = current.day;
-    const month = current.month;
-    const dayOfWeek = current.weekday % 7; // luxon: 1=Mon, 7=Sun -> we want 0=Sun
+  // Both specified: match either (OR logic per POSIX)
+  return domMatch() || dowMatch();
+}
 
-    // Check if this time matches
-    const { fields } = parsed;
+/**
+ * Check if a cron expression matches a specific datetime
+ * @param {Object} parsed - Parsed cron (from parse)
+ * @param {DateTime} dt - luxon DateTime, already in the schedule's timezone
+ * @returns {boolean}
+ */
+function matches(parsed, dt) {
+  if (!parsed.valid || parsed.isReboot || parsed.isInterval) return false;
 
-    const minuteMatch = fields.minute.values.includes(minute);
-    const hourMatch = fields.hour.values.includes(hour);
-    const monthMatch = fields.month.values.includes(month);
+  const { fields } = parsed;
 
-    // Day matching is special: either day-of-month OR day-of-week can match
-    // unless one is * and one is specific
-    const domAll = fields.dayOfMonth.raw === '*';
-    const dowAll = fields.dayOfWeek.raw === '*';
+  // Without a seconds field the schedule has minute resolution
+  if (fields.second && !fields.second.values.includes(dt.second)) return false;
+  if (fields.year && !fields.year.values.includes(dt.year)) return false;
 
-    let dayMatch;
-    if (domAll && dowAll) {
-      dayMatch = true;
-    } else if (domAll) {
-      dayMatch = fields.dayOfWeek.values.includes(dayOfWeek);
-    } else if (dowAll) {
-      dayMatch = fields.dayOfMonth.values.includes(dayOfMonth);
-    } else {
-      // Both specified: match either (OR logic per POSIX)
-      dayMatch = fields.dayOfMonth.values.includes(dayOfMonth) ||
-                 fields.dayOfWeek.values.includes(dayOfWeek);
-    }
+  return fields.minute.values.includes(dt.minute) &&
+    fields.hour.values.includes(dt.hour) &&
+    fields.month.values.includes(dt.month) &&
+    matchesDay(fields, dt.year, dt.month, dt.day);
+}
 
-    if (minuteMatch && hourMatch && dayMatch && monthMatch) {
-      occurrences.push(current.toJSDate());
-    }
+/**
+ * Format an hour as 12-hour time, e.g. "10PM"
+ * @param {number} h - Hour (0-23)
+ * @returns {string}
+ */
+function formatHour(h) {
+  const ampm = h >= 12 ? 'PM' : 'AM';
+  const h12 = h === 0 ? 12 : h > 12 ? h - 12 : h;
+  return `${h12}${ampm}`;
+}
 
-    current = current.plus({ minutes: 1 });
-  }
+/**
+ * The wrap-around range a field consists of, if that's all it is
+ * @param {Object} field - Parsed field
+ * @returns {Object|null} { start, end, step }
+ */
+function wholeWrap(field) {
+  const wraps = field.wraps || [];
+  return wraps.length === 1 && wraps[0].step === 1 && !field.raw.includes(',') ? wraps[0] : null;
+}
 
-  return occurrences;
+/**
+ * The Jenkins H item a field consists of, if that's all it is
+ * @param {Object} field - Parsed field
+ * @returns {Object|null} { start, end, step }
+ */
+function wholeHash(field) {
+  const hashes = field.hashes || [];
+  return hashes.length === 1 && !field.raw.includes(',') ? hashes[0] : null;
 }
 
 /**
  * Generate human-readable description
  * @param {string} expression - Cron expression
+ * @param {Object} options - Parse options (see parse)
  * @returns {string} Human-readable description
  */
-function describe(expression) {
-  const parsed = parse(expression);
+function describe(expression, options = {}) {
+  const parsed = parse(expression, options);
 
   if (!parsed.valid) {
     return `Invalid: ${parsed.error || parsed.errors?.join(', ')}`;
@@ -290,28 +1062,70 @@ function describe(expression) {
     return 'Run once at system startup';
   }
 
+  if (parsed.isInterval) {
+    return parsed.description;
+  }
+
   const { fields } = parsed;
   const parts = [];
 
+  // Seconds (only when the expression has a seconds field other than 0)
+  const { second } = fields;
+  const hasSeconds = usesSeconds(fields);
+  if (hasSeconds) {
+    if (second.raw === '*') {
+      parts.push('Every second');
+    } else if (second.values.length === 1) {
+      parts.push(`At second ${second.values[0]}`);
+    } else if (second.raw.includes('/')) {
+      const step = second.raw.split('/')[1];
+      parts.push(`Every ${step} seconds`);
+    } else {
+      parts.push(`At seconds ${second.values.join(', ')}`);
+    }
+  }
+
+  // Jenkins H: a fixed but hashed time, described by the range it falls in
+  const pad = n => String(n).padStart(2, '0');
+  const minuteHash = wholeHash(fields.minute);
+  const hourHash = wholeHash(fields.hour);
+  const daily = minuteHash && hourHash && minuteHash.step === 1 && hourHash.step === 1;
+
   // Minutes
-  if (fields.minute.raw === '*') {
-    parts.push('Every minute');
+  if (daily) {
+    const period = wholeHash(fields.dayOfWeek) ? 'a week' : wholeHash(fields.month) ? 'a year' : wholeHash(fields.dayOfMonth) ? 'a month' : 'a day';
+    parts.push(`${hasSeconds ? 'once' : 'Once'} ${period} at a hashed time between ${hourHash.start}:${pad(minuteHash.start)} and ${hourHash.end}:${pad(minuteHash.end)}`);
+  } else if (minuteHash) {
+    const within = minuteHash.end - minuteHash.start < 59 ? ` between :${pad(minuteHash.start)} and :${pad(minuteHash.end)}` : '';
+    if (minuteHash.step > 1) {
+      parts.push(`${hasSeconds ? 'every' : 'Every'} ${minuteHash.step} minutes from a hashed minute${within}`);
+    } else {
+      const start = fields.hour.raw === '*' ? 'once an hour at' : 'at';
+      parts.push(`${hasSeconds ? start : start[0].toUpperCase() + start.slice(1)} a hashed minute${within}`);
+    }
+  } else if (fields.minute.raw === '*') {
+    if (!hasSeconds) parts.push('Every minute');
   } else if (fields.minute.values.length === 1) {
-    parts.push(`At minute ${fields.minute.values[0]}`);
+    parts.push(`${hasSeconds ? 'at' : 'At'} minute ${fields.minute.values[0]}`);
   } else if (fields.minute.raw.includes('/')) {
     const step = fields.minute.raw.split('/')[1];
-    parts.push(`Every ${step} minutes`);
+    parts.push(`${hasSeconds ? 'every' : 'Every'} ${step} minutes`);
   } else {
-    parts.push(`At minutes ${fields.minute.values.join(', ')}`);
+    parts.push(`${hasSeconds ? 'at' : 'At'} minutes ${fields.minute.values.join(', ')}`);
   }
 
   // Hours
-  if (fields.hour.raw !== '*') {
-    if (fields.hour.values.length === 1) {
-      const h = fields.hour.values[0];
-      const ampm = h >= 12 ? 'PM' : 'AM';
-      const h12 = h === 0 ? 12 : h > 12 ? h - 12 : h;
-      parts.push(`at ${h12}${ampm}`);
+  if (fields.hour.raw !== '*' && !daily) {
+    const wrap = wholeWrap(fields.hour);
+    const within = hourHash && hourHash.end - hourHash.start < 23 ? ` between ${formatHour(hourHash.start)} and ${formatHour(hourHash.end)}` : '';
+    if (hourHash && hourHash.step > 1) {
+      parts.push(`every ${hourHash.step} hours from a hashed hour${within}`);
+    } else if (hourHash) {
+      parts.push(`at a hashed hour${within}`);
+    } else if (wrap) {
+      parts.push(`from ${formatHour(wrap.start)} to ${formatHour(wrap.end)}`);
+    } else if (fields.hour.values.length === 1) {
+      parts.push(`at ${formatHour(fields.hour.values[0])}`);
     } else if (fields.hour.raw.includes('/')) {
       const step = fields.hour.raw.split('/')[1];
       parts.push(`every ${step} hours`);
@@ -321,12 +1135,20 @@ function describe(expression) {
   }
 
   // Day of month
-  if (fields.dayOfMonth.raw !== '*') {
-    if (fields.dayOfMonth.values.length === 1) {
-      parts.push(`on day ${fields.dayOfMonth.values[0]}`);
-    } else {
-      parts.push(`on days ${fields.dayOfMonth.values.join(', ')}`);
+  if (!isWildcard(fields.dayOfMonth)) {
+    const phrases = [];
+    const wrap = wholeWrap(fields.dayOfMonth);
+    if (wholeHash(fields.dayOfMonth)) {
+      phrases.push('a hashed day of the month');
+    } else if (wrap) {
+      phrases.push(`days ${wrap.start} to ${wrap.end} (across the month end)`);
+    } else if (fields.dayOfMonth.values.length === 1) {
+      phrases.push(`day ${fields.dayOfMonth.values[0]}`);
+    } else if (fields.dayOfMonth.values.length > 1) {
+      phrases.push(`days ${fields.dayOfMonth.values.join(', ')}`);
     }
+    phrases.push(...fields.dayOfMonth.specials.map(describeSpecial));
+    parts.push(`on ${phrases.join(' and ')}`);
   }
 
   // Month
@@ -334,94 +1156,70 @@ function describe(expression) {
     const monthNames = ['', 'January', 'February', 'March', 'April', 'May', 'June',
       'July', 'August', 'September', 'October', 'November', 'December'];
     const names = fields.month.values.map(m => monthNames[m]);
-    parts.push(`in ${names.join(', ')}`);
+    const wrap = wholeWrap(fields.month);
+    if (wholeHash(fields.month)) {
+      parts.push('in a hashed month');
+    } else {
+      parts.push(wrap ? `from ${monthNames[wrap.start]} to ${monthNames[wrap.end]}` : `in ${names.join(', ')}`);
+    }
   }
 
   // Day of week
-  if (fields.dayOfWeek.raw !== '*') {
-    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const names = fields.dayOfWeek.values.map(d => dayNames[d]);
-    if (names.length === 1) {
-      parts.push(`on ${names[0]}`);
+  if (!isWildcard(fields.dayOfWeek)) {
+    const names = fields.dayOfWeek.values.map(d => DAY_NAMES[d]);
+    const phrases = [];
+    const wrap = wholeWrap(fields.dayOfWeek);
+    if (wholeHash(fields.dayOfWeek)) {
+      phrases.push('a hashed day of the week');
+    } else if (wrap) {
+      phrases.push(`${DAY_NAMES[wrap.start % 7]} to ${DAY_NAMES[wrap.end % 7]}`);
+    } else if (names.length === 1) {
+      phrases.push(names[0]);
     } else if (names.length === 5 && !names.includes('Saturday') && !names.includes('Sunday')) {
-      parts.push('on weekdays');
+      phrases.push('weekdays');
     } else if (names.length === 2 && names.includes('Saturday') && names.includes('Sunday')) {
-      parts.push('on weekends');
-    } else {
-      parts.push(`on ${names.join(', ')}`);
+      phrases.push('weekends');
+    } else if (names.length > 0) {
+      phrases.push(names.join(', '));
     }
+    phrases.push(...fields.dayOfWeek.specials.map(describeSpecial));
+    parts.push(`on ${phrases.join(' and ')}`);
   }
 
-  return parts.join(' ');
-}
-
-/**
- * Compare two cron expressions
- * @param {string} expr1 - First expression
- * @param {string} expr2 - Second expression
- * @returns {Object} Comparison result
- */
-function compare(expr1, expr2) {
-  const parsed1 = parse(expr1);
-  const parsed2 = parse(expr2);
-
-  if (!parsed1.valid || !parsed2.valid) {
-    return {
-      valid: false,
-      error: !parsed1.valid ? `First expression invalid: ${parsed1.error}` : `Second expression invalid: ${parsed2.error}`
-    };
-  }
-
-  const differences = [];
-  const similarities = [];
-
-  FIELD_ORDER.forEach(fieldName => {
-    const vals1 = parsed1.fields[fieldName].values;
-    const vals2 = parsed2.fields[fieldName].values;
-    const set1 = new Set(vals1);
-    const set2 = new Set(vals2);
-
-    const same = vals1.length === vals2.length && vals1.every(v => set2.has(v));
-
-    if (same) {
-      similarities.push(FIELD_NAMES[fieldName]);
+  // Year
+  if (fields.year && fields.year.raw !== '*') {
+    const years = fields.year.values;
+    const contiguous = years.every((y, k) => k === 0 || y === years[k - 1] + 1);
+    if (years.length === 1) {
+      parts.push(`in ${years[0]} only`);
+    } else if (contiguous) {
+      parts.push(`in ${years[0]}-${years[years.length - 1]}`);
     } else {
-      differences.push({
-        field: FIELD_NAMES[fieldName],
-        first: parsed1.fields[fieldName].raw,
-        second: parsed2.fields[fieldName].raw
-      });
+      parts.push(`in years ${years.join(', ')}`);
     }
-  });
-
-  // Compare next 10 occurrences
-  const next1 = getNextOccurrences(expr1, 10);
-  const next2 = getNextOccurrences(expr2, 10);
+  }
 
-  const overlap = next1.filter(d1 =>
-    next2.some(d2 => Math.abs(d1.getTime() - d2.getTime()) < 60000)
-  );
+  if (parsed.timezone) {
+    parts.push(`(${parsed.timezone} time)`);
+  }
 
-  return {
-    valid: true,
-    same: differences.length === 0,
-    differences,
-    similarities,
-    overlap: overlap.length,
-    descriptions: {
-      first: describe(expr1),
-      second: describe(expr2)
-    }
-  };
+  return parts.join(' ');
 }
 
 module.exports = {
   parse,
   validate,
+  splitTimezone,
+  compactValues,
   describe,
-  getNextOccurrences,
-  compare,
+  parseField,
+  matches,
+  matchesDay,
+  isWildcard,
+  usesSeconds,
+  daysInMonth,
   FIELDS,
   FIELD_ORDER,
+  FIELD_NAMES,
   ALIASES
 };
@@ -0,0 +1,552 @@
+/**
+ * Cron schedule engine
+ * @module core/schedule
+ */
+const { DateTime } = require('luxon');
+const { parse, describe, parseField, matchesDay, daysInMonth, FIELDS, FIELD_ORDER, FIELD_NAMES } = require('./parser');
+const { getZone, wallMillis, resolveWallTime } = require('./timezone');
+const { relate } = require('./equivalence');
+
+// Search horizon: one full Gregorian cycle, so leap days and rare
+// day-of-week combinations are always found if they exist at all
+const MAX_YEARS_AHEAD = 400;
+
+// How runs are placed around DST transitions:
+// - vixie: like Vixie cron / cronie. Fixed-time jobs (explicit minute and hour)
+//   scheduled inside a spring-forward gap run once, right after the jump, and
+//   run only once in a fall-back repeated hour. Wildcard jobs (minute or hour
+//   starting with *) follow the wall clock: skipped in the gap, run on both
+//   passes of the repeated hour.
+// - strict: pure wall-clock matching for every job. Times in the gap never
+//   happen; times in the repeated hour happen twice.
+const DST_POLICIES = ['vixie', 'strict'];
+
+// Wall-clock units below the year, largest first
+const UNITS = ['month', 'day', 'hour', 'minute', 'second'];
+
+// Where each unit restarts after a carry, per search direction
+const RESET = {
+  forward: { month: 1, day: 1, hour: 0, minute: 0, second: 0 },
+  backward: { month: 12, day: 31, hour: 23, minute: 59, second: 59 }
+};
+
+/**
+ * First value in a sorted list that is >= target
+ * @param {Array<number>} values - Sorted values
+ * @param {number} target - Lower bound
+ * @returns {number|undefined}
+ */
+function firstAtLeast(values, target) {
+  return values.find(v => v >= target);
+}
+
+/**
+ * Last value in a sorted list that is <= target
+ * @param {Array<number>} values - Sorted values
+ * @param {number} target - Upper bound
+ * @returns {number|undefined}
+ */
+function lastAtMost(values, target) {
+  for (let i = values.length - 1; i >= 0; i--) {
+    if (values[i] <= target) return values[i];
+  }
+  return undefined;
+}
+
+/**
+ * Closest matching day of the month, starting at a given day
+ * @param {Object} fields - Parsed fields
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - First day to consider
+ * @param {number} direction - 1 to search forward, -1 backward
+ * @returns {number|undefined}
+ */
+function findDay(fields, year, month, day, direction) {
+  const lastDay = daysInMonth(year, month);
+  // Searching backward starts from day 31, which may not exist in this month
+  const first = direction < 0 ? Math.min(day, lastDay) : day;
+  for (let d = first; d >= 1 && d <= lastDay; d += direction) {
+    if (matchesDay(fields, year, month, d)) return d;
+  }
+  return undefined;
+}
+
+/**
+ * Find the closest wall-clock time at or after (direction 1) or at or before
+ * (direction -1) start that matches the schedule. Jumps field by field
+ * (year -> month -> day -> hour -> minute -> second) instead of stepping
+ * through every minute.
+ * @param {Object} parsed - Parsed cron (from parse)
+ * @param {Object} start - Wall-clock { year, month, day, hour, minute, second }
+ * @param {number} direction - 1 or -1
+ * @param {number} yearLimit - Give up after passing this year
+ * @returns {Object|null} Matching wall-clock time or null
+ */
+function seek(parsed, start, direction, yearLimit) {
+  const { fields } = parsed;
+  const forward = direction > 0;
+  const pick = forward ? firstAtLeast : lastAtMost;
+  const reset = forward ? RESET.forward : RESET.backward;
+  const values = {
+    month: fields.month.values,
+    hour: fields.hour.values,
+    minute: fields.minute.values,
+    second: fields.second ? fields.second.values : [0]
+  };
+  const years = fields.year ? fields.year.values : null;
+
+  const t = {
+    year: start.year,
+    month: start.month,
+    day: start.day,
+    hour: start.hour,
+    minute: start.minute,
+    second: start.second
+  };
+  const resetBelow = (unit) => {
+    UNITS.slice(UNITS.indexOf(unit) + 1).forEach(u => { t[u] = reset[u]; });
+  };
+
+  while (forward ? t.year <= yearLimit : t.year >= yearLimit) {
+    if (years && !years.includes(t.year)) {
+      const y = forward ? years.find(v => v > t.year) : lastAtMost(years, t.year);
+      if (y === undefined) return null;
+      t.year = y;
+      resetBelow('year');
+      continue;
+    }
+
+    let carried = false;
+    for (let i = 0; i < UNITS.length; i++) {
+      const unit = UNITS[i];
+      const value = unit === 'day'
+        ? findDay(fields, t.year, t.month, t.day, direction)
+        : pick(values[unit], t[unit]);
+
+      if (value === undefined) {
+        // Nothing left in this unit - carry into the next larger one
+        const parent = i === 0 ? 'year' : UNITS[i - 1];
+        t[parent] += direction;
+        resetBelow(parent);
+        carried = true;
+        break;
+      }
+
+      if (value !== t[unit]) {
+        t[unit] = value;
+        resetBelow(unit);
+      }
+    }
+
+    if (!carried) return t;
+  }
+
+  return null;
+}
+
+/**
+ * Wall-clock time from milliseconds (calendar arithmetic, no timezone)
+ * @param {number} ms - Milliseconds, as produced by wallMillis
+ * @returns {Object}
+ */
+function toWall(ms) {
+  const d = new Date(ms);
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    hour: d.getUTCHours(),
+    minute: d.getUTCMinutes(),
+    second: d.getUTCSeconds()
+  };
+}
+
+/**
+ * Shift a wall-clock time by whole seconds (calendar arithmetic, no timezone)
+ * @param {Object} wall - Wall-clock time
+ * @param {number} seconds - Seconds to add (may be negative)
+ * @returns {Object}
+ */
+function shiftWall(wall, seconds) {
+  return toWall(wallMillis(wall) + seconds * 1000);
+}
+
+/**
+ * Whether a schedule is "fixed-time" in the Vixie cron sense: neither the
+ * minute nor the hour field starts with *
+ * @param {Object} parsed - Parsed cron (from parse)
+ * @returns {boolean}
+ */
+function isFixedTime(parsed) {
+  return !parsed.fields.minute.raw.startsWith('*') && !parsed.fields.hour.raw.startsWith('*');
+}
+
+/**
+ * Check a DST policy name
+ * @param {string} policy - Policy name
+ * @returns {string} The policy
+ */
+function checkDstPolicy(policy) {
+  if (!DST_POLICIES.includes(policy)) {
+    throw new Error(`Unknown DST policy "${policy}" (expected ${DST_POLICIES.join(' or ')})`);
+  }
+  return policy;
+}
+
+/**
+ * Walk occurrences in one direction from a start instant, lazily
+ * @param {Object} parsed - Parsed cron (from parse)
+ * @param {string} timezone - Timezone
+ * @param {Date} from - Start instant, exclusive
+ * @param {number} direction - 1 for next runs, -1 for previous runs
+ * @param {string} policy - DST policy (see DST_POLICIES)
+ * @yields {Object} { date, dst } where dst is null, or describes how a DST
+ *   transition affected the run: { type: 'gap', scheduled } for a run moved
+ *   out of a spring-forward gap, { type: 'repeat', pass, of } for a run in a
+ *   fall-back repeated hour
+ */
+function* walk(parsed, timezone, from, direction, policy) {
+  const zone = getZone(timezone);
+  if (!zone.isValid) {
+    return;
+  }
+
+  const start = DateTime.fromJSDate(from, { zone });
+  if (!start.isValid) {
+    return;
+  }
+
+  const fixedTime = isFixedTime(parsed);
+  const passes = policy === 'strict' || !fixedTime ? 2 : 1;
+
+  // "from" itself is never included
+  const yearLimit = start.year + direction * MAX_YEARS_AHEAD;
+  const begin = start.startOf('second');
+  let wall = direction > 0 || begin.toMillis() === start.toMillis()
+    ? shiftWall(begin.toObject(), direction)
+    : begin.toObject();
+  let last = start.toMillis();
+
+  // Starting inside a repeated hour: rewind to its edge so runs on the other
+  // pass are not missed (anything not past "from" is dropped below)
+  const initial = resolveWallTime(wall, zone).overlap;
+  if (initial) {
+    wall = toWall(direction > 0 ? initial.start : initial.end - 1000);
+  }
+
+  while (true) {
+    const match = seek(parsed, wall, direction, yearLimit);
+    if (!match) return;
+
+    const { instants, transition, overlap } = resolveWallTime(match, zone);
+    let runs;
+
+    if (overlap) {
+      // Repeated hour: the two passes interleave in wall-clock order, so
+      // gather every match in it first, then emit them in time order
+      const walls = [];
+      let next = match;
+      while (next && wallMillis(next) >= overlap.start && wallMillis(next) < overlap.end) {
+        walls.push(next);
+        next = seek(parsed, shiftWall(next, direction), direction, yearLimit);
+      }
+
+      runs = [];
+      [overlap.before, overlap.after].slice(0, passes).forEach((offset, i) => {
+        walls.forEach(w => runs.push({
+          ts: wallMillis(w) - offset * 60000,
+          dst: { type: 'repeat', pass: i + 1, of: passes }
+        }));
+      });
+      runs.sort((a, b) => (a.ts - b.ts) * direction);
+      wall = toWall(direction > 0 ? overlap.end : overlap.start - 1000);
+    } else if (transition !== null) {
+      // Spring-forward gap: this wall-clock time never happens
+      runs = policy === 'vixie' && fixedTime
+        ? [{ ts: transition, dst: { type: 'gap', scheduled: DateTime.fromObject(match, { zone: 'UTC' }).toFormat('yyyy-MM-dd HH:mm:ss') } }]
+        : [];
+      wall = shiftWall(match, direction);
+    } else {
+      runs = [{ ts: instants[0], dst: null }];
+      wall = shiftWall(match, direction);
+    }
+
+    // Several gap times collapse onto the same instant; emit it once
+    for (const run of runs) {
+      if ((run.ts - last) * direction > 0) {
+        yield { date: new Date(run.ts), dst: run.dst };
+        last = run.ts;
+      }
+    }
+  }
+}
+
+/**
+ * Walk the runs of an @every interval schedule, lazily. Intervals are
+ * counted in real time from the anchor, so DST never moves them. Like cron
+ * schedules, the walk ends MAX_YEARS_AHEAD years from "from".
+ * @param {number} interval - Interval in milliseconds
+ * @param {Date} anchor - A run (when the scheduler started counting)
+ * @param {Date} from - Start instant, exclusive
+ * @param {number} direction - 1 for next runs, -1 for previous runs
+ * @yields {Object} { date, dst } with dst always null
+ */
+function* walkInterval(interval, anchor, from, direction) {
+  const elapsed = (from.getTime() - anchor.getTime()) / interval;
+  let k = direction > 0 ? Math.floor(elapsed) + 1 : Math.ceil(elapsed) - 1;
+  const limit = DateTime.fromJSDate(from).plus({ years: direction * MAX_YEARS_AHEAD }).toMillis();
+  while (true) {
+    const time = anchor.getTime() + k * interval;
+    if ((time - limit) * direction > 0) return;
+    yield { date: new Date(time), dst: null };
+    k += direction;
+  }
+}
+
+/**
+ * Wall-clock times matching a schedule in a range, ignoring timezones
+ * @param {Object} parsed - Parsed cron (from parse)
+ * @param {Object} start - Wall-clock start, inclusive
+ * @param {Object} end - Wall-clock end, exclusive
+ * @returns {Array<Object>} Matching wall-clock times
+ */
+function getWallMatches(parsed, start, end) {
+  const walls = [];
+  if (!parsed.valid || parsed.isReboot) return walls;
+
+  const limit = wallMillis(end);
+  let match = seek(parsed, start, 1, end.year);
+  while (match && wallMillis(match) < limit) {
+    walls.push(match);
+    match = seek(parsed, shiftWall(match, 1), 1, end.year);
+  }
+  return walls;
+}
+
+/**
+ * Collect occurrences in one direction from a start instant
+ * @param {string} expression - Cron expression
+ * @param {number} count - Number of occurrences
+ * @param {Object} options - { timezone, from, dst, details } and parse options
+ * @param {number} direction - 1 for next runs, -1 for previous runs
+ * @returns {Array<Date>|Array<Object>}
+ */
+function collectOccurrences(expression, count, options, direction) {
+  const { timezone = 'local', from = new Date(), dst = 'vixie', details = false, anchor } = options;
+  checkDstPolicy(dst);
+
+  // Anything but a positive whole count would never stop the walk below
+  if (!Number.isInteger(count) || count <= 0) {
+    return [];
+  }
+
+  const parsed = parse(expression, options);
+  if (!parsed.valid || parsed.isReboot) {
+    return [];
+  }
+
+  const occurrences = [];
+
+  // A CRON_TZ=/TZ= prefix in the expression wins over the option
+  const runs = parsed.isInterval
+    ? walkInterval(parsed.interval, anchor || from, from, direction)
+    : walk(parsed, parsed.timezone || timezone, from, direction, dst);
+  for (const run of runs) {
+    if (occurrences.length >= count) break;
+    occurrences.push(details ? run : run.date);
+  }
+
+  return occurrences;
+}
+
+/**
+ * Get the next N occurrences of a cron schedule
+ * @param {string} expression - Cron expression
+ * @param {number} count - Number of occurrences
+ * @param {Object} options - Options
+ * @param {string} options.timezone - Timezone (default: local; a CRON_TZ=/TZ= prefix wins)
+ * @param {Date} options.from - Start date, exclusive (default: now)
+ * @param {string} options.dst - DST policy: 'vixie' (default) or 'strict'
+ * @param {boolean} options.details - Return { date, dst } records instead of
+ *   dates, flagging runs affected by a DST transition
+ * @param {boolean} options.wrapRanges - Accept wrap-around ranges (see parse)
+ * @param {Date} options.anchor - For @every: a moment the schedule ran, that
+ *   runs are counted from (default: from, as if the scheduler started then)
+ * @returns {Array<Date>|Array<Object>} Next occurrences
+ */
+function getNextOccurrences(expression, count = 5, options = {}) {
+  return collectOccurrences(expression, count, options, 1);
+}
+
+/**
+ * Get the previous N occurrences of a cron schedule, most recent first
+ * @param {string} expression - Cron expression
+ * @param {number} count - Number of occurrences
+ * @param {Object} options - Options
+ * @param {string} options.timezone - Timezone (default: local; a CRON_TZ=/TZ= prefix wins)
+ * @param {Date} options.from - End date, exclusive (default: now)
+ * @param {string} options.dst - DST policy: 'vixie' (default) or 'strict'
+ * @param {boolean} options.details - Return { date, dst } records instead of
+ *   dates, flagging runs affected by a DST transition
+ * @param {boolean} options.wrapRanges - Accept wrap-around ranges (see parse)
+ * @param {Date} options.anchor - For @every: a moment the schedule ran, that
+ *   runs are counted from (default: from, as if the scheduler started then)
+ * @returns {Array<Date>|Array<Object>} Previous occurrences
+ */
+function getPreviousOccurrences(expression, count = 5, options = {}) {
+  return collectOccurrences(expression, count, options, -1);
+}
+
+/**
+ * Lazily iterate over the occurrences of a cron schedule. The result can be
+ * consumed with for...of or for await...of, and every loop starts over from
+ * "from".
+ * @param {string} expression - Cron expression
+ * @param {Object} options - Options
+ * @param {string} options.timezone - Timezone (default: local; a CRON_TZ=/TZ= prefix wins)
+ * @param {Date} options.from - Start date, exclusive (default: now)
+ * @param {Date} options.until - End date, inclusive (default: no end)
+ * @param {number} options.skip - Number of occurrences to skip first (default: 0)
+ * @param {string} options.dst - DST policy: 'vixie' (default) or 'strict'
+ * @param {boolean} options.details - Yield { date, dst } records instead of dates
+ * @param {boolean} options.wrapRanges - Accept wrap-around ranges (see parse)
+ * @param {Date} options.anchor - For @every: a moment the schedule ran, that
+ *   runs are counted from (default: from, as if the scheduler started then)
+ * @returns {Iterable<Date>&AsyncIterable<Date>}
+ */
+function occurrences(expression, options = {}) {
+  const { timezone = 'local', from = new Date(), until, skip = 0, dst = 'vixie', details = false, anchor } = options;
+  checkDstPolicy(dst);
+  const parsed = parse(expression, options);
+
+  const generate = function* () {
+    if (!parsed.valid || parsed.isReboot) return;
+
+    let skipped = 0;
+    const runs = parsed.isInterval
+      ? walkInterval(parsed.interval, anchor || from, from, 1)
+      : walk(parsed, parsed.timezone || timezone, from, 1, dst);
+    for (const run of runs) {
+      if (until && run.date > until) return;
+      if (skipped < skip) {
+        skipped++;
+        continue;
+      }
+      yield details ? run : run.date;
+    }
+  };
+
+  return {
+    [Symbol.iterator]: generate,
+    async *[Symbol.asyncIterator]() {
+      yield* generate();
+    }
+  };
+}
+
+/**
+ * Compare two cron expressions, field by field and as schedules (see relate)
+ * @param {string} expr1 - First expression
+ * @param {string} expr2 - Second expression
+ * @param {Object} options - Options
+ * @param {Date} options.from - Pick example runs and count the overlap from
+ *   this day on (default: now)
+ * @param {string} options.timezone - Timezone of the runs the overlap counts
+ *   (see getNextOccurrences)
+ * @param {string} options.dst - DST policy of those runs
+ * @returns {Object} Comparison result
+ *   - same: both run at exactly the same times
+ *   - relation, examples: from relate
+ *   - differences, similarities: fields written differently or the same
+ *   - overlap: runs shared among the next 10 of each after from
+ */
+function compare(expr1, expr2, options = {}) {
+  const parsed1 = parse(expr1);
+  const parsed2 = parse(expr2);
+
+  if (!parsed1.valid || !parsed2.valid) {
+    return {
+      valid: false,
+      error: !parsed1.valid ? `First expression invalid: ${parsed1.error}` : `Second expression invalid: ${parsed2.error}`
+    };
+  }
+
+  const special = [parsed1, parsed2].find(p => p.isReboot || p.isInterval);
+  if (special) {
+    return {
+      valid: false,
+      error: `${special.original} has no fields to compare`
+    };
+  }
+
+  const { relation, examples } = relate(expr1, expr2, options);
+  const differences = [];
+  const similarities = [];
+
+  // A 5-field expression behaves like one with seconds fixed at 0 and any year
+  const withSeconds = parsed1.fields.second || parsed2.fields.second;
+  const withYear = parsed1.fields.year || parsed2.fields.year;
+  const defaults = { second: parseField('0', FIELDS.second), year: parseField('*', FIELDS.year) };
+  const fieldNames = [
+    ...(withSeconds ? ['second'] : []),
+    ...FIELD_ORDER,
+    ...(withYear ? ['year'] : [])
+  ];
+
+  fieldNames.forEach(fieldName => {
+    const field1 = parsed1.fields[fieldName] || defaults[fieldName];
+    const field2 = parsed2.fields[fieldName] || defaults[fieldName];
+    const vals1 = field1.values;
+    const vals2 = field2.values;
+    const set2 = new Set(vals2);
+
+    const same = vals1.length === vals2.length && vals1.every(v => set2.has(v)) &&
+      JSON.stringify(field1.specials) === JSON.stringify(field2.specials);
+
+    if (same) {
+      similarities.push(FIELD_NAMES[fieldName]);
+    } else {
+      differences.push({
+        field: FIELD_NAMES[fieldName],
+        first: field1.raw,
+        second: field2.raw
+      });
+    }
+  });
+
+  // Compare next 10 occurrences (to the second when either has a seconds field)
+  const next1 = getNextOccurrences(expr1, 10, { ...options, details: false });
+  const next2 = getNextOccurrences(expr2, 10, { ...options, details: false });
+  const tolerance = withSeconds ? 1000 : 60000;
+
+  const overlap = next1.filter(d1 =>
+    next2.some(d2 => Math.abs(d1.getTime() - d2.getTime()) < tolerance)
+  );
+
+  return {
+    valid: true,
+    same: relation === 'equal',
+    relation,
+    examples,
+    differences,
+    similarities,
+    overlap: overlap.length,
+    descriptions: {
+      first: describe(expr1),
+      second: describe(expr2)
+    }
+  };
+}
+
+module.exports = {
+  getNextOccurrences,
+  getPreviousOccurrences,
+  occurrences,
+  compare,
+  isFixedTime,
+  getWallMatches,
+  toWall,
+  MAX_YEARS_AHEAD,
+  DST_POLICIES
+};
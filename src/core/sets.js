@@ -0,0 +1,429 @@
+/**
+ * Set algebra on schedules: intersect, union and subtract
+ * @module core/sets
+ */
+const { DateTime } = require('luxon');
+const { parse, splitTimezone, compactValues, isWildcard, matches, FIELDS } = require('./parser');
+const { occurrences } = require('./schedule');
+const { relate } = require('./equivalence');
+const { getZone } = require('./timezone');
+const { normalize } = require('./normalize');
+
+// Product fields, in the order subtract peels them off
+const PRODUCT_FIELDS = ['year', 'month', 'day', 'hour', 'minute', 'second'];
+
+const ALL_DAYS = { kind: 'all' };
+const NO_DAYS = { kind: 'dom', values: [] };
+
+/**
+ * Every value of a field
+ * @param {Object} def - Field definition
+ * @returns {Array<number>}
+ */
+function allValues(def) {
+  const max = def === FIELDS.dayOfWeek ? 6 : def.max;
+  return Array.from({ length: max - def.min + 1 }, (_, i) => def.min + i);
+}
+
+const intersection = (a, b) => a.filter(v => b.includes(v));
+const difference = (a, b) => a.filter(v => !b.includes(v));
+const union = (a, b) => [...new Set([...a, ...b])].sort((x, y) => x - y);
+
+/**
+ * The days a schedule runs on. Day-of-month-only and day-of-week-only
+ * schedules are sets we can combine; anything else (both fields set, L/W/#)
+ * is kept as written and only combines with itself.
+ * @param {Object} fields - Parsed fields
+ * @returns {Object} { kind: 'all' | 'dom' | 'dow' | 'raw', values, dom, dow }
+ */
+function toDays(fields) {
+  const { dayOfMonth, dayOfWeek } = fields;
+  const domAll = isWildcard(dayOfMonth);
+  const dowAll = isWildcard(dayOfWeek);
+  const plain = field => field.specials.length === 0;
+
+  if (domAll && dowAll) return ALL_DAYS;
+  if (dowAll && plain(dayOfMonth)) return { kind: 'dom', values: dayOfMonth.values };
+  if (domAll && plain(dayOfWeek)) {
+    return { kind: 'dow', values: union(dayOfWeek.values.map(v => (v === 7 ? 0 : v)), []) };
+  }
+  return { kind: 'raw', dom: dayOfMonth.raw, dow: dayOfWeek.raw };
+}
+
+/**
+ * Whether two day sets are written the same way
+ * @param {Object} a - Days
+ * @param {Object} b - Days
+ * @returns {boolean}
+ */
+function sameDays(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Days in both sets
+ * @param {Object} a - Days
+ * @param {Object} b - Days
+ * @returns {Object|null} Days, or null if cron can't write them
+ */
+function intersectDays(a, b) {
+  if (a.kind === 'all') return b;
+  if (b.kind === 'all' || sameDays(a, b)) return a;
+  if (a.kind === b.kind && a.kind !== 'raw') return { kind: a.kind, values: intersection(a.values, b.values) };
+  return null;
+}
+
+/**
+ * Days in the first set but not the second
+ * @param {Object} a - Days
+ * @param {Object} b - Days
+ * @returns {Object|null} Days, or null if cron can't write them
+ */
+function subtractDays(a, b) {
+  if (b.kind === 'all' || sameDays(a, b)) return NO_DAYS;
+  if (a.kind === 'all' && b.kind !== 'raw') {
+    const def = b.kind === 'dom' ? FIELDS.dayOfMonth : FIELDS.dayOfWeek;
+    return { kind: b.kind, values: difference(allValues(def), b.values) };
+  }
+  if (a.kind === b.kind && a.kind !== 'raw') return { kind: a.kind, values: difference(a.values, b.values) };
+  return null;
+}
+
+/**
+ * A schedule as the product of its fields: every combination of a year,
+ * month, day, hour, minute and second it allows
+ * @param {Object} fields - Parsed fields
+ * @returns {Object} { year, month, day, hour, minute, second } with year null
+ *   for any year
+ */
+function toProduct(fields) {
+  const yearCount = FIELDS.year.max - FIELDS.year.min + 1;
+  return {
+    year: fields.year && fields.year.values.length < yearCount ? fields.year.values : null,
+    month: fields.month.values,
+    day: toDays(fields),
+    hour: fields.hour.values,
+    minute: fields.minute.values,
+    second: fields.second ? fields.second.values : [0]
+  };
+}
+
+/**
+ * Whether a product has no runs at all
+ * @param {Object} product - Product
+ * @returns {boolean}
+ */
+function isEmpty(product) {
+  return PRODUCT_FIELDS.some(name => {
+    const value = product[name];
+    if (name === 'day') return value.kind !== 'all' && value.kind !== 'raw' && value.values.length === 0;
+    return value !== null && value.length === 0;
+  });
+}
+
+/**
+ * Values in both fields of a product
+ * @param {string} name - Field name
+ * @param {*} a - Field of the first product
+ * @param {*} b - Field of the second product
+ * @returns {*} Field, or null for days cron can't write
+ */
+function intersectField(name, a, b) {
+  if (name === 'day') return intersectDays(a, b);
+  if (name === 'year' && (a === null || b === null)) return a === null ? b : a;
+  return intersection(a, b);
+}
+
+/**
+ * Values in the first field of a product but not the second
+ * @param {string} name - Field name
+ * @param {*} a - Field of the first product
+ * @param {*} b - Field of the second product
+ * @returns {*} Field, or undefined for days cron can't write
+ */
+function subtractField(name, a, b) {
+  if (name === 'day') return subtractDays(a, b) || undefined;
+  if (name === 'year') {
+    if (b === null) return [];
+    return difference(a === null ? allValues(FIELDS.year) : a, b);
+  }
+  return difference(a, b);
+}
+
+/**
+ * Merge products that differ in a single field, until none do
+ * @param {Array<Object>} products - Products
+ * @returns {Array<Object>}
+ */
+function mergeProducts(products) {
+  const list = [...products];
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const differing = PRODUCT_FIELDS.filter(name => JSON.stringify(list[i][name]) !== JSON.stringify(list[j][name]));
+      if (differing.length !== 1) continue;
+
+      const [name] = differing;
+      const a = list[i][name];
+      const b = list[j][name];
+      let merged;
+      if (name === 'day') {
+        if (a.kind !== b.kind || a.kind === 'all' || a.kind === 'raw') continue;
+        merged = { kind: a.kind, values: union(a.values, b.values) };
+      } else {
+        merged = a === null || b === null ? null : union(a, b);
+      }
+
+      list[i] = { ...list[i], [name]: merged };
+      list.splice(j, 1);
+      i = -1;
+      break;
+    }
+  }
+  return list;
+}
+
+/**
+ * Write products as cron expressions, all in the same layout: 5 fields,
+ * 6 with seconds, or 7 when a year is set
+ * @param {Array<Object>} products - Products
+ * @param {string} prefix - Timezone prefix to start each with ('' for none)
+ * @returns {Array<string>}
+ */
+function writeProducts(products, prefix) {
+  const withYear = products.some(p => p.year !== null);
+  const withSeconds = withYear || products.some(p => p.second.length !== 1 || p.second[0] !== 0);
+
+  return products.map(p => {
+    const { day } = p;
+    let dom = '*';
+    let dow = '*';
+    if (day.kind === 'dom') dom = compactValues(day.values, FIELDS.dayOfMonth);
+    if (day.kind === 'dow') dow = compactValues(day.values, FIELDS.dayOfWeek);
+    if (day.kind === 'raw') ({ dom, dow } = day);
+
+    const texts = [
+      compactValues(p.minute, FIELDS.minute),
+      compactValues(p.hour, FIELDS.hour),
+      dom,
+      compactValues(p.month, FIELDS.month),
+      dow
+    ];
+    if (withSeconds) texts.unshift(compactValues(p.second, FIELDS.second));
+    if (withYear) texts.push(p.year === null ? '*' : compactValues(p.year, FIELDS.year));
+    return prefix + texts.join(' ');
+  });
+}
+
+/**
+ * Parse both operands and work out the timezone they share
+ * @param {string} expr1 - First expression
+ * @param {string} expr2 - Second expression
+ * @param {Object} options - Parse options
+ * @returns {Object} { parsed, prefix, timezone } or { error }
+ */
+function prepare(expr1, expr2, options) {
+  // Canonical spelling, so day fields kept as written compare equal
+  const written = [expr1, expr2].map(expr => {
+    const normalized = normalize(expr, options);
+    return normalized.success ? normalized.result : expr;
+  });
+  const parsed = written.map(expr => parse(expr, options));
+
+  const invalid = parsed.findIndex(p => !p.valid);
+  if (invalid !== -1) {
+    const p = parsed[invalid];
+    return { error: `${invalid === 0 ? 'First' : 'Second'} expression invalid: ${p.error || p.errors?.join(', ')}` };
+  }
+  const special = parsed.find(p => p.isReboot || p.isInterval);
+  if (special) {
+    return { error: `${special.original || special.alias} doesn't run at fixed times` };
+  }
+
+  const [tz1, tz2] = written.map(expr => splitTimezone(expr));
+  if (tz1.timezone && tz2.timezone && tz1.timezone !== tz2.timezone) {
+    return { error: `The expressions run in different timezones (${tz1.timezone} and ${tz2.timezone})` };
+  }
+  const shared = tz1.timezone ? tz1 : tz2;
+
+  return {
+    parsed,
+    expressions: [tz1.expression, tz2.expression],
+    prefix: shared.timezone ? `${shared.prefix}=${shared.timezone} ` : '',
+    timezone: shared.timezone
+  };
+}
+
+/**
+ * Lazily iterable runs, like schedule.occurrences
+ * @param {Function} generate - Generator function
+ * @returns {Iterable<Date>&AsyncIterable<Date>}
+ */
+function iterable(generate) {
+  return {
+    [Symbol.iterator]: generate,
+    async *[Symbol.asyncIterator]() {
+      yield* generate();
+    }
+  };
+}
+
+/**
+ * Build the result of a set operation
+ * @param {Object} prepared - From prepare
+ * @param {Array<Object>|null} products - Result as products, or null when
+ *   cron can't write it
+ * @param {Function} runs - (expressions, iterOptions) => generator of dates
+ * @returns {Object} See intersect
+ */
+function result(prepared, products, runs) {
+  const merged = products && mergeProducts(products.filter(p => !isEmpty(p)));
+  return {
+    valid: true,
+    exact: merged !== null,
+    empty: merged !== null && merged.length === 0,
+    expressions: merged && writeProducts(merged, prepared.prefix),
+    occurrences(iterOptions = {}) {
+      const { timezone = 'local', from = new Date(), until, skip = 0 } = iterOptions;
+      const opts = { timezone: prepared.timezone || timezone, from };
+      return iterable(function* () {
+        let skipped = 0;
+        for (const date of runs(opts)) {
+          if (until && date > until) return;
+          if (skipped++ < skip) continue;
+          yield date;
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Runs of both schedules: the runs of the first that the second has too.
+ * Each operation returns cron expressions when cron can write the result
+ * (several, when one isn't enough), and runs either way.
+ * @param {string} expr1 - First expression
+ * @param {string} expr2 - Second expression (a prefix-less one runs in the
+ *   other's CRON_TZ=/TZ= timezone)
+ * @param {Object} options - Parse options
+ * @returns {Object} { valid, exact, empty, expressions, occurrences(options) }
+ *   - exact: cron can write the result; expressions lists them (null if not)
+ *   - empty: the result never runs
+ *   - occurrences({ timezone, from, until, skip }): lazy runs, as
+ *     schedule.occurrences
+ *   or { valid: false, error }
+ */
+function intersect(expr1, expr2, options = {}) {
+  const prepared = prepare(expr1, expr2, options);
+  if (prepared.error) return { valid: false, error: prepared.error };
+
+  const [a, b] = prepared.parsed.map(p => toProduct(p.fields));
+  const product = {};
+  PRODUCT_FIELDS.forEach(name => { product[name] = intersectField(name, a[name], b[name]); });
+  const products = product.day === null ? null : [product];
+
+  const disjoint = relate(...prepared.expressions, options).relation === 'disjoint';
+  return result(prepared, products, function* (opts) {
+    if (disjoint) return;
+    const next = (expr, at) => occurrences(expr, { ...options, ...opts, from: new Date(at.getTime() - 1) })[Symbol.iterator]().next().value;
+
+    // Leapfrog: each side jumps to the other's next run until they meet
+    let x = next(prepared.expressions[0], new Date(opts.from.getTime() + 1));
+    let y = x && next(prepared.expressions[1], x);
+    while (x && y) {
+      if (x.getTime() === y.getTime()) {
+        yield x;
+        x = next(prepared.expressions[0], new Date(x.getTime() + 1));
+        y = x && next(prepared.expressions[1], x);
+      } else if (x < y) {
+        x = next(prepared.expressions[0], y);
+      } else {
+        y = next(prepared.expressions[1], x);
+      }
+    }
+  });
+}
+
+/**
+ * Runs of either schedule (see intersect for the result)
+ * @param {string} expr1 - First expression
+ * @param {string} expr2 - Second expression
+ * @param {Object} options - Parse options
+ * @returns {Object}
+ */
+function unite(expr1, expr2, options = {}) {
+  const prepared = prepare(expr1, expr2, options);
+  if (prepared.error) return { valid: false, error: prepared.error };
+
+  // One that covers the other is the union by itself
+  const { relation } = relate(...prepared.expressions, options);
+  const products = prepared.parsed.map(p => toProduct(p.fields));
+  if (relation === 'equal' || relation === 'superset') products.pop();
+  if (relation === 'subset') products.shift();
+
+  return result(prepared, products, function* (opts) {
+    const [first, second] = prepared.expressions.map(expr => occurrences(expr, { ...options, ...opts })[Symbol.iterator]());
+    let x = first.next().value;
+    let y = second.next().value;
+    while (x || y) {
+      if (!y || (x && x < y)) {
+        yield x;
+        x = first.next().value;
+      } else {
+        yield y;
+        if (x && x.getTime() === y.getTime()) x = first.next().value;
+        y = second.next().value;
+      }
+    }
+  });
+}
+
+/**
+ * Runs of the first schedule that aren't runs of the second (see intersect
+ * for the result)
+ * @param {string} expr1 - First expression
+ * @param {string} expr2 - Second expression
+ * @param {Object} options - Parse options
+ * @returns {Object}
+ */
+function subtract(expr1, expr2, options = {}) {
+  const prepared = prepare(expr1, expr2, options);
+  if (prepared.error) return { valid: false, error: prepared.error };
+
+  // A \ B is the union of: A with one field narrowed to what B lacks, and
+  // the fields before it narrowed to what both have
+  const [a, b] = prepared.parsed.map(p => toProduct(p.fields));
+  let products = [];
+  const both = { ...a };
+  for (const name of PRODUCT_FIELDS) {
+    const rest = subtractField(name, a[name], b[name]);
+    if (rest === undefined) {
+      products = null;
+      break;
+    }
+    products.push({ ...both, [name]: rest });
+
+    both[name] = intersectField(name, a[name], b[name]);
+    if (name === 'day' && both.day === null) {
+      products = null;
+      break;
+    }
+    if (isEmpty(both)) break;
+  }
+
+  const { relation } = relate(...prepared.expressions, options);
+  const none = relation === 'equal' || relation === 'subset';
+  const parsedB = prepared.parsed[1];
+  return result(prepared, none ? [] : products, function* (opts) {
+    if (none) return;
+    const zone = getZone(opts.timezone);
+    for (const date of occurrences(prepared.expressions[0], { ...options, ...opts })) {
+      if (!matches(parsedB, DateTime.fromJSDate(date, { zone }))) yield date;
+    }
+  });
+}
+
+module.exports = {
+  intersect,
+  union: unite,
+  subtract
+};
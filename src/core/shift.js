@@ -0,0 +1,386 @@
+/**
+ * Rewrite a schedule into another timezone
+ * @module core/shift
+ */
+const { DateTime } = require('luxon');
+const { parse, isWildcard, compactValues, daysInMonth, FIELDS } = require('./parser');
+const { getZone, getTransitions } = require('./timezone');
+const { normalize } = require('./normalize');
+
+const DAY_MINUTES = 24 * 60;
+
+// Stand-ins for every common and every leap year
+const COMMON_YEAR = 2026;
+const LEAP_YEAR = 2028;
+
+/**
+ * Format an offset difference in minutes as "+1h", "-5h 30m" or "+0h"
+ * @param {number} minutes - Minutes
+ * @returns {string}
+ */
+function formatOffset(minutes) {
+  const h = Math.floor(Math.abs(minutes) / 60);
+  const m = Math.abs(minutes) % 60;
+  const sign = minutes < 0 ? '-' : '+';
+  if (h && m) return `${sign}${h}h ${m}m`;
+  return m ? `${sign}${m}m` : `${sign}${h}h`;
+}
+
+/**
+ * Check whether a field's values changed, ignoring order and Sunday as 7
+ * @param {Array<number>} values - New values
+ * @param {Object} field - Parsed field
+ * @returns {boolean}
+ */
+function sameValues(values, field) {
+  const original = new Set(field.values.map(v => (v === 7 ? 0 : v)));
+  return values.length === original.size && values.every(v => original.has(v === 7 ? 0 : v));
+}
+
+/**
+ * Write parsed fields back as an expression (without a timezone prefix)
+ * @param {Object} fields - Parsed fields
+ * @param {Object} replaced - Field text to use instead of the original
+ * @returns {string}
+ */
+function joinFields(fields, replaced = {}) {
+  const text = name => replaced[name] ?? fields[name].raw;
+  const parts = ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'].map(text);
+  if (fields.second) parts.unshift(fields.second.raw);
+  if (fields.year) parts.push(text('year'));
+  return parts.join(' ');
+}
+
+/**
+ * Write the days a month runs on as a day-of-month field, "*" when that is
+ * every day of it in common and leap years alike
+ * @param {Array<number>} days - Days of the month
+ * @param {boolean} last - Also the last day of the month (L)
+ * @param {number} month - Month (1-12)
+ * @returns {string}
+ */
+function writeDays(days, last, month) {
+  const covered = year => {
+    const length = daysInMonth(year, month);
+    for (let day = 1; day <= length; day++) {
+      if (!days.includes(day) && !(last && day === length)) return false;
+    }
+    return true;
+  };
+  if (covered(COMMON_YEAR) && covered(LEAP_YEAR)) return '*';
+  const parts = days.length > 0 ? [compactValues(days, FIELDS.dayOfMonth)] : [];
+  if (last) parts.push('L');
+  return parts.join(',');
+}
+
+/**
+ * Move the dates a schedule runs on by whole days. Dates move across month
+ * and year ends, so the result has a day-of-month, month and year field per
+ * group of months that run on the same days.
+ * @param {Object} fields - Parsed fields (without L or W)
+ * @param {number} days - Days to move (-1 or +1)
+ * @param {Array<string>} warnings - Collects reasons the result is inexact
+ * @returns {Array<Object>} [{ dayOfMonth, month, year }] field text, year
+ *   undefined without a year field
+ */
+function shiftDates(fields, days, warnings) {
+  const { dayOfMonth, month, year } = fields;
+  const listedYears = year && !isWildcard(year);
+  const monthDays = isWildcard(dayOfMonth) ? Array.from({ length: 31 }, (_, i) => i + 1) : dayOfMonth.values;
+
+  // Without listed years, a common and a leap year stand for all of them;
+  // the 1st moved back is the last day of the month before, whichever it is
+  const perYear = (listedYears ? year.values : [COMMON_YEAR, LEAP_YEAR]).map(y => {
+    const found = new Set();
+    month.values.forEach(m => {
+      monthDays.forEach(d => {
+        if (d > daysInMonth(y, m)) return;
+        const date = DateTime.utc(y, m, d).plus({ days });
+        const day = days < 0 && d === 1 ? 'L' : date.day;
+        found.add(`${listedYears ? date.year : ''}|${date.month}|${day}`);
+      });
+    });
+    return found;
+  });
+
+  // Together they are exact when each year gets only its own dates back (29 2
+  // only comes in leap years)
+  const dates = new Set(perYear.flatMap(found => [...found]));
+  const calendar = (y, list) => new Set([...list].map(date => {
+    const [, m, day] = date.split('|');
+    const length = daysInMonth(y, Number(m));
+    return day === 'L' ? `${m}|${length}` : Number(day) <= length ? `${m}|${day}` : null;
+  }).filter(Boolean));
+  const exact = listedYears || [COMMON_YEAR, LEAP_YEAR].every((y, i) => {
+    const own = calendar(y, perYear[i]);
+    const all = calendar(y, dates);
+    return all.size === own.size && [...all].every(date => own.has(date));
+  });
+  if (!exact) {
+    warnings.push('runs next to February 29 land on other days in leap years, which only a year field can tell apart - this runs on both every year');
+  }
+
+  // Days per month (and year), then months (and years) that run on the same days
+  const byMonth = new Map();
+  dates.forEach(date => {
+    const [y, m, day] = date.split('|');
+    const key = `${y}|${m}`;
+    if (!byMonth.has(key)) byMonth.set(key, { year: y, month: Number(m), days: [], last: false });
+    const entry = byMonth.get(key);
+    if (day === 'L') entry.last = true;
+    else entry.days.push(Number(day));
+  });
+
+  const byDays = new Map();
+  [...byMonth.values()].sort((a, b) => a.year - b.year || a.month - b.month).forEach(entry => {
+    const text = writeDays(entry.days, entry.last, entry.month);
+    if (!byDays.has(text)) byDays.set(text, new Map());
+    const months = byDays.get(text);
+    if (!months.has(entry.month)) months.set(entry.month, []);
+    if (entry.year !== '') months.get(entry.month).push(Number(entry.year));
+  });
+
+  const groups = [];
+  byDays.forEach((months, text) => {
+    const byYears = new Map();
+    months.forEach((years, m) => {
+      const key = years.join(',');
+      if (!byYears.has(key)) byYears.set(key, { years, months: [] });
+      byYears.get(key).months.push(m);
+    });
+    byYears.forEach(({ years, months: list }) => {
+      groups.push({
+        dayOfMonth: text,
+        month: sameValues(list, month) ? month.raw : compactValues(list, FIELDS.month),
+        year: !listedYears ? year && year.raw : sameValues(years, year) ? year.raw : compactValues(years, FIELDS.year)
+      });
+    });
+  });
+  return groups;
+}
+
+/**
+ * Move the day fields of a schedule by whole days
+ * @param {Object} fields - Parsed fields
+ * @param {number} days - Days to move (-1 or +1)
+ * @param {Array<string>} warnings - Collects reasons the result is inexact
+ * @returns {Array<Object>} [{ dayOfMonth, dayOfWeek, month, year }] field
+ *   text, for schedules that together run on the moved days
+ */
+function shiftDays(fields, days, warnings) {
+  const { dayOfMonth, dayOfWeek, month, year } = fields;
+  const direction = days > 0 ? 'later' : 'earlier';
+
+  if (dayOfMonth.specials.length > 0 || dayOfWeek.specials.length > 0) {
+    throw new Error('L, W and # modifiers can\'t be moved across midnight');
+  }
+
+  let dow = dayOfWeek.raw;
+  if (!isWildcard(dayOfWeek)) {
+    dow = compactValues(dayOfWeek.values.map(v => (((v + days) % 7) + 7) % 7), FIELDS.dayOfWeek);
+  }
+  const sameMonths = { month: month.raw, year: year && year.raw };
+
+  // Weekdays move with the day, but at the edge of a month or year they
+  // move into the next one, which a month or year field can't follow
+  const weekdays = () => {
+    if (!isWildcard(month)) {
+      warnings.push(`runs at the edge of a month move ${direction} into the neighbouring month, which the month field can't follow`);
+    } else if (year && !isWildcard(year)) {
+      warnings.push(`runs at the edge of a year move ${direction} into the neighbouring year, which the year field can't follow`);
+    }
+    return { dayOfMonth: '*', dayOfWeek: dow, ...sameMonths };
+  };
+
+  const everyDate = isWildcard(dayOfMonth) && isWildcard(month) && !(year && !isWildcard(year));
+  if (isWildcard(dayOfMonth) && !isWildcard(dayOfWeek)) return [weekdays()];
+  if (everyDate) return [{ dayOfMonth: dayOfMonth.raw, dayOfWeek: dow, ...sameMonths }];
+
+  const dates = shiftDates(fields, days, warnings);
+  if (isWildcard(dayOfWeek)) {
+    return dates.map(date => ({ ...date, dayOfWeek: dow }));
+  }
+
+  // With both day fields the schedule runs on either: they stay together
+  // while the dates keep their months, and split up when they don't
+  const [only] = dates;
+  if (dates.length === 1 && only.dayOfMonth !== '*' && only.month === sameMonths.month && only.year === sameMonths.year) {
+    return [{ ...only, dayOfWeek: dow }];
+  }
+  return [...dates.map(date => ({ ...date, dayOfWeek: '*' })), weekdays()];
+}
+
+/**
+ * Rewrite a schedule for a fixed offset difference
+ * @param {Object} parsed - Parsed expression (without timezone prefix)
+ * @param {number} delta - Minutes to add to every run
+ * @param {Array<string>} warnings - Collects reasons the result is inexact
+ * @returns {Array<string>} Expressions that together match the shifted runs
+ */
+function shiftFields(parsed, delta, warnings) {
+  const { fields } = parsed;
+
+  // Group the shifted times by day moved, then by hour
+  const byDay = new Map();
+  fields.hour.values.forEach(h => {
+    fields.minute.values.forEach(m => {
+      const total = h * 60 + m + delta;
+      const days = Math.floor(total / DAY_MINUTES);
+      const time = total - days * DAY_MINUTES;
+      if (!byDay.has(days)) byDay.set(days, new Map());
+      const hours = byDay.get(days);
+      const hour = Math.floor(time / 60);
+      if (!hours.has(hour)) hours.set(hour, []);
+      hours.get(hour).push(time % 60);
+    });
+  });
+
+  // Days whose day fields come out the same (a wildcard, say) are the same
+  // days: merge their hours so an offset that changes nothing splits nothing
+  const products = new Map();
+  [...byDay.keys()].sort((a, b) => a - b).forEach(days => {
+    const moved = days === 0
+      ? [{ dayOfMonth: fields.dayOfMonth.raw, dayOfWeek: fields.dayOfWeek.raw, month: fields.month.raw, year: fields.year && fields.year.raw }]
+      : shiftDays(fields, days, warnings);
+
+    moved.forEach(dates => {
+      const key = `${dates.dayOfMonth} ${dates.month} ${dates.dayOfWeek} ${dates.year}`;
+      if (!products.has(key)) products.set(key, { dates, hours: new Map() });
+      const { hours } = products.get(key);
+      byDay.get(days).forEach((minutes, hour) => {
+        hours.set(hour, [...new Set([...(hours.get(hour) || []), ...minutes])]);
+      });
+    });
+  });
+
+  const expressions = [];
+  products.forEach(({ dates, hours: byHour }) => {
+    // Hours that share the same minutes fit in one expression
+    const groups = new Map();
+    [...byHour.keys()].sort((a, b) => a - b).forEach(hour => {
+      const minutes = byHour.get(hour).sort((a, b) => a - b);
+      const key = minutes.join(',');
+      if (!groups.has(key)) groups.set(key, { minutes, hours: [] });
+      groups.get(key).hours.push(hour);
+    });
+
+    groups.forEach(({ minutes, hours }) => {
+      const minute = sameValues(minutes, fields.minute) ? fields.minute.raw : compactValues(minutes, FIELDS.minute);
+      const hour = sameValues(hours, fields.hour) ? fields.hour.raw : compactValues(hours, FIELDS.hour);
+      const expression = joinFields(fields, { minute, hour, ...dates });
+      const normalized = normalize(expression);
+      expressions.push(normalized.success ? normalized.result : expression);
+    });
+  });
+
+  return expressions;
+}
+
+/**
+ * Rewrite a cron expression written for one timezone so that it runs at the
+ * same moments in another. Where the zones' offset difference changes with
+ * DST, no single schedule fits all year: the result is exact only until the
+ * next change, and periods lists the schedule to use for each stretch.
+ * @param {string} expression - Cron expression
+ * @param {string} fromTz - Timezone the expression is written in (a CRON_TZ=/TZ= prefix wins)
+ * @param {string} toTz - Timezone to rewrite it for (default: UTC)
+ * @param {Object} options - Options
+ * @param {Date} options.at - Moment the offset difference is taken at (default: now)
+ * @param {string} options.seed - Job name H values are hashed from
+ * @returns {Object} { success, result, expressions, exact, warnings, periods, from, to, offset }
+ *   - expressions: one or more expressions that together make up the
+ *     schedule (more than one when runs cross midnight or the hour's minutes
+ *     differ); result is the same joined by newlines
+ *   - offset: minutes added to every run
+ *   - periods: [{ from, until, offset, expressions }] for the next year
+ */
+function shiftTimezone(expression, fromTz, toTz = 'UTC', options = {}) {
+  const { at = new Date(), seed } = options;
+
+  const parsed = parse(expression, { seed });
+  if (!parsed.valid) {
+    return { success: false, error: parsed.error || parsed.errors?.join(', ') };
+  }
+
+  if (parsed.isReboot) {
+    return { success: false, error: '@reboot has no time of day to shift' };
+  }
+
+  if (parsed.isInterval) {
+    return { success: false, error: `${parsed.original} runs at the same real-time interval in every timezone` };
+  }
+
+  const source = parsed.timezone || fromTz;
+  if (!source) {
+    return { success: false, error: 'No source timezone - pass one or add a CRON_TZ= prefix' };
+  }
+
+  const fromZone = getZone(source);
+  if (!fromZone.isValid) {
+    return { success: false, error: `Unknown timezone: ${source}` };
+  }
+  const toZone = getZone(toTz);
+  if (!toZone.isValid) {
+    return { success: false, error: `Unknown timezone: ${toTz}` };
+  }
+
+  // Every moment in the next year where either zone changes its offset
+  const until = DateTime.fromJSDate(at).plus({ years: 1 }).toJSDate();
+  const changes = [...getTransitions(source, at, until), ...getTransitions(toTz, at, until)]
+    .map(t => t.at)
+    .sort((a, b) => a - b);
+  const bounds = [at.getTime(), ...changes, until.getTime()];
+
+  const periods = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const offset = toZone.offset(bounds[i]) - fromZone.offset(bounds[i]);
+    const last = periods[periods.length - 1];
+    if (last && last.offset === offset) {
+      last.until = bounds[i + 1];
+    } else {
+      periods.push({ from: bounds[i], until: bounds[i + 1], offset });
+    }
+  }
+
+  const warnings = [];
+  try {
+    periods.forEach(period => {
+      const found = [];
+      period.expressions = period.offset === 0
+        ? [joinFields(parsed.fields)]
+        : shiftFields(parsed, period.offset, found);
+      if (period === periods[0]) warnings.push(...found);
+    });
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+
+  // The offset difference changes with DST
+  periods.slice(1).forEach(period => {
+    const date = DateTime.fromMillis(period.from, { zone: source }).toFormat('yyyy-MM-dd');
+    warnings.push(`DST: from ${date} the offset becomes ${formatOffset(period.offset)} - use ${period.expressions.join(' + ')}`);
+  });
+
+  const { expressions, offset } = periods[0];
+  return {
+    success: true,
+    result: expressions.join('\n'),
+    expressions,
+    exact: warnings.length === 0,
+    warnings,
+    from: fromZone.name,
+    to: toZone.name,
+    offset,
+    periods: periods.map(p => ({
+      from: new Date(p.from).toISOString(),
+      until: new Date(p.until).toISOString(),
+      offset: p.offset,
+      expressions: p.expressions
+    }))
+  };
+}
+
+module.exports = {
+  shiftTimezone,
+  formatOffset
+};
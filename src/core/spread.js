@@ -0,0 +1,215 @@
+/**
+ * Spread the jobs of a crontab so fewer start in the same minute
+ * @module core/spread
+ */
+const { DateTime } = require('luxon');
+const { ALIASES } = require('./parser');
+const { occurrences } = require('./schedule');
+const { parseCrontab } = require('./crontab');
+
+const MAX_DAYS = 31;
+
+// Runs looked at, over all jobs, before giving up
+const MAX_RUNS = 500000;
+
+// "# cronwtf-spread-ignore" keeps the job on the line below where it is
+const SPREAD_IGNORE = /^\s*#\s*cronwtf-spread-ignore\b/;
+
+// Starts this many minutes either side of a run count against it, after
+// starts in the same minute
+const NEIGHBOURS = 2;
+
+/**
+ * Where a field can move without changing how often it runs: a single
+ * value anywhere in its range, or a step over the whole range (every 15
+ * minutes as 0-59/15 or 5-59/15, say) to any start below the step
+ * @param {string} raw - Field as written
+ * @param {number} size - Values in the field's range (60 or 24)
+ * @param {boolean} single - Whether a single value may move
+ * @returns {Array<Object>} [{ raw, shift }] the field as it can be written
+ *   and how many units that moves it; just the field itself when it can't move
+ */
+function fieldMoves(raw, size, single) {
+  const max = size - 1;
+  if (single && /^\d+$/.test(raw) && Number(raw) <= max) {
+    const value = Number(raw);
+    return Array.from({ length: size }, (_, v) => ({ raw: v === value ? raw : String(v), shift: v - value }));
+  }
+
+  const step = raw.match(new RegExp(`^(\\*|(\\d+)-${max})/(\\d+)$`));
+  if (step) {
+    const start = step[2] === undefined ? 0 : Number(step[2]);
+    const every = Number(step[3]);
+    if (every > 0 && size % every === 0 && start < every) {
+      return Array.from({ length: every }, (_, p) => ({
+        raw: p === start ? raw : p === 0 ? `*/${every}` : `${p}-${max}/${every}`,
+        shift: p - start
+      }));
+    }
+  }
+
+  return [{ raw, shift: 0 }];
+}
+
+/**
+ * Every way a schedule can be rewritten to start at another minute with the
+ * same frequency: the minute anywhere in its hour, and minute or hour steps
+ * started elsewhere. A fixed hour stays, so daily jobs keep their hour.
+ * @param {string} schedule - Schedule as written (aliases are written out)
+ * @returns {Array<Object>} [{ schedule, offset }] with offset in minutes, the
+ *   schedule as written first (offset 0)
+ */
+function scheduleMoves(schedule) {
+  const written = schedule.startsWith('@') ? ALIASES[schedule.toLowerCase()] : schedule;
+  if (!written) return [{ schedule, offset: 0 }];
+
+  const parts = written.split(/(\s+)/);
+  const minutes = fieldMoves(parts[0], 60, true);
+  const hours = fieldMoves(parts[2], 24, false);
+
+  const moves = [];
+  hours.forEach(hour => minutes.forEach(minute => {
+    const offset = hour.shift * 60 + minute.shift;
+    if (offset === 0) return;
+    const rewritten = [minute.raw, parts[1], hour.raw, ...parts.slice(3)].join('');
+    moves.push({ schedule: rewritten, offset });
+  }));
+  return [{ schedule, offset: 0 }, ...moves];
+}
+
+/**
+ * Minutes with starts, and the most starts in one
+ * @param {Int32Array} load - Starts per minute
+ * @returns {Object} { peak, crowded } with crowded the minutes where two
+ *   or more jobs start
+ */
+function loadStats(load) {
+  let peak = 0;
+  let crowded = 0;
+  load.forEach(count => {
+    if (count > peak) peak = count;
+    if (count > 1) crowded++;
+  });
+  return { peak, crowded };
+}
+
+/**
+ * Rewrite the schedules of a crontab so fewer jobs start in the same
+ * minute. Each job keeps how often it runs and the hours (and days) it runs
+ * in: a fixed minute moves within its hour, and minute or hour steps
+ * start elsewhere (7-59/15, 2-23/6). Jobs that don't collide stay, and
+ * so do jobs below a "# cronwtf-spread-ignore" comment.
+ * @param {string} text - Crontab contents
+ * @param {Object} options - Options (also passed to parseCrontab and occurrences)
+ * @param {string} options.timezone - Timezone of jobs without CRON_TZ
+ *   (default: local)
+ * @param {Date} options.from - A moment on the first day looked at (default: now)
+ * @param {number} options.days - Days of runs to even out, 1-31 (default: 7)
+ * @returns {Object} { valid, text, changes, before, after, truncated }
+ *   - text: the crontab with the new schedules, everything else kept
+ *   - changes: [{ line, from, to }]
+ *   - before, after: { peak, crowded } most jobs starting in one minute
+ *     and minutes where two or more do
+ *   - truncated: stopped after too many runs; later jobs are left as they are
+ *   or { valid: false, error }
+ */
+function spread(text, options = {}) {
+  const { timezone = 'local', from = new Date(), days = 7 } = options;
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    return { valid: false, error: `days must be a whole number from 1 to ${MAX_DAYS}` };
+  }
+  const start = DateTime.fromJSDate(from, { zone: timezone }).startOf('day');
+  if (!start.isValid) {
+    return { valid: false, error: `unknown timezone: ${timezone}` };
+  }
+
+  const size = days * 1440;
+  const runOptions = {
+    ...options,
+    timezone,
+    from: new Date(start.toMillis() - 1),
+    until: new Date(start.plus({ days }).toMillis() - 1),
+    anchor: options.anchor || start.toJSDate()
+  };
+
+  const lines = text.split('\n');
+  const crontab = parseCrontab(text, options);
+  let total = 0;
+  let truncated = false;
+
+  // Each job's starts, as minutes into the window
+  const jobs = [];
+  for (const job of crontab.jobs.filter(j => j.valid)) {
+    const runs = [];
+    for (const date of occurrences(job.expression, runOptions)) {
+      if (total >= MAX_RUNS) {
+        truncated = true;
+        break;
+      }
+      total++;
+      runs.push(Math.floor((date.getTime() - start.toMillis()) / 60000));
+    }
+    if (truncated) break;
+
+    const ignored = job.line > 1 && SPREAD_IGNORE.test(lines[job.line - 2]);
+    jobs.push({ job, runs, moves: ignored ? [{ schedule: job.schedule, offset: 0 }] : scheduleMoves(job.schedule) });
+  }
+
+  const before = new Int32Array(size);
+  jobs.forEach(({ runs }) => runs.forEach(minute => { before[minute]++; }));
+
+  // Jobs that can't move first, then the busiest (hardest to fit) of the rest
+  const load = new Int32Array(size);
+  const at = minute => load[((minute % size) + size) % size];
+  const place = (runs, offset) => runs.forEach(minute => { load[(((minute + offset) % size) + size) % size]++; });
+
+  const fixed = jobs.filter(j => j.moves.length === 1);
+  const movable = jobs.filter(j => j.moves.length > 1).sort((a, b) => b.runs.length - a.runs.length);
+  fixed.forEach(j => place(j.runs, 0));
+
+  const changes = [];
+  movable.forEach(({ job, runs, moves }) => {
+    const scored = moves.map((move, order) => {
+      let same = 0;
+      let near = 0;
+      runs.forEach(minute => {
+        same += at(minute + move.offset);
+        for (let d = 1; d <= NEIGHBOURS; d++) {
+          near += at(minute + move.offset - d) + at(minute + move.offset + d);
+        }
+      });
+      return { move, order, same, near };
+    });
+
+    // Stay unless moving means fewer jobs starting alongside; then prefer
+    // quiet neighbours and the smallest move
+    const stay = scored[0];
+    const best = stay.same === 0 ? stay : scored.reduce((a, b) => (
+      b.same - a.same || b.near - a.near || Math.abs(b.move.offset) - Math.abs(a.move.offset) || b.order - a.order
+    ) < 0 ? b : a);
+
+    place(runs, best.move.offset);
+    if (best.move.offset !== 0) {
+      const raw = lines[job.line - 1];
+      const index = job.column - 1;
+      lines[job.line - 1] = raw.slice(0, index) + best.move.schedule + raw.slice(index + job.schedule.length);
+      changes.push({ line: job.line, from: job.schedule, to: best.move.schedule });
+    }
+  });
+  changes.sort((a, b) => a.line - b.line);
+
+  return {
+    valid: true,
+    text: lines.join('\n'),
+    changes,
+    before: loadStats(before),
+    after: loadStats(load),
+    truncated
+  };
+}
+
+module.exports = {
+  spread,
+  scheduleMoves
+};
@@ -0,0 +1,133 @@
+/**
+ * Side-by-side timelines of two schedules
+ * @module core/timeline
+ */
+const { DateTime } = require('luxon');
+const { occurrences } = require('./schedule');
+
+const MAX_DAYS = 31;
+
+// Runs looked at before giving up on the rest of the window
+const MAX_RUNS = 100000;
+
+/**
+ * Width of a timeline slot: finer for short windows
+ * @param {number} days - Window length
+ * @returns {number} Minutes
+ */
+function slotMinutes(days) {
+  if (days <= 1) return 15;
+  if (days <= 7) return 30;
+  return 60;
+}
+
+/**
+ * Runs of two schedules in order, each marked with which schedules have it
+ * @param {Iterable<Date>} first - Runs of the first schedule
+ * @param {Iterable<Date>} second - Runs of the second schedule
+ * @yields {Object} { date, who: 'first' | 'second' | 'both' }
+ */
+function* mergeRuns(first, second) {
+  const a = first[Symbol.iterator]();
+  const b = second[Symbol.iterator]();
+  let x = a.next().value;
+  let y = b.next().value;
+  while (x || y) {
+    if (x && y && x.getTime() === y.getTime()) {
+      yield { date: x, who: 'both' };
+      x = a.next().value;
+      y = b.next().value;
+    } else if (!y || (x && x < y)) {
+      yield { date: x, who: 'first' };
+      x = a.next().value;
+    } else {
+      yield { date: y, who: 'second' };
+      y = b.next().value;
+    }
+  }
+}
+
+/**
+ * Lay the runs of two schedules out over a window, one row per day split
+ * into slots of wall-clock time
+ * @param {string} expr1 - First expression
+ * @param {string} expr2 - Second expression
+ * @param {Object} options - Options (also passed to occurrences)
+ * @param {string} options.timezone - Timezone rows are days in (default: local)
+ * @param {Date} options.from - A moment on the first day (default: now)
+ * @param {number} options.days - Number of days, 1-31 (default: 1)
+ * @returns {Object} { valid, timezone, from, until, slotMinutes, rows, counts, truncated }
+ *   - rows: [{ date: 'yyyy-MM-dd', slots }], each slot null (no runs),
+ *     'both' (only runs both have), 'first' or 'second' (runs only that
+ *     one has), or 'mixed' (runs only the first has and runs only the
+ *     second has)
+ *   - counts: { first, second, both } runs in the window
+ *   - truncated: stopped after too many runs; later slots are empty
+ *   or { valid: false, error }
+ */
+function getTimeline(expr1, expr2, options = {}) {
+  const { timezone = 'local', from = new Date(), days = 1 } = options;
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    return { valid: false, error: `days must be a whole number from 1 to ${MAX_DAYS}` };
+  }
+
+  const start = DateTime.fromJSDate(from, { zone: timezone }).startOf('day');
+  if (!start.isValid) {
+    return { valid: false, error: `unknown timezone: ${timezone}` };
+  }
+  const end = start.plus({ days });
+  const minutes = slotMinutes(days);
+
+  const rows = [];
+  for (let day = start; day < end; day = day.plus({ days: 1 })) {
+    rows.push({ date: day.toISODate(), slots: new Array(1440 / minutes).fill(null) });
+  }
+
+  // occurrences starts after "from", so step back a millisecond to include
+  // midnight; @every counts from the start of the window unless anchored
+  const runOptions = {
+    ...options,
+    timezone,
+    from: new Date(start.toMillis() - 1),
+    until: new Date(end.toMillis() - 1),
+    anchor: options.anchor || start.toJSDate()
+  };
+  const counts = { first: 0, second: 0, both: 0 };
+  let seen = 0;
+  let truncated = false;
+
+  for (const { date, who } of mergeRuns(occurrences(expr1, runOptions), occurrences(expr2, runOptions))) {
+    if (++seen > MAX_RUNS) {
+      truncated = true;
+      break;
+    }
+    counts[who]++;
+
+    const dt = DateTime.fromJSDate(date, { zone: timezone });
+    const row = rows[Math.round(dt.startOf('day').diff(start, 'days').days)];
+    const slot = Math.floor((dt.hour * 60 + dt.minute) / minutes);
+    const current = row.slots[slot];
+    if (current === null || current === 'both') {
+      row.slots[slot] = who;
+    } else if (who !== 'both' && who !== current) {
+      row.slots[slot] = 'mixed';
+    }
+  }
+
+  return {
+    valid: true,
+    timezone: start.zoneName,
+    from: start.toISO(),
+    until: end.toISO(),
+    slotMinutes: minutes,
+    rows,
+    counts,
+    truncated
+  };
+}
+
+module.exports = {
+  getTimeline,
+  MAX_DAYS
+};
@@ -0,0 +1,155 @@
+/**
+ * Timezone and DST helpers
+ * @module core/timezone
+ */
+const { Info } = require('luxon');
+
+// How far around a wall-clock time we look for other UTC offsets. Wide enough
+// for date-line jumps (Samoa skipped a whole day in 2011), not just DST hours
+const TRANSITION_WINDOW = 26 * 60 * 60 * 1000;
+
+/**
+ * Resolve a timezone name to a luxon zone
+ * @param {string} timezone - IANA name, 'UTC' or 'local'
+ * @returns {Zone} Luxon zone (check isValid)
+ */
+function getZone(timezone) {
+  return Info.normalizeZone(timezone);
+}
+
+/**
+ * Wall-clock time as milliseconds, as if it were UTC
+ * @param {Object} wall - { year, month, day, hour, minute, second }
+ * @returns {number}
+ */
+function wallMillis(wall) {
+  return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second || 0);
+}
+
+/**
+ * Find the instant a zone's UTC offset changes, between two instants
+ * @param {Zone} zone - Luxon zone
+ * @param {number} lo - Instant (ms) with the old offset
+ * @param {number} hi - Instant (ms) with the new offset
+ * @returns {number} First instant (ms, whole second) with the new offset
+ */
+function findTransition(zone, lo, hi) {
+  const before = zone.offset(lo);
+  while (hi - lo > 1000) {
+    const mid = lo + Math.floor((hi - lo) / 2000) * 1000;
+    if (zone.offset(mid) === before) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+  return hi;
+}
+
+/**
+ * Work out which instants a wall-clock time refers to in a zone. Usually one;
+ * none inside a spring-forward gap; two inside a fall-back repeated hour.
+ * @param {Object} wall - { year, month, day, hour, minute, second }
+ * @param {Zone} zone - Luxon zone
+ * @returns {Object} { instants, transition, overlap }
+ *   - instants: matching instants (ms), earliest first
+ *   - transition: for a gap, the instant (ms) the clock jumped, else null
+ *   - overlap: for a repeated time, { start, end, before, after } with the
+ *     repeated wall-clock range (start inclusive, end exclusive, as wallMillis)
+ *     and the UTC offsets (minutes) of the first and second pass, else null
+ */
+function resolveWallTime(wall, zone) {
+  const local = wallMillis(wall);
+
+  if (zone.isUniversal) {
+    return { instants: [local - zone.offset(local) * 60000], transition: null, overlap: null };
+  }
+
+  const offsets = new Set([
+    zone.offset(local - TRANSITION_WINDOW),
+    zone.offset(local),
+    zone.offset(local + TRANSITION_WINDOW)
+  ]);
+  const candidates = [...offsets].map(offset => local - offset * 60000);
+  const instants = candidates.filter(ts => zone.offset(ts) * 60000 === local - ts).sort((a, b) => a - b);
+
+  if (instants.length === 0) {
+    const transition = findTransition(zone, Math.min(...candidates), Math.max(...candidates));
+    return { instants, transition, overlap: null };
+  }
+
+  if (instants.length === 1) {
+    return { instants, transition: null, overlap: null };
+  }
+
+  const first = instants[0];
+  const second = instants[instants.length - 1];
+  const before = zone.offset(first);
+  const after = zone.offset(second);
+  const transition = findTransition(zone, first, second);
+  return {
+    instants: [first, second],
+    transition: null,
+    overlap: {
+      start: transition + after * 60000,
+      end: transition + before * 60000,
+      before,
+      after
+    }
+  };
+}
+
+/**
+ * List the UTC offset changes of a zone between two instants
+ * @param {string} timezone - Timezone
+ * @param {Date} from - Start instant
+ * @param {Date} until - End instant
+ * @returns {Array<Object>} [{ at, before, after }] with the instant (ms) of
+ *   each change and the offsets (minutes) either side of it
+ */
+function getTransitions(timezone, from, until) {
+  const zone = getZone(timezone);
+  if (!zone.isValid || zone.isUniversal) return [];
+
+  // Zones never change offset twice within a day, so daily samples are enough
+  const DAY = 24 * 60 * 60 * 1000;
+  const transitions = [];
+  const end = until.getTime();
+  let t = Math.floor(from.getTime() / 1000) * 1000;
+  let offset = zone.offset(t);
+
+  while (t < end) {
+    const next = Math.min(t + DAY, end);
+    const nextOffset = zone.offset(next);
+    if (nextOffset !== offset) {
+      transitions.push({ at: findTransition(zone, t, next), before: offset, after: nextOffset });
+      offset = nextOffset;
+    }
+    t = next;
+  }
+
+  return transitions;
+}
+
+/**
+ * Classify a wall-clock time in a zone
+ * @param {Object} wall - { year, month, day, hour, minute, second }
+ * @param {string} timezone - Timezone
+ * @returns {string} 'normal', 'gap' (skipped by spring forward) or
+ *   'repeated' (happens twice at fall back)
+ */
+function getWallTimeStatus(wall, timezone) {
+  const { transition, overlap } = resolveWallTime(wall, getZone(timezone));
+  if (overlap) return 'repeated';
+  if (transition !== null) return 'gap';
+  return 'normal';
+}
+
+module.exports = {
+  getZone,
+  getWallTimeStatus,
+  getTransitions,
+  wallMillis,
+  findTransition,
+  resolveWallTime
+};
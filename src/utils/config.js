@@ -0,0 +1,171 @@
+/**
+ * .cronwtfrc project configuration
+ * @module utils/config
+ */
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { DIALECT_NAMES } = require('../core/dialects');
+const { RULES, SEVERITIES } = require('../core/lint');
+
+// Looked for in each directory, from the nearest up
+const CONFIG_FILES = ['.cronwtfrc', '.cronwtfrc.json', '.cronwtfrc.yaml', '.cronwtfrc.yml'];
+
+const CONFIG_KEYS = ['rules', 'dialect', 'timezone'];
+
+/**
+ * Read a YAML scalar: quoted or plain string, number, boolean or null
+ * @param {string} text - Value as written, comment included
+ * @returns {*}
+ */
+function parseScalar(text) {
+  const quoted = text.match(/^(["'])(.*)\1\s*(#.*)?$/);
+  if (quoted) return quoted[2];
+
+  const value = text.replace(/\s+#.*$/, '').trim();
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === 'null' || value === '~' || value === '') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Parse the YAML a config needs: nested "key: value" mappings, scalars and
+ * comments (no lists, anchors or multi-line strings)
+ * @param {string} text - YAML text
+ * @returns {Object}
+ * @throws {Error} With the line number, for anything else
+ */
+function parseYaml(text) {
+  const root = {};
+  const stack = [{ indent: -1, value: root }];
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (/^\s*(#|$)/.test(raw) || raw.trim() === '---') return;
+    if (/^\s*\t/.test(raw)) {
+      throw new Error(`line ${i + 1}: indent with spaces, not tabs`);
+    }
+
+    const match = raw.match(/^( *)([^\s:#][^:#]*?|"[^"]*"|'[^']*')\s*:(?:\s+(.*?))?\s*$/);
+    if (!match) {
+      throw new Error(`line ${i + 1}: expected "key: value"`);
+    }
+
+    const [, spaces, rawKey, value] = match;
+    const indent = spaces.length;
+    while (stack[stack.length - 1].indent >= indent) stack.pop();
+
+    const parent = stack[stack.length - 1].value;
+    const key = rawKey.replace(/^(["'])(.*)\1$/, '$2');
+    if (value === undefined || value.startsWith('#')) {
+      parent[key] = {};
+      stack.push({ indent, value: parent[key] });
+    } else {
+      parent[key] = parseScalar(value);
+    }
+  });
+
+  return root;
+}
+
+/**
+ * Parse config file contents: JSON, or YAML for anything that isn't
+ * @param {string} text - File contents
+ * @param {string} file - Path, for the format (.json, .yaml/.yml or either)
+ * @returns {Object}
+ * @throws {Error} When the contents can't be read
+ */
+function parseConfig(text, file) {
+  if (file.endsWith('.json')) return JSON.parse(text);
+  if (/\.ya?ml$/.test(file)) return parseYaml(text);
+
+  const trimmed = text.trim();
+  if (trimmed === '') return {};
+  return trimmed.startsWith('{') ? JSON.parse(trimmed) : parseYaml(text);
+}
+
+/**
+ * Check a config's settings
+ * @param {Object} config - Parsed config
+ * @returns {string|null} What's wrong with it, or null
+ */
+function checkConfig(config) {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return 'expected an object of settings';
+  }
+  const unknown = Object.keys(config).find(key => !CONFIG_KEYS.includes(key));
+  if (unknown) {
+    return `unknown setting "${unknown}" (use ${CONFIG_KEYS.join(', ')})`;
+  }
+  if (config.rules !== undefined && (typeof config.rules !== 'object' || config.rules === null || Array.isArray(config.rules))) {
+    return 'rules should map rule names to off, warning or error';
+  }
+  const rules = Object.entries(config.rules || {});
+  const unknownRule = rules.find(([id]) => !RULES[id]);
+  if (unknownRule) {
+    return `unknown rule: ${unknownRule[0]} (see cronwtf lint --rules)`;
+  }
+  const badSeverity = rules.find(([, severity]) => !SEVERITIES.includes(severity));
+  if (badSeverity) {
+    return `${badSeverity[0]}: unknown severity ${badSeverity[1]} (use ${SEVERITIES.join(', ')})`;
+  }
+  if (config.dialect !== undefined && !DIALECT_NAMES.includes(config.dialect)) {
+    return `unknown dialect: ${config.dialect} (use ${DIALECT_NAMES.join(', ')})`;
+  }
+  if (config.timezone !== undefined && !DateTime.now().setZone(String(config.timezone)).isValid) {
+    return `unknown timezone: ${config.timezone}`;
+  }
+  return null;
+}
+
+/**
+ * Find the nearest config file, from a directory up to the filesystem root
+ * @param {string} dir - Directory to start in
+ * @returns {string|null} Path
+ */
+function findConfig(dir) {
+  let current = path.resolve(dir);
+  for (;;) {
+    const found = CONFIG_FILES.map(name => path.join(current, name)).find(file => fs.existsSync(file));
+    if (found) return found;
+
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Load project settings from a .cronwtfrc (JSON or YAML):
+ * rules (severity by lint rule), dialect and timezone
+ * @param {Object} options - Options
+ * @param {string} options.file - Config file to load (default: the nearest
+ *   to dir)
+ * @param {string} options.dir - Directory to search up from (default: cwd)
+ * @returns {Object} { config, file } with file null when there is none,
+ *   or { error }
+ */
+function loadConfig(options = {}) {
+  const { file: explicit, dir = process.cwd() } = options;
+  const file = explicit || findConfig(dir);
+  if (!file) return { config: {}, file: null };
+
+  let config;
+  try {
+    config = parseConfig(fs.readFileSync(file, 'utf8'), file);
+  } catch (e) {
+    return { error: `couldn't read ${file}: ${e.message}` };
+  }
+
+  const problem = checkConfig(config);
+  if (problem) {
+    return { error: `${file}: ${problem}` };
+  }
+  return { config, file };
+}
+
+module.exports = {
+  loadConfig,
+  parseYaml,
+  CONFIG_FILES
+};
@@ -0,0 +1,58 @@
+/**
+ * Date input helpers
+ * @module utils/dates
+ */
+const { DateTime } = require('luxon');
+
+/**
+ * Parse date input (flexible)
+ * @param {string} input - Date string
+ * @param {string} zone - Timezone the date is written in (default: local)
+ * @returns {DateTime|null}
+ */
+function parseDate(input, zone = 'local') {
+  // Try common formats
+  const formats = [
+    'yyyy-MM-dd HH:mm',
+    'yyyy-MM-dd',
+    'MM/dd/yyyy HH:mm',
+    'MM/dd/yyyy',
+    'dd/MM/yyyy HH:mm',
+    'dd/MM/yyyy',
+    'yyyy/MM/dd HH:mm',
+    'yyyy/MM/dd'
+  ];
+
+  for (const fmt of formats) {
+    const dt = DateTime.fromFormat(input, fmt, { zone });
+    if (dt.isValid) return dt;
+  }
+
+  // Try ISO
+  const iso = DateTime.fromISO(input, { zone });
+  if (iso.isValid) return iso;
+
+  // Try natural-ish dates
+  const lower = input.toLowerCase();
+
+  if (lower === 'today') return DateTime.now().setZone(zone).startOf('day');
+  if (lower === 'tomorrow') return DateTime.now().setZone(zone).plus({ days: 1 }).startOf('day');
+  if (lower === 'yesterday') return DateTime.now().setZone(zone).minus({ days: 1 }).startOf('day');
+  if (lower === 'now') return DateTime.now().setZone(zone);
+
+  // "next monday", "dec 25", etc.
+  const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const monthMatch = lower.match(new RegExp(`(${months.join('|')})\\w*\\s+(\\d{1,2})(?:,?\\s*(\\d{4}))?`, 'i'));
+  if (monthMatch) {
+    const monthIdx = months.findIndex(m => monthMatch[1].toLowerCase().startsWith(m)) + 1;
+    const day = parseInt(monthMatch[2], 10);
+    const year = monthMatch[3] ? parseInt(monthMatch[3], 10) : DateTime.now().setZone(zone).year;
+    return DateTime.fromObject({ year, month: monthIdx, day }, { zone });
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseDate
+};
@@ -5,6 +5,8 @@
 const output = require('./output');
 const upsell = require('./upsell');
 const promo = require('./promo');
+const dates = require('./dates');
+const config = require('./config');
 
 module.exports = {
   // Output
@@ -19,10 +21,14 @@ module.exports = {
   colorize: output.colorize,
   formatCronBreakdown: output.formatCronBreakdown,
   formatNextRuns: output.formatNextRuns,
+  formatDstNote: output.formatDstNote,
   formatComparison: output.formatComparison,
+  formatTimeline: output.formatTimeline,
+  formatHeatmap: output.formatHeatmap,
   formatValidation: output.formatValidation,
   formatConversion: output.formatConversion,
   formatCalendar: output.formatCalendar,
+  formatTable: output.formatTable,
 
   // Upsell
   getUpsell: upsell.getUpsell,
@@ -31,5 +37,11 @@ module.exports = {
 
   // Promo
   getPromo: promo.getPromo,
-  getAllTools: promo.getAllTools
+  getAllTools: promo.getAllTools,
+
+  // Dates
+  parseDate: dates.parseDate,
+
+  // Config
+  loadConfig: config.loadConfig
 };
@@ -2,6 +2,7 @@
  * Output formatting utilities
  * @module utils/output
  */
+const { describeDuration } = require('../core/duration');
 
 // ANSI color codes
 const colors = {
@@ -112,58 +113,94 @@ function formatCronBreakdown(parsed) {
     return parsed.isReboot ? 'Run at system startup (@reboot)' : '';
   }
 
+  if (parsed.isInterval) {
+    const raw = parsed.original.replace(/^@every\s+/, '').padEnd(8);
+    return `  ${dim('Interval'.padEnd(12))} ${cyan(raw)} ${dim('=>')} every ${describeDuration(parsed.interval)}, counted from when the scheduler starts`;
+  }
+
   const { fields } = parsed;
   const lines = [];
 
   const fieldLabels = {
+    second: 'Second',
     minute: 'Minute',
     hour: 'Hour',
     dayOfMonth: 'Day (Month)',
     month: 'Month',
-    dayOfWeek: 'Day (Week)'
+    dayOfWeek: 'Day (Week)',
+    year: 'Year'
   };
 
   Object.entries(fields).forEach(([name, field]) => {
     const label = fieldLabels[name].padEnd(12);
     const raw = field.raw.padEnd(8);
-    const values = field.values.length > 10
-      ? `${field.values.slice(0, 10).join(', ')}... (${field.values.length} values)`
-      : field.values.join(', ');
+    // L/W/# modifiers have no fixed values, show their description instead
+    const values = field.specials && field.specials.length > 0
+      ? field.description
+      : field.values.length > 10
+        ? `${field.values.slice(0, 10).join(', ')}... (${field.values.length} values)`
+        : field.values.join(', ');
     lines.push(`  ${dim(label)} ${cyan(raw)} ${dim('=>')} ${values}`);
   });
 
+  if (parsed.timezone) {
+    lines.push(`  ${dim('Timezone'.padEnd(12))} ${cyan(parsed.timezonePrefix.padEnd(8))} ${dim('=>')} ${parsed.timezone}`);
+  }
+
   return lines.join('\n');
 }
 
+/**
+ * Describe how a DST transition affected a run
+ * @param {Object|null} dst - DST flag from getNextOccurrences(..., { details: true })
+ * @returns {string} Short note, or '' when unaffected
+ */
+function formatDstNote(dst) {
+  if (!dst) return '';
+  if (dst.type === 'gap') {
+    return `DST: ${dst.scheduled.slice(11, 16)} doesn't exist, runs after the clock jumps`;
+  }
+  if (dst.of === 1) {
+    return 'DST: repeated hour, runs once';
+  }
+  return `DST: repeated hour, run ${dst.pass} of 2`;
+}
+
 /**
  * Format next occurrences list
  * @param {Array<Date>} dates - Date array
  * @param {Object} options - Options
+ * @param {Array<Object|null>} options.dst - DST flags, one per date (optional)
  * @returns {string}
  */
 function formatNextRuns(dates, options = {}) {
-  const { timezone = 'local', showRelative = true } = options;
+  const { timezone = 'local', showRelative = true, showSeconds = false, dst = [] } = options;
   const { DateTime } = require('luxon');
   const now = DateTime.now();
 
   const lines = dates.map((date, i) => {
     const dt = DateTime.fromJSDate(date, { zone: timezone });
-    const formatted = dt.toFormat('EEE, MMM dd yyyy HH:mm');
+    const formatted = dt.toFormat(showSeconds ? 'EEE, MMM dd yyyy HH:mm:ss' : 'EEE, MMM dd yyyy HH:mm');
 
     let relative = '';
     if (showRelative) {
-      const diff = dt.diff(now, ['days', 'hours', 'minutes']);
+      // Past runs (from prev) read as "3h 5m ago" instead of "in 3h 5m"
+      const past = dt < now;
+      const diff = past ? now.diff(dt, ['days', 'hours', 'minutes']) : dt.diff(now, ['days', 'hours', 'minutes']);
       if (diff.days >= 1) {
-        relative = `in ${Math.floor(diff.days)}d ${Math.floor(diff.hours % 24)}h`;
+        relative = `${Math.floor(diff.days)}d ${Math.floor(diff.hours % 24)}h`;
       } else if (diff.hours >= 1) {
-        relative = `in ${Math.floor(diff.hours)}h ${Math.floor(diff.minutes % 60)}m`;
+        relative = `${Math.floor(diff.hours)}h ${Math.floor(diff.minutes % 60)}m`;
+      } else if (showSeconds && diff.minutes < 1) {
+        relative = `${Math.floor(diff.as('seconds'))}s`;
       } else {
-        relative = `in ${Math.floor(diff.minutes)}m`;
+        relative = `${Math.floor(diff.minutes)}m`;
       }
-      relative = dim(` (${relative})`);
+      relative = dim(` (${past ? `${relative} ago` : `in ${relative}`})`);
     }
 
-    return `  ${dim(`${i + 1}.`)} ${formatted}${relative}`;
+    const note = formatDstNote(dst[i]);
+    return `  ${dim(`${i + 1}.`)} ${formatted}${relative}${note ? ` ${warning(note)}` : ''}`;
   });
 
   return lines.join('\n');
@@ -182,9 +219,25 @@ function formatComparison(comparison) {
   lines.push(`  ${cyan('2:')} ${comparison.descriptions.second}`);
   lines.push('');
 
+  const { relation, examples } = comparison;
+  const at = time => cyan(time.replace('T', ' '));
   if (comparison.same) {
     lines.push(success('These expressions are equivalent!'));
   } else {
+    if (relation === 'subset') {
+      lines.push(warning('Every run of 1 is also a run of 2, but not the other way round'));
+    } else if (relation === 'superset') {
+      lines.push(warning('Every run of 2 is also a run of 1, but not the other way round'));
+    } else if (relation === 'disjoint') {
+      lines.push(warning('These expressions never run at the same time'));
+    } else {
+      lines.push(warning('These expressions share some runs, but not all'));
+    }
+    if (examples.onlyFirst) lines.push(`  ${dim('only 1 runs at')} ${at(examples.onlyFirst)}`);
+    if (examples.onlySecond) lines.push(`  ${dim('only 2 runs at')} ${at(examples.onlySecond)}`);
+    if (examples.both) lines.push(`  ${dim('both run at')}    ${at(examples.both)}`);
+    lines.push('');
+
     lines.push(bold('Differences:'));
     comparison.differences.forEach(diff => {
       lines.push(`  ${warning(diff.field)}: ${cyan(diff.first)} vs ${cyan(diff.second)}`);
@@ -204,6 +257,91 @@ function formatComparison(comparison) {
   return lines.join('\n');
 }
 
+// Timeline slot marks and their colors
+const TIMELINE_MARKS = {
+  both: ['=', 'green'],
+  first: ['1', 'cyan'],
+  second: ['2', 'yellow'],
+  mixed: ['x', 'red']
+};
+
+/**
+ * Format a timeline of two schedules: a row per day, a column per slot
+ * @param {Object} timeline - From getTimeline
+ * @returns {string}
+ */
+function formatTimeline(timeline) {
+  const { DateTime } = require('luxon');
+  const perHour = 60 / timeline.slotMinutes;
+  const labelEvery = perHour === 1 ? 6 : 3;
+  const width = 24 * perHour;
+
+  // Hour labels over the columns they start
+  const scale = new Array(width).fill(' ');
+  for (let h = 0; h < 24; h += labelEvery) {
+    String(h).padStart(2, '0').split('').forEach((c, i) => { scale[h * perHour + i] = c; });
+  }
+
+  const lines = [];
+  lines.push(`${' '.repeat(11)}${dim(scale.join('').trimEnd())}`);
+  timeline.rows.forEach(row => {
+    const label = DateTime.fromISO(row.date).toFormat('EEE MMM dd');
+    const marks = row.slots.map(slot => (slot ? colorize(...TIMELINE_MARKS[slot]) : dim('.'))).join('');
+    lines.push(`${label} ${marks}`);
+  });
+
+  lines.push('');
+  lines.push(dim(`one column = ${timeline.slotMinutes} minutes (${timeline.timezone})`));
+  lines.push(`${colorize('=', 'green')} both run   ${colorize('1', 'cyan')} only 1 runs   ${colorize('2', 'yellow')} only 2 runs   ${colorize('x', 'red')} each runs without the other`);
+
+  const { first, second, both } = timeline.counts;
+  lines.push('');
+  lines.push(`${dim('runs:')} ${both} together, ${first} only 1, ${second} only 2`);
+  if (timeline.truncated) {
+    lines.push(warning('too many runs to draw them all - the rest of the window is left empty'));
+  }
+
+  return lines.join('\n');
+}
+
+// Heatmap shades, lightest first
+const HEATMAP_SHADES = ':-=+*#%@';
+
+/**
+ * Format starts by weekday and hour as a heatmap: a row per weekday, a
+ * column per hour, shaded against the busiest hour
+ * @param {Array<Array<number>>} heatmap - From getLoad, Monday first
+ * @returns {string}
+ */
+function formatHeatmap(heatmap) {
+  const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  const most = Math.max(0, ...heatmap.flat());
+
+  // Hour labels over the columns they start, two characters per hour
+  const scale = new Array(48).fill(' ');
+  for (let h = 0; h < 24; h += 3) {
+    String(h).padStart(2, '0').split('').forEach((c, i) => { scale[h * 2 + i] = c; });
+  }
+
+  const lines = [];
+  lines.push(`    ${dim(scale.join('').trimEnd())}`);
+  heatmap.forEach((hours, day) => {
+    const cells = hours.map(count => {
+      if (count === 0) return dim('. ');
+      const level = Math.ceil((count / most) * HEATMAP_SHADES.length) - 1;
+      const shade = HEATMAP_SHADES[level].repeat(2);
+      if (level >= 6) return colorize(shade, 'red');
+      return level >= 3 ? colorize(shade, 'yellow') : shade;
+    });
+    lines.push(`${weekdays[day]} ${cells.join('')}`);
+  });
+
+  lines.push('');
+  lines.push(dim(`one column = 1 hour, . no starts, ${HEATMAP_SHADES[0]} few to ${HEATMAP_SHADES[HEATMAP_SHADES.length - 1]} most (${most} in the busiest hour)`));
+
+  return lines.join('\n');
+}
+
 /**
  * Format validation result
  * @param {Object} result - Validation result
@@ -214,6 +352,21 @@ function formatValidation(result) {
     return success('valid cron expression. nice.');
   }
   let output = error('invalid cron expression. bruh.');
+
+  // Underline each problem in the expression, with its fix underneath
+  const located = (result.diagnostics || []).filter(d => d.severity === 'error');
+  if (result.expression && located.length === result.errors.length) {
+    located.forEach((d, i) => {
+      const indent = ' '.repeat(d.offset);
+      output += `\n\n  ${result.expression}`;
+      output += `\n  ${indent}${colorize('^'.repeat(d.length), 'red')} ${result.errors[i]}`;
+      if (d.suggestion) {
+        output += `\n  ${indent}${' '.repeat(d.length + 1)}${dim(d.suggestion)}`;
+      }
+    });
+    return output;
+  }
+
   if (result.errors && result.errors.length > 0) {
     result.errors.forEach(err => {
       output += `\n  ${dim('-')} ${err}`;
@@ -253,15 +406,18 @@ function formatConversion(result, targetFormat) {
 /**
  * Format calendar output
  * @param {Array<Object>} events - Calendar events
+ * @param {Object} options - Options
+ * @param {string} options.timezone - Timezone to show times in (default: local)
  * @returns {string}
  */
-function formatCalendar(events) {
+function formatCalendar(events, options = {}) {
+  const { timezone = 'local' } = options;
   const { DateTime } = require('luxon');
   const lines = [];
 
   let currentMonth = '';
   events.forEach(event => {
-    const dt = DateTime.fromJSDate(event.date);
+    const dt = DateTime.fromJSDate(event.date, { zone: timezone });
     const month = dt.toFormat('MMMM yyyy');
 
     if (month !== currentMonth) {
@@ -278,6 +434,25 @@ function formatCalendar(events) {
   return lines.join('\n');
 }
 
+/**
+ * Format rows as a table with aligned columns
+ * @param {Array<Object>} columns - [{ title, color }] with color an optional
+ *   function applied to each cell after padding
+ * @param {Array<Array<string>>} rows - Cell text, one array per row
+ * @returns {string}
+ */
+function formatTable(columns, rows) {
+  const widths = columns.map((column, i) => Math.max(column.title.length, ...rows.map(row => row[i].length)));
+  const last = columns.length - 1;
+  const pad = (text, i) => (i === last ? text : text.padEnd(widths[i]));
+
+  const lines = [columns.map((column, i) => dim(pad(column.title, i))).join('  ')];
+  rows.forEach(row => {
+    lines.push(row.map((cell, i) => (columns[i].color ? columns[i].color(pad(cell, i)) : pad(cell, i))).join('  '));
+  });
+  return lines.join('\n');
+}
+
 module.exports = {
   success,
   error,
@@ -290,9 +465,13 @@ module.exports = {
   colorize,
   formatCronBreakdown,
   formatNextRuns,
+  formatDstNote,
   formatComparison,
+  formatTimeline,
+  formatHeatmap,
   formatValidation,
   formatConversion,
   formatCalendar,
+  formatTable,
   colors
 };
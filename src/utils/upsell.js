@@ -120,6 +120,7 @@ function proRequired(feature) {
   const featureNames = {
     generate: 'Generate from text',
     convert: 'Format conversion',
+    tz: 'Timezone rewriting',
     calendar: 'Calendar export',
     test: 'Date testing',
     interactive: 'Interactive builder'
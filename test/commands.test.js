@@ -129,6 +129,49 @@ describe('validate command', () => {
     assert.strictEqual(result.code, 0);
     assert.ok(result.output.includes('Warning') || result.output.includes('valid'));
   });
+
+  it('applies .cronwtfrc rules to strict checks', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cronwtf-validate-'));
+    const config = path.join(dir, '.cronwtfrc');
+    try {
+      fs.writeFileSync(config, '{ "rules": { "every-minute": "error", "impossible-date": "off" } }');
+      const result = await commands.validate.execute('* * * * *', { strict: true, config, json: true });
+      assert.strictEqual(result.code, 1);
+      const json = JSON.parse(result.output);
+      assert.deepStrictEqual(json.errors, ['Runs every minute (60 times/hour) - intentional?']);
+      assert.deepStrictEqual(json.warnings, []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('accepts wrap-around ranges with --wrap-ranges', async () => {
+    assert.strictEqual((await commands.validate.execute('0 22-2 * * *')).code, 1);
+    const result = await commands.validate.execute('0 22-2 * * *', { 'wrap-ranges': true });
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.output.includes('from 10PM to 2AM'));
+  });
+
+  it('checks against a dialect with --dialect', async () => {
+    const result = await commands.validate.execute('0 9 * * 7', { dialect: 'k8s' });
+    assert.strictEqual(result.code, 1);
+    assert.ok(result.output.includes('7 is out of range for Kubernetes CronJob (0-6)'));
+    assert.strictEqual((await commands.validate.execute('cron(0 12 ? * MON-FRI *)', { dialect: 'aws' })).code, 0);
+    assert.strictEqual((await commands.validate.execute('0 9 * * *', { dialect: 'nope' })).code, 1);
+  });
+
+  it('underlines the problem with a caret', async () => {
+    const result = await commands.validate.execute('0 25 * * *');
+    assert.ok(result.output.includes('  0 25 * * *\n    ^^ hour'));
+    assert.ok(result.output.includes('did you mean 0-23?'));
+  });
+
+  it('includes diagnostics in JSON', async () => {
+    const result = await commands.validate.execute('5x * * * *', { json: true });
+    const json = JSON.parse(result.output);
+    assert.strictEqual(json.diagnostics[0].code, 'invalid-value');
+    assert.strictEqual(json.diagnostics[0].fieldIndex, 0);
+  });
 });
 
 describe('next command', () => {
@@ -160,6 +203,99 @@ describe('next command', () => {
     const json = JSON.parse(result.output);
     assert.ok(json.count <= 5);
   });
+
+  it('includes DST flags in JSON output', async () => {
+    const result = await commands.next.execute('0 * * * *', { count: 1, json: true });
+    const json = JSON.parse(result.output);
+    assert.strictEqual(json.dstPolicy, 'vixie');
+    assert.ok('dst' in json.nextRuns[0]);
+  });
+
+  it('treats a CRON_TZ prefix as a custom timezone', async () => {
+    const result = await commands.next.execute('CRON_TZ=Pacific/Auckland 0 9 * * *');
+    assert.strictEqual(result.code, 1);
+    assert.ok(result.output.includes('PRO'));
+  });
+
+  it('rejects an unknown DST policy', async () => {
+    const result = await commands.next.execute('0 * * * *', { dst: 'sometimes' });
+    assert.strictEqual(result.code, 1);
+  });
+});
+
+describe('cli', () => {
+  const { spawnSync } = require('child_process');
+  const bin = path.join(__dirname, '..', 'bin', 'cronwtf.js');
+  const run = args => spawnSync(process.execPath, [bin, ...args], { encoding: 'utf8', timeout: 10000, env: { ...process.env, NO_COLOR: '1' } });
+
+  it('rejects a count that is not a positive whole number', () => {
+    [['next', '0 9 * * *', '-c', 'abc'], ['next', '@every 1m', '--count', '0'], ['prev', '0 9 * * *', '-c', '-2'],
+      ['calendar', '0 9 * * *', '--count', '1.5'], ['set', 'union', '0 9 * * *', '0 10 * * *', '--count']].forEach(args => {
+      const result = run(args);
+      assert.strictEqual(result.status, 1, args.join(' '));
+      assert.ok(result.stderr.includes('--count must be a whole number above 0'), args.join(' '));
+    });
+  });
+});
+
+describe('prev command', () => {
+  beforeEach(() => {
+    backupFiles();
+    setFreeTier();
+  });
+
+  afterEach(() => {
+    restoreFiles();
+  });
+
+  it('shows previous runs', async () => {
+    const result = await commands.prev.execute('0 * * * *');
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.output.includes('ago'));
+  });
+
+  it('looks back from a given date', async () => {
+    const result = await commands.prev.execute('0 3 * * *', { from: '2026-10-18 04:00', count: 2, json: true });
+    assert.strictEqual(result.code, 0);
+    const json = JSON.parse(result.output);
+    assert.strictEqual(json.count, 2);
+    assert.ok(json.previousRuns[0].local.startsWith('2026-10-18 03:00'));
+    assert.ok(json.previousRuns[1].local.startsWith('2026-10-17 03:00'));
+  });
+
+  it('rejects an unparseable from date', async () => {
+    const result = await commands.prev.execute('0 3 * * *', { from: 'whenever' });
+    assert.strictEqual(result.code, 1);
+  });
+});
+
+describe('dst command', () => {
+  beforeEach(() => {
+    backupFiles();
+    setProTier();
+  });
+
+  afterEach(() => {
+    restoreFiles();
+  });
+
+  it('exits non-zero for DST-sensitive schedules', async () => {
+    const result = await commands.dst.execute('30 2 * * *', { timezone: 'America/New_York', from: '2026-01-01', json: true });
+    assert.strictEqual(result.code, 1);
+    const json = JSON.parse(result.output);
+    assert.strictEqual(json.sensitive, true);
+  });
+
+  it('exits zero when runs only shift', async () => {
+    const result = await commands.dst.execute('0 9 * * *', { timezone: 'America/New_York', from: '2026-01-01' });
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.output.includes('shifted'));
+  });
+
+  it('rejects a bad year count', async () => {
+    const result = await commands.dst.execute('0 9 * * *', { years: 0 });
+    assert.strictEqual(result.code, 1);
+  });
 });
 
 describe('diff command', () => {
@@ -188,6 +324,264 @@ describe('diff command', () => {
     const result = await commands.diff.execute('0 9 * * *');
     assert.strictEqual(result.code, 1);
   });
+
+  it('draws a timeline', async () => {
+    const result = await commands.diff.execute('0 */2 * * *', '0 9-17 * * 1-5', { timeline: true, from: '2026-10-19', days: '7' });
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.output.includes('Timeline (7 days)'));
+    assert.ok(result.output.includes('Mon Oct 19'));
+  });
+
+  it('draws a timeline for schedules it can not compare', async () => {
+    const result = await commands.diff.execute('*/30 * * * *', '@every 30m', { timeline: true, from: '2026-10-19', json: true });
+    const json = JSON.parse(result.output);
+    assert.deepStrictEqual(json.timeline.counts, { first: 0, second: 0, both: 48 });
+  });
+});
+
+describe('set command', () => {
+  beforeEach(() => {
+    backupFiles();
+    setFreeTier();
+  });
+
+  afterEach(() => {
+    restoreFiles();
+  });
+
+  it('prints the resulting expression', async () => {
+    const result = await commands.set.execute('subtract', '0 9 * * *', '0 9 * * 0,6');
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.output.includes('0 9 * * 1-5'));
+  });
+
+  it('outputs JSON', async () => {
+    const result = await commands.set.execute('intersect', '0 9 * * 1', '0 10 * * 1', { json: true });
+    const json = JSON.parse(result.output);
+    assert.strictEqual(json.empty, true);
+    assert.deepStrictEqual(json.nextRuns, []);
+  });
+
+  it('returns error for an unknown operation', async () => {
+    const result = await commands.set.execute('xor', '0 9 * * *', '0 10 * * *');
+    assert.strictEqual(result.code, 1);
+  });
+});
+
+describe('crontab command', () => {
+  let dir;
+
+  beforeEach(() => {
+    backupFiles();
+    setFreeTier();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cronwtf-crontab-'));
+  });
+
+  afterEach(() => {
+    restoreFiles();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('explains every job', async () => {
+    const file = path.join(dir, 'crontab');
+    fs.writeFileSync(file, 'MAILTO=ops\n0 9 * * 1-5 /bin/report\n@reboot /bin/warm\n');
+
+    const result = await commands.crontab.execute(file);
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.output.includes('2 jobs'));
+    assert.ok(result.output.includes('on weekdays'));
+  });
+
+  it('fails on invalid schedules', async () => {
+    const file = path.join(dir, 'crontab');
+    fs.writeFileSync(file, '0 25 * * * /bin/report\n');
+
+    const result = await commands.crontab.execute(file, { json: true });
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(JSON.parse(result.output).jobs[0].valid, false);
+  });
+
+  it('returns error for a missing file', async () => {
+    const result = await commands.crontab.execute(path.join(dir, 'nope'));
+    assert.strictEqual(result.code, 1);
+  });
+});
+
+describe('load command', () => {
+  let dir;
+
+  beforeEach(() => {
+    backupFiles();
+    setFreeTier();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cronwtf-load-'));
+  });
+
+  afterEach(() => {
+    restoreFiles();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('flags jobs that start together', async () => {
+    const file = path.join(dir, 'crontab');
+    fs.writeFileSync(file, '0 * * * * /bin/backup\n0 * * * * /bin/rotate\n61 * * * * /bin/bad\n');
+
+    const result = await commands.load.execute([file], { days: '1' });
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.output.includes('2 jobs start together 24 times'));
+    assert.ok(result.output.includes('left out 1 invalid job'));
+    assert.ok(result.output.includes('Mon '));
+  });
+
+  it('outputs JSON', async () => {
+    const file = path.join(dir, 'crontab');
+    fs.writeFileSync(file, '30 9 * * * /bin/report\n');
+
+    const result = await commands.load.execute([file], { json: true, from: '2026-10-19' });
+    const json = JSON.parse(result.output);
+    assert.strictEqual(json.jobs[0].command, '/bin/report');
+    assert.strictEqual(json.runs, 7);
+    assert.strictEqual(json.peak, 1);
+    assert.deepStrictEqual(json.hotspots, []);
+  });
+
+  it('needs a file', async () => {
+    const result = await commands.load.execute([]);
+    assert.strictEqual(result.code, 1);
+  });
+});
+
+describe('spread command', () => {
+  let dir;
+
+  beforeEach(() => {
+    backupFiles();
+    setFreeTier();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cronwtf-spread-'));
+  });
+
+  afterEach(() => {
+    restoreFiles();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('prints the patched crontab', async () => {
+    const file = path.join(dir, 'crontab');
+    fs.writeFileSync(file, '0 * * * * /bin/backup\n0 * * * * /bin/rotate\n');
+
+    const result = await commands.spread.execute(file);
+    assert.strictEqual(result.code, 0);
+    const [first, second] = result.output.split('\n');
+    assert.strictEqual(first, '0 * * * * /bin/backup');
+    assert.match(second, /^\d+ \* \* \* \* \/bin\/rotate$/);
+  });
+
+  it('prints a diff', async () => {
+    const file = path.join(dir, 'crontab');
+    fs.writeFileSync(file, '0 3 * * * /bin/backup\n0 3 * * * /bin/rotate\n');
+
+    const result = await commands.spread.execute(file, { diff: true });
+    assert.ok(result.output.includes('1 job moved'));
+    assert.ok(result.output.includes(`--- ${file}`));
+    assert.ok(result.output.includes('@@ -2,1 +2,1 @@\n-0 3 * * * /bin/rotate\n+'));
+  });
+
+  it('needs a file', async () => {
+    const result = await commands.spread.execute();
+    assert.strictEqual(result.code, 1);
+  });
+});
+
+describe('lint command', () => {
+  let dir;
+
+  beforeEach(() => {
+    backupFiles();
+    setFreeTier();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cronwtf-lint-'));
+  });
+
+  afterEach(() => {
+    restoreFiles();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('fails on errors', async () => {
+    const file = path.join(dir, 'crontab');
+    fs.writeFileSync(file, 'MAILTO=""\n0 0 31 2 * /bin/never\n');
+
+    const result = await commands.lint.execute([file]);
+    assert.strictEqual(result.code, 1);
+    assert.ok(result.output.includes('impossible-date'));
+  });
+
+  it('outputs SARIF', async () => {
+    const file = path.join(dir, 'crontab');
+    fs.writeFileSync(file, 'MAILTO=""\n* * * * * /bin/beat\n');
+
+    const result = await commands.lint.execute([file], { format: 'sarif' });
+    assert.strictEqual(result.code, 0);
+    const sarif = JSON.parse(result.output);
+    assert.strictEqual(sarif.version, '2.1.0');
+    const [finding] = sarif.runs[0].results;
+    assert.strictEqual(finding.ruleId, 'every-minute');
+    assert.deepStrictEqual(finding.locations[0].physicalLocation.region, { startLine: 2, startColumn: 1 });
+  });
+
+  it('reads the nearest .cronwtfrc', async () => {
+    fs.writeFileSync(path.join(dir, '.cronwtfrc'), 'rules:\n  every-minute: error\n');
+    const file = path.join(dir, 'crontab');
+    fs.writeFileSync(file, 'MAILTO=""\n* * * * * /bin/beat\n');
+
+    const result = await commands.lint.execute([file]);
+    assert.strictEqual(result.code, 1);
+  });
+
+  it('turns rules off', async () => {
+    const file = path.join(dir, 'crontab');
+    fs.writeFileSync(file, '* * * * * /bin/beat\n');
+
+    const result = await commands.lint.execute([file], { disable: 'every-minute,missing-mailto', json: true });
+    assert.deepStrictEqual(JSON.parse(result.output).files[0].findings, []);
+  });
+});
+
+describe('fmt command', () => {
+  let dir;
+
+  beforeEach(() => {
+    backupFiles();
+    setFreeTier();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cronwtf-fmt-'));
+  });
+
+  afterEach(() => {
+    restoreFiles();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('prints the canonical expression', async () => {
+    const result = await commands.fmt.execute(['0,15,30,45 * * * *']);
+    assert.strictEqual(result.code, 0);
+    assert.strictEqual(result.output, '*/15 * * * *');
+  });
+
+  it('rewrites crontab schedules in place', async () => {
+    const file = path.join(dir, 'crontab');
+    fs.writeFileSync(file, '# nightly\nMAILTO=ops\n0 9 * * 1,2,3,4,5  /bin/report --all\n@annually /bin/yearly\n');
+
+    const result = await commands.fmt.execute([file]);
+    assert.strictEqual(result.code, 0);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '# nightly\nMAILTO=ops\n0 9 * * 1-5  /bin/report --all\n@yearly /bin/yearly\n');
+  });
+
+  it('only reports changes with --check', async () => {
+    const file = path.join(dir, 'crontab');
+    fs.writeFileSync(file, '0 9 * * 7 /bin/sunday\n');
+
+    const result = await commands.fmt.execute([file], { check: true });
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '0 9 * * 7 /bin/sunday\n');
+  });
 });
 
 describe('generate command (PRO)', () => {
@@ -252,6 +646,66 @@ describe('convert command (PRO)', () => {
   });
 });
 
+describe('tz command (PRO)', () => {
+  beforeEach(() => {
+    backupFiles();
+  });
+
+  afterEach(() => {
+    restoreFiles();
+  });
+
+  it('requires PRO', async () => {
+    setFreeTier();
+    const result = await commands.tz.execute('0 9 * * *', { from: 'Asia/Kolkata' });
+    assert.strictEqual(result.code, 1);
+    assert.ok(result.output.includes('PRO'));
+  });
+
+  it('rewrites for another timezone', async () => {
+    setProTier();
+    const result = await commands.tz.execute('0 9 * * *', { from: 'Asia/Kolkata', to: 'UTC', json: true });
+    assert.strictEqual(result.code, 0);
+    const json = JSON.parse(result.output);
+    assert.deepStrictEqual(json.expressions, ['30 3 * * *']);
+    assert.strictEqual(json.exact, true);
+  });
+
+  it('fails on an unknown timezone', async () => {
+    setProTier();
+    const result = await commands.tz.execute('0 9 * * *', { from: 'Nowhere/Land' });
+    assert.strictEqual(result.code, 1);
+  });
+});
+
+describe('test command (PRO)', () => {
+  beforeEach(() => {
+    backupFiles();
+    setProTier();
+  });
+
+  afterEach(() => {
+    restoreFiles();
+  });
+
+  it('checks single dates under the DST policy', async () => {
+    const expression = 'CRON_TZ=America/New_York 30 2 * * *';
+    const vixie = JSON.parse((await commands.test.execute(expression, { date: '2026-03-08 03:00', json: true })).output);
+    assert.strictEqual(vixie.tests[0].matches, true);
+    assert.strictEqual(vixie.tests[0].dst.type, 'gap');
+
+    const strict = JSON.parse((await commands.test.execute(expression, { date: '2026-03-08 03:00', dst: 'strict', json: true })).output);
+    assert.strictEqual(strict.tests[0].matches, false);
+  });
+
+  it('flags runs moved out of a DST gap', async () => {
+    const result = await commands.test.execute('CRON_TZ=America/New_York 30 2 * * *', { dates: '2026-03-08 03:00,2026-03-09 02:30,2026-03-09 03:00' });
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.output.includes("02:30 doesn't exist"));
+    assert.strictEqual((result.output.match(/RUNS/g) || []).length, 2);
+  });
+});
+
 describe('license command', () => {
   beforeEach(() => {
     backupFiles();
@@ -0,0 +1,70 @@
+/**
+ * Config file tests
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { loadConfig, parseYaml } = require('../src/utils/config');
+
+describe('parseYaml', () => {
+  it('reads nested mappings, scalars and comments', () => {
+    const yaml = [
+      '# team settings',
+      'rules:',
+      '  every-minute: off   # heartbeats are fine',
+      '  "missing-mailto": error',
+      'dialect: cronie',
+      "timezone: 'Europe/Berlin'",
+      'count: 3'
+    ].join('\n');
+    assert.deepStrictEqual(parseYaml(yaml), {
+      rules: { 'every-minute': 'off', 'missing-mailto': 'error' },
+      dialect: 'cronie',
+      timezone: 'Europe/Berlin',
+      count: 3
+    });
+  });
+
+  it('rejects what it does not understand', () => {
+    assert.throws(() => parseYaml('rules:\n  - every-minute'), /line 2/);
+  });
+});
+
+describe('loadConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cronwtf-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('finds the nearest config up the tree', () => {
+    fs.writeFileSync(path.join(dir, '.cronwtfrc'), '{ "dialect": "cronie" }');
+    fs.mkdirSync(path.join(dir, 'jobs'));
+    const { config, file } = loadConfig({ dir: path.join(dir, 'jobs') });
+    assert.deepStrictEqual(config, { dialect: 'cronie' });
+    assert.strictEqual(file, path.join(dir, '.cronwtfrc'));
+  });
+
+  it('reads YAML configs', () => {
+    fs.writeFileSync(path.join(dir, '.cronwtfrc.yml'), 'rules:\n  every-minute: error\n');
+    assert.deepStrictEqual(loadConfig({ dir }).config, { rules: { 'every-minute': 'error' } });
+  });
+
+  it('reports bad settings with the file', () => {
+    const file = path.join(dir, '.cronwtfrc');
+    fs.writeFileSync(file, 'rules:\n  every-second: off\n');
+    assert.ok(loadConfig({ file }).error.includes('unknown rule: every-second'));
+
+    fs.writeFileSync(file, 'colour: blue\n');
+    assert.ok(loadConfig({ file }).error.startsWith(file));
+
+    fs.writeFileSync(file, 'timezone: Mars/Olympus\n');
+    assert.ok(loadConfig({ file }).error.includes('unknown timezone'));
+  });
+});
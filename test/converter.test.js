@@ -8,6 +8,7 @@ const {
   toSystemd,
   toGitHub,
   toQuartz,
+  toJenkins,
   toCron,
   detectFormat
 } = require('../src/core/converter');
@@ -33,6 +34,15 @@ describe('toAws', () => {
     assert.ok(result.result.includes('?'));
   });
 
+  it('keeps the year field', () => {
+    assert.strictEqual(toAws('0 0 12 1 1 ? 2027').result, 'cron(0 12 1 1 ? 2027)');
+  });
+
+  it('rejects a seconds field', () => {
+    const result = toAws('*/10 * * * * *');
+    assert.strictEqual(result.success, false);
+  });
+
   it('handles invalid expressions', () => {
     const result = toAws('invalid');
     assert.strictEqual(result.success, false);
@@ -89,6 +99,11 @@ describe('toQuartz', () => {
     assert.ok(result.result.startsWith('0 '));
   });
 
+  it('keeps the seconds field', () => {
+    const result = toQuartz('*/10 * * * * *');
+    assert.strictEqual(result.result, '*/10 * * * * ?');
+  });
+
   it('uses ? for one of the day fields', () => {
     const result = toQuartz('0 9 * * *');
     assert.strictEqual(result.success, true);
@@ -96,6 +111,119 @@ describe('toQuartz', () => {
   });
 });
 
+describe('Quartz modifiers', () => {
+  it('shifts nth weekday to Quartz numbering', () => {
+    const result = toQuartz('0 0 * * 5#3');
+    assert.strictEqual(result.result, '0 0 0 ? * 6#3');
+  });
+
+  it('round-trips L, W and # through Quartz', () => {
+    ['0 0 L * *', '0 0 15W * *', '0 0 * * 5#3', '0 0 * * 5L'].forEach(expr => {
+      const quartz = toQuartz(expr);
+      assert.strictEqual(toCron(quartz.result, 'quartz').result, expr);
+    });
+  });
+
+  it('renumbers day-of-week ranges, steps and names', () => {
+    assert.strictEqual(toAws('0 12 * * 5-7').result, 'cron(0 12 ? * 1,6,7 *)');
+    assert.strictEqual(toAws('0 12 * * 0-6').result, 'cron(0 12 ? * * *)');
+    assert.strictEqual(toAws('0 12 * * */2').result, 'cron(0 12 ? * */2 *)');
+    assert.strictEqual(toQuartz('0 12 * * SUN').result, '0 0 12 ? * 1');
+  });
+
+  it('renumbers day-of-week steps coming from AWS and Quartz', () => {
+    // 2/2 is Monday, Wednesday and Friday - not Sunday
+    assert.strictEqual(toCron('cron(0 12 ? * 2/2 *)', 'aws').result, '0 12 * * 1-5/2');
+    assert.strictEqual(toCron('0 0 12 ? * */2', 'quartz').result, '0 12 * * */2');
+    assert.strictEqual(toCron('0 0 12 ? * SUN', 'quartz').result, '0 12 * * 0');
+    assert.strictEqual(toCron('cron(0 12 ? * 9 *)', 'aws').success, false);
+  });
+
+  it('keeps modifiers in AWS format', () => {
+    assert.strictEqual(toAws('0 0 L * *').result, 'cron(0 0 L * ? *)');
+  });
+
+  it('uses ~ for last day in systemd', () => {
+    assert.strictEqual(toSystemd('0 0 L * *').result, '*-*~01 0:0:00');
+  });
+
+  it('rejects modifiers for GitHub Actions', () => {
+    assert.strictEqual(toGitHub('0 0 * * 5#3').success, false);
+  });
+});
+
+describe('timezone prefix', () => {
+  it('appends the timezone in systemd', () => {
+    assert.strictEqual(toSystemd('CRON_TZ=Europe/Berlin 0 9 * * *').result, '* 9:0:00 Europe/Berlin');
+  });
+
+  it('returns the timezone next to AWS and Quartz expressions', () => {
+    const aws = toAws('CRON_TZ=Europe/Berlin 0 9 * * *');
+    assert.strictEqual(aws.result, 'cron(0 9 * * ? *)');
+    assert.strictEqual(aws.timezone, 'Europe/Berlin');
+    assert.strictEqual(toQuartz('TZ=Europe/Berlin 0 9 * * *').timezone, 'Europe/Berlin');
+  });
+
+  it('rejects a timezone for GitHub Actions', () => {
+    assert.strictEqual(toGitHub('CRON_TZ=Europe/Berlin 0 9 * * *').success, false);
+  });
+
+  it('turns a systemd timezone into CRON_TZ', () => {
+    const result = toCron('Mon *-*-* 09:00:00 America/Montevideo', 'systemd');
+    assert.strictEqual(result.result, 'CRON_TZ=America/Montevideo 00 09 * * 1');
+  });
+
+  it('detects prefixed cron', () => {
+    assert.strictEqual(detectFormat('CRON_TZ=Europe/Berlin 0 9 * * *'), 'cron');
+  });
+});
+
+describe('source timezone', () => {
+  it('shifts to UTC for GitHub Actions', () => {
+    const result = toGitHub('0 9 * * 1-5', { sourceTz: 'Asia/Kolkata' });
+    assert.strictEqual(result.expression, '30 3 * * 1-5');
+    assert.ok(result.note.includes('Asia/Kolkata'));
+  });
+
+  it('lists a schedule per expression', () => {
+    const github = toGitHub('*/30 9 * * *', { sourceTz: 'Asia/Kolkata' });
+    assert.deepStrictEqual(github.expressions, ['30 3 * * *', '0 4 * * *']);
+    assert.strictEqual(github.result.split('- cron:').length, 3);
+
+    const aws = toAws('*/30 9 * * *', { sourceTz: 'Asia/Kolkata' });
+    assert.strictEqual(aws.result, 'cron(30 3 * * ? *)\ncron(0 4 * * ? *)');
+  });
+});
+
+describe('Jenkins', () => {
+  it('writes Jenkins syntax, not Quartz', () => {
+    const result = toJenkins('CRON_TZ=Europe/Berlin 30 9 * jan-mar mon-fri');
+    assert.strictEqual(result.result, 'TZ=Europe/Berlin 30 9 * 1-3 1-5');
+    assert.ok(result.note.includes('H 9 * 1-3 1-5'));
+    assert.strictEqual(toJenkins('0 0 L * *').success, false);
+  });
+
+  it('resolves H for a job', () => {
+    assert.strictEqual(toCron('H H(0-7) * * *', 'jenkins', { seed: 'my-job' }).result, '18 3 * * *');
+    assert.strictEqual(toCron('H/15 * * * *', 'jenkins').result, '*/15 * * * *');
+    assert.strictEqual(toCron('H H * * mon', 'jenkins').success, false);
+  });
+
+  it('resolves H for formats without it', () => {
+    const options = { seed: 'my-job' };
+    assert.strictEqual(toSystemd('H H(0-7) * * *', options).result, '* 3:18:00');
+    assert.strictEqual(toAws('H H(0-7) * * *', options).result, 'cron(18 3 * * ? *)');
+    assert.strictEqual(toGitHub('H H(0-7) * * *', options).expression, '18 3 * * *');
+    assert.strictEqual(toQuartz('H H(0-7) * * *', options).result, '0 18 3 * * ?');
+    // Without a seed every H is its lowest value, as in toCron
+    assert.strictEqual(toQuartz('H H(0-7) * * *').result, '0 0 0 * * ?');
+  });
+
+  it('detects H', () => {
+    assert.strictEqual(detectFormat('H H(0-7) * * *'), 'jenkins');
+  });
+});
+
 describe('toCron (from other formats)', () => {
   it('converts from AWS format', () => {
     const result = toCron('cron(0 9 ? * 2-6 *)', 'aws');
@@ -110,6 +238,11 @@ describe('toCron (from other formats)', () => {
     assert.strictEqual(result.result, '0 0 * * *');
   });
 
+  it('converts AWS day-of-week ranges', () => {
+    const result = toCron('cron(0 9 ? * 2-6 *)', 'aws');
+    assert.strictEqual(result.result, '0 9 * * 1-5');
+  });
+
   it('converts from Quartz format', () => {
     const result = toCron('0 0 9 * * ?', 'quartz');
     assert.strictEqual(result.success, true);
@@ -117,17 +250,72 @@ describe('toCron (from other formats)', () => {
     assert.ok(result.result.includes('9'));
   });
 
+  it('keeps the AWS year field', () => {
+    const result = toCron('cron(0 12 1 1 ? 2027-2029)', 'aws');
+    assert.strictEqual(result.result, '0 0 12 1 1 * 2027-2029');
+  });
+
+  it('round-trips the Quartz year field', () => {
+    const quartz = toQuartz('0 0 12 1 1 ? 2027');
+    assert.strictEqual(quartz.result, '0 0 12 1 1 ? 2027');
+    assert.strictEqual(toCron(quartz.result, 'quartz').result, '0 0 12 1 1 * 2027');
+  });
+
+  it('keeps non-zero Quartz seconds', () => {
+    const result = toCron('*/10 * * * * ?', 'quartz');
+    assert.strictEqual(result.result, '*/10 * * * * *');
+    assert.strictEqual(result.description, 'Every 10 seconds');
+  });
+
   it('handles unknown format', () => {
     const result = toCron('something', 'unknown');
     assert.strictEqual(result.success, false);
   });
 });
 
+describe('@every', () => {
+  it('splits intervals that divide a day into exact expressions', () => {
+    const result = toCron('@every 90m', 'every');
+    assert.deepStrictEqual(result.expressions, ['0 */3 * * *', '30 1-22/3 * * *']);
+    assert.strictEqual(result.exact, true);
+    assert.deepStrictEqual(result.drift, { perRun: 0, perDay: 0 });
+    assert.deepStrictEqual(toCron('@every 15m', 'every').expressions, ['*/15 * * * *']);
+  });
+
+  it('approximates other intervals and reports the drift', () => {
+    const result = toCron('@every 7m', 'every');
+    assert.deepStrictEqual(result.expressions, ['*/6 * * * *']);
+    assert.strictEqual(result.exact, false);
+    assert.strictEqual(result.period, 360000);
+    assert.deepStrictEqual(result.drift, { perRun: -60000, perDay: -12342857 });
+    assert.ok(result.note.includes('1m earlier each run'));
+    assert.deepStrictEqual(toCron('@every 720h', 'every').expressions, ['0 0 1 * *']);
+  });
+
+  it('keeps whole-minute intervals at minute precision unless asked for seconds', () => {
+    assert.deepStrictEqual(toCron('@every 13m', 'every').expressions, ['*/12 * * * *']);
+    const withSeconds = toCron('@every 7m', 'every', { seconds: true });
+    assert.strictEqual(withSeconds.period, 400000);
+    assert.ok(withSeconds.expressions.every(e => e.split(' ').length === 6));
+    // Intervals with seconds in them can still land between minutes
+    assert.strictEqual(toCron('@every 100s', 'every').exact, true);
+  });
+
+  it('is not accepted by other formats', () => {
+    assert.strictEqual(toAws('@every 1h').success, false);
+    assert.ok(toSystemd('@every 1h').error.includes('OnUnitActiveSec=1h'));
+  });
+});
+
 describe('detectFormat', () => {
   it('detects AWS format', () => {
     assert.strictEqual(detectFormat('cron(0 9 * * ? *)'), 'aws');
   });
 
+  it('detects @every intervals', () => {
+    assert.strictEqual(detectFormat('@every 1h30m'), 'every');
+  });
+
   it('detects standard cron', () => {
     assert.strictEqual(detectFormat('0 9 * * *'), 'cron');
   });
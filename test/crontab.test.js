@@ -0,0 +1,77 @@
+/**
+ * Crontab parser tests
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseCrontab, splitCommand, isSystemCrontab } = require('../src/core/crontab');
+
+const CRONTAB = `# nightly jobs
+MAILTO=ops@example.com
+CRON_TZ = "Europe/Berlin"
+
+0 2 * * * /usr/local/bin/backup.sh
+@reboot /usr/local/bin/warm-cache
+0 9 * * 1-5 mail -s report%Hello%Bye
+0 25 * * * /bin/broken
+not a job
+`;
+
+describe('parseCrontab', () => {
+  it('reads jobs with their line numbers and settings', () => {
+    const { jobs, variables } = parseCrontab(CRONTAB);
+    assert.deepStrictEqual(jobs.map(j => j.line), [5, 6, 7, 8]);
+    assert.deepStrictEqual(variables, [
+      { line: 2, name: 'MAILTO', value: 'ops@example.com' },
+      { line: 3, name: 'CRON_TZ', value: 'Europe/Berlin' }
+    ]);
+
+    const [backup] = jobs;
+    assert.strictEqual(backup.schedule, '0 2 * * *');
+    assert.strictEqual(backup.command, '/usr/local/bin/backup.sh');
+    assert.strictEqual(backup.env.MAILTO, 'ops@example.com');
+    assert.strictEqual(backup.valid, true);
+  });
+
+  it('runs schedules in the CRON_TZ set above them', () => {
+    const [backup] = parseCrontab(CRONTAB).jobs;
+    assert.strictEqual(backup.timezone, 'Europe/Berlin');
+    assert.strictEqual(backup.expression, 'CRON_TZ=Europe/Berlin 0 2 * * *');
+    assert.strictEqual(parseCrontab('0 2 * * * run').jobs[0].timezone, null);
+  });
+
+  it('reads @reboot and % in commands', () => {
+    const [, reboot, mail] = parseCrontab(CRONTAB).jobs;
+    assert.strictEqual(reboot.schedule, '@reboot');
+    assert.strictEqual(mail.command, 'mail -s report');
+    assert.strictEqual(mail.stdin, 'Hello\nBye');
+  });
+
+  it('reports invalid schedules and unreadable lines', () => {
+    const { jobs, errors } = parseCrontab(CRONTAB);
+    assert.strictEqual(jobs[3].valid, false);
+    assert.ok(jobs[3].error.includes('hour'));
+    assert.deepStrictEqual(errors.map(e => e.line), [9]);
+  });
+
+  it('reads the user column of system crontabs', () => {
+    const { jobs, errors } = parseCrontab('17 * * * * root cd / && run-parts /etc/cron.hourly\n0 3 * * * nobody', { system: true });
+    assert.strictEqual(jobs[0].user, 'root');
+    assert.strictEqual(jobs[0].command, 'cd / && run-parts /etc/cron.hourly');
+    assert.deepStrictEqual(errors.map(e => e.line), [2]);
+  });
+});
+
+describe('splitCommand', () => {
+  it('keeps escaped percent signs', () => {
+    assert.deepStrictEqual(splitCommand('date +\\%Y-\\%m'), { command: 'date +%Y-%m', stdin: null });
+    assert.deepStrictEqual(splitCommand('cat%'), { command: 'cat', stdin: '' });
+  });
+});
+
+describe('isSystemCrontab', () => {
+  it('recognizes /etc/crontab and /etc/cron.d', () => {
+    assert.strictEqual(isSystemCrontab('/etc/crontab'), true);
+    assert.strictEqual(isSystemCrontab('/etc/cron.d/backups'), true);
+    assert.strictEqual(isSystemCrontab('deploy/crontab'), false);
+  });
+});
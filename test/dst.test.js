@@ -0,0 +1,73 @@
+/**
+ * DST report tests
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getDstReport } = require('../src/core/dst');
+
+const from = new Date('2026-01-01T00:00:00Z');
+const timezone = 'America/New_York';
+
+describe('getDstReport', () => {
+  it('moves fixed-time gap runs under the vixie policy', () => {
+    const report = getDstReport('30 2 * * *', { timezone, from });
+    assert.strictEqual(report.sensitive, true);
+    const [spring] = report.transitions;
+    assert.strictEqual(spring.kind, 'spring-forward');
+    assert.strictEqual(spring.localBefore, '2026-03-08 02:00');
+    assert.strictEqual(spring.localAfter, '2026-03-08 03:00');
+    assert.deepStrictEqual(spring.moved, ['02:30']);
+    assert.deepStrictEqual(spring.skipped, []);
+    assert.strictEqual(spring.shift, -60);
+  });
+
+  it('parses with the caller\'s options', () => {
+    assert.strictEqual(getDstReport('0 H * * *', { timezone, from, dst: 'strict' }).sensitive, false);
+    const seeded = getDstReport('0 H * * *', { timezone, from, dst: 'strict', seed: 'b' });
+    assert.deepStrictEqual(seeded.transitions.flatMap(t => t.doubled), ['01:00']);
+
+    assert.strictEqual(getDstReport('30 23-2 * * *', { timezone, from }).valid, false);
+    assert.strictEqual(getDstReport('30 23-2 * * *', { timezone, from, wrapRanges: true }).sensitive, true);
+  });
+
+  it('skips gap runs under the strict policy', () => {
+    const report = getDstReport('30 2 * * *', { timezone, from, dst: 'strict' });
+    assert.deepStrictEqual(report.transitions[0].skipped, ['02:30']);
+  });
+
+  it('reports doubled wildcard runs at fall back', () => {
+    const report = getDstReport('*/30 * * * *', { timezone, from });
+    const fall = report.transitions.find(t => t.kind === 'fall-back');
+    assert.deepStrictEqual(fall.doubled, ['01:00', '01:30']);
+    assert.strictEqual(fall.shift, 0);
+  });
+
+  it('only shifts jobs outside the transition hours', () => {
+    const report = getDstReport('0 9 * * *', { timezone, from });
+    assert.strictEqual(report.sensitive, false);
+    assert.deepStrictEqual(report.transitions.map(t => t.shift), [-60, 60]);
+  });
+
+  it('covers several years', () => {
+    const report = getDstReport('0 9 * * *', { timezone, from, years: 3 });
+    assert.strictEqual(report.transitions.length, 6);
+  });
+
+  it('has nothing to report in UTC', () => {
+    const report = getDstReport('30 2 * * *', { timezone: 'UTC', from });
+    assert.deepStrictEqual(report.transitions, []);
+    assert.strictEqual(report.sensitive, false);
+  });
+
+  it('handles half-hour DST shifts', () => {
+    const report = getDstReport('*/15 1 * * *', { timezone: 'Australia/Lord_Howe', from });
+    const fall = report.transitions.find(t => t.kind === 'fall-back');
+    assert.deepStrictEqual(fall.doubled, ['01:30', '01:45']);
+    assert.strictEqual(fall.shift, 30);
+  });
+
+  it('rejects invalid input', () => {
+    assert.strictEqual(getDstReport('bogus', { timezone, from }).valid, false);
+    assert.strictEqual(getDstReport('0 9 * * *', { timezone: 'Mars/Olympus', from }).valid, false);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Schedule relation tests
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { relate } = require('../src/core/equivalence');
+
+const from = new Date('2026-10-19T00:00:00Z');
+const relation = (a, b) => relate(a, b, { from }).relation;
+
+describe('relate', () => {
+  it('finds equal schedules written differently', () => {
+    assert.strictEqual(relation('*/15 * * * *', '0,15,30,45 * * * *'), 'equal');
+    assert.strictEqual(relation('@daily', '0 0 * * *'), 'equal');
+    assert.strictEqual(relation('0 0 0 * * ? *', '0 0 * * *'), 'equal');
+    // Either day field matching runs the job, so this runs every day
+    assert.strictEqual(relation('0 9 1-31 * 1', '0 9 * * *'), 'equal');
+  });
+
+  it('applies the day-of-month/day-of-week OR rule', () => {
+    const result = relate('0 0 1 * 1', '0 0 1 * *', { from });
+    assert.strictEqual(result.relation, 'superset');
+    assert.deepStrictEqual(result.examples, {
+      onlyFirst: '2026-10-19T00:00:00',
+      onlySecond: null,
+      both: '2026-11-01T00:00:00'
+    });
+  });
+
+  it('tells subsets, disjoint and overlapping schedules apart', () => {
+    assert.strictEqual(relation('0 9 * * 1-5', '0 9 * * *'), 'subset');
+    assert.strictEqual(relation('0 9 * * *', '0 10 * * *'), 'disjoint');
+    assert.strictEqual(relation('0 9 * * 1-3', '0 9 * * 3-5'), 'overlap');
+    assert.strictEqual(relation('*/10 * * * * *', '* * * * *'), 'superset');
+  });
+
+  it('covers leap years and modifiers', () => {
+    const result = relate('0 0 29 2 *', '0 0 L 2 *', { from });
+    assert.strictEqual(result.relation, 'subset');
+    assert.strictEqual(result.examples.onlySecond, '2027-02-28T00:00:00');
+    assert.strictEqual(result.examples.both, '2028-02-29T00:00:00');
+    // The third Friday is a Friday between the 15th and 21st
+    assert.strictEqual(relation('0 0 * * 5#3', '0 0 15-21 * *'), 'subset');
+  });
+
+  it('limits schedules with a year field to those years', () => {
+    const result = relate('0 0 0 1 1 ? 2027', '0 0 1 1 *', { from });
+    assert.strictEqual(result.relation, 'subset');
+    assert.strictEqual(result.examples.onlySecond, '2028-01-01T00:00:00');
+  });
+
+  it('rejects schedules without fixed times', () => {
+    assert.strictEqual(relate('@reboot', '* * * * *').valid, false);
+    assert.strictEqual(relate('0 9 * * *', 'nope').valid, false);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Property-based field parsing tests
+ *
+ * Inputs come from a small seeded PRNG, so a failure always reproduces: the
+ * failing field is in the assertion message.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseField, compactValues, FIELDS } = require('../src/core/parser');
+
+const SEED = 20261019;
+const RUNS = 500;
+const NAMES = ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'];
+
+/**
+ * Seeded PRNG (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function prng(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const int = (rand, lo, hi) => lo + Math.floor(rand() * (hi - lo + 1));
+const pick = (rand, list) => list[Math.floor(rand() * list.length)];
+
+/**
+ * Write a value as a number, or as a name in random case where the field has names
+ * @param {Function} rand - PRNG
+ * @param {Object} def - Field definition
+ * @param {number} value - Value
+ * @returns {string}
+ */
+function writeValue(rand, def, value) {
+  const index = def === FIELDS.dayOfWeek ? value % 7 : value - 1;
+  if (def.names.length === 0 || rand() < 0.5) return String(value);
+  // Sunday as 7 is only written "sun" at the end of a range from another day
+  const name = def.names[index];
+  return rand() < 0.5 ? name : name.toUpperCase();
+}
+
+/**
+ * Generate a valid list item and the values it should match
+ * @param {Function} rand - PRNG
+ * @param {Object} def - Field definition
+ * @returns {Object} { text, values }
+ */
+function validItem(rand, def) {
+  const { min, max } = def;
+  const step = rand() < 0.4 ? int(rand, 1, max - min + 1) : null;
+  const kind = pick(rand, ['*', 'value', 'range']);
+  let lo = min;
+  let hi = max;
+  let text = '*';
+
+  if (kind === 'value') {
+    lo = int(rand, min, max);
+    // "n/step" runs to the end of the field
+    hi = step ? max : lo;
+    text = def === FIELDS.dayOfWeek && lo === 7 ? '7' : writeValue(rand, def, lo);
+  } else if (kind === 'range') {
+    lo = int(rand, min, max);
+    hi = int(rand, lo, max);
+    const loText = def === FIELDS.dayOfWeek && lo === 7 ? '7' : writeValue(rand, def, lo);
+    const hiText = def === FIELDS.dayOfWeek && hi === 7 && lo === 0 ? '7' : writeValue(rand, def, hi);
+    text = `${loText}-${hiText}`;
+  }
+
+  const values = [];
+  for (let v = lo; v <= hi; v += step || 1) values.push(v);
+  return { text: step ? `${text}/${step}` : text, values };
+}
+
+/**
+ * Values as a parser would report them (Sunday 7 becomes 0, sorted, unique)
+ * @param {Array<number>} values - Values
+ * @param {Object} def - Field definition
+ * @returns {Array<number>}
+ */
+function expected(values, def) {
+  const normalized = values.map(v => (def === FIELDS.dayOfWeek && v === 7 ? 0 : v));
+  return [...new Set(normalized)].sort((a, b) => a - b);
+}
+
+/**
+ * Errors found while parsing a field
+ * @param {string} text - Field
+ * @param {Object} def - Field definition
+ * @returns {Array<Object>}
+ */
+function errorsOf(text, def) {
+  return parseField(text, def).diagnostics.filter(d => d.severity === 'error');
+}
+
+describe(`parseField properties (seed ${SEED})`, () => {
+  it('matches exactly the values of any valid field', () => {
+    const rand = prng(SEED);
+    for (let run = 0; run < RUNS; run++) {
+      const def = FIELDS[pick(rand, NAMES)];
+      const items = Array.from({ length: int(rand, 1, 4) }, () => validItem(rand, def));
+      const text = items.map(i => i.text).join(',');
+      const field = parseField(text, def);
+
+      assert.deepStrictEqual(errorsOf(text, def), [], text);
+      assert.deepStrictEqual(expected(field.values, def), expected(items.flatMap(i => i.values), def), text);
+    }
+  });
+
+  it('rejects malformed variations of valid items', () => {
+    const rand = prng(SEED + 1);
+    const breakers = [
+      (lo, hi) => `${hi}-${lo}`, // reversed range
+      lo => `${lo}/0`, // zero step
+      (lo, hi) => `${lo}--${hi}`, // double dash
+      (lo, hi) => `${lo},,${hi}`, // empty list item
+      lo => `${lo}-`, // missing range end
+      lo => `/${lo}`, // missing value
+      lo => `${lo}x`, // trailing garbage
+      lo => `${lo}/a`, // step that isn't a number
+      (lo, hi) => `${lo}-${hi}-${hi}` // two dashes
+    ];
+
+    for (let run = 0; run < RUNS; run++) {
+      const def = FIELDS[pick(rand, NAMES)];
+      const lo = int(rand, def.min, def.max - 1);
+      const hi = int(rand, lo + 1, def === FIELDS.dayOfWeek ? 6 : def.max);
+      const text = pick(rand, breakers)(lo, hi);
+
+      assert.ok(errorsOf(text, def).length > 0, `${text} should be rejected`);
+    }
+  });
+
+  it('only accepts whole names', () => {
+    const rand = prng(SEED + 2);
+    for (let run = 0; run < RUNS; run++) {
+      const def = FIELDS[pick(rand, ['month', 'dayOfWeek'])];
+      const name = pick(rand, def.names);
+      const suffix = pick(rand, ['day', 'uary', 'x', 'n', '1']);
+
+      assert.ok(errorsOf(`${name}${suffix}`, def).length > 0, `${name}${suffix} should be rejected`);
+      assert.ok(errorsOf(`1-${name}${suffix}`, def).length > 0, `1-${name}${suffix} should be rejected`);
+    }
+  });
+
+  it('never throws on random input and keeps diagnostics inside the field', () => {
+    const rand = prng(SEED + 3);
+    const alphabet = '0123456789*/,-#?LWlwmonjaFRI.x';
+    for (let run = 0; run < RUNS * 2; run++) {
+      const def = FIELDS[pick(rand, NAMES)];
+      const text = Array.from({ length: int(rand, 1, 8) }, () => pick(rand, alphabet)).join('');
+      const field = parseField(text, def);
+
+      field.values.forEach(v => assert.ok(v >= def.min && v <= def.max, `${text}: ${v} out of range`));
+      field.diagnostics.forEach(d => {
+        assert.ok(d.offset >= 0 && d.offset + d.length <= Math.max(text.length, d.offset + 1), `${text}: ${JSON.stringify(d)}`);
+      });
+    }
+  });
+
+  it('round-trips values through compactValues', () => {
+    const rand = prng(SEED + 4);
+    for (let run = 0; run < RUNS; run++) {
+      const def = FIELDS[pick(rand, NAMES)];
+      const values = expected(Array.from({ length: int(rand, 1, 12) }, () => int(rand, def.min, def.max)), def);
+      const text = compactValues(values, def);
+
+      assert.deepStrictEqual(expected(parseField(text, def).values, def), values, `${values} -> ${text}`);
+    }
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Package entry point tests
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const cronwtf = require('..');
+
+describe('package entry point', () => {
+  it('loads', () => {
+    assert.strictEqual(cronwtf.version, require('../package.json').version);
+    assert.strictEqual(cronwtf.validate('0 9 * * *').valid, true);
+  });
+
+  it('exports the API', () => {
+    [
+      'parse', 'validate', 'describe', 'normalize', 'parseCrontab', 'lint',
+      'getNextOccurrences', 'getPreviousOccurrences', 'occurrences', 'compare', 'relate',
+      'intersect', 'union', 'subtract', 'getTimeline', 'getLoad', 'spread', 'getDstReport',
+      'generate', 'getExamples', 'toAws', 'toSystemd', 'toGitHub', 'toQuartz', 'toJenkins', 'toCron',
+      'approximateInterval', 'shiftTimezone', 'fromCron', 'detectFormat', 'isPro', 'getLicenseStatus'
+    ].forEach(name => assert.strictEqual(typeof cronwtf[name], 'function', name));
+
+    ['FIELDS', 'ALIASES', 'FORMATS', 'DIALECTS'].forEach(name => assert.ok(cronwtf[name], name));
+    assert.deepStrictEqual(cronwtf.DST_POLICIES, ['vixie', 'strict']);
+  });
+
+  it('runs the examples in its header', () => {
+    assert.deepStrictEqual(cronwtf.subtract('0 9 * * *', '0 9 * * 0,6').expressions, ['0 9 * * 1-5']);
+    assert.strictEqual(cronwtf.normalize('0 9 * * 1,2,3,4,5').result, '0 9 * * 1-5');
+    const [run] = cronwtf.occurrences('0 9 * * 1-5', { from: new Date('2026-10-17T00:00:00Z'), timezone: 'UTC' });
+    assert.strictEqual(run.toISOString(), '2026-10-19T09:00:00.000Z');
+  });
+});
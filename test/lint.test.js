@@ -0,0 +1,96 @@
+/**
+ * Crontab linter tests
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { lint, RULE_IDS } = require('../src/core/lint');
+
+const from = new Date('2026-10-19T00:00:00Z');
+
+/**
+ * Rules that fire on a crontab
+ * @param {string} text - Crontab contents
+ * @param {Object} options - lint options
+ * @returns {Array<string>}
+ */
+function rulesFor(text, options = {}) {
+  return lint(`MAILTO=""\n${text}`, { timezone: 'UTC', from, ...options }).findings.map(f => f.rule);
+}
+
+describe('lint', () => {
+  it('passes a clean crontab', () => {
+    const result = lint('MAILTO=ops@example.com\n0 3 * * * /usr/local/bin/backup\n', { timezone: 'UTC', from });
+    assert.deepStrictEqual(result.findings, []);
+    assert.strictEqual(result.errorCount, 0);
+  });
+
+  it('finds schedule surprises', () => {
+    assert.deepStrictEqual(rulesFor('* * * * * /bin/beat'), ['every-minute']);
+    assert.deepStrictEqual(rulesFor('0 9 1 * 1 /bin/report'), ['dom-dow-or']);
+    assert.deepStrictEqual(rulesFor('0 0 31 2 * /bin/never'), ['impossible-date']);
+    assert.deepStrictEqual(rulesFor('0 0 30 2 1 /bin/mondays'), ['dom-dow-or']);
+  });
+
+  it('tells never from rarely', () => {
+    const [never] = lint('MAILTO=""\n0 0 31 4,6 * /bin/x', { from }).findings;
+    const [leap] = lint('MAILTO=""\n0 0 29 2 * /bin/x', { from }).findings;
+    assert.strictEqual(never.severity, 'error');
+    assert.strictEqual(leap.severity, 'warning');
+  });
+
+  it('finds jobs at times DST skips or repeats', () => {
+    const [finding] = lint('MAILTO=""\n30 2 * * * /bin/x', { timezone: 'Europe/Berlin', from }).findings;
+    assert.strictEqual(finding.rule, 'dst-ambiguous');
+    assert.ok(finding.message.includes('02:30'));
+    assert.deepStrictEqual(rulesFor('CRON_TZ=UTC\n30 2 * * * /bin/x', { timezone: 'Europe/Berlin' }), []);
+  });
+
+  it('checks commands', () => {
+    const result = lint('MAILTO=""\n0 3 * * * cd /srv && ./backup.sh\n0 4 * * * date +%F', { timezone: 'UTC', from });
+    assert.deepStrictEqual(result.findings.map(f => [f.rule, f.line, f.column]), [
+      ['relative-path', 2, 22],
+      ['unescaped-percent', 3, 17]
+    ]);
+    assert.deepStrictEqual(rulesFor('0 4 * * * date +\\%F'), []);
+  });
+
+  it('checks the crontab as a whole', () => {
+    assert.deepStrictEqual(lint('0 3 * * * /bin/x', { timezone: 'UTC', from }).findings.map(f => f.rule), ['missing-mailto']);
+    const [duplicate] = lint('MAILTO=""\n0 3 * * * /bin/x\n0 3 * * 0-6 /bin/x', { timezone: 'UTC', from }).findings;
+    assert.strictEqual(duplicate.rule, 'duplicate-schedule');
+    assert.strictEqual(duplicate.message, 'same schedule as line 2 and the same command');
+  });
+
+  it('reports broken lines and schedules as errors', () => {
+    assert.deepStrictEqual(rulesFor('0 25 * * * /bin/x\nnonsense'), ['invalid-schedule', 'invalid-line']);
+  });
+
+  it('toggles rules', () => {
+    assert.deepStrictEqual(rulesFor('@reboot /bin/start'), []);
+    assert.deepStrictEqual(rulesFor('@reboot /bin/start', { rules: { 'reboot-in-container': 'warning' } }), ['reboot-in-container']);
+    assert.deepStrictEqual(rulesFor('* * * * * /bin/beat', { rules: { 'every-minute': 'off' } }), []);
+
+    const [finding] = lint('MAILTO=""\n* * * * * /bin/beat', { rules: { 'every-minute': 'error' } }).findings;
+    assert.strictEqual(finding.severity, 'error');
+  });
+
+  it('honors disable-next-line comments', () => {
+    const text = [
+      'MAILTO=""',
+      '# cronwtf-disable-next-line every-minute -- heartbeat',
+      '* * * * * ./beat',
+      '# cronwtf-disable-next-line',
+      '* * * * 0 ./beat2',
+      '* * * * 1 /bin/beat3'
+    ].join('\n');
+    assert.deepStrictEqual(lint(text, { from }).findings.map(f => [f.rule, f.line]), [
+      ['relative-path', 3],
+      ['every-minute', 6]
+    ]);
+  });
+
+  it('rejects unknown rules and severities', () => {
+    assert.strictEqual(lint('', { rules: { 'no-such-rule': 'off' } }).valid, false);
+    assert.strictEqual(lint('', { rules: { [RULE_IDS[0]]: 'loud' } }).valid, false);
+  });
+});
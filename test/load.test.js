@@ -0,0 +1,52 @@
+/**
+ * Load tests
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getLoad } = require('../src/core/load');
+
+const from = new Date('2026-10-19T12:00:00Z');
+
+describe('getLoad', () => {
+  it('finds the busiest minutes', () => {
+    const jobs = [{ expression: '0 * * * *' }, { expression: '0 */6 * * *' }, { expression: '30 9 * * *' }];
+    const load = getLoad(jobs, { timezone: 'UTC', from, days: 1, top: 2 });
+    assert.strictEqual(load.valid, true);
+    assert.strictEqual(load.from, '2026-10-19T00:00:00.000Z');
+    assert.strictEqual(load.until, '2026-10-20T00:00:00.000Z');
+    assert.strictEqual(load.runs, 29);
+    assert.strictEqual(load.peak, 2);
+    assert.deepStrictEqual(load.busiest, [
+      { date: '2026-10-19T00:00:00.000Z', count: 2, jobs: [0, 1] },
+      { date: '2026-10-19T06:00:00.000Z', count: 2, jobs: [0, 1] }
+    ]);
+  });
+
+  it('groups jobs that keep starting together into hotspots', () => {
+    const jobs = [{ expression: '0 * * * *' }, { expression: '0 * * * *' }, { expression: '0 0 * * *' }, { expression: '5 * * * *' }];
+    const { hotspots } = getLoad(jobs, { timezone: 'UTC', from, days: 2 });
+    assert.deepStrictEqual(hotspots, [
+      { jobs: [0, 1, 2], count: 3, times: 2, first: '2026-10-19T00:00:00.000Z' },
+      { jobs: [0, 1], count: 2, times: 46, first: '2026-10-19T01:00:00.000Z' }
+    ]);
+  });
+
+  it('counts starts by weekday and hour', () => {
+    const load = getLoad([{ expression: '*/15 9 * * 1-5' }, { expression: '@reboot' }], { timezone: 'UTC', from });
+    assert.strictEqual(load.runs, 20);
+    assert.deepStrictEqual(load.heatmap.map(hours => hours[9]), [4, 4, 4, 4, 4, 0, 0]);
+    assert.strictEqual(load.heatmap.flat().reduce((a, b) => a + b), 20);
+    assert.deepStrictEqual(load.hotspots, []);
+  });
+
+  it('runs jobs in their own timezone', () => {
+    const load = getLoad([{ expression: 'CRON_TZ=America/New_York 0 9 * * *' }], { timezone: 'UTC', from, days: 1 });
+    assert.strictEqual(load.busiest[0].date, '2026-10-19T13:00:00.000Z');
+  });
+
+  it('rejects bad windows', () => {
+    assert.strictEqual(getLoad([], { days: 0 }).valid, false);
+    assert.strictEqual(getLoad([], { top: 0 }).valid, false);
+    assert.strictEqual(getLoad([], { timezone: 'Mars/Olympus' }).valid, false);
+  });
+});
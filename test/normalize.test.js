@@ -0,0 +1,66 @@
+/**
+ * Normalization tests
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { normalize } = require('../src/core/normalize');
+const { getNextOccurrences } = require('../src/core/schedule');
+
+const result = (expr, options) => normalize(expr, options).result;
+
+describe('normalize', () => {
+  it('spells the same schedule one way', () => {
+    for (const expr of ['0,15,30,45 * * * *', '*/15 * * * *', '0-59/15 * * * *']) {
+      assert.strictEqual(result(expr), '*/15 * * * *', expr);
+    }
+  });
+
+  it('picks the shortest form', () => {
+    assert.strictEqual(result('0 9 * * 1,2,3,4,5'), '0 9 * * 1-5');
+    assert.strictEqual(result('0,15,30,45,50 * * * *'), '*/15,50 * * * *');
+    assert.strictEqual(result('0 0 1-31/2 * *'), '0 0 */2 * *');
+  });
+
+  it('writes Sunday as 0 and names as numbers, or names on request', () => {
+    assert.strictEqual(result('0  9 * * 7'), '0 9 * * 0');
+    assert.strictEqual(result('0 9 * jan-mar mon-fri'), '0 9 * 1-3 1-5');
+    assert.strictEqual(result('0 9 * 1-3 1-5', { names: true }), '0 9 * JAN-MAR MON-FRI');
+  });
+
+  it('keeps modifiers, prefixes and aliases', () => {
+    assert.strictEqual(result('0 0 l * 5l'), '0 0 L * 5L');
+    assert.strictEqual(result('CRON_TZ=Europe/Berlin 0 9 * * 1,2,3'), 'CRON_TZ=Europe/Berlin 0 9 * * 1-3');
+    assert.strictEqual(result('@ANNUALLY'), '@yearly');
+    assert.strictEqual(result('@midnight', { dialect: 'jenkins' }), '@midnight');
+    assert.strictEqual(result('@every 90m'), '@every 1h30m');
+  });
+
+  it('keeps how the day fields combine', () => {
+    // Either day matching runs the job, so every day of the month means every day
+    assert.strictEqual(result('0 9 1-31 * 1'), '0 9 * * *');
+    // "*/2" would read as unrestricted in Vixie cron, dropping the OR with Monday
+    assert.strictEqual(result('0 9 */2 * 1'), '0 9 1-31/2 * 1');
+  });
+
+  it('keeps dialect day numbering and wrappers', () => {
+    assert.strictEqual(result('0 0 12 ? * 1,3,5,7', { dialect: 'quartz' }), '0 0 12 ? * */2');
+    assert.strictEqual(result('cron(0 9 ? * 2,3,4,5,6 *)', { dialect: 'aws' }), 'cron(0 9 ? * 2-6 *)');
+    assert.strictEqual(result('0 0 0 ? * 6#3', { dialect: 'quartz', names: true }), '0 0 0 ? * FRI#3');
+  });
+
+  it('runs at the same times', () => {
+    const from = new Date('2026-01-01T00:00:00Z');
+    for (const expr of ['0,15,30,45,50 9-17 * * 1,2,3,4,5', '0 9 1-31 * 1', '0 0 1,15 * 0,6', '*/7 */5 * 2,4,6 *']) {
+      assert.deepStrictEqual(
+        getNextOccurrences(result(expr), 50, { from, timezone: 'UTC' }),
+        getNextOccurrences(expr, 50, { from, timezone: 'UTC' }),
+        expr
+      );
+    }
+  });
+
+  it('reports invalid expressions and unchanged ones', () => {
+    assert.strictEqual(normalize('0 25 * * *').success, false);
+    assert.strictEqual(normalize('*/15 * * * *').changed, false);
+  });
+});
@@ -4,6 +4,7 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
 const { parse, validate, describe: describeCron, getNextOccurrences, compare } = require('../src/core');
+const { javaRandom } = require('../src/core/hash');
 
 describe('parse', () => {
   it('parses basic cron expression', () => {
@@ -95,12 +96,139 @@ describe('parse', () => {
     assert.ok(result.error.includes('Unknown alias'));
   });
 
-  it('handles 6-field expressions (ignores seconds)', () => {
+  it('handles 6-field expressions (leading seconds)', () => {
     const result = parse('0 0 9 * * *');
     assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.fields.second.values, [0]);
     assert.deepStrictEqual(result.fields.minute.values, [0]);
     assert.deepStrictEqual(result.fields.hour.values, [9]);
   });
+
+  it('keeps the seconds field', () => {
+    const result = parse('*/10 * * * * *');
+    assert.deepStrictEqual(result.fields.second.values, [0, 10, 20, 30, 40, 50]);
+  });
+
+  it('parses a trailing year field', () => {
+    const result = parse('0 0 12 1 1 ? 2027-2029');
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.fields.year.values, [2027, 2028, 2029]);
+  });
+
+  it('parses year steps and lists', () => {
+    assert.deepStrictEqual(parse('0 0 12 1 1 ? 2095/2').fields.year.values, [2095, 2097, 2099]);
+    assert.deepStrictEqual(parse('0 0 12 1 1 ? 2027,2030').fields.year.values, [2027, 2030]);
+  });
+
+  it('rejects out of range years', () => {
+    assert.strictEqual(parse('0 0 12 1 1 ? 2100').valid, false);
+  });
+
+  it('rejects out of range seconds', () => {
+    assert.strictEqual(parse('60 * * * * *').valid, false);
+  });
+});
+
+describe('parse Quartz modifiers', () => {
+  const from = new Date('2026-01-01T00:00:00Z');
+  const days = (expr) => getNextOccurrences(expr, 3, { from, timezone: 'UTC' })
+    .map(d => d.toISOString().slice(0, 10));
+
+  it('treats ? like * in day fields', () => {
+    const result = parse('0 0 * 3 ?');
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.fields.dayOfWeek.values, parse('0 0 * 3 *').fields.dayOfWeek.values);
+  });
+
+  it('rejects ? outside day fields', () => {
+    assert.strictEqual(parse('? 0 * * *').valid, false);
+  });
+
+  it('schedules L on the last day of the month', () => {
+    assert.deepStrictEqual(days('0 0 L * ?'), ['2026-01-31', '2026-02-28', '2026-03-31']);
+  });
+
+  it('schedules nW on the nearest weekday', () => {
+    // 2026-02-15 and 2026-03-15 are Sundays
+    assert.deepStrictEqual(days('0 0 15W * ?'), ['2026-01-15', '2026-02-16', '2026-03-16']);
+  });
+
+  it('keeps nW inside the month', () => {
+    // 2026-08-01 is a Saturday, so 1W moves forward to Monday the 3rd
+    const next = getNextOccurrences('0 0 1W 8 *', 1, { from, timezone: 'UTC' });
+    assert.strictEqual(next[0].toISOString().slice(0, 10), '2026-08-03');
+  });
+
+  it('schedules LW on the last weekday', () => {
+    // 2026-05-31 is a Sunday
+    const next = getNextOccurrences('0 0 LW 5 *', 1, { from, timezone: 'UTC' });
+    assert.strictEqual(next[0].toISOString().slice(0, 10), '2026-05-29');
+  });
+
+  it('schedules n#k on the nth weekday', () => {
+    assert.deepStrictEqual(days('0 0 * * 5#3'), ['2026-01-16', '2026-02-20', '2026-03-20']);
+  });
+
+  it('schedules nL on the last weekday of its kind', () => {
+    assert.deepStrictEqual(days('0 0 * * 5L'), ['2026-01-30', '2026-02-27', '2026-03-27']);
+  });
+
+  it('accepts day names with #', () => {
+    const result = parse('0 0 * * fri#3');
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.fields.dayOfWeek.specials, [{ type: 'nthDayOfWeek', day: 5, nth: 3 }]);
+  });
+
+  it('rejects modifiers in the wrong field', () => {
+    assert.strictEqual(parse('0 L * * *').valid, false);
+    assert.strictEqual(parse('0 0 5#3 * *').valid, false);
+    assert.strictEqual(parse('0 0 * * 5#6').valid, false);
+  });
+
+  it('describes modifiers', () => {
+    assert.ok(describeCron('0 0 L * ?').includes('on the last day of the month'));
+    assert.ok(describeCron('0 0 * * 5#3').includes('on the third Friday of the month'));
+    assert.ok(describeCron('0 0 * * 5L').includes('on the last Friday of the month'));
+    assert.ok(describeCron('0 0 15W * ?').includes('on the weekday nearest day 15'));
+  });
+});
+
+describe('parse timezone prefix', () => {
+  it('parses a CRON_TZ= prefix', () => {
+    const result = parse('CRON_TZ=Europe/Berlin 0 9 * * *');
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.timezone, 'Europe/Berlin');
+    assert.strictEqual(result.timezonePrefix, 'CRON_TZ');
+    assert.deepStrictEqual(result.fields.hour.values, [9]);
+  });
+
+  it('parses a TZ= prefix', () => {
+    const result = parse('TZ=America/New_York */5 * * * *');
+    assert.strictEqual(result.timezone, 'America/New_York');
+    assert.strictEqual(result.timezonePrefix, 'TZ');
+  });
+
+  it('works with aliases', () => {
+    const result = parse('CRON_TZ=Asia/Tokyo @daily');
+    assert.strictEqual(result.timezone, 'Asia/Tokyo');
+    assert.deepStrictEqual(result.fields.hour.values, [0]);
+  });
+
+  it('rejects unknown timezones', () => {
+    const result = parse('CRON_TZ=Mars/Olympus 0 9 * * *');
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.error.includes('Mars/Olympus'));
+  });
+
+  it('mentions the timezone in descriptions', () => {
+    assert.strictEqual(describeCron('TZ=Europe/Berlin 0 9 * * *'), 'At minute 0 at 9AM (Europe/Berlin time)');
+  });
+
+  it('schedules in the prefixed timezone', () => {
+    const from = new Date('2026-01-01T00:00:00Z');
+    const next = getNextOccurrences('CRON_TZ=Europe/Berlin 0 9 * * *', 1, { from, timezone: 'UTC' });
+    assert.strictEqual(next[0].toISOString(), '2026-01-01T08:00:00.000Z');
+  });
 });
 
 describe('validate', () => {
@@ -132,6 +260,232 @@ describe('validate', () => {
   });
 });
 
+describe('diagnostics', () => {
+  it('locates out-of-range values and suggests a fix', () => {
+    const [d] = validate('0 9-25 * * *').diagnostics;
+    assert.deepStrictEqual(
+      { code: d.code, severity: d.severity, field: d.field, fieldIndex: d.fieldIndex, offset: d.offset, length: d.length, suggestion: d.suggestion },
+      { code: 'out-of-range', severity: 'error', field: 'hour', fieldIndex: 1, offset: 2, length: 4, suggestion: 'did you mean 9-23?' }
+    );
+  });
+
+  it('rejects garbage that parseInt would accept', () => {
+    const [d] = validate('5x * * * *').diagnostics;
+    assert.strictEqual(d.code, 'invalid-value');
+    assert.strictEqual(d.suggestion, 'did you mean 5?');
+    assert.strictEqual(validate('0 0 * * monday').diagnostics[0].suggestion, 'did you mean mon?');
+  });
+
+  it('rejects a zero step instead of looping', () => {
+    const result = validate('*/0 * * * *');
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.diagnostics[0].code, 'invalid-step');
+    assert.strictEqual(result.diagnostics[0].offset, 2);
+  });
+
+  it('offsets past a timezone prefix', () => {
+    const [d] = validate('CRON_TZ=Europe/Berlin 0 25 * * *').diagnostics;
+    assert.strictEqual(d.offset, 24);
+  });
+
+  it('reports whole-expression problems without a field', () => {
+    const [d] = validate('0 0').diagnostics;
+    assert.strictEqual(d.code, 'field-count');
+    assert.strictEqual(d.field, null);
+    assert.deepStrictEqual(validate('0 0').errors, ['Invalid field count: expected 5 to 7, got 2']);
+  });
+
+  it('warns about steps that only match once', () => {
+    const result = validate('*/90 * * * *');
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.diagnostics[0].severity, 'warning');
+    assert.strictEqual(result.warnings.length, 1);
+  });
+});
+
+describe('field grammar', () => {
+  it('reads names only as whole tokens, also in ranges and steps', () => {
+    assert.deepStrictEqual(parse('0 9 * * mon-fri').fields.dayOfWeek.values, [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(parse('0 0 1 jan-mar/2 *').fields.month.values, [1, 3]);
+    assert.deepStrictEqual(parse('0 0 * * fri-sun').fields.dayOfWeek.values, [0, 5, 6]);
+    assert.strictEqual(parse('0 0 * * monday').valid, false);
+  });
+
+  it('rejects reversed ranges', () => {
+    const result = validate('0 0 * * 5-2');
+    assert.strictEqual(result.diagnostics[0].code, 'reversed-range');
+    assert.strictEqual(result.diagnostics[0].suggestion, 'did you mean 2-5? (or allow wrap-around ranges)');
+  });
+
+  it('rejects malformed items', () => {
+    ['1--3 * * * *', 'a/b * * * *', '1,,2 * * * *', '*/0 * * * *', '1-2-3 * * * *', '0 0 L/2 * *'].forEach(expr => {
+      assert.strictEqual(parse(expr).valid, false, expr);
+    });
+  });
+});
+
+describe('wrap-around ranges', () => {
+  it('reads high-low ranges as wrapping when enabled', () => {
+    assert.deepStrictEqual(parse('0 22-2 * * *', { wrapRanges: true }).fields.hour.values, [0, 1, 2, 22, 23]);
+    assert.deepStrictEqual(parse('0 9 * * fri-mon', { wrapRanges: true }).fields.dayOfWeek.values, [0, 1, 5, 6]);
+    assert.deepStrictEqual(parse('0 0 1 nov-feb *', { wrapRanges: true }).fields.month.values, [1, 2, 11, 12]);
+    assert.deepStrictEqual(parse('0 0 28-2 * *', { wrapRanges: true }).fields.dayOfMonth.values, [1, 2, 28, 29, 30, 31]);
+  });
+
+  it('keeps steps counting across the wrap', () => {
+    assert.deepStrictEqual(parse('0 22-4/2 * * *', { wrapRanges: true }).fields.hour.values, [0, 2, 4, 22]);
+  });
+
+  it('is an error by default', () => {
+    assert.strictEqual(validate('0 22-2 * * *').diagnostics[0].code, 'reversed-range');
+  });
+
+  it('describes the range from start to end', () => {
+    assert.strictEqual(describeCron('0 22-2 * * *', { wrapRanges: true }), 'At minute 0 from 10PM to 2AM');
+    assert.ok(describeCron('0 9 * * fri-mon', { wrapRanges: true }).includes('Friday to Monday'));
+  });
+
+  it('passes through to occurrences', () => {
+    const from = new Date('2026-01-01T00:30:00Z');
+    const runs = getNextOccurrences('0 23-1 * * *', 3, { timezone: 'UTC', from, wrapRanges: true });
+    assert.deepStrictEqual(runs.map(d => d.getUTCHours()), [1, 23, 0]);
+  });
+});
+
+describe('dialects', () => {
+  const codes = (expr, dialect) => validate(expr, { dialect }).diagnostics.map(d => d.code);
+
+  it('accepts what each scheduler accepts', () => {
+    assert.strictEqual(parse('0 9 * * mon-fri', { dialect: 'vixie' }).valid, true);
+    assert.strictEqual(parse('CRON_TZ=Europe/Berlin 0 9 * * *', { dialect: 'cronie' }).valid, true);
+    assert.strictEqual(parse('0 9 * * 1-5', { dialect: 'posix' }).valid, true);
+    assert.strictEqual(parse('0 0 9 ? * MON-FRI', { dialect: 'quartz' }).valid, true);
+    assert.strictEqual(parse('cron(0 12 ? * MON-FRI *)', { dialect: 'aws' }).valid, true);
+    assert.strictEqual(parse('TZ=UTC @daily', { dialect: 'jenkins' }).valid, true);
+    assert.strictEqual(parse('0 9 ? * 1-5', { dialect: 'k8s' }).valid, true);
+  });
+
+  it('reports syntax the target does not accept', () => {
+    assert.deepStrictEqual(codes('*/15 * * * *', 'posix'), ['unsupported-feature']);
+    assert.deepStrictEqual(codes('0 9 * * mon', 'jenkins'), ['unsupported-feature']);
+    assert.deepStrictEqual(codes('0 9 L * *', 'cronie'), ['unsupported-feature']);
+    assert.deepStrictEqual(codes('@reboot', 'k8s'), ['unsupported-feature']);
+    assert.deepStrictEqual(codes('TZ=UTC 0 9 * * *', 'k8s'), ['unsupported-feature']);
+    assert.deepStrictEqual(codes('0 9 * * *', 'quartz'), ['field-count']);
+  });
+
+  it('points at the unsupported syntax with a fix', () => {
+    const [d] = validate('0 9 * * mon', { dialect: 'posix' }).diagnostics;
+    assert.strictEqual(d.offset, 8);
+    assert.strictEqual(d.length, 3);
+    assert.strictEqual(d.suggestion, 'use 1');
+  });
+
+  it('numbers day of week from 1 = Sunday in Quartz and AWS', () => {
+    assert.deepStrictEqual(parse('0 0 9 ? * 2-6', { dialect: 'quartz' }).fields.dayOfWeek.values, [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(parse('0 9 ? * 6#3 *', { dialect: 'aws' }).fields.dayOfWeek.specials, [{ type: 'nthDayOfWeek', day: 5, nth: 3 }]);
+    assert.deepStrictEqual(codes('0 0 9 ? * 0', 'quartz'), ['out-of-range']);
+    assert.deepStrictEqual(codes('0 9 * * 7', 'k8s'), ['out-of-range']);
+  });
+
+  it('needs "?" in exactly one day field in Quartz and AWS', () => {
+    assert.deepStrictEqual(codes('0 12 * * * *', 'aws'), ['day-fields']);
+    assert.deepStrictEqual(codes('0 0 12 ? * ?', 'quartz'), ['day-fields']);
+  });
+
+  it('follows the dialect on wrap-around ranges', () => {
+    assert.strictEqual(parse('0 0 22-2 ? * *', { dialect: 'quartz' }).valid, true);
+    assert.strictEqual(parse('0 22-2 * * *', { dialect: 'vixie' }).valid, false);
+  });
+
+  it('throws on unknown dialects', () => {
+    assert.throws(() => parse('0 9 * * *', { dialect: 'windows' }), /Unknown dialect/);
+  });
+});
+
+describe('Jenkins H', () => {
+  it('reproduces java.util.Random', () => {
+    assert.strictEqual(javaRandom(42n).next(32), -1170105035);
+    const random = javaRandom(42n);
+    assert.deepStrictEqual([1, 2, 3, 4].map(() => random.nextInt(10)), [0, 3, 8, 4]);
+  });
+
+  it('hashes H from the seed, field by field', () => {
+    const { fields } = parse('H H(0-7) * * *', { seed: 'my-job' });
+    assert.deepStrictEqual(fields.minute.values, [18]);
+    assert.deepStrictEqual(fields.hour.values, [3]);
+    assert.deepStrictEqual(parse('H H(0-7) * * *', { seed: 'my-job' }).fields, fields);
+  });
+
+  it('uses the lowest value without a seed', () => {
+    const { fields } = parse('H H(2-7) H * *');
+    assert.deepStrictEqual([fields.minute.values, fields.hour.values, fields.dayOfMonth.values], [[0], [2], [1]]);
+  });
+
+  it('steps from a hashed start', () => {
+    const values = parse('H/15 * * * *', { seed: 'my-job' }).fields.minute.values;
+    assert.strictEqual(values.length, 4);
+    assert.ok(values.every((v, i) => i === 0 || v - values[i - 1] === 15));
+    assert.ok(values[0] < 15);
+  });
+
+  it('keeps day of month within 1-28', () => {
+    for (const seed of ['a', 'b', 'c', 'd', 'e', 'f']) {
+      assert.ok(parse('H H H * *', { seed }).fields.dayOfMonth.values[0] <= 28, seed);
+    }
+  });
+
+  it('rejects malformed H', () => {
+    assert.deepStrictEqual(validate('H(5) * * * *').diagnostics.map(d => d.code), ['invalid-value']);
+    assert.deepStrictEqual(validate('H/90 * * * *').diagnostics.map(d => d.code), ['invalid-step']);
+    assert.deepStrictEqual(validate('0 H(9-30) * * *').diagnostics.map(d => d.code), ['out-of-range']);
+  });
+
+  it('spreads aliases in the jenkins dialect', () => {
+    const { fields } = parse('@daily', { dialect: 'jenkins', seed: 'my-job' });
+    assert.deepStrictEqual([fields.minute.values, fields.hour.values], [[18], [17]]);
+    assert.deepStrictEqual(validate('H * * * *', { dialect: 'cronie' }).diagnostics.map(d => d.code), ['unsupported-feature']);
+  });
+
+  it('describes the range a hashed time falls in', () => {
+    assert.strictEqual(describeCron('H H(0-7) * * *'), 'Once a day at a hashed time between 0:00 and 7:59');
+    assert.strictEqual(describeCron('H/15 * * * *'), 'Every 15 minutes from a hashed minute');
+    assert.strictEqual(describeCron('H * * * *'), 'Once an hour at a hashed minute');
+    assert.strictEqual(describeCron('H H * * H'), 'Once a week at a hashed time between 0:00 and 23:59 on a hashed day of the week');
+  });
+});
+
+describe('@every intervals', () => {
+  it('parses Go durations', () => {
+    assert.strictEqual(parse('@every 90m').interval, 90 * 60000);
+    assert.strictEqual(parse('@every 1h30m').interval, 90 * 60000);
+    assert.strictEqual(parse('@every 1.5h').interval, 90 * 60000);
+    assert.strictEqual(parse('@every 1h30m').isInterval, true);
+  });
+
+  it('rejects malformed durations', () => {
+    for (const expr of ['@every', '@every 5', '@every 5x', '@every h', '@every 1h 30m']) {
+      assert.deepStrictEqual(validate(expr).diagnostics.map(d => d.code), ['invalid-duration'], expr);
+    }
+  });
+
+  it('warns when the duration is rounded to whole seconds', () => {
+    const result = validate('@every 1500ms');
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.diagnostics.map(d => [d.code, d.severity]), [['duration-rounded', 'warning']]);
+    assert.strictEqual(parse('@every 100ms').interval, 1000);
+  });
+
+  it('is not part of any cron dialect', () => {
+    assert.deepStrictEqual(validate('@every 1h', { dialect: 'vixie' }).diagnostics.map(d => d.code), ['unsupported-feature']);
+  });
+
+  it('describes the interval', () => {
+    assert.strictEqual(describeCron('@every 90m'), 'Every 1 hour 30 minutes');
+    assert.strictEqual(describeCron('@every 48h'), 'Every 2 days');
+  });
+});
+
 describe('describeCron', () => {
   it('describes every minute', () => {
     const desc = describeCron('* * * * *');
@@ -148,6 +502,19 @@ describe('describeCron', () => {
     assert.ok(desc.toLowerCase().includes('weekday'));
   });
 
+  it('describes seconds', () => {
+    assert.strictEqual(describeCron('*/10 * * * * *'), 'Every 10 seconds');
+    assert.ok(describeCron('30 0 9 * * *').startsWith('At second 30 at minute 0'));
+  });
+
+  it('describes a single year', () => {
+    assert.ok(describeCron('0 0 12 1 1 ? 2027').endsWith('in 2027 only'));
+  });
+
+  it('describes zero seconds like a 5-field expression', () => {
+    assert.strictEqual(describeCron('0 0 9 * * *'), describeCron('0 9 * * *'));
+  });
+
   it('describes @reboot', () => {
     const desc = describeCron('@reboot');
     assert.ok(desc.toLowerCase().includes('startup'));
@@ -182,6 +549,27 @@ describe('getNextOccurrences', () => {
     assert.deepStrictEqual(next, []);
   });
 
+  it('steps at second granularity with a seconds field', () => {
+    const from = new Date('2026-01-01T00:00:05Z');
+    const next = getNextOccurrences('*/10 * * * * *', 3, { from, timezone: 'UTC' });
+    assert.deepStrictEqual(next.map(d => d.toISOString()), [
+      '2026-01-01T00:00:10.000Z',
+      '2026-01-01T00:00:20.000Z',
+      '2026-01-01T00:00:30.000Z'
+    ]);
+  });
+
+  it('jumps to the allowed year', () => {
+    const from = new Date('2026-03-01T00:00:00Z');
+    const next = getNextOccurrences('0 0 12 1 1 ? 2027', 5, { from, timezone: 'UTC' });
+    assert.deepStrictEqual(next.map(d => d.toISOString()), ['2027-01-01T12:00:00.000Z']);
+  });
+
+  it('returns nothing once the years have passed', () => {
+    const from = new Date('2026-03-01T00:00:00Z');
+    assert.deepStrictEqual(getNextOccurrences('0 0 12 1 1 ? 2020-2025', 5, { from, timezone: 'UTC' }), []);
+  });
+
   it('respects day-of-week constraint', () => {
     // Every weekday at 9am - should not include weekends
     const next = getNextOccurrences('0 9 * * 1-5', 10);
@@ -211,11 +599,35 @@ describe('compare', () => {
     assert.ok(result.differences.some(d => d.field === 'day of week'));
   });
 
+  it('considers seconds', () => {
+    const result = compare('*/10 * * * * *', '* * * * *');
+    assert.strictEqual(result.same, false);
+    assert.ok(result.differences.some(d => d.field === 'second'));
+  });
+
+  it('compares schedules, not just fields', () => {
+    const result = compare('0 0 1 * 1', '0 0 1 * *');
+    assert.strictEqual(result.same, false);
+    assert.strictEqual(result.relation, 'superset');
+    assert.strictEqual(compare('0 9 1-31 * 1', '0 9 * * *').same, true);
+  });
+
+  it('treats zero seconds as a 5-field expression', () => {
+    assert.strictEqual(compare('0 0 9 * * *', '0 9 * * *').same, true);
+  });
+
   it('reports overlap in runs', () => {
     const result = compare('0 9 * * *', '0 9 * * 1-5');
     assert.ok(result.overlap >= 0);
   });
 
+  it('counts the overlap from the given date', () => {
+    const options = { timezone: 'UTC' };
+    // Monday: 8 of the next 10 daily runs are weekdays; Saturday: 6
+    assert.strictEqual(compare('0 9 * * *', '0 9 * * 1-5', { ...options, from: new Date('2026-10-19T00:00:00Z') }).overlap, 8);
+    assert.strictEqual(compare('0 9 * * *', '0 9 * * 1-5', { ...options, from: new Date('2026-10-24T00:00:00Z') }).overlap, 6);
+  });
+
   it('handles invalid expressions', () => {
     const result = compare('invalid', '0 9 * * *');
     assert.strictEqual(result.valid, false);
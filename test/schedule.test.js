@@ -0,0 +1,253 @@
+/**
+ * Schedule engine tests
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getNextOccurrences, getPreviousOccurrences, occurrences } = require('../src/core/schedule');
+const { getWallTimeStatus } = require('../src/core/timezone');
+
+const from = new Date('2026-01-01T00:00:00Z');
+const iso = (dates) => dates.map(d => d.toISOString());
+
+describe('getNextOccurrences engine', () => {
+  it('finds leap days years apart', () => {
+    const next = getNextOccurrences('0 0 29 2 *', 3, { from, timezone: 'UTC' });
+    assert.deepStrictEqual(iso(next), [
+      '2028-02-29T00:00:00.000Z',
+      '2032-02-29T00:00:00.000Z',
+      '2036-02-29T00:00:00.000Z'
+    ]);
+  });
+
+  it('skips 2100, which is not a leap year', () => {
+    const next = getNextOccurrences('0 0 29 2 *', 1, { from: new Date('2096-03-01T00:00:00Z'), timezone: 'UTC' });
+    assert.deepStrictEqual(iso(next), ['2104-02-29T00:00:00.000Z']);
+  });
+
+  it('returns nothing for impossible dates', () => {
+    assert.deepStrictEqual(getNextOccurrences('0 0 31 2,4 *', 5, { from, timezone: 'UTC' }), []);
+  });
+
+  it('finds schedules that fire decades apart', () => {
+    // A fifth Monday in February needs a leap year starting on a Monday
+    const next = getNextOccurrences('0 0 * 2 1#5', 1, { from, timezone: 'UTC' });
+    assert.deepStrictEqual(iso(next), ['2044-02-29T00:00:00.000Z']);
+  });
+
+  it('crosses month and year boundaries', () => {
+    const next = getNextOccurrences('59 23 31 12 *', 2, { from, timezone: 'UTC' });
+    assert.deepStrictEqual(iso(next), ['2026-12-31T23:59:00.000Z', '2027-12-31T23:59:00.000Z']);
+  });
+
+  it('excludes the start time itself', () => {
+    const next = getNextOccurrences('0 0 * * *', 1, { from, timezone: 'UTC' });
+    assert.deepStrictEqual(iso(next), ['2026-01-02T00:00:00.000Z']);
+  });
+
+  it('evaluates in the given timezone', () => {
+    const next = getNextOccurrences('0 9 * * *', 1, { from, timezone: 'America/New_York' });
+    assert.deepStrictEqual(iso(next), ['2026-01-01T14:00:00.000Z']);
+  });
+
+  it('does not return a run twice across a DST change', () => {
+    const next = getNextOccurrences('30 2 * * *', 3, {
+      from: new Date('2026-03-07T12:00:00Z'),
+      timezone: 'America/New_York'
+    });
+    for (let i = 1; i < next.length; i++) {
+      assert.ok(next[i] > next[i - 1]);
+    }
+  });
+
+  it('returns empty for an unknown timezone', () => {
+    assert.deepStrictEqual(getNextOccurrences('0 9 * * *', 1, { from, timezone: 'Mars/Olympus' }), []);
+  });
+
+  it('returns nothing for a count that is not a positive whole number', () => {
+    [NaN, 0, -1, 2.5, Infinity, '3'].forEach(count => {
+      assert.deepStrictEqual(getNextOccurrences('0 9 * * *', count, { from, timezone: 'UTC' }), [], String(count));
+      assert.deepStrictEqual(getNextOccurrences('@every 1m', count, { from }), [], String(count));
+    });
+  });
+
+  it('handles large counts quickly', () => {
+    const started = Date.now();
+    const next = getNextOccurrences('*/5 * * * *', 10000, { from, timezone: 'UTC' });
+    assert.strictEqual(next.length, 10000);
+    assert.ok(Date.now() - started < 2000);
+  });
+});
+
+describe('getPreviousOccurrences', () => {
+  it('returns the most recent runs first', () => {
+    const prev = getPreviousOccurrences('0 3 * * *', 2, { from: new Date('2026-10-18T04:00:00Z'), timezone: 'UTC' });
+    assert.deepStrictEqual(iso(prev), ['2026-10-18T03:00:00.000Z', '2026-10-17T03:00:00.000Z']);
+  });
+
+  it('excludes the from instant itself', () => {
+    const prev = getPreviousOccurrences('0 3 * * *', 1, { from: new Date('2026-10-18T03:00:00Z'), timezone: 'UTC' });
+    assert.deepStrictEqual(iso(prev), ['2026-10-17T03:00:00.000Z']);
+  });
+
+  it('finds leap days going backwards', () => {
+    const prev = getPreviousOccurrences('0 0 29 2 *', 2, { from, timezone: 'UTC' });
+    assert.deepStrictEqual(iso(prev), ['2024-02-29T00:00:00.000Z', '2020-02-29T00:00:00.000Z']);
+  });
+
+  it('handles last day of month', () => {
+    const prev = getPreviousOccurrences('0 0 L * *', 2, { from: new Date('2026-03-15T00:00:00Z'), timezone: 'UTC' });
+    assert.deepStrictEqual(iso(prev), ['2026-02-28T00:00:00.000Z', '2026-01-31T00:00:00.000Z']);
+  });
+
+  it('steps at second granularity', () => {
+    const prev = getPreviousOccurrences('*/10 * * * * *', 2, { from: new Date('2026-01-01T00:00:05Z'), timezone: 'UTC' });
+    assert.deepStrictEqual(iso(prev), ['2026-01-01T00:00:00.000Z', '2025-12-31T23:59:50.000Z']);
+  });
+
+  it('returns nothing before the first allowed year', () => {
+    assert.deepStrictEqual(getPreviousOccurrences('0 0 0 1 1 * 2030', 1, { from, timezone: 'UTC' }), []);
+  });
+});
+
+describe('@every intervals', () => {
+  it('counts from the start instant by default', () => {
+    const next = getNextOccurrences('@every 90m', 2, { from: new Date('2026-10-19T10:07:00Z') });
+    assert.deepStrictEqual(iso(next), ['2026-10-19T11:37:00.000Z', '2026-10-19T13:07:00.000Z']);
+  });
+
+  it('counts from an anchor in both directions', () => {
+    const options = { from: new Date('2026-10-19T10:07:00Z'), anchor: new Date('2026-10-19T00:00:00Z') };
+    assert.deepStrictEqual(iso(getNextOccurrences('@every 90m', 2, options)), ['2026-10-19T10:30:00.000Z', '2026-10-19T12:00:00.000Z']);
+    assert.deepStrictEqual(iso(getPreviousOccurrences('@every 90m', 2, options)), ['2026-10-19T09:00:00.000Z', '2026-10-19T07:30:00.000Z']);
+  });
+
+  it('ends at the search horizon', () => {
+    const runs = [...occurrences('@every 24000h', { from })];
+    assert.strictEqual(runs.length, 146);
+    assert.ok(runs[runs.length - 1] <= new Date('2426-01-01T00:00:00Z'));
+  });
+
+  it('keeps real-time spacing across DST', () => {
+    const next = getNextOccurrences('@every 1h', 3, {
+      from: new Date('2026-03-29T00:30:00Z'),
+      timezone: 'Europe/Berlin'
+    });
+    assert.deepStrictEqual(iso(next), ['2026-03-29T01:30:00.000Z', '2026-03-29T02:30:00.000Z', '2026-03-29T03:30:00.000Z']);
+  });
+});
+
+describe('occurrences iterator', () => {
+  it('yields the same runs as getNextOccurrences', () => {
+    const runs = [];
+    for (const run of occurrences('*/15 * * * *', { from, timezone: 'UTC' })) {
+      runs.push(run);
+      if (runs.length === 5) break;
+    }
+    assert.deepStrictEqual(iso(runs), iso(getNextOccurrences('*/15 * * * *', 5, { from, timezone: 'UTC' })));
+  });
+
+  it('stops at until, inclusive', () => {
+    const runs = [...occurrences('0 0 * * *', { from, until: new Date('2026-01-03T00:00:00Z'), timezone: 'UTC' })];
+    assert.deepStrictEqual(iso(runs), ['2026-01-02T00:00:00.000Z', '2026-01-03T00:00:00.000Z']);
+  });
+
+  it('skips the first N runs', () => {
+    const runs = [...occurrences('0 0 * * *', { from, until: new Date('2026-01-05T00:00:00Z'), skip: 2, timezone: 'UTC' })];
+    assert.deepStrictEqual(iso(runs), ['2026-01-04T00:00:00.000Z', '2026-01-05T00:00:00.000Z']);
+  });
+
+  it('can be iterated more than once', () => {
+    const schedule = occurrences('0 0 1 * *', { from, until: new Date('2026-04-01T00:00:00Z'), timezone: 'UTC' });
+    assert.strictEqual([...schedule].length, 3);
+    assert.strictEqual([...schedule].length, 3);
+  });
+
+  it('supports for await', async () => {
+    const runs = [];
+    for await (const run of occurrences('0 0 29 2 *', { from, until: new Date('2033-01-01T00:00:00Z'), timezone: 'UTC' })) {
+      runs.push(run);
+    }
+    assert.deepStrictEqual(iso(runs), ['2028-02-29T00:00:00.000Z', '2032-02-29T00:00:00.000Z']);
+  });
+
+  it('yields nothing for invalid expressions', () => {
+    assert.deepStrictEqual([...occurrences('invalid', { from })], []);
+  });
+});
+
+describe('DST policy', () => {
+  const ny = 'America/New_York';
+  const spring = new Date('2026-03-08T05:00:00Z'); // midnight before 2:00 -> 3:00
+  const fall = new Date('2026-11-01T04:00:00Z'); // midnight before 2:00 -> 1:00
+  const next = (expr, count, options) => getNextOccurrences(expr, count, { timezone: ny, details: true, ...options });
+
+  it('runs fixed-time jobs in the gap once, right after the jump (vixie)', () => {
+    const runs = next('0,30 2 * * *', 2, { from: spring });
+    assert.deepStrictEqual(iso(runs.map(r => r.date)), ['2026-03-08T07:00:00.000Z', '2026-03-09T06:00:00.000Z']);
+    assert.deepStrictEqual(runs[0].dst, { type: 'gap', scheduled: '2026-03-08 02:00:00' });
+    assert.strictEqual(runs[1].dst, null);
+  });
+
+  it('skips wildcard jobs in the gap (vixie)', () => {
+    const runs = next('*/30 * * * *', 4, { from: spring });
+    assert.deepStrictEqual(iso(runs.map(r => r.date)), [
+      '2026-03-08T05:30:00.000Z',
+      '2026-03-08T06:00:00.000Z',
+      '2026-03-08T06:30:00.000Z',
+      '2026-03-08T07:00:00.000Z'
+    ]);
+    assert.ok(runs.every(r => r.dst === null));
+  });
+
+  it('skips gap times entirely in strict mode', () => {
+    const runs = next('30 2 * * *', 1, { from: spring, dst: 'strict' });
+    assert.deepStrictEqual(iso(runs.map(r => r.date)), ['2026-03-09T06:30:00.000Z']);
+  });
+
+  it('runs fixed-time jobs once in the repeated hour (vixie)', () => {
+    const runs = next('30 1 * * *', 2, { from: fall });
+    assert.deepStrictEqual(iso(runs.map(r => r.date)), ['2026-11-01T05:30:00.000Z', '2026-11-02T06:30:00.000Z']);
+    assert.deepStrictEqual(runs[0].dst, { type: 'repeat', pass: 1, of: 1 });
+  });
+
+  it('runs fixed-time jobs twice in the repeated hour in strict mode', () => {
+    const runs = next('30 1 * * *', 2, { from: fall, dst: 'strict' });
+    assert.deepStrictEqual(iso(runs.map(r => r.date)), ['2026-11-01T05:30:00.000Z', '2026-11-01T06:30:00.000Z']);
+    assert.deepStrictEqual(runs.map(r => r.dst.pass), [1, 2]);
+  });
+
+  it('runs wildcard jobs on both passes in time order', () => {
+    const runs = next('*/30 1 * * *', 4, { from: fall });
+    assert.deepStrictEqual(iso(runs.map(r => r.date)), [
+      '2026-11-01T05:00:00.000Z',
+      '2026-11-01T05:30:00.000Z',
+      '2026-11-01T06:00:00.000Z',
+      '2026-11-01T06:30:00.000Z'
+    ]);
+  });
+
+  it('picks up the second pass when starting inside the first', () => {
+    const runs = next('*/30 * * * *', 1, { from: new Date('2026-11-01T05:45:00Z') });
+    assert.deepStrictEqual(iso(runs.map(r => r.date)), ['2026-11-01T06:00:00.000Z']);
+  });
+
+  it('walks the repeated hour backwards too', () => {
+    const prev = getPreviousOccurrences('*/30 1 * * *', 4, { timezone: ny, from: new Date('2026-11-01T08:00:00Z') });
+    assert.deepStrictEqual(iso(prev), [
+      '2026-11-01T06:30:00.000Z',
+      '2026-11-01T06:00:00.000Z',
+      '2026-11-01T05:30:00.000Z',
+      '2026-11-01T05:00:00.000Z'
+    ]);
+  });
+
+  it('rejects unknown policies', () => {
+    assert.throws(() => getNextOccurrences('0 0 * * *', 1, { dst: 'sometimes' }), /Unknown DST policy/);
+  });
+
+  it('classifies wall-clock times', () => {
+    assert.strictEqual(getWallTimeStatus({ year: 2026, month: 3, day: 8, hour: 2, minute: 30, second: 0 }, ny), 'gap');
+    assert.strictEqual(getWallTimeStatus({ year: 2026, month: 11, day: 1, hour: 1, minute: 30, second: 0 }, ny), 'repeated');
+    assert.strictEqual(getWallTimeStatus({ year: 2026, month: 11, day: 1, hour: 3, minute: 0, second: 0 }, ny), 'normal');
+  });
+});
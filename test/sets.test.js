@@ -0,0 +1,111 @@
+/**
+ * Schedule set algebra tests
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { intersect, union, subtract } = require('../src/core/sets');
+
+const from = new Date('2026-01-01T00:00:00Z');
+
+/**
+ * First runs of a result, as ISO strings
+ * @param {Object} result - Set operation result
+ * @param {number} count - Number of runs
+ * @returns {Array<string>}
+ */
+function firstRuns(result, count) {
+  const runs = [];
+  for (const date of result.occurrences({ timezone: 'UTC', from })) {
+    if (runs.length >= count) break;
+    runs.push(date.toISOString());
+  }
+  return runs;
+}
+
+describe('intersect', () => {
+  it('narrows each field', () => {
+    const result = intersect('*/15 9-17 * * 1-5', '0 * * * *');
+    assert.strictEqual(result.exact, true);
+    assert.deepStrictEqual(result.expressions, ['0 9-17 * * 1-5']);
+  });
+
+  it('finds schedules with nothing in common', () => {
+    const result = intersect('0 9 * * 1', '0 10 * * 1');
+    assert.strictEqual(result.empty, true);
+    assert.deepStrictEqual(result.expressions, []);
+    assert.deepStrictEqual(firstRuns(result, 1), []);
+  });
+
+  it('falls back to runs when cron has no expression for it', () => {
+    // Weekdays that are also the 1st: cron would OR the two day fields
+    const result = intersect('0 9 * * 1-5', '0 9 1 * *');
+    assert.strictEqual(result.exact, false);
+    assert.strictEqual(result.expressions, null);
+    assert.deepStrictEqual(firstRuns(result, 3), [
+      '2026-01-01T09:00:00.000Z',
+      '2026-04-01T09:00:00.000Z',
+      '2026-05-01T09:00:00.000Z'
+    ]);
+  });
+
+  it('keeps a shared timezone prefix', () => {
+    const result = intersect('0 9 * * 1-5', 'CRON_TZ=UTC 0 9 * * 1');
+    assert.deepStrictEqual(result.expressions, ['CRON_TZ=UTC 0 9 * * 1']);
+  });
+
+  it('rejects schedules in different timezones', () => {
+    const result = intersect('CRON_TZ=UTC 0 9 * * *', 'CRON_TZ=Europe/Paris 0 9 * * *');
+    assert.strictEqual(result.valid, false);
+  });
+});
+
+describe('union', () => {
+  it('merges schedules that differ in one field', () => {
+    assert.deepStrictEqual(union('0 9 * * 1-5', '0 9 * * 6,0').expressions, ['0 9 * * *']);
+    assert.deepStrictEqual(union('0 9 1 * *', '0 9 15 * *').expressions, ['0 9 1,15 * *']);
+  });
+
+  it('keeps the larger of nested schedules', () => {
+    assert.deepStrictEqual(union('*/15 * * * *', '0 * * * *').expressions, ['*/15 * * * *']);
+  });
+
+  it('lists both when they can not be merged', () => {
+    const result = union('0 9 * * 1', '0 10 * * 2');
+    assert.deepStrictEqual(result.expressions, ['0 9 * * 1', '0 10 * * 2']);
+    assert.deepStrictEqual(firstRuns(result, 3), [
+      '2026-01-05T09:00:00.000Z',
+      '2026-01-06T10:00:00.000Z',
+      '2026-01-12T09:00:00.000Z'
+    ]);
+  });
+});
+
+describe('subtract', () => {
+  it('removes days', () => {
+    assert.deepStrictEqual(subtract('0 9 * * *', '0 9 * * 0,6').expressions, ['0 9 * * 1-5']);
+  });
+
+  it('splits into several expressions where one is not enough', () => {
+    assert.deepStrictEqual(subtract('*/15 9-17 * * *', '0 12 * * *').expressions, [
+      '*/15 9-11,13-17 * * *',
+      '15-45/15 12 * * *'
+    ]);
+  });
+
+  it('handles seconds and years', () => {
+    assert.deepStrictEqual(subtract('0 */5 * * * *', '0 0 * * * *').expressions, ['5-55/5 * * * *']);
+    assert.strictEqual(subtract('0 0 0 1 1 * 2027', '0 0 0 1 1 *').empty, true);
+  });
+
+  it('filters runs when cron has no expression for it', () => {
+    const result = subtract('0 0 * * *', '0 0 L * *');
+    assert.strictEqual(result.exact, false);
+    assert.deepStrictEqual(firstRuns(result, 2), ['2026-01-02T00:00:00.000Z', '2026-01-03T00:00:00.000Z']);
+    assert.ok(firstRuns(result, 31).every(run => !run.startsWith('2026-01-31')));
+  });
+
+  it('rejects schedules without fixed times', () => {
+    assert.strictEqual(subtract('@reboot', '0 0 * * *').valid, false);
+    assert.strictEqual(subtract('0 0 * * *', 'not cron').valid, false);
+  });
+});
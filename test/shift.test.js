@@ -0,0 +1,116 @@
+/**
+ * Timezone rewriting tests
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { shiftTimezone, formatOffset } = require('../src/core/shift');
+const { compactValues, FIELDS } = require('../src/core/parser');
+
+const at = new Date('2026-01-15T00:00:00Z');
+
+describe('compactValues', () => {
+  it('writes steps, ranges and lists', () => {
+    assert.strictEqual(compactValues([0, 15, 30, 45], FIELDS.minute), '*/15');
+    assert.strictEqual(compactValues([2, 6, 10, 14, 18, 22], FIELDS.hour), '2-22/4');
+    assert.strictEqual(compactValues([1, 3, 7, 8, 9], FIELDS.hour), '1,3,7-9');
+    assert.strictEqual(compactValues([0, 1, 2, 3, 4, 5, 6, 7], FIELDS.dayOfWeek), '*');
+  });
+});
+
+describe('formatOffset', () => {
+  it('writes hours and minutes with a sign', () => {
+    assert.strictEqual(formatOffset(60), '+1h');
+    assert.strictEqual(formatOffset(-330), '-5h 30m');
+    assert.strictEqual(formatOffset(45), '+45m');
+    assert.strictEqual(formatOffset(0), '+0h');
+  });
+});
+
+describe('shiftTimezone', () => {
+  it('shifts hours and reports the DST periods', () => {
+    const result = shiftTimezone('0 9 * * 1-5', 'Europe/Berlin', 'UTC', { at });
+    assert.deepStrictEqual(result.expressions, ['0 8 * * 1-5']);
+    assert.strictEqual(result.offset, -60);
+    assert.strictEqual(result.exact, false);
+    assert.deepStrictEqual(result.periods.map(p => p.expressions[0]), ['0 8 * * 1-5', '0 7 * * 1-5', '0 8 * * 1-5']);
+    assert.ok(result.warnings[0].includes('2026-03-29'));
+  });
+
+  it('is exact between zones without DST', () => {
+    const result = shiftTimezone('0 22 * * 5', 'UTC', 'Asia/Tokyo', { at });
+    assert.strictEqual(result.result, '0 7 * * 6');
+    assert.strictEqual(result.exact, true);
+    assert.strictEqual(result.periods.length, 1);
+  });
+
+  it('splits runs whose minutes no longer line up', () => {
+    const result = shiftTimezone('*/15 9-17 * * *', 'Asia/Kolkata', 'UTC', { at });
+    assert.deepStrictEqual(result.expressions, ['30,45 3 * * *', '*/15 4-11 * * *', '0,15 12 * * *']);
+  });
+
+  it('merges runs that cross midnight onto the same days', () => {
+    const result = shiftTimezone('*/15 * * * *', 'Asia/Kolkata', 'UTC', { at });
+    assert.deepStrictEqual(result.expressions, ['*/15 * * * *']);
+    assert.strictEqual(result.exact, true);
+    assert.deepStrictEqual(shiftTimezone('30 * * * *', 'Asia/Kolkata', 'UTC', { at }).expressions, ['0 * * * *']);
+  });
+
+  it('wraps the day of week across midnight', () => {
+    const result = shiftTimezone('30 1 * * 0,1', 'Asia/Kolkata', 'UTC', { at });
+    assert.deepStrictEqual(result.expressions, ['0 20 * * 0,6']);
+  });
+
+  it('moves the 1st to the last day of the previous month', () => {
+    const result = shiftTimezone('0 2 1 * *', 'Asia/Kolkata', 'UTC', { at });
+    assert.deepStrictEqual(result.expressions, ['30 20 L * *']);
+    assert.strictEqual(result.exact, true);
+  });
+
+  it('moves dates only in months that have them', () => {
+    const result = shiftTimezone('0 0 31 * *', 'Asia/Tokyo', 'UTC', { at });
+    assert.deepStrictEqual(result.expressions, ['0 15 30 1,3,5,7,8,10,12 *']);
+    assert.strictEqual(result.exact, true);
+  });
+
+  it('moves the month and year along with the day', () => {
+    assert.deepStrictEqual(shiftTimezone('0 0 1 3 *', 'Asia/Tokyo', 'UTC', { at }).expressions, ['0 15 L 2 *']);
+    assert.deepStrictEqual(shiftTimezone('0 23 31 12 *', 'UTC', 'Asia/Tokyo', { at }).expressions, ['0 8 1 1 *']);
+    assert.deepStrictEqual(shiftTimezone('0 2 * 1 *', 'Asia/Kolkata', 'UTC', { at }).expressions, ['30 20 1-30 1 *', '30 20 L 12 *']);
+    assert.deepStrictEqual(shiftTimezone('0 0 0 1 1 * 2027', 'Asia/Tokyo', 'UTC', { at }).expressions, ['0 0 15 L 12 * 2026']);
+  });
+
+  it('is not exact when leap years move runs to other days', () => {
+    const result = shiftTimezone('0 0 29 2 *', 'Asia/Tokyo', 'UTC', { at });
+    assert.deepStrictEqual(result.expressions, ['0 15 28 2 *']);
+    assert.strictEqual(result.exact, false);
+    assert.ok(result.warnings[0].includes('leap years'));
+    // The 28th and 29th together land on the 29th (leap years only) and the 1st
+    const both = shiftTimezone('0 23 28,29 2 *', 'UTC', 'Asia/Tokyo', { at });
+    assert.deepStrictEqual(both.expressions, ['0 8 29 2 *', '0 8 1 3 *']);
+    assert.strictEqual(both.exact, true);
+  });
+
+  it('warns when the month field can\'t follow weekdays', () => {
+    const result = shiftTimezone('0 2 * 1 1', 'Asia/Kolkata', 'UTC', { at });
+    assert.deepStrictEqual(result.expressions, ['30 20 * 1 0']);
+    assert.strictEqual(result.exact, false);
+    assert.ok(result.warnings[0].includes('month'));
+  });
+
+  it('keeps both day fields together while the dates stay in their months', () => {
+    assert.deepStrictEqual(shiftTimezone('0 0 1,15 * 1', 'Asia/Tokyo', 'UTC', { at }).expressions, ['0 15 14,L * 0']);
+    const split = shiftTimezone('0 0 1,15 3 1', 'Asia/Tokyo', 'UTC', { at });
+    assert.deepStrictEqual(split.expressions, ['0 15 L 2 *', '0 15 14 3 *', '0 15 * 3 0']);
+  });
+
+  it('uses the prefix as the source timezone', () => {
+    const result = shiftTimezone('CRON_TZ=Asia/Kolkata 0 12 * * *', null, 'UTC', { at });
+    assert.strictEqual(result.from, 'Asia/Kolkata');
+    assert.strictEqual(result.result, '30 6 * * *');
+  });
+
+  it('rejects modifiers that would cross midnight', () => {
+    assert.strictEqual(shiftTimezone('0 2 L * *', 'Asia/Kolkata', 'UTC', { at }).success, false);
+    assert.strictEqual(shiftTimezone('0 9 * * *', 'Mars/Olympus', 'UTC', { at }).success, false);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Spread tests
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { spread, scheduleMoves } = require('../src/core/spread');
+
+const from = new Date('2026-10-19T12:00:00Z');
+
+describe('scheduleMoves', () => {
+  it('moves a fixed minute within its hour', () => {
+    const moves = scheduleMoves('0 3 * * *');
+    assert.strictEqual(moves.length, 60);
+    assert.deepStrictEqual(moves[0], { schedule: '0 3 * * *', offset: 0 });
+    assert.ok(moves.some(m => m.schedule === '59 3 * * *' && m.offset === 59));
+  });
+
+  it('starts steps elsewhere', () => {
+    const moves = scheduleMoves('*/15 */6 * * *').map(m => m.schedule);
+    assert.strictEqual(moves.length, 15 * 6);
+    assert.ok(moves.includes('7-59/15 2-23/6 * * *'));
+    assert.deepStrictEqual(scheduleMoves('5-59/15 * * * *').find(m => m.offset === -5), { schedule: '*/15 * * * *', offset: -5 });
+  });
+
+  it('writes aliases out', () => {
+    assert.ok(scheduleMoves('@daily').some(m => m.schedule === '30 0 * * *'));
+  });
+
+  it('leaves what would change the frequency', () => {
+    ['* * * * *', '0,30 * * * *', '*/7 * * * *', '@reboot', '@every 5m'].forEach(schedule => {
+      assert.deepStrictEqual(scheduleMoves(schedule), [{ schedule, offset: 0 }], schedule);
+    });
+  });
+});
+
+describe('spread', () => {
+  it('moves jobs that start together apart', () => {
+    const text = 'MAILTO=""\n0 * * * * /bin/a\n0 * * * * /bin/b\n  0  * * * * /bin/c   # keep\n';
+    const result = spread(text, { timezone: 'UTC', from });
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.before, { peak: 3, crowded: 168 });
+    assert.deepStrictEqual(result.after, { peak: 1, crowded: 0 });
+    assert.strictEqual(result.changes.length, 2);
+    assert.ok(result.changes.every(c => /^\d+ +\* \* \* \*$/.test(c.to)));
+
+    // Everything but the moved schedules stays as written
+    const lines = result.text.split('\n');
+    assert.strictEqual(lines[0], 'MAILTO=""');
+    assert.strictEqual(lines[1], '0 * * * * /bin/a');
+    assert.match(lines[3], /^ {2}\d+ {2}\* \* \* \* \/bin\/c {3}# keep$/);
+    assert.strictEqual(lines[4], '');
+  });
+
+  it('keeps jobs under a spread-ignore comment', () => {
+    const text = '0 9 * * * /bin/report\n# cronwtf-spread-ignore\n0 9 * * * /bin/standup\n';
+    const result = spread(text, { timezone: 'UTC', from });
+    assert.deepStrictEqual(result.changes.map(c => c.line), [1]);
+  });
+
+  it('leaves a crontab without collisions alone', () => {
+    const text = '0 * * * * /bin/a\n30 9 * * 1-5 /bin/b\n';
+    const result = spread(text, { timezone: 'UTC', from });
+    assert.deepStrictEqual(result.changes, []);
+    assert.strictEqual(result.text, text);
+  });
+
+  it('rejects bad windows', () => {
+    assert.strictEqual(spread('', { days: 40 }).valid, false);
+    assert.strictEqual(spread('', { timezone: 'Mars/Olympus' }).valid, false);
+  });
+});
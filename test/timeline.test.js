@@ -0,0 +1,52 @@
+/**
+ * Timeline tests
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getTimeline } = require('../src/core/timeline');
+
+const from = new Date('2026-10-19T12:00:00Z');
+
+describe('getTimeline', () => {
+  it('marks where each schedule runs', () => {
+    const timeline = getTimeline('0 */6 * * *', '0 6,9 * * *', { timezone: 'UTC', from });
+    assert.strictEqual(timeline.valid, true);
+    assert.strictEqual(timeline.from, '2026-10-19T00:00:00.000Z');
+    assert.strictEqual(timeline.slotMinutes, 15);
+
+    const [row] = timeline.rows;
+    assert.strictEqual(row.date, '2026-10-19');
+    assert.strictEqual(row.slots.length, 96);
+    assert.strictEqual(row.slots[0], 'first');
+    assert.strictEqual(row.slots[24], 'both');
+    assert.strictEqual(row.slots[36], 'second');
+    assert.strictEqual(row.slots[1], null);
+    assert.deepStrictEqual(timeline.counts, { first: 3, second: 1, both: 1 });
+  });
+
+  it('marks slots where each runs without the other', () => {
+    const timeline = getTimeline('0 9 * * *', '10 9 * * *', { timezone: 'UTC', from });
+    assert.strictEqual(timeline.rows[0].slots[36], 'mixed');
+  });
+
+  it('uses coarser slots for longer windows', () => {
+    const week = getTimeline('0 9 * * 1-5', '0 9 * * *', { timezone: 'UTC', from, days: 7 });
+    assert.strictEqual(week.slotMinutes, 30);
+    assert.deepStrictEqual(week.rows.map(r => r.slots[18]), ['both', 'both', 'both', 'both', 'both', 'second', 'second']);
+
+    const month = getTimeline('0 9 * * *', '0 9 * * *', { timezone: 'UTC', from, days: 31 });
+    assert.strictEqual(month.slotMinutes, 60);
+    assert.strictEqual(month.rows.length, 31);
+  });
+
+  it('lays out days in the timezone', () => {
+    const timeline = getTimeline('0 9 * * *', '0 9 * * *', { timezone: 'America/New_York', from, days: 1 });
+    assert.strictEqual(timeline.from, '2026-10-19T00:00:00.000-04:00');
+    assert.strictEqual(timeline.rows[0].slots[36], 'both');
+  });
+
+  it('rejects windows outside 1-31 days', () => {
+    assert.strictEqual(getTimeline('0 9 * * *', '0 9 * * *', { days: 0 }).valid, false);
+    assert.strictEqual(getTimeline('0 9 * * *', '0 9 * * *', { days: 32 }).valid, false);
+  });
+});